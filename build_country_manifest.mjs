@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Write the country manifest (Data/countries.json) from the exports on disk.
+ *
+ * What it does:
+ * - Walks Data/ and collects every ISO3 code with a per-country export: daily country
+ *   files, weekly and keyword by_country folders, weekly bundles
+ * - Writes { "countries": [...] } sorted by code, the list the country filters offer
+ *
+ * Design constraints:
+ * - No dependencies; Node 18+ standard library and the dashboard's own modules
+ *
+ * Run it after adding or removing a country's exports; the Pages workflow also runs it
+ * on deploy.
+ *
+ * Usage examples:
+ *   node build_country_manifest.mjs
+ *   node build_country_manifest.mjs --root .
+ */
+import { readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { collectExportedCountryCodes } from './js/countryRegistry.js';
+
+const MANIFEST_FILE = 'Data/countries.json';
+
+/**
+ * Paths under dir, relative to root with forward slashes
+ */
+async function listFiles(root, dir) {
+    const entries = await readdir(path.join(root, dir), { withFileTypes: true }).catch(() => []);
+    const nested = await Promise.all(entries.map(entry => {
+        const relative = `${dir}/${entry.name}`;
+        return entry.isDirectory() ? listFiles(root, relative) : [relative];
+    }));
+    return nested.flat();
+}
+
+async function main() {
+    const { values: args } = parseArgs({
+        options: {
+            root: { type: 'string', default: '.' }
+        }
+    });
+
+    const countries = collectExportedCountryCodes(await listFiles(args.root, 'Data'));
+    if (!countries.length) {
+        console.error(`[error] No per-country exports under ${path.join(args.root, 'Data')}`);
+        process.exit(1);
+    }
+
+    const outFile = path.join(args.root, MANIFEST_FILE);
+    await writeFile(outFile, `${JSON.stringify({ countries }, null, 2)}\n`);
+    console.log(`[ok] ${outFile}`);
+    console.log(`[done] ${countries.length} countries: ${countries.join(', ')}`);
+}
+
+main().catch(error => {
+    console.error(`[error] ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Write the daily export manifest (Data/Chart-Daily_Data/manifest.json) from the folder.
+ *
+ * What it does:
+ * - Lists the daily CSVs in Data/Chart-Daily_Data
+ * - Writes { "files": [...] } sorted by name, the list the property selector reads
+ * - Warns about CSVs that don't follow property_<sanitized>_daily_* naming
+ *   (docs/data-exports-spec.md); they are listed but no property picks them up
+ *
+ * Design constraints:
+ * - No dependencies; Node 18+ standard library and the dashboard's own modules
+ *
+ * The manifest is not committed: run it in a fresh clone and after adding or removing a
+ * property's exports. The Pages workflow builds it on deploy.
+ *
+ * Usage examples:
+ *   node build_property_manifest.mjs
+ *   node build_property_manifest.mjs --dir Data/Chart-Daily_Data
+ */
+import { readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { parsePropertyManifest } from './js/propertyRegistry.js';
+
+const DEFAULT_DIR = 'Data/Chart-Daily_Data';
+const MANIFEST_FILE = 'manifest.json';
+
+async function main() {
+    const { values: args } = parseArgs({
+        options: {
+            dir: { type: 'string', default: DEFAULT_DIR }
+        }
+    });
+
+    const files = (await readdir(args.dir)).filter(name => name.toLowerCase().endsWith('.csv')).sort();
+    if (!files.length) {
+        console.error(`[error] No daily CSVs under ${args.dir}`);
+        process.exit(1);
+    }
+    files.forEach(file => {
+        if (!parsePropertyManifest({ files: [file] }).length) {
+            console.warn(`[warn] ${file}: not named property_<sanitized>_daily_*; no property will use it`);
+        }
+    });
+
+    const outFile = path.join(args.dir, MANIFEST_FILE);
+    await writeFile(outFile, `${JSON.stringify({ files }, null, 2)}\n`);
+    const properties = parsePropertyManifest({ files });
+    console.log(`[ok] ${outFile}: ${files.length} files`);
+    console.log(`[done] ${properties.length} ${properties.length === 1 ? 'property' : 'properties'}: ${properties.map(p => p.label).join(', ')}`);
+}
+
+main().catch(error => {
+    console.error(`[error] ${error.message}`);
+    process.exit(1);
+});
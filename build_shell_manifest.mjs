@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Write the service worker's precache list (sw-shell.js) from the files on disk.
+ *
+ * What it does:
+ * - Lists dashboard.html, css/, js/ (every module and js/workers/) and Resources/
+ * - Collects the CDN libraries dashboard.html loads (<script src="https://...">)
+ * - Writes sw-shell.js, which sw.js loads with importScripts; the version is a hash of
+ *   the listed files, so any change installs a fresh shell cache
+ *
+ * The service worker registers after the module graph has loaded, so runtime caching
+ * alone would miss every module on the first visit; precaching the whole list makes
+ * the dashboard open offline from the second visit on.
+ *
+ * Design constraints:
+ * - No dependencies; Node 18+ standard library
+ *
+ * Built on deploy (.github/workflows/pages.yml), like the property and country
+ * manifests; without it sw.js falls back to precaching the entry page only.
+ *
+ * Usage:
+ *   node build_shell_manifest.mjs
+ */
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+
+const OUTPUT = 'sw-shell.js';
+const ENTRY_HTML = 'dashboard.html';
+const SHELL_DIRS = ['css', 'js', 'Resources'];
+const SHELL_EXTENSIONS = new Set(['.js', '.css', '.png', '.jpg', '.jpeg', '.svg', '.webp', '.ico']);
+const CDN_SCRIPT = /<script[^>]+src="(https:\/\/[^"]+)"/g;
+
+async function listFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = [];
+    for (const entry of entries) {
+        const full = path.posix.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await listFiles(full));
+        else if (SHELL_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) files.push(full);
+    }
+    return files;
+}
+
+async function buildManifest() {
+    const html = await readFile(ENTRY_HTML, 'utf8');
+    const urls = [ENTRY_HTML];
+    for (const dir of SHELL_DIRS) urls.push(...await listFiles(dir));
+    urls.sort((a, b) => (a === ENTRY_HTML ? -1 : b === ENTRY_HTML ? 1 : a.localeCompare(b)));
+    const cdn = Array.from(new Set(Array.from(html.matchAll(CDN_SCRIPT), match => match[1])));
+
+    const hash = createHash('sha256');
+    for (const url of urls) {
+        hash.update(url);
+        hash.update(await readFile(url));
+    }
+    cdn.forEach(url => hash.update(url));
+    return { version: hash.digest('hex').slice(0, 12), urls, cdn };
+}
+
+function renderManifest(manifest) {
+    return `// Generated by build_shell_manifest.mjs; do not edit by hand.
+self.SHELL_MANIFEST = ${JSON.stringify(manifest, null, 4)};
+`;
+}
+
+async function main() {
+    const manifest = await buildManifest();
+    await writeFile(OUTPUT, renderManifest(manifest));
+    console.log(`[ok] ${OUTPUT}: ${manifest.urls.length} files, ${manifest.cdn.length} CDN libraries (version ${manifest.version})`);
+}
+
+main().catch(error => {
+    console.error(`[error] ${error.message}`);
+    process.exit(1);
+});
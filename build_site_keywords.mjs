@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Combine the per-country site keyword exports into the all-countries file.
+ *
+ * What it does:
+ * - Reads Data/keywords/Site_Daily/by_country/{ISO3}.csv
+ * - Writes Data/keywords/Site_Daily/all_countries.csv: every country's rows under one
+ *   header (the country column tells them apart), which the Keywords view reads when no
+ *   country is selected
+ *
+ * The pipeline exports keywords per country only, so "All countries" is the sum of the
+ * exported countries, not Search Console's worldwide total.
+ *
+ * Design constraints:
+ * - No dependencies; Node 18+ standard library
+ *
+ * Usage examples:
+ *   node build_site_keywords.mjs
+ *   node build_site_keywords.mjs --dir Data/keywords/Site_Daily
+ */
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+const DEFAULT_DIR = 'Data/keywords/Site_Daily';
+const OUTPUT_FILE = 'all_countries.csv';
+
+async function main() {
+    const { values: args } = parseArgs({
+        options: {
+            dir: { type: 'string', default: DEFAULT_DIR }
+        }
+    });
+    const byCountryDir = path.join(args.dir, 'by_country');
+    const files = (await readdir(byCountryDir).catch(() => []))
+        .filter(name => /^[A-Z]{3}\.csv$/i.test(name))
+        .sort();
+    if (!files.length) {
+        console.error(`[error] No keyword CSVs under ${byCountryDir}`);
+        process.exit(1);
+    }
+
+    let header = null;
+    let rows = 0;
+    const lines = [];
+    for (const file of files) {
+        const [first, ...body] = (await readFile(path.join(byCountryDir, file), 'utf8'))
+            .replace(/^\uFEFF/, '')
+            .split(/\r?\n/)
+            .filter(Boolean);
+        if (!first) continue;
+        header ??= first;
+        if (first !== header) {
+            console.warn(`[warn] ${file}: header "${first}" differs from "${header}"; skipped`);
+            continue;
+        }
+        lines.push(...body);
+        rows += body.length;
+        console.log(`[ok] ${file}: ${body.length} rows`);
+    }
+
+    const outFile = path.join(args.dir, OUTPUT_FILE);
+    await writeFile(outFile, `${[header, ...lines].join('\n')}\n`);
+    console.log(`[done] ${outFile}: ${rows} rows from ${files.length} countries`);
+}
+
+main().catch(error => {
+    console.error(`[error] ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Build the columnar weekly bundles from the per-URL weekly CSVs.
+ *
+ * What it does:
+ * - Reads Data/weekly_data_output/aggregated/*.csv and by_country/{ISO3}/*.csv
+ * - Checks every CSV against the page weekly schema (js/dataSchemas.js); rows with a
+ *   missing or invalid start_date/end_date are dropped, other problems are reported
+ * - Writes one bundle per scope (format in js/weeklyBundle.js):
+ *     Data/weekly_bundle/aggregated.bin
+ *     Data/weekly_bundle/by_country/{ISO3}.bin
+ *
+ * The dashboard reads a bundle with one request instead of one CSV per URL and falls
+ * back to the CSVs when a bundle is missing.
+ *
+ * Design constraints:
+ * - No dependencies; Node 18+ standard library and the dashboard's own modules
+ *
+ * Usage examples:
+ *   node build_weekly_bundle.mjs
+ *   node build_weekly_bundle.mjs --input Data/weekly_data_output --output Data/weekly_bundle
+ */
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseCsvText } from './js/weeklyAggregation.js';
+import { validateCsvRows } from './js/dataSchemas.js';
+import { encodeWeeklyBundle } from './js/weeklyBundle.js';
+
+const DEFAULT_INPUT = 'Data/weekly_data_output';
+const DEFAULT_OUTPUT = 'Data/weekly_bundle';
+const CSV_SUFFIX = '_weekly_all_data.csv';
+const DATE_COLUMNS = new Set(['start_date', 'end_date']);
+
+async function listCsvFiles(dir) {
+    try {
+        return (await readdir(dir)).filter(name => name.endsWith(CSV_SUFFIX)).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Read one scope's CSVs into sanitized page name -> rows
+ */
+async function readScope(dir) {
+    const pages = new Map();
+    let problems = 0;
+    for (const name of await listCsvFiles(dir)) {
+        const file = path.join(dir, name);
+        const rows = parseCsvText(await readFile(file, 'utf8'));
+        const issues = validateCsvRows('weeklyCsv', rows);
+        if (issues.length) {
+            problems += issues.length;
+            issues.slice(0, 3).forEach(issue => {
+                console.warn(`[warn] ${file} row ${issue.row} ${issue.column}: ${issue.problem}`);
+            });
+        }
+        // Rows without a usable week can't be placed; everything else keeps the loader defaults
+        if (issues.some(issue => issue.row === 'header' && DATE_COLUMNS.has(issue.column))) continue;
+        const badRows = new Set(issues.filter(issue => DATE_COLUMNS.has(issue.column)).map(issue => issue.row));
+        const kept = rows.filter((_, idx) => !badRows.has(idx + 2));
+        if (kept.length) pages.set(name.slice(0, -CSV_SUFFIX.length), kept);
+    }
+    return { pages, problems };
+}
+
+async function writeBundle(outFile, pages, meta) {
+    const buffer = encodeWeeklyBundle(pages, meta);
+    await mkdir(path.dirname(outFile), { recursive: true });
+    await writeFile(outFile, new Uint8Array(buffer));
+    const rows = Array.from(pages.values()).reduce((sum, rowsForPage) => sum + rowsForPage.length, 0);
+    console.log(`[ok] ${outFile}: ${pages.size} pages, ${rows} rows, ${(buffer.byteLength / 1024).toFixed(1)} KB`);
+}
+
+async function main() {
+    const { values: args } = parseArgs({
+        options: {
+            input: { type: 'string', default: DEFAULT_INPUT },
+            output: { type: 'string', default: DEFAULT_OUTPUT }
+        }
+    });
+    const start = Date.now();
+    let problems = 0;
+    let bundles = 0;
+
+    const aggregated = await readScope(path.join(args.input, 'aggregated'));
+    problems += aggregated.problems;
+    if (aggregated.pages.size) {
+        await writeBundle(path.join(args.output, 'aggregated.bin'), aggregated.pages, { scope: 'aggregated' });
+        bundles++;
+    }
+
+    const byCountryDir = path.join(args.input, 'by_country');
+    const countries = await readdir(byCountryDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of countries.filter(dirent => dirent.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        const iso3 = entry.name.toUpperCase();
+        const scope = await readScope(path.join(byCountryDir, entry.name));
+        problems += scope.problems;
+        if (!scope.pages.size) continue;
+        const country = scope.pages.values().next().value[0]?.country || iso3.toLowerCase();
+        await writeBundle(path.join(args.output, 'by_country', `${iso3}.bin`), scope.pages, { scope: iso3, country });
+        bundles++;
+    }
+
+    if (!bundles) {
+        console.error(`[error] No weekly CSVs under ${args.input}`);
+        process.exit(1);
+    }
+    const seconds = ((Date.now() - start) / 1000).toFixed(1);
+    console.log(`[done] ${bundles} bundles in ${seconds}s${problems ? `, ${problems} schema problems (see warnings)` : ''}`);
+}
+
+main().catch(error => {
+    console.error(`[error] ${error.message}`);
+    process.exit(1);
+});
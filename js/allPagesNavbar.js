@@ -1,5 +1,7 @@
+import { escapeHtml } from './utils.js';
+
 // Reusable All Pages Navbar component
-// Emits: 'viewchange', 'sortchange', 'sortdirchange', 'search'
+// Emits: 'viewchange', 'sortchange', 'sortdirchange', 'search', 'typefilter', 'weightschange'
 export class AllPagesNavbar {
     constructor(config = {}) {
         this.config = {
@@ -13,9 +15,16 @@ export class AllPagesNavbar {
             searchPlaceholder: config.searchPlaceholder || 'Search pages...',
             // For compatibility with existing IDs used by TopPagesTableComponent
             containerId: config.containerId || 'topPagesTableContainer',
-            // New: type filter
+            // New: type filter; options are [{ value, label }] (content groups, see contentGroups.js)
             showTypeFilter: config.showTypeFilter !== false,
-            defaultType: config.defaultType || 'All'
+            defaultType: config.defaultType || 'All',
+            typeOptions: config.typeOptions || [{ value: 'All', label: 'All Pages' }],
+            // TPS weight presets: [{ value, label }] + per-component labels for the sliders
+            showWeightPresets: config.showWeightPresets === true,
+            weightPresets: config.weightPresets || [],
+            weightLabels: config.weightLabels || {},
+            weightPreset: config.weightPreset || 'balanced',
+            weights: config.weights || {}
         };
 
         this.root = null;
@@ -230,6 +239,34 @@ export class AllPagesNavbar {
             `);
         }
 
+        if (this.config.showWeightPresets) {
+            const presetItems = this.config.weightPresets.map(p => `
+                            <div class="country-dropdown-item" role="option" data-value="${p.value}" aria-selected="${p.value === this.config.weightPreset}">${p.label}</div>`).join('');
+            const sliders = Object.keys(this.config.weightLabels).map(key => {
+                const pct = Math.round((this.config.weights[key] || 0) * 100);
+                return `
+                            <label class="tps-weight-slider">
+                                <span class="tps-weight-name">${this.config.weightLabels[key]}</span>
+                                <input type="range" min="0" max="100" step="5" value="${pct}" data-key="${key}">
+                                <span class="tps-weight-value" data-key="${key}">${pct}%</span>
+                            </label>`;
+            }).join('');
+            parts.push(`
+                <div class="tps-weights-controls control-chip">
+                    <div class="country-dropdown" id="${this.config.containerId}_weightsDropdown">
+                        <button type="button" class="country-dropdown-toggle" id="${this.config.containerId}_weightsToggle" aria-expanded="false" aria-haspopup="listbox" title="Top Pages score weights">
+                            <span id="${this.config.containerId}_weightsToggleText">${this.getWeightPresetLabel(this.config.weightPreset)}</span>
+                            <svg class="country-dropdown-caret" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true"><path fill-rule="evenodd" d="M5.23 7.21a.75.75 0 011.06.02L10 11.168l3.71-3.938a.75.75 0 011.08 1.04l-4.24 4.5a.75.75 0 01-1.08 0l-4.24-4.5a.75.75 0 01.02-1.06z" clip-rule="evenodd"/></svg>
+                        </button>
+                        <div class="country-dropdown-menu tps-weights-menu" id="${this.config.containerId}_weightsMenu" role="listbox" aria-labelledby="${this.config.containerId}_weightsToggle">${presetItems}
+                            <div class="tps-weights-sliders">${sliders}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `);
+        }
+
         if (this.config.showSearch) {
             parts.push(`
                 <div class="search-box">
@@ -245,11 +282,7 @@ export class AllPagesNavbar {
 
         // Optional Type Filter (hover-expand like country dropdown)
         if (this.config.showTypeFilter) {
-            const currentTypeLabel = (
-                this.config.defaultType === 'Blog' ? 'Blog Post' :
-                this.config.defaultType === 'All' ? 'All Pages' :
-                this.config.defaultType
-            );
+            const currentTypeLabel = this.getTypeLabel(this.config.defaultType);
             parts.unshift(`
                 <div class="filter-group">
                     <div class="country-dropdown" id="${this.config.containerId}_typeDropdown">
@@ -258,12 +291,7 @@ export class AllPagesNavbar {
                             <svg class="country-dropdown-caret" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true"><path fill-rule="evenodd" d="M5.23 7.21a.75.75 0 011.06.02L10 11.168l3.71-3.938a.75.75 0 011.08 1.04l-4.24 4.5a.75.75 0 01-1.08 0l-4.24-4.5a.75.75 0 01.02-1.06z" clip-rule="evenodd"/></svg>
                         </button>
                         <div class="country-dropdown-menu" id="${this.config.containerId}_typeMenu" role="listbox" aria-labelledby="${this.config.containerId}_typeToggle">
-                            <div class="country-dropdown-item" role="option" data-value="All" aria-selected="${this.config.defaultType === 'All'}">All Pages</div>
-                            <div class="country-dropdown-item" role="option" data-value="Blog" aria-selected="${this.config.defaultType === 'Blog'}">Blog Post</div>
-                            <div class="country-dropdown-item" role="option" data-value="Page" aria-selected="${this.config.defaultType === 'Page'}">Page</div>
-                            <div class="country-dropdown-item" role="option" data-value="Clinics" aria-selected="${this.config.defaultType === 'Clinics'}">Clinics</div>
-                            <div class="country-dropdown-item" role="option" data-value="Doctors" aria-selected="${this.config.defaultType === 'Doctors'}">Doctors</div>
-                            <div class="country-dropdown-item" role="option" data-value="Locations" aria-selected="${this.config.defaultType === 'Locations'}">Locations</div>
+                            ${this.renderTypeItems(this.config.defaultType)}
                         </div>
                     </div>
                 </div>
@@ -338,18 +366,38 @@ export class AllPagesNavbar {
         const typeMenu = document.getElementById(`${this.config.containerId}_typeMenu`);
         const typeToggleText = document.getElementById(`${this.config.containerId}_typeToggleText`);
         if (typeMenu && typeToggleText) {
-            typeMenu.querySelectorAll('.country-dropdown-item').forEach(item => {
+            // Delegated: setTypeOptions() replaces the items
+            typeMenu.addEventListener('click', (e) => {
+                const item = e.target.closest('.country-dropdown-item');
+                if (!item) return;
+                const value = item.getAttribute('data-value') || 'All';
+                typeMenu.querySelectorAll('.country-dropdown-item').forEach(i => i.setAttribute('aria-selected', String(i === item)));
+                typeToggleText.textContent = this.getTypeLabel(value);
+                this.dispatch('typefilter', { type: value });
+                // Close dropdown after selection
+                const dropdownEl = document.getElementById(`${this.config.containerId}_typeDropdown`);
+                const toggleBtn = document.getElementById(`${this.config.containerId}_typeToggle`);
+                if (dropdownEl) dropdownEl.classList.remove('open');
+                if (toggleBtn) toggleBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        // TPS weights: preset items + sliders (any slider move switches to custom)
+        const weightsMenu = document.getElementById(`${this.config.containerId}_weightsMenu`);
+        if (weightsMenu) {
+            weightsMenu.querySelectorAll('.country-dropdown-item').forEach(item => {
                 item.addEventListener('click', () => {
-                    const value = item.getAttribute('data-value') || 'All';
-                    const label = value === 'Blog' ? 'Blog Post' : value;
-                    typeMenu.querySelectorAll('.country-dropdown-item').forEach(i => i.setAttribute('aria-selected', String(i === item)));
-                    typeToggleText.textContent = label;
-                    this.dispatch('typefilter', { type: value });
-                    // Close dropdown after selection
-                    const dropdownEl = document.getElementById(`${this.config.containerId}_typeDropdown`);
-                    const toggleBtn = document.getElementById(`${this.config.containerId}_typeToggle`);
-                    if (dropdownEl) dropdownEl.classList.remove('open');
-                    if (toggleBtn) toggleBtn.setAttribute('aria-expanded', 'false');
+                    const value = item.getAttribute('data-value') || 'balanced';
+                    this.dispatch('weightschange', { preset: value, weights: null });
+                });
+            });
+            weightsMenu.querySelectorAll('.tps-weight-slider input').forEach(input => {
+                input.addEventListener('input', () => {
+                    const weights = {};
+                    weightsMenu.querySelectorAll('.tps-weight-slider input').forEach(i => {
+                        weights[i.getAttribute('data-key')] = Number(i.value) / 100;
+                    });
+                    this.dispatch('weightschange', { preset: 'custom', weights });
                 });
             });
         }
@@ -367,6 +415,18 @@ export class AllPagesNavbar {
                 `${this.config.containerId}_typeMenu`
             );
         }
+        if (this.config.showWeightPresets) {
+            this.setupHoverDropdownBehavior(
+                `${this.config.containerId}_weightsDropdown`,
+                `${this.config.containerId}_weightsToggle`,
+                `${this.config.containerId}_weightsMenu`
+            );
+        }
+    }
+
+    getWeightPresetLabel(preset) {
+        const match = this.config.weightPresets.find(p => p.value === preset);
+        return match ? match.label : preset;
     }
 
     // Ensure dropdown stays open when moving from toggle to menu; delayed close; outside/Escape closes
@@ -486,17 +546,30 @@ export class AllPagesNavbar {
         if (input) input.value = term || '';
     }
 
+    getTypeLabel(type) {
+        const option = this.config.typeOptions.find(o => o.value === (type || 'All'));
+        return option ? option.label : (type || 'All Pages');
+    }
+
+    renderTypeItems(selected) {
+        return this.config.typeOptions.map(({ value, label }) => `
+            <div class="country-dropdown-item" role="option" data-value="${escapeHtml(value)}" aria-selected="${value === (selected || 'All')}">${escapeHtml(label)}</div>
+        `).join('');
+    }
+
+    /**
+     * Replace the type filter options (content groups reloaded) and select `type`
+     */
+    setTypeOptions(options, type) {
+        this.config.typeOptions = options;
+        const menu = document.getElementById(`${this.config.containerId}_typeMenu`);
+        if (menu) menu.innerHTML = this.renderTypeItems(type);
+        this.setTypeFilter(type);
+    }
+
     setTypeFilter(type) {
         const text = document.getElementById(`${this.config.containerId}_typeToggleText`);
-        if (text) {
-            if (type === 'Blog') {
-                text.textContent = 'Blog Post';
-            } else if (type === 'All') {
-                text.textContent = 'All Pages';
-            } else {
-                text.textContent = type || 'All Pages';
-            }
-        }
+        if (text) text.textContent = this.getTypeLabel(type);
         const menu = document.getElementById(`${this.config.containerId}_typeMenu`);
         if (menu) {
             menu.querySelectorAll('.country-dropdown-item').forEach(i => {
@@ -506,6 +579,28 @@ export class AllPagesNavbar {
         }
     }
 
+    /**
+     * Sync weights UI. Sliders are left alone while the user drags them (updateSliders = false),
+     * only the normalized share labels follow.
+     */
+    setWeights(preset, weights = {}, updateSliders = true) {
+        const text = document.getElementById(`${this.config.containerId}_weightsToggleText`);
+        if (text) text.textContent = this.getWeightPresetLabel(preset);
+        const menu = document.getElementById(`${this.config.containerId}_weightsMenu`);
+        if (!menu) return;
+        menu.querySelectorAll('.country-dropdown-item').forEach(i => {
+            i.setAttribute('aria-selected', String(i.getAttribute('data-value') === preset));
+        });
+        menu.querySelectorAll('.tps-weight-value').forEach(el => {
+            el.textContent = `${Math.round((weights[el.getAttribute('data-key')] || 0) * 100)}%`;
+        });
+        if (updateSliders) {
+            menu.querySelectorAll('.tps-weight-slider input').forEach(input => {
+                input.value = String(Math.round((weights[input.getAttribute('data-key')] || 0) * 100));
+            });
+        }
+    }
+
     destroy() {
         if (this._io) {
             try { this._io.disconnect(); } catch (_) {}
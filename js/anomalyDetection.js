@@ -0,0 +1,155 @@
+import { parsePercentage } from './utils.js';
+
+// ===== Anomaly Detection =====
+// Flags days of the daily performance series that deviate from a seasonal weekday
+// baseline: each day is compared with the same weekday over the previous weeks
+// (median as the expected value, MAD as the spread), scaled by how the last 7 days
+// compare with those weeks so a lasting level shift is flagged once, not for weeks.
+// Medians keep earlier anomalies from dragging the baseline, and the weekday pairing
+// absorbs the weekend dip.
+//
+// A day is flagged when |value - expected| / spread >= threshold. The spread has a
+// per-metric noise floor so low-traffic series (a handful of clicks a day) and flat
+// stretches (MAD = 0) don't flag every wobble.
+
+export const ANOMALY_DEFAULTS = {
+    weeks: 8,       // same-weekday days in the baseline
+    minHistory: 4,  // fewer baseline days than this: no verdict
+    threshold: 3.5  // robust z-score
+};
+
+const MAD_TO_SIGMA = 1.4826;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counts: Poisson noise for small series, 10% for large ones (steady growth outruns the baseline)
+const countFloor = expected => Math.max(Math.sqrt(Math.max(expected, 1)), expected * 0.1);
+
+// value: reading from a dashboard date record; floor: minimum spread for an expected value;
+// higherIsBetter decides whether a spike is good news
+export const ANOMALY_METRICS = {
+    clicks: {
+        label: 'Clicks',
+        value: d => Number(d.Clicks) || 0,
+        floor: countFloor,
+        higherIsBetter: true
+    },
+    impressions: {
+        label: 'Impressions',
+        value: d => Number(d.Impressions) || 0,
+        floor: countFloor,
+        higherIsBetter: true
+    },
+    ctr: {
+        label: 'CTR',
+        value: d => (Number(d.Impressions) > 0 ? parsePercentage(d.CTR) : null),
+        floor: expected => Math.max(Math.abs(expected) * 0.05, 0.05),
+        higherIsBetter: true
+    },
+    position: {
+        label: 'Position',
+        value: d => (Number(d.Position) > 0 ? Number(d.Position) : null),
+        floor: expected => Math.max(Math.abs(expected) * 0.05, 0.1),
+        higherIsBetter: false
+    }
+};
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function toDayNumber(dateValue) {
+    const match = String(dateValue ?? '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return match ? Date.UTC(+match[1], +match[2] - 1, +match[3]) / DAY_MS : null;
+}
+
+/**
+ * Flag anomalous days in one series
+ * @param {Array} points - [{ day (days since epoch), value (number|null) }] in date order
+ * @param {Function} floor - expected -> minimum spread
+ * @param {Object} options - Overrides for ANOMALY_DEFAULTS
+ * @returns {Array} [{ index, value, expected, score }] for flagged points
+ */
+export function detectSeriesAnomalies(points, floor = () => 0, options = {}) {
+    const { weeks, minHistory, threshold } = { ...ANOMALY_DEFAULTS, ...options };
+    const byDay = new Map();
+    points.forEach(point => {
+        if (point.day !== null && Number.isFinite(point.value)) byDay.set(point.day, point.value);
+    });
+
+    const flagged = [];
+    points.forEach((point, index) => {
+        if (point.day === null || !Number.isFinite(point.value)) return;
+        const history = [];
+        const recent = [];
+        const baseline = [];
+        for (let k = 1; k <= weeks * 7; k++) {
+            const past = byDay.get(point.day - k);
+            if (past === undefined) continue;
+            if (k % 7 === 0) history.push(past);
+            if (k <= 7) recent.push(past);
+            else baseline.push(past);
+        }
+        if (history.length < minHistory) return;
+
+        // Level of the last week relative to the baseline weeks
+        const baselineLevel = baseline.length ? median(baseline) : 0;
+        const level = recent.length >= 4 && baselineLevel > 0 ? median(recent) / baselineLevel : 1;
+        const weekdayMedian = median(history);
+        const expected = weekdayMedian * level;
+        const mad = median(history.map(value => Math.abs(value - weekdayMedian))) * level;
+        const spread = Math.max(mad * MAD_TO_SIGMA, floor(expected), 1e-9);
+        const score = (point.value - expected) / spread;
+        if (Math.abs(score) >= threshold) flagged.push({ index, value: point.value, expected, score });
+    });
+    return flagged;
+}
+
+/**
+ * Anomalies of the dashboard's daily records for the given metrics
+ * @param {Array} dates - Daily records ({ Date, Clicks, Impressions, CTR, Position }) in date order
+ * @param {Array} metrics - Metric keys of ANOMALY_METRICS
+ * @returns {Array} [{ date, index, metric, value, expected, score, change, direction, isGood }],
+ *   newest first
+ */
+export function detectDailyAnomalies(dates, metrics, options = {}) {
+    const days = (dates || []).map(d => toDayNumber(d?.Date || d?.date));
+    const anomalies = [];
+    metrics.forEach(metric => {
+        const spec = ANOMALY_METRICS[metric];
+        if (!spec) return;
+        const points = dates.map((d, i) => ({ day: days[i], value: spec.value(d) }));
+        detectSeriesAnomalies(points, spec.floor, options).forEach(({ index, value, expected, score }) => {
+            const direction = score > 0 ? 'up' : 'down';
+            anomalies.push({
+                date: String(dates[index].Date || dates[index].date).slice(0, 10),
+                index,
+                metric,
+                value,
+                expected,
+                score,
+                change: expected ? (value - expected) / Math.abs(expected) : null,
+                direction,
+                isGood: (direction === 'up') === spec.higherIsBetter
+            });
+        });
+    });
+    return anomalies.sort((a, b) => b.date.localeCompare(a.date) || Math.abs(b.score) - Math.abs(a.score));
+}
+
+function formatMetricValue(metric, value) {
+    if (metric === 'ctr') return `${value.toFixed(2)}%`;
+    if (metric === 'position') return value.toFixed(1);
+    return Math.round(value).toLocaleString();
+}
+
+/**
+ * One-line description, e.g. "Clicks 1,240 vs ~820 expected (+51%)"
+ */
+export function formatAnomaly(anomaly) {
+    const { metric, value, expected, change } = anomaly;
+    const label = ANOMALY_METRICS[metric]?.label || metric;
+    const pct = change === null ? '' : ` (${change > 0 ? '+' : ''}${Math.round(change * 100)}%)`;
+    return `${label} ${formatMetricValue(metric, value)} vs ~${formatMetricValue(metric, expected)} expected${pct}`;
+}
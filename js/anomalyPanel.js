@@ -0,0 +1,117 @@
+import { logger } from './logger.js';
+import { escapeHtml } from './utils.js';
+import { addDays, toLocalISO, formatDisplay, updateGlobalDateRange, getCurrentGlobalDateRange } from './dateUtils.js';
+import { formatAnomaly } from './anomalyDetection.js';
+
+// ===== Anomaly Panel =====
+// List of the days flagged on the performance chart (chartAnomaliesUpdated from
+// charts.js), one row per day. Clicking a day sets the date range to a window around
+// it, which zooms the chart (ChartZoomManager follows manual range changes).
+
+const WINDOW_DAYS = 14; // days shown on each side of the clicked day
+const MAX_ROWS = 30;
+// Metric line colors, matching the chart's datasets
+const METRIC_COLORS = { clicks: '#1a73e8', impressions: '#ea4335', ctr: '#34a853', position: '#fbbc04' };
+
+class AnomalyPanel {
+    constructor() {
+        this.container = null;
+        this.chartId = 'performance';
+        this.days = []; // [{ date, anomalies }] newest first
+        this.bounds = null; // first/last date of the chart
+        this.isInitialized = false;
+    }
+
+    init(containerId = 'performanceAnomalies') {
+        if (this.isInitialized) return;
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            logger.warn('Anomaly panel container not found', { containerId });
+            return;
+        }
+        this.isInitialized = true;
+
+        window.addEventListener('chartAnomaliesUpdated', (e) => {
+            if (e.detail?.chartId !== this.chartId) return;
+            this.setAnomalies(e.detail.anomalies || [], e.detail.bounds);
+        });
+        // Highlight the days inside the current range
+        ['manualDateRangeSynchronized', 'zoomDateRangeSynchronized'].forEach(type => {
+            window.addEventListener(type, () => this.render());
+        });
+        this.container.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-date]');
+            if (row) this.zoomTo(row.dataset.date);
+        });
+        this.render();
+    }
+
+    setAnomalies(anomalies, bounds = null) {
+        const byDate = new Map();
+        anomalies.forEach(anomaly => {
+            if (!byDate.has(anomaly.date)) byDate.set(anomaly.date, []);
+            byDate.get(anomaly.date).push(anomaly);
+        });
+        this.days = Array.from(byDate, ([date, list]) => ({ date, anomalies: list }))
+            .sort((a, b) => b.date.localeCompare(a.date));
+        this.bounds = bounds;
+        this.render();
+    }
+
+    /**
+     * Set the date range to the window around a flagged day (clipped to the chart's dates)
+     */
+    zoomTo(date) {
+        let start = toLocalISO(addDays(date, -WINDOW_DAYS));
+        let end = toLocalISO(addDays(date, WINDOW_DAYS));
+        if (this.bounds?.start && start < this.bounds.start) start = this.bounds.start;
+        if (this.bounds?.end && end > this.bounds.end) end = this.bounds.end;
+        logger.info('Zooming to anomaly', { date, start, end });
+        updateGlobalDateRange({ start, end }, 'anomalyPanel');
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.hidden = !this.days.length;
+        if (!this.days.length) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const wasOpen = this.container.querySelector('details')?.open ?? false;
+        const range = getCurrentGlobalDateRange();
+        const rows = this.days.slice(0, MAX_ROWS).map(({ date, anomalies }) => {
+            const isActive = range?.start && range?.end && date >= range.start && date <= range.end;
+            const items = anomalies.map(anomaly => `
+                <span class="anomaly-item ${anomaly.isGood ? 'is-good' : 'is-bad'}">
+                    <span class="anomaly-dot" style="border-color: ${METRIC_COLORS[anomaly.metric] || '#6B7280'}"></span>
+                    ${escapeHtml(formatAnomaly(anomaly))}
+                </span>
+            `).join('');
+            return `
+                <li>
+                    <button type="button" class="anomaly-row ${isActive ? 'active' : ''}" data-date="${escapeHtml(date)}" title="Zoom the chart to this day">
+                        <span class="anomaly-date">${escapeHtml(formatDisplay(date))}</span>
+                        <span class="anomaly-items">${items}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+        const count = this.days.length;
+
+        this.container.innerHTML = `
+            <details class="anomaly-panel" ${wasOpen ? 'open' : ''}>
+                <summary>
+                    <span class="anomaly-summary-count">${count}</span>
+                    unusual day${count === 1 ? '' : 's'} for the selected metrics
+                </summary>
+                <ul class="anomaly-list">${rows}</ul>
+                ${count > MAX_ROWS ? `<p class="anomaly-more">Showing the ${MAX_ROWS} most recent of ${count}.</p>` : ''}
+            </details>
+        `;
+    }
+}
+
+// ===== Global Instance =====
+export const anomalyPanel = new AnomalyPanel();
@@ -1,16 +1,17 @@
 import { logger } from './logger.js';
+import { getDataSource } from './dataSource.js';
+import { validateDashboardData, recordSchemaIssues } from './dataSchemas.js';
 
 // ===== Auto Data Loader =====
 class AutoDataLoader {
     constructor() {
-        this.dataFile = 'dashboard_data.json';
         this.isLoading = false;
         this.loadedData = null;
         this.loadCallbacks = [];
     }
 
     /**
-     * Load data automatically from JSON file
+     * Load dashboard_data.json through the active data source
      * @returns {Promise<Object>} Loaded data
      */
     async loadData() {
@@ -27,22 +28,17 @@ class AutoDataLoader {
         }
 
         this.isLoading = true;
-        logger.info('Auto-loading data from JSON file...');
+        const source = getDataSource();
+        logger.info('Auto-loading data from JSON file...', { source: source.describe('dashboardData') });
 
         try {
-            const response = await fetch(this.dataFile);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await source.loadJson('dashboardData');
             // Keep log lightweight; avoid heavy stringify for size estimation
             logger.info('JSON data fetched and parsed successfully');
             
             // Validate data structure (non-fatal for optional fields)
-            if (!this.validateDataStructure(data)) {
-                throw new Error('Invalid data structure in JSON file');
+            if (!this.validateDataStructure(data, source.describe('dashboardData'))) {
+                throw new Error('dashboard_data.json failed schema validation; see the data report');
             }
 
             this.loadedData = data;
@@ -62,7 +58,7 @@ class AutoDataLoader {
         } catch (error) {
             logger.error('Failed to load data from JSON file', { 
                 error: error.message,
-                file: this.dataFile 
+                file: source.describe('dashboardData')
             });
             
             // Resolve callbacks with null
@@ -76,67 +72,27 @@ class AutoDataLoader {
     }
 
     /**
-     * Validate the data structure
-     * @param {Object} data - Data to validate
-     * @returns {boolean} True if valid
+     * Validate the data structure against DASHBOARD_DATA_SCHEMA; problems go to the schema report
+     * @param {Object} data - Data to validate (missing arrays/objects are defaulted in place)
+     * @param {string} file - Where the data came from, for the report
+     * @returns {boolean} False when the data can't be used (not an object, required columns missing)
      */
-    validateDataStructure(data) {
+    validateDataStructure(data, file = 'dashboard_data.json') {
         try {
-            // Check required top-level properties
-            if (!data || typeof data !== 'object') {
-                logger.error('Data is not an object');
+            const issues = validateDashboardData(data);
+            recordSchemaIssues(file, 'Dashboard data', issues);
+            if (issues.some(issue => issue.severity === 'error')) {
+                logger.error('Dashboard data failed schema validation', { file, first: issues.find(i => i.severity === 'error') });
                 return false;
             }
 
-            // Check for dates array (allow empty/missing -> will default later)
-            if (!Array.isArray(data.dates)) {
-                logger.warn('Missing or invalid dates array; will default to empty');
-                data.dates = [];
-            }
-
-            // Check for pages array (allow empty/missing -> will default later)
-            if (!Array.isArray(data.pages)) {
-                logger.warn('Missing or invalid pages array; will default to empty');
-                data.pages = [];
-            }
-
-            // url_data is optional; normalize to empty object if missing
-            if (!data.url_data || typeof data.url_data !== 'object') {
-                logger.warn('Missing or invalid url_data; defaulting to empty object');
-                data.url_data = {};
-            }
-
-            // metadata is optional but recommended; default to empty
-            if (!data.metadata || typeof data.metadata !== 'object') {
-                logger.warn('Missing or invalid metadata; defaulting to empty object');
-                data.metadata = {};
-            }
+            // Optional sections default to empty so the transforms can run
+            if (!Array.isArray(data.dates)) data.dates = [];
+            if (!Array.isArray(data.pages)) data.pages = [];
+            if (!data.url_data || typeof data.url_data !== 'object') data.url_data = {};
+            if (!data.metadata || typeof data.metadata !== 'object') data.metadata = {};
 
-            // Validate date records (CTR/Position optional; normalizers backfill)
-            if (data.dates.length > 0) {
-                const sampleDate = data.dates[0];
-                const requiredFields = ['Date', 'Clicks', 'Impressions'];
-                for (const field of requiredFields) {
-                    if (!(field in sampleDate)) {
-                        logger.error(`Missing required field in date records: ${field}`);
-                        return false;
-                    }
-                }
-            }
-
-            // Validate page records (CTR/Position optional; normalizers backfill)
-            if (data.pages.length > 0) {
-                const samplePage = data.pages[0];
-                const requiredFields = ['Top pages', 'Clicks', 'Impressions'];
-                for (const field of requiredFields) {
-                    if (!(field in samplePage)) {
-                        logger.error(`Missing required field in page records: ${field}`);
-                        return false;
-                    }
-                }
-            }
-
-            logger.info('Data structure validation passed');
+            logger.info('Data structure validation passed', { warnings: issues.length });
             return true;
 
         } catch (error) {
@@ -147,7 +103,12 @@ class AutoDataLoader {
 
     // (removed) getLoadedData - not used
 
-    // (removed) clearLoadedData - not used
+    /**
+     * Drop the cached data so the next load reads from the (new) data source
+     */
+    clearLoadedData() {
+        this.loadedData = null;
+    }
 
     // (removed) hasData - not used
 
@@ -188,7 +149,9 @@ async function loadAutoData() {
 /**
  * Clear auto loaded data
  */
-// (removed) clearAutoData - no longer exported/used
+export function clearAutoData() {
+    autoDataLoader.clearLoadedData();
+}
 
 /**
  * Get the auto data loader instance
@@ -216,10 +179,11 @@ export function transformAutoDataToDashboardFormat(autoData) {
             dates: autoData.dates || [],
             pages: autoData.pages || [],
             
-            // Initialize empty arrays for missing data types (required by dashboard)
-            countries: [],
+            // Initialize empty arrays for missing data types (required by dashboard);
+            // Search Console imports carry their Countries/Queries tables
+            countries: Array.isArray(autoData.countries) ? autoData.countries : [],
             devices: [],
-            queries: [],
+            queries: Array.isArray(autoData.queries) ? autoData.queries : [],
             filters: [],
             searchAppearance: [],
             images: [],
@@ -32,6 +32,7 @@ class ChartZoomManager {
         
         // Chart references
         this.chart = null;
+        this.chartData = null; // data of the last update (dates); falls back to window.globalData
         this.originalLabels = [];
         this.originalDatasets = [];
         this.globalDates = [];
@@ -152,6 +153,15 @@ class ChartZoomManager {
         return isOverCanvas;
     }
 
+    /**
+     * Whether this manager's canvas is currently rendered (hidden sections have no offsetParent)
+     * @returns {boolean}
+     */
+    isChartVisible() {
+        const chartCanvas = document.getElementById(this.containerId || 'performanceChart');
+        return !!(chartCanvas && chartCanvas.offsetParent !== null);
+    }
+
     // ===== Event Handlers =====
 
     handleWheel(e) {
@@ -239,6 +249,9 @@ class ChartZoomManager {
     }
 
     handleKeyDown(e) {
+        // Keyboard listener is global; only the chart currently on screen should react
+        if (!this.isChartVisible()) return;
+
         switch (e.key) {
             case '+':
             case '=':
@@ -1354,8 +1367,8 @@ class ChartZoomManager {
             if (this.chart && this.chart.data.datasets && this.chart.data.datasets.length > 0) {
                 const firstDataset = this.chart.data.datasets[0];
                 if (firstDataset.originalData && firstDataset.originalData.length > 0) {
-                    // Try to get dates from window.globalData first
-                    const globalData = window.globalData;
+                    // Try to get dates from this chart's data (or window.globalData) first
+                    const globalData = this.chartData || window.globalData;
                     if (globalData && globalData.dates && globalData.dates.length > 0) {
                         this.globalDates = globalData.dates;
                         // Build fast index for ISO date lookup
@@ -1371,7 +1384,7 @@ class ChartZoomManager {
                                 }
                             }
                         } catch (_) {}
-                        logger.info('Initialized globalDates from window.globalData', {
+                        logger.info('Initialized globalDates from chart data', {
                             globalDatesLength: this.globalDates.length,
                             sampleDate: this.globalDates[0]
                         });
@@ -1593,7 +1606,8 @@ class MultiChartZoomManager {
         const manager = this.getChartManager(chartId);
         if (manager) {
             manager.chart = chart;
-            // data is not stored on the manager; dates come from window.globalData
+            // Scoped per chart, so a chart of another series doesn't need window.globalData
+            if (data) manager.chartData = data;
             manager.onChartUpdate();
             logger.info(`Updated zoom manager for chart: ${chartId}`);
         }
@@ -1,7 +1,11 @@
 import { logger } from './logger.js';
 import { parsePercentage } from './utils.js';
-import { parseDate } from './dateUtils.js';
+import { parseDate, addDays, toLocalISO } from './dateUtils.js';
 import { getChartZoomScrollManager, updateChartZoomManager } from './chartZoomScroll.js';
+import { detectDailyAnomalies, formatAnomaly } from './anomalyDetection.js';
+
+// Line colors for per-country comparison series, in selection order
+export const COMPARISON_COLORS = ['#1a73e8', '#ea4335', '#34a853', '#fbbc04', '#9334e6', '#12b5cb', '#e8710a', '#5f6368', '#d01884', '#188038'];
 
 // ===== Reusable Chart Model =====
 class ReusableChartModel {
@@ -16,6 +20,10 @@ class ReusableChartModel {
                 ctr: '#34a853',
                 position: '#fbbc04'
             },
+            markAnomalies: false, // flag unusual days (anomalyDetection.js) with markers
+            // Expose the data as window.globalData (site-wide dates read by the main chart's
+            // zoom manager and dateUtils); charts of other series keep theirs on the zoom manager
+            publishGlobalData: true,
             ...options
         };
         
@@ -226,6 +234,26 @@ class ChartPerformanceOptimizer {
     }
 }
 
+// ===== Zoom Manager Lookup =====
+
+/**
+ * Resolve the zoom manager that owns a Chart.js instance.
+ * Several charts can be zoomable at once, so tooltips must not use whichever manager updated last.
+ * @param {Object} chart - Chart.js instance
+ * @returns {Object|null} ChartZoomManager or null
+ */
+function getZoomManagerForChart(chart) {
+    if (!chart) return null;
+    const managers = getChartZoomScrollManager()?.getAllChartManagers?.();
+    if (managers) {
+        for (const manager of managers.values()) {
+            if (manager.chart === chart) return manager;
+        }
+    }
+    const legacyManager = window.chartZoomScrollManager;
+    return legacyManager && legacyManager.chart === chart ? legacyManager : null;
+}
+
 // ===== Unified Chart Creation Function =====
 
 /**
@@ -352,13 +380,15 @@ function createUnifiedChart(chartId, dates, datasets, options = {}, existingChar
                     boxPadding: 6,
                     boxWidth: 6,
                     boxHeight: 6,
+                    // Anomaly datasets only have values on flagged days
+                    filter: (item) => !(item.dataset.isAnomalyMarker && item.raw == null),
                     callbacks: {
                         title: function(context) {
                             const dataIndex = context[0].dataIndex;
                             
                             // Check if zoom manager is handling tooltips
-                            const zoomManager = window.chartZoomScrollManager || getChartZoomScrollManager();
-                            if (zoomManager && zoomManager.chart && zoomManager.isHandlingTooltips) {
+                            const zoomManager = getZoomManagerForChart(context[0].chart);
+                            if (zoomManager && zoomManager.isHandlingTooltips) {
                                 // Let zoom manager handle the tooltip
                                 return zoomManager.getTooltipTitle(context);
                             }
@@ -384,9 +414,14 @@ function createUnifiedChart(chartId, dates, datasets, options = {}, existingChar
                             const label = context.dataset.label || '';
                             const dataIndex = context.dataIndex;
                             
+                            if (context.dataset.isAnomalyMarker) {
+                                const anomaly = context.dataset.originalData?.[dataIndex];
+                                return anomaly ? `Unusual: ${formatAnomaly(anomaly)}` : '';
+                            }
+                            
                             // Check if zoom manager is handling tooltips
-                            const zoomManager = window.chartZoomScrollManager || getChartZoomScrollManager();
-                            if (zoomManager && zoomManager.chart && zoomManager.isHandlingTooltips) {
+                            const zoomManager = getZoomManagerForChart(context.chart);
+                            if (zoomManager && zoomManager.isHandlingTooltips) {
                                 // Let zoom manager handle the tooltip
                                 return zoomManager.getTooltipLabel(context);
                             }
@@ -462,7 +497,7 @@ function createUnifiedChart(chartId, dates, datasets, options = {}, existingChar
                                     // Show "Month Day, Year" format for first and last day, day numbers for others
                                     if (index === 0 || index === ticks.length - 1) {
                                         // Get month info from zoom manager
-                                        const zoomManager = window.chartZoomScrollManager;
+                                        const zoomManager = getZoomManagerForChart(this.chart);
                                         if (zoomManager && zoomManager.currentMonthInfo) {
                                             const { monthName, year } = zoomManager.currentMonthInfo;
                                             return `${monthName} ${dayNum}, ${year}`;
@@ -652,6 +687,165 @@ function normalizeData(data) {
     }
 }
 
+/**
+ * One line per comparison series for a single metric, aligned to the chart's dates
+ * (null where a series has no row) so zoom slicing keeps every line in step
+ * @param {Array} comparisonSeries - [{ label, color, dates }]
+ * @param {Array} dates - Chart dates (union across the series)
+ * @param {string} metric - clicks | impressions | ctr | position
+ * @returns {Array} Chart.js datasets
+ */
+function buildComparisonDatasets(comparisonSeries, dates, metric) {
+    const valueOf = (row) => {
+        switch (metric) {
+            case 'impressions': return row.Impressions || 0;
+            case 'ctr': return parsePercentage(row.CTR);
+            case 'position': return row.Position || 0;
+            default: return row.Clicks || 0;
+        }
+    };
+    const originalOf = (row) => {
+        switch (metric) {
+            case 'ctr': return row.CTR || '0%';
+            case 'position': return Math.round((row.Position || 0) * 10) / 10;
+            default: return valueOf(row);
+        }
+    };
+
+    return comparisonSeries.map((series, index) => {
+        const color = series.color || COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+        const rowsByDate = new Map((series.dates || []).map(row => [row.Date, row]));
+        const rows = dates.map(d => rowsByDate.get(d.Date) || null);
+        return {
+            label: series.label,
+            data: rows.map(row => row ? valueOf(row) : null),
+            originalData: rows.map(row => row ? originalOf(row) : null), // Store original data for tooltip
+            borderColor: color,
+            backgroundColor: `${color}1a`,
+            borderWidth: 2,
+            tension: 0,
+            fill: false,
+            pointRadius: 0,
+            pointHoverRadius: 6,
+            pointHoverBackgroundColor: color,
+            pointHoverBorderColor: '#ffffff',
+            pointHoverBorderWidth: 2
+        };
+    });
+}
+
+/**
+ * Dashed copies of the metric datasets for a comparison period. Each point shows the
+ * value from `offsetDays` earlier, so the lines stay aligned with the chart's dates.
+ * When metrics are normalized, each pair shares one scale so the lines stay comparable.
+ * @param {Array} datasets - Current-period datasets (mutated when normalizing)
+ * @param {Array} metrics - Metric keys matching `datasets`
+ * @param {Array} dates - Chart dates
+ * @param {Object} comparePeriod - { label, offsetDays }
+ * @param {boolean} shouldNormalize - Whether the chart uses the 0-100 scale
+ * @returns {Array} Chart.js datasets
+ */
+function buildPeriodComparisonDatasets(datasets, metrics, dates, comparePeriod, shouldNormalize) {
+    const valueOf = (row, metric) => {
+        switch (metric) {
+            case 'impressions': return row.Impressions || 0;
+            case 'ctr': return parsePercentage(row.CTR);
+            case 'position': return row.Position || 0;
+            default: return row.Clicks || 0;
+        }
+    };
+    const originalOf = (row, metric) => {
+        switch (metric) {
+            case 'ctr': return row.CTR || '0%';
+            case 'position': return Math.round((row.Position || 0) * 10) / 10;
+            default: return valueOf(row, metric);
+        }
+    };
+
+    const rowsByDate = new Map(dates.map(row => [row.Date, row]));
+    const shiftedRows = dates.map(row => {
+        const date = parseDate(row.Date);
+        return date ? (rowsByDate.get(toLocalISO(addDays(date, -comparePeriod.offsetDays))) || null) : null;
+    });
+
+    return metrics.map((metric, index) => {
+        const base = datasets[index];
+        let data = shiftedRows.map(row => row ? valueOf(row, metric) : null);
+        if (shouldNormalize) {
+            const current = dates.map(row => valueOf(row, metric));
+            // Nulls become NaN so they are left out of the shared min/max
+            const joint = normalizeData(current.concat(data.map(v => v === null ? NaN : v)));
+            base.data = joint.slice(0, current.length);
+            data = data.map((v, i) => v === null ? null : joint[current.length + i]);
+        }
+        return {
+            ...base,
+            label: `${base.label} · ${comparePeriod.label}`,
+            data,
+            originalData: shiftedRows.map(row => row ? originalOf(row, metric) : null), // Store original data for tooltip
+            borderDash: [6, 4],
+            borderWidth: 1.5
+        };
+    });
+}
+
+/**
+ * Marker datasets for anomalous days, one per metric: no line, a ring on the metric's
+ * plotted value. `originalData` holds the anomaly (or null) per date so zoom slicing
+ * and the month view keep markers and tooltips aligned like any other dataset.
+ * @param {Array} anomalies - detectDailyAnomalies() results
+ * @param {Array} datasets - Current-period datasets, in `metrics` order
+ * @param {Array} metrics - Metric keys matching `datasets`
+ * @param {number} length - Number of chart dates
+ * @returns {Array} Chart.js datasets
+ */
+function buildAnomalyDatasets(anomalies, datasets, metrics, length) {
+    return metrics.map((metric, index) => {
+        const base = datasets[index];
+        const byIndex = new Map(anomalies.filter(a => a.metric === metric).map(a => [a.index, a]));
+        if (!byIndex.size) return null;
+        const markers = Array.from({ length }, (_, i) => byIndex.get(i) || null);
+        return {
+            label: `${base.label} anomalies`,
+            isAnomalyMarker: true,
+            data: markers.map((anomaly, i) => anomaly ? base.data[i] : null),
+            originalData: markers,
+            showLine: false,
+            borderColor: base.borderColor,
+            backgroundColor: '#ffffff',
+            pointStyle: 'circle',
+            pointRadius: 5,
+            pointBorderWidth: 2,
+            pointHoverRadius: 7,
+            pointHoverBorderWidth: 2,
+            pointBackgroundColor: '#ffffff',
+            pointBorderColor: base.borderColor
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Sync the performance metric buttons with a model's selected metrics
+ * @param {ReusableChartModel} model - Chart model
+ */
+function syncMetricButtons(model) {
+    ['clicks', 'impressions', 'ctr', 'position'].forEach(metric => {
+        const button = document.getElementById(`btn-${metric}`);
+        if (button) {
+            button.classList.toggle('active', model.hasMetric(metric));
+        }
+    });
+}
+
+/**
+ * Let the view state (shareable URL) know the performance metrics changed
+ */
+function notifyMetricsChanged(model) {
+    window.dispatchEvent(new CustomEvent('chartMetricsChanged', {
+        detail: { metrics: Array.from(model.getSelectedMetrics()) }
+    }));
+}
+
 // ===== Chart Management Functions =====
 
 // ===== Metric Management Functions =====
@@ -675,12 +869,17 @@ export function toggleMetric(metric) {
         if (!performanceModel) {
             // Create the performance chart model if it doesn't exist
             performanceModel = new ReusableChartModel('performance', 'performanceChart', {
-                defaultMetrics: ['clicks', 'impressions']
+                defaultMetrics: ['clicks', 'impressions'],
+                markAnomalies: true
             });
             chartState.addChartModel('performance', performanceModel);
         }
         
-        if (isActive) {
+        if (performanceModel.getData()?.comparisonSeries?.length) {
+            // Country comparison plots one metric at a time: buttons act as a single choice
+            performanceModel.setSelectedMetrics([metric]);
+            syncMetricButtons(performanceModel);
+        } else if (isActive) {
             performanceModel.removeMetric(metric);
             button.classList.remove('active');
         } else {
@@ -702,6 +901,7 @@ export function toggleMetric(metric) {
             updateChartModel(performanceModel, performanceModel.getData())();
         }
         
+        notifyMetricsChanged(performanceModel);
         logger.info(`Metric ${metric} ${!isActive ? 'enabled' : 'disabled'} for performance chart`);
     } catch (error) {
         logger.error('Failed to toggle metric', { metric, error: error.message });
@@ -718,7 +918,8 @@ export function resetMetrics() {
         if (!performanceModel) {
             // Create the performance chart model if it doesn't exist
             performanceModel = new ReusableChartModel('performance', 'performanceChart', {
-                defaultMetrics: ['clicks', 'impressions']
+                defaultMetrics: ['clicks', 'impressions'],
+                markAnomalies: true
             });
             chartState.addChartModel('performance', performanceModel);
         }
@@ -746,6 +947,7 @@ export function resetMetrics() {
             updateChartModel(performanceModel, performanceModel.getData())();
         }
         
+        notifyMetricsChanged(performanceModel);
         logger.info('Default metrics (clicks and impressions) enabled for performance chart');
     } catch (error) {
         logger.error('Failed to reset metrics', { error: error.message });
@@ -762,7 +964,8 @@ export function getSelectedMetrics() {
     if (!performanceModel) {
         // Create the performance chart model if it doesn't exist
         performanceModel = new ReusableChartModel('performance', 'performanceChart', {
-            defaultMetrics: ['clicks', 'impressions']
+            defaultMetrics: ['clicks', 'impressions'],
+            markAnomalies: true
         });
         chartState.addChartModel('performance', performanceModel);
     }
@@ -780,7 +983,8 @@ export function setSelectedMetrics(metrics) {
         if (!performanceModel) {
             // Create the performance chart model if it doesn't exist
             performanceModel = new ReusableChartModel('performance', 'performanceChart', {
-                defaultMetrics: ['clicks', 'impressions']
+                defaultMetrics: ['clicks', 'impressions'],
+                markAnomalies: true
             });
             chartState.addChartModel('performance', performanceModel);
         }
@@ -788,22 +992,13 @@ export function setSelectedMetrics(metrics) {
         performanceModel.setSelectedMetrics(metrics);
         
         // Update button states
-        const allMetrics = ['clicks', 'impressions', 'ctr', 'position'];
-        allMetrics.forEach(metric => {
-            const button = document.getElementById(`btn-${metric}`);
-            if (button) {
-                if (performanceModel.hasMetric(metric)) {
-                    button.classList.add('active');
-                } else {
-                    button.classList.remove('active');
-                }
-            }
-        });
+        syncMetricButtons(performanceModel);
         
         // Update the chart with current data
         if (performanceModel.getData()) {
             updateChartModel(performanceModel, performanceModel.getData())();
         }
+        notifyMetricsChanged(performanceModel);
     } catch (error) {
         logger.error('Failed to set selected metrics', { metrics, error: error.message });
     }
@@ -849,7 +1044,7 @@ export function updateChartModel(chartModel, data = null) {
             chartModel.setUpdating(true);
         
             // Ensure globalData is set for zoom manager access
-            if (chartData && Object.keys(chartData).length > 0) {
+            if (chartModel.options.publishGlobalData && chartData && Object.keys(chartData).length > 0) {
                 window.globalData = chartData;
                 logger.debug(`Set window.globalData for zoom manager: ${chartModel.chartId}`, {
                     dataKeys: Object.keys(chartData),
@@ -869,6 +1064,16 @@ export function updateChartModel(chartModel, data = null) {
                 hasZoomManager: !!zoomManager
             });
         
+            // Country comparison: one line per country for a single metric
+            const comparisonSeries = Array.isArray(chartData.comparisonSeries) ? chartData.comparisonSeries : [];
+            const isComparison = comparisonSeries.length > 0;
+            // Period comparison (date picker "Compare"): dashed lines, skipped while comparing countries
+            const comparePeriod = !isComparison && chartData.comparePeriod?.offsetDays ? chartData.comparePeriod : null;
+            if (isComparison && chartModel.getSelectedMetrics().size > 1) {
+                chartModel.setSelectedMetrics([Array.from(chartModel.getSelectedMetrics())[0]]);
+                if (chartModel.chartId === 'performance') syncMetricButtons(chartModel);
+            }
+        
             // Check selected metrics and determine normalization strategy
             const selectedMetricsCount = chartModel.getSelectedMetrics().size;
         
@@ -878,7 +1083,21 @@ export function updateChartModel(chartModel, data = null) {
             // Shared chart options to avoid duplication
             const sharedChartOptions = {
                 plugins: {
-                    legend: {
+                    legend: (isComparison || comparePeriod) ? {
+                        display: true, // Country/period lines need a key; metric buttons cover the default view
+                        position: 'top',
+                        align: 'end',
+                        labels: {
+                            boxWidth: 10,
+                            boxHeight: 10,
+                            filter: (item, chartData) => !chartData.datasets[item.datasetIndex]?.isAnomalyMarker,
+                            color: '#5f6368',
+                            font: {
+                                size: 12,
+                                family: 'Roboto, Arial, sans-serif'
+                            }
+                        }
+                    } : {
                         display: false // Explicitly disable chart legend
                     }
                 },
@@ -977,7 +1196,20 @@ export function updateChartModel(chartModel, data = null) {
             };
         
             // Filter datasets based on selected metrics
-            const datasets = Array.from(chartModel.getSelectedMetrics()).map(metric => allDatasets[metric]);
+            const selectedMetricKeys = Array.from(chartModel.getSelectedMetrics());
+            const datasets = isComparison
+                ? buildComparisonDatasets(comparisonSeries, dates, selectedMetricKeys[0])
+                : selectedMetricKeys.map(metric => allDatasets[metric]);
+            if (comparePeriod) {
+                datasets.push(...buildPeriodComparisonDatasets(datasets, selectedMetricKeys, dates, comparePeriod, shouldNormalize));
+            }
+            // Anomaly markers on the metric lines (not per-country lines)
+            const anomalies = chartModel.options.markAnomalies && !isComparison
+                ? detectDailyAnomalies(dates, selectedMetricKeys)
+                : [];
+            if (anomalies.length) {
+                datasets.push(...buildAnomalyDatasets(anomalies, datasets, selectedMetricKeys, dates.length));
+            }
         
             // Configure chart options based on selected metrics
             let chartOptions = {};
@@ -1101,6 +1333,15 @@ export function updateChartModel(chartModel, data = null) {
                 chartModel.setChart(newChart);
                 chartState.addChart(chartModel.chartId, newChart);
             }
+            if (chartModel.options.markAnomalies) {
+                window.dispatchEvent(new CustomEvent('chartAnomaliesUpdated', {
+                    detail: {
+                        chartId: chartModel.chartId,
+                        anomalies,
+                        bounds: { start: String(dates[0].Date).slice(0, 10), end: String(dates[dates.length - 1].Date).slice(0, 10) }
+                    }
+                }));
+            }
         
             // Notify zoom scroll manager of chart update
             if (zoomManager) {
@@ -0,0 +1,166 @@
+import { logger } from './logger.js';
+import { escapeHtml, formatNumber } from './utils.js';
+import { getCurrentGlobalDateRange, formatDateRangeForDisplay } from './dateUtils.js';
+import { contentGroupRegistry, summarizeContentGroups } from './contentGroups.js';
+
+// ===== Content Group Panel =====
+// Clicks, impressions, CTR and position per content group (contentGroups.js) for the
+// selected country and range, under the performance chart. Checked groups are charted
+// as one weekly line each (the dashboard's applyGroupComparison). The weekly series
+// are only built once the panel is opened: they read every page's weekly export.
+
+class ContentGroupPanel {
+    constructor() {
+        this.container = null;
+        this.loadGroupSeries = null; // () => Promise<[{ id, pages, weeks }] | null>
+        this.compareGroups = null; // async (groupIds) => void
+        this.series = null; // last loaded weekly series per group
+        this.status = 'idle'; // idle | loading | ready | unavailable | error
+        this.compared = [];
+        this.loadToken = 0;
+        this.isInitialized = false;
+    }
+
+    /**
+     * @param {Object} deps - { loadGroupSeries, compareGroups } provided by the dashboard
+     */
+    setDependencies({ loadGroupSeries, compareGroups } = {}) {
+        if (loadGroupSeries) this.loadGroupSeries = loadGroupSeries;
+        if (compareGroups) this.compareGroups = compareGroups;
+    }
+
+    init(containerId = 'contentGroupPanel') {
+        if (this.isInitialized) return;
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            logger.warn('Content group panel container not found', { containerId });
+            return;
+        }
+        this.isInitialized = true;
+
+        // New country or group config: the series are stale
+        ['countryFilterChanged', 'contentGroupsChanged'].forEach(type => {
+            window.addEventListener(type, () => {
+                this.series = null;
+                this.status = 'idle';
+                if (this.isOpen()) this.load();
+                else this.render();
+            });
+        });
+        ['manualDateRangeSynchronized', 'zoomDateRangeSynchronized'].forEach(type => {
+            window.addEventListener(type, () => this.render());
+        });
+        window.addEventListener('contentGroupComparisonChanged', (e) => {
+            this.compared = e.detail?.groups || [];
+            this.render();
+        });
+
+        this.container.addEventListener('toggle', (e) => {
+            if (e.target.matches('details.content-group-panel') && e.target.open && this.status === 'idle') this.load();
+        }, true);
+        this.container.addEventListener('change', (e) => {
+            if (!e.target.matches('input[data-group]')) return;
+            const checked = Array.from(this.container.querySelectorAll('input[data-group]:checked'))
+                .map(input => input.dataset.group);
+            this.compareGroups?.(checked);
+        });
+        this.render();
+    }
+
+    isOpen() {
+        return this.container?.querySelector('details.content-group-panel')?.open ?? false;
+    }
+
+    async load() {
+        if (!this.loadGroupSeries) return;
+        const token = ++this.loadToken;
+        this.status = 'loading';
+        this.render();
+        try {
+            const series = await this.loadGroupSeries();
+            if (token !== this.loadToken) return;
+            this.series = series;
+            this.status = series ? 'ready' : 'unavailable';
+        } catch (error) {
+            if (token !== this.loadToken) return;
+            logger.error('Failed to load content group totals', { error: error.message });
+            this.status = 'error';
+        }
+        this.render();
+    }
+
+    renderBody() {
+        if (this.status === 'loading' || this.status === 'idle') {
+            return '<p class="content-group-message">Loading content groups…</p>';
+        }
+        if (this.status === 'unavailable') {
+            return '<p class="content-group-message">Content groups are built from the weekly page exports, which imported Search Console files don\'t include.</p>';
+        }
+        if (this.status === 'error') {
+            return '<p class="content-group-message">Content group totals could not be loaded.</p>';
+        }
+
+        const range = getCurrentGlobalDateRange();
+        const rows = summarizeContentGroups(this.series, range, contentGroupRegistry.getGroups()).map(group => `
+            <tr class="${group.pages ? '' : 'is-empty'}">
+                <td>
+                    <label class="content-group-name">
+                        <input type="checkbox" data-group="${escapeHtml(group.id)}"
+                            ${this.compared.includes(group.id) ? 'checked' : ''} ${group.pages ? '' : 'disabled'}
+                            aria-label="Chart ${escapeHtml(group.label)}">
+                        ${escapeHtml(group.label)}
+                    </label>
+                </td>
+                <td>${group.pages}</td>
+                <td>${formatNumber(group.clicks)}</td>
+                <td>${formatNumber(group.impressions)}</td>
+                <td>${group.ctr.toFixed(2)}%</td>
+                <td>${group.position ? group.position.toFixed(1) : '–'}</td>
+                <td>
+                    <span class="content-group-share"><span style="width: ${(group.share * 100).toFixed(1)}%"></span></span>
+                    ${(group.share * 100).toFixed(1)}%
+                </td>
+            </tr>
+        `).join('');
+        return `
+            <table class="content-group-table">
+                <thead>
+                    <tr>
+                        <th>Group</th>
+                        <th>Pages</th>
+                        <th>Clicks</th>
+                        <th>Impressions</th>
+                        <th>CTR</th>
+                        <th>Avg. position</th>
+                        <th>Share of clicks</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="content-group-note">
+                ${escapeHtml(formatDateRangeForDisplay(range))} · totals of the weekly page exports, counting
+                the weeks that start in the range. Check groups to chart them as weekly lines.
+            </p>
+        `;
+    }
+
+    render() {
+        if (!this.container) return;
+        // Re-rendering keeps the panel open or closed as the user left it
+        const wasOpen = this.isOpen();
+        const count = contentGroupRegistry.getGroups().length;
+        this.container.innerHTML = `
+            <details class="content-group-panel" ${wasOpen ? 'open' : ''}>
+                <summary>
+                    Content groups
+                    <span class="content-group-summary-count">${count}</span>
+                    ${this.compared.length ? `<span class="content-group-comparing">${this.compared.length} on the chart</span>` : ''}
+                </summary>
+                ${this.renderBody()}
+            </details>
+        `;
+    }
+}
+
+// ===== Global Instance =====
+export const contentGroupPanel = new ContentGroupPanel();
@@ -0,0 +1,287 @@
+import { logger } from './logger.js';
+import { getDataSource } from './dataSource.js';
+import { recordSchemaIssues } from './dataSchemas.js';
+
+// ===== Content Groups =====
+// Page taxonomy behind the Top Pages type filter and the content group panel. Groups
+// are read from Data/content_groups.json (README, "Content Groups"); without the file
+// the built-in groups below apply. A page belongs to the group whose `urls` list it,
+// else to the first group (in file order) whose `pathPrefixes` or `patterns` match,
+// else to the fallback group.
+//
+//   { "groups": [{ "id": "doctors", "label": "Doctors", "pathPrefixes": ["/our-doctors"] }],
+//     "fallback": { "id": "page", "label": "Page" } }
+//
+// A prefix matches up to the end of a path segment or a '-'/'_' (flattened slugs), so
+// "/blog" covers /blog, /blog/x and /blog-category but not /blogger. Patterns are
+// case-insensitive regexes tested against host + path ("getglobalcare.com/blog/x").
+
+export const ALL_GROUPS = 'All';
+
+const GROUP_ID = /^[a-z0-9][a-z0-9_-]*$/;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const CONFIG_LABEL = 'Content groups';
+
+// Same split as the original hard-coded page types
+export const DEFAULT_CONTENT_GROUPS = {
+    version: 1,
+    groups: [
+        { id: 'clinics', label: 'Clinics', pathPrefixes: ['/clinics'] },
+        { id: 'doctors', label: 'Doctors', pathPrefixes: ['/our-doctors'] },
+        { id: 'locations', label: 'Locations', pathPrefixes: ['/locations'] },
+        { id: 'blog', label: 'Blog Post', pathPrefixes: ['/blog'] }
+    ],
+    fallback: { id: 'page', label: 'Page' }
+};
+
+/**
+ * Comparable form of a page URL: lowercase host + path without protocol, www.,
+ * query, hash or trailing slash ("getglobalcare.com/blog/x")
+ */
+export function toContentGroupKey(url) {
+    return String(url || '').trim().toLowerCase()
+        .replace(/^[a-z]+:\/+/, '')
+        .replace(/^www\./, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+}
+
+function normalizePrefix(prefix) {
+    const path = `/${String(prefix).trim().toLowerCase().replace(/^\/+/, '')}`;
+    return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+function matchesPrefix(path, prefix) {
+    if (path === prefix) return true;
+    return path.startsWith(prefix) && '/-_'.includes(path[prefix.length]);
+}
+
+/**
+ * Validate a content group config and compile its rules
+ * @param {Object} config - Parsed content_groups.json
+ * @returns {Object} { taxonomy: { groups, fallback, urls }, issues } - issues use the
+ *   schema report shape ({ section, row, column, problem, severity }); invalid groups
+ *   and rules are left out of the taxonomy
+ */
+export function compileContentGroups(config) {
+    const issues = [];
+    const report = (section, row, column, problem, severity = 'warning') => {
+        issues.push({ section, row, column, problem, severity });
+    };
+
+    let fallback = { ...DEFAULT_CONTENT_GROUPS.fallback, color: null };
+    if (config?.fallback !== undefined) {
+        const id = String(config.fallback?.id || '').trim().toLowerCase();
+        if (GROUP_ID.test(id) && id !== ALL_GROUPS.toLowerCase()) {
+            fallback = { id, label: String(config.fallback.label || id), color: HEX_COLOR.test(config.fallback.color) ? config.fallback.color : null };
+        } else {
+            report('fallback', '', 'id', `Invalid fallback id "${config.fallback?.id ?? ''}"; using "${fallback.id}"`);
+        }
+    }
+
+    const groups = [];
+    const urls = new Map(); // url key -> group id
+    const seen = new Set([fallback.id]);
+    const list = Array.isArray(config?.groups) ? config.groups : null;
+    if (!list) report('groups', '', '', 'Missing or invalid "groups" array', 'error');
+
+    (list || []).forEach((raw, index) => {
+        const row = index + 1;
+        if (!raw || typeof raw !== 'object') {
+            report('groups', row, '', 'Group is not an object', 'error');
+            return;
+        }
+        const id = String(raw.id || '').trim().toLowerCase();
+        if (!GROUP_ID.test(id) || id === ALL_GROUPS.toLowerCase()) {
+            report('groups', row, 'id', `Invalid group id "${raw.id ?? ''}" (letters, digits, '-' and '_'; "all" is reserved)`, 'error');
+            return;
+        }
+        if (seen.has(id)) {
+            report('groups', row, 'id', `Duplicate group id "${id}"`, 'error');
+            return;
+        }
+        seen.add(id);
+
+        const listOf = (column) => {
+            const value = raw[column];
+            if (value === undefined) return [];
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                report('groups', row, column, `"${column}" must be an array of strings`, 'error');
+                return [];
+            }
+            return value.filter(item => item.trim());
+        };
+        const patterns = listOf('patterns').map(source => {
+            try {
+                return new RegExp(source, 'i');
+            } catch (error) {
+                report('groups', row, 'patterns', `Invalid pattern "${source}": ${error.message}`, 'error');
+                return null;
+            }
+        }).filter(Boolean);
+        const group = {
+            id,
+            label: String(raw.label || '').trim() || id,
+            color: null,
+            prefixes: listOf('pathPrefixes').map(normalizePrefix),
+            patterns
+        };
+        if (!raw.label) report('groups', row, 'label', `Missing label; showing "${id}"`);
+        if (raw.color !== undefined) {
+            if (HEX_COLOR.test(raw.color)) group.color = raw.color;
+            else report('groups', row, 'color', `Invalid color "${raw.color}" (expected #rrggbb)`);
+        }
+        listOf('urls').forEach(url => {
+            const key = toContentGroupKey(url);
+            if (urls.has(key)) {
+                report('groups', row, 'urls', `${url} is already listed by "${urls.get(key)}"`);
+            } else {
+                urls.set(key, id);
+            }
+        });
+        if (!group.prefixes.length && !group.patterns.length && !Array.from(urls.values()).includes(id)) {
+            report('groups', row, '', `Group "${id}" has no rules and matches no pages`);
+        }
+        groups.push(group);
+    });
+
+    return { taxonomy: { groups, fallback, urls }, issues };
+}
+
+/**
+ * Group id for a page URL under a compiled taxonomy
+ */
+export function classifyWithTaxonomy(taxonomy, url) {
+    const key = toContentGroupKey(url);
+    const listed = taxonomy.urls.get(key);
+    if (listed) return listed;
+    const slash = key.indexOf('/');
+    const path = slash === -1 ? '/' : key.slice(slash);
+    const match = taxonomy.groups.find(group =>
+        group.prefixes.some(prefix => matchesPrefix(path, prefix))
+        || group.patterns.some(pattern => pattern.test(key))
+    );
+    return match ? match.id : taxonomy.fallback.id;
+}
+
+/**
+ * Per-group totals over the weeks starting inside a range
+ * @param {Array} groupSeries - [{ id, pages, weeks: [{ Date, Clicks, Impressions, Position }] }]
+ *   (the aggregateWeeklyByGroup worker task)
+ * @param {Object} range - { start, end } ISO dates; null = all weeks
+ * @param {Array} groups - [{ id, label, color }] in display order; groups without data get zeros
+ * @returns {Array} [{ id, label, color, pages, clicks, impressions, ctr, position, share }]
+ *   with ctr in percent and share as a fraction of all clicks
+ */
+export function summarizeContentGroups(groupSeries, range, groups) {
+    const seriesById = new Map((groupSeries || []).map(series => [series.id, series]));
+    const inRange = (week) => !range?.start || !range?.end || (week.Date >= range.start && week.Date <= range.end);
+    const rows = groups.map(({ id, label, color }) => {
+        const series = seriesById.get(id);
+        let clicks = 0, impressions = 0, weightedPosition = 0;
+        (series?.weeks || []).filter(inRange).forEach(week => {
+            clicks += week.Clicks || 0;
+            impressions += week.Impressions || 0;
+            weightedPosition += (week.Position || 0) * (week.Impressions || 0);
+        });
+        return {
+            id,
+            label,
+            color,
+            pages: series?.pages || 0,
+            clicks,
+            impressions,
+            ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+            position: impressions > 0 ? weightedPosition / impressions : 0
+        };
+    });
+    const totalClicks = rows.reduce((sum, row) => sum + row.clicks, 0);
+    return rows.map(row => ({ ...row, share: totalClicks > 0 ? row.clicks / totalClicks : 0 }));
+}
+
+class ContentGroupRegistry {
+    constructor() {
+        this.taxonomy = compileContentGroups(DEFAULT_CONTENT_GROUPS).taxonomy;
+        this.source = 'built-in';
+        this.revision = 0; // bumped on every reload; part of the dashboard's group series cache key
+        this.cache = new Map(); // url -> group id
+    }
+
+    /**
+     * Read the data source's content group config; falls back to the built-in groups
+     * when it is missing or defines no usable group
+     */
+    async load() {
+        const dataSource = getDataSource();
+        let config;
+        try {
+            config = await dataSource.loadJson('contentGroups');
+        } catch (error) {
+            logger.info('No content group config; using the built-in groups', { error: error.message });
+            this.setTaxonomy(compileContentGroups(DEFAULT_CONTENT_GROUPS).taxonomy, 'built-in');
+            return this.getGroups();
+        }
+
+        const file = dataSource.describe('contentGroups');
+        const { taxonomy, issues } = compileContentGroups(config);
+        recordSchemaIssues(file, CONFIG_LABEL, issues);
+        if (!taxonomy.groups.length) {
+            logger.warn('Content group config defines no usable group; using the built-in groups', { file });
+            this.setTaxonomy(compileContentGroups(DEFAULT_CONTENT_GROUPS).taxonomy, 'built-in');
+        } else {
+            this.setTaxonomy(taxonomy, file);
+        }
+        return this.getGroups();
+    }
+
+    setTaxonomy(taxonomy, source) {
+        this.taxonomy = taxonomy;
+        this.source = source;
+        this.revision += 1;
+        this.cache.clear();
+        logger.info('Content groups loaded', { source, groups: this.getGroups().map(group => group.id) });
+        window.dispatchEvent(new CustomEvent('contentGroupsChanged', {
+            detail: { groups: this.getGroups(), source }
+        }));
+    }
+
+    /** Group id for a page URL (memoized) */
+    classify(url) {
+        const raw = String(url || '');
+        if (!this.cache.has(raw)) this.cache.set(raw, classifyWithTaxonomy(this.taxonomy, raw));
+        return this.cache.get(raw);
+    }
+
+    /** Every group in display order, the fallback last: [{ id, label, color }] */
+    getGroups() {
+        return [...this.taxonomy.groups, this.taxonomy.fallback].map(({ id, label, color }) => ({ id, label, color }));
+    }
+
+    hasGroup(id) {
+        return this.getGroups().some(group => group.id === id);
+    }
+
+    getLabel(id) {
+        return this.getGroups().find(group => group.id === id)?.label || id;
+    }
+
+    getColor(id) {
+        return this.getGroups().find(group => group.id === id)?.color || null;
+    }
+}
+
+// ===== Global Instance =====
+export const contentGroupRegistry = new ContentGroupRegistry();
+
+export const classifyUrl = (url) => contentGroupRegistry.classify(url);
+export const getGroupLabel = (id) => contentGroupRegistry.getLabel(id);
+
+/**
+ * Type filter value for a requested group: its id when the group exists, else 'All'
+ * (links from before configurable groups used 'Blog', 'Page', ...)
+ */
+export function resolveTypeFilter(type) {
+    if (!type || String(type).toLowerCase() === ALL_GROUPS.toLowerCase()) return ALL_GROUPS;
+    const id = String(type).toLowerCase();
+    return contentGroupRegistry.hasGroup(id) ? id : ALL_GROUPS;
+}
@@ -0,0 +1,347 @@
+import { logger } from './logger.js';
+import { escapeHtml, formatNumber, getCurrentCountry } from './utils.js';
+import { getCurrentGlobalDateRange, formatDateRangeForDisplay } from './dateUtils.js';
+import { createUnifiedChart, COMPARISON_COLORS } from './charts.js';
+import { contentGroupRegistry } from './contentGroups.js';
+
+// ===== Content Groups Section =====
+// Weekly clicks or impressions per content group (contentGroups.js), stacked, for the
+// selected range and country: how much each part of the site contributes and how the
+// mix shifts. Share mode stacks each week to 100%. The weekly series are the
+// dashboard's (loadContentGroupSeries), so this section and the group panel under the
+// performance chart share one build per country.
+
+const CONTENT_GROUPS_CANVAS_ID = 'contentGroupsChart';
+const GROUP_METRICS = [
+    { metric: 'clicks', label: 'Clicks', field: 'Clicks' },
+    { metric: 'impressions', label: 'Impressions', field: 'Impressions' }
+];
+const SHIFT_WEEKS = 4; // the mix shift compares the first and last weeks of the range
+
+/**
+ * Stack rows for a metric: one value per group per week, over every week that starts
+ * inside the range (a group without data that week counts 0)
+ * @param {Array} groupSeries - [{ id, pages, weeks: [{ Date, Clicks, Impressions }] }]
+ * @param {Array} groups - [{ id, label, color }] in stacking order
+ * @param {string} field - Weekly column to stack ('Clicks' or 'Impressions')
+ * @param {Object} range - { start, end } ISO dates; null = all weeks
+ * @returns {Object} { weeks: [{ Date }], weekTotals, rows: [{ id, label, color, pages,
+ *   values, total, share, shift }] } - share is a fraction of the range total; shift is
+ *   the change in share between the first and last SHIFT_WEEKS weeks (null when the
+ *   range is too short to compare)
+ */
+export function buildGroupStack(groupSeries, groups, field, range = null) {
+    const inRange = (date) => !range?.start || !range?.end || (date >= range.start && date <= range.end);
+    const seriesById = new Map((groupSeries || []).map(series => [series.id, series]));
+    const dates = Array.from(new Set((groupSeries || []).flatMap(series => series.weeks.map(week => week.Date))))
+        .filter(inRange)
+        .sort();
+    const indexByDate = new Map(dates.map((date, index) => [date, index]));
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+    const rows = groups.map(({ id, label, color }) => {
+        const values = new Array(dates.length).fill(0);
+        (seriesById.get(id)?.weeks || []).forEach(week => {
+            const index = indexByDate.get(week.Date);
+            if (index !== undefined) values[index] += week[field] || 0;
+        });
+        return { id, label, color, pages: seriesById.get(id)?.pages || 0, values, total: sum(values) };
+    });
+    const weekTotals = dates.map((_, index) => sum(rows.map(row => row.values[index])));
+    const grandTotal = sum(weekTotals);
+
+    const span = Math.min(SHIFT_WEEKS, Math.floor(dates.length / 2));
+    const shareOf = (row, from, to) => {
+        const total = sum(weekTotals.slice(from, to));
+        return total > 0 ? sum(row.values.slice(from, to)) / total : 0;
+    };
+    return {
+        weeks: dates.map(date => ({ Date: date })),
+        weekTotals,
+        rows: rows.map(row => ({
+            ...row,
+            share: grandTotal > 0 ? row.total / grandTotal : 0,
+            shift: span ? shareOf(row, dates.length - span, dates.length) - shareOf(row, 0, span) : null
+        }))
+    };
+}
+
+class ContentGroupsView {
+    constructor(containerId = 'contentGroupsContainer', sectionId = 'content-groups') {
+        this.containerId = containerId;
+        this.sectionId = sectionId;
+        this.loadGroupSeries = null; // () => Promise<[{ id, pages, weeks }] | null>
+        this.series = null;
+        this.metric = 'clicks';
+        this.mode = 'total'; // total | share
+        this.chart = null;
+        this.isDirty = true;
+        this._loadToken = 0;
+        this.isInitialized = false;
+    }
+
+    /**
+     * @param {Object} deps - { loadGroupSeries } provided by the dashboard
+     */
+    setDependencies({ loadGroupSeries } = {}) {
+        if (loadGroupSeries) this.loadGroupSeries = loadGroupSeries;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            logger.warn('Content groups container not found', { containerId: this.containerId });
+            return;
+        }
+
+        this.createHTML(container);
+        this.bindEvents(container);
+        this.isInitialized = true;
+        if (this.isVisible()) this.refresh();
+        logger.info('Content groups view initialized');
+    }
+
+    isVisible() {
+        const section = document.getElementById(this.sectionId);
+        return !!(section && section.classList.contains('active'));
+    }
+
+    createHTML(container) {
+        const metricButtons = GROUP_METRICS.map(({ metric, label }) => `
+            <button type="button" class="metric-btn" data-metric="${metric}">${label}</button>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="content-groups-header">
+                <h2 class="content-groups-title">Content Groups</h2>
+                <span class="content-groups-summary" id="${this.containerId}_summary"></span>
+            </div>
+            <div class="chart-container">
+                <div class="chart-header">
+                    <div class="metric-selector">
+                        <div class="metric-buttons">${metricButtons}</div>
+                    </div>
+                    <div class="content-groups-mode" role="group" aria-label="Stack">
+                        <button type="button" class="btn-outline" data-mode="total">Totals</button>
+                        <button type="button" class="btn-outline" data-mode="share">Share</button>
+                    </div>
+                </div>
+                <div class="chart-wrapper">
+                    <canvas id="${CONTENT_GROUPS_CANVAS_ID}"></canvas>
+                    <div class="content-groups-message" id="${this.containerId}_message"></div>
+                </div>
+            </div>
+            <div class="content-groups-mix" id="${this.containerId}_mix"></div>
+        `;
+        this.updateControls();
+    }
+
+    bindEvents(container) {
+        container.addEventListener('click', (e) => {
+            const metricBtn = e.target.closest('.metric-btn[data-metric]');
+            if (metricBtn && metricBtn.dataset.metric !== this.metric) {
+                this.metric = metricBtn.dataset.metric;
+                this.updateControls();
+                this.render();
+                return;
+            }
+            const modeBtn = e.target.closest('[data-mode]');
+            if (modeBtn && modeBtn.dataset.mode !== this.mode) {
+                this.mode = modeBtn.dataset.mode;
+                this.updateControls();
+                this.render();
+            }
+        });
+
+        // Reload lazily: only when the section is (or becomes) visible
+        const invalidate = () => {
+            this.isDirty = true;
+            if (this.isVisible()) this.refresh();
+        };
+        ['countryFilterChanged', 'dateRangeChanged', 'dataSourceChanged', 'contentGroupsChanged'].forEach(type => {
+            window.addEventListener(type, invalidate);
+        });
+        window.addEventListener('sectionShown', (e) => {
+            if (e.detail?.sectionId === this.sectionId && this.isDirty) this.refresh();
+        });
+    }
+
+    async refresh() {
+        if (!this.loadGroupSeries) return;
+        const token = ++this._loadToken;
+        this.isDirty = false;
+        this.showMessage('<div class="spinner"></div>');
+        try {
+            const series = await this.loadGroupSeries();
+            if (token !== this._loadToken) return;
+            this.series = series;
+            if (!series) {
+                this.clear('Content groups are built from the weekly page exports, which imported Search Console files don\'t include.');
+                return;
+            }
+            this.render();
+            logger.info('Content groups view refreshed', { groups: series.length });
+        } catch (error) {
+            if (token !== this._loadToken) return;
+            logger.error('Failed to load content group series', { error: error.message });
+            this.clear('Content group trends could not be loaded.');
+        }
+    }
+
+    updateControls() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+        container.querySelectorAll('.metric-btn[data-metric]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.metric === this.metric);
+        });
+        container.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.mode);
+            btn.setAttribute('aria-pressed', String(btn.dataset.mode === this.mode));
+        });
+    }
+
+    render() {
+        if (!this.series) return;
+        const { label: metricLabel, field } = GROUP_METRICS.find(m => m.metric === this.metric);
+        const range = getCurrentGlobalDateRange();
+        const groups = contentGroupRegistry.getGroups().map((group, index) => ({
+            ...group,
+            color: group.color || COMPARISON_COLORS[index % COMPARISON_COLORS.length]
+        }));
+        const stack = buildGroupStack(this.series, groups, field, range);
+        this.updateSummary(stack.rows);
+        this.renderMix(stack.rows, metricLabel);
+
+        const charted = stack.rows.filter(row => row.total > 0);
+        if (!stack.weeks.length || !charted.length) {
+            this.destroyChart();
+            this.showMessage(`No ${metricLabel.toLowerCase()} in the selected date range.`);
+            return;
+        }
+
+        const isShare = this.mode === 'share';
+        const datasets = charted.map((row, index) => {
+            const shares = row.values.map((value, i) => stack.weekTotals[i] > 0 ? (value / stack.weekTotals[i]) * 100 : 0);
+            return {
+                label: row.label,
+                data: isShare ? shares : row.values,
+                // Tooltip text: the value and its share of that week
+                originalData: row.values.map((value, i) => `${value.toLocaleString()} (${shares[i].toFixed(1)}%)`),
+                borderColor: row.color,
+                backgroundColor: `${row.color}99`,
+                fill: index === 0 ? 'origin' : '-1',
+                borderWidth: 1,
+                tension: 0.2,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            };
+        });
+        const tickFont = { size: 12, family: 'Roboto, Arial, sans-serif' };
+
+        this.showMessage('');
+        this.chart = createUnifiedChart(CONTENT_GROUPS_CANVAS_ID, stack.weeks, datasets, {
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: { boxWidth: 12, color: '#5f6368', font: tickFont }
+                }
+            },
+            scales: {
+                y: {
+                    stacked: true,
+                    beginAtZero: true,
+                    max: isShare ? 100 : undefined,
+                    grid: { color: '#f1f3f4', drawBorder: false },
+                    ticks: {
+                        color: '#5f6368',
+                        font: tickFont,
+                        callback: (value) => isShare ? `${value}%` : formatNumber(value)
+                    }
+                }
+            }
+        }, this.chart);
+    }
+
+    updateSummary(rows) {
+        const summary = document.getElementById(`${this.containerId}_summary`);
+        if (!summary) return;
+        const pages = rows.reduce((total, row) => total + row.pages, 0);
+        const { countryName } = getCurrentCountry();
+        summary.textContent = `${formatNumber(pages)} pages · ${countryName || 'All countries'} · ${formatDateRangeForDisplay(getCurrentGlobalDateRange())}`;
+    }
+
+    renderMix(rows, metricLabel) {
+        const mix = document.getElementById(`${this.containerId}_mix`);
+        if (!mix) return;
+        const formatShift = (shift) => {
+            if (shift === null) return '–';
+            const points = shift * 100;
+            if (Math.abs(points) < 0.05) return '0.0 pp';
+            return `<span class="${points > 0 ? 'is-up' : 'is-down'}">${points > 0 ? '+' : '−'}${Math.abs(points).toFixed(1)} pp</span>`;
+        };
+        const body = rows.map(row => `
+            <tr class="${row.pages ? '' : 'is-empty'}">
+                <td>
+                    <span class="content-groups-swatch" style="background-color: ${row.color}"></span>
+                    ${escapeHtml(row.label)}
+                </td>
+                <td>${row.pages}</td>
+                <td>${formatNumber(row.total)}</td>
+                <td>${(row.share * 100).toFixed(1)}%</td>
+                <td>${formatShift(row.shift)}</td>
+            </tr>
+        `).join('');
+        mix.innerHTML = `
+            <table class="content-group-table">
+                <thead>
+                    <tr>
+                        <th>Group</th>
+                        <th>Pages</th>
+                        <th>${metricLabel}</th>
+                        <th>Share</th>
+                        <th title="Share of the last ${SHIFT_WEEKS} weeks minus share of the first ${SHIFT_WEEKS} weeks in the range">Mix shift</th>
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+            <p class="content-group-note">
+                Weeks that start in the range, summed from the weekly page exports. Mix shift
+                compares each group's share of the last ${SHIFT_WEEKS} weeks with the first ${SHIFT_WEEKS}.
+            </p>
+        `;
+    }
+
+    clear(message) {
+        this.destroyChart();
+        this.showMessage(escapeHtml(message));
+        const mix = document.getElementById(`${this.containerId}_mix`);
+        if (mix) mix.innerHTML = '';
+        const summary = document.getElementById(`${this.containerId}_summary`);
+        if (summary) summary.textContent = '';
+    }
+
+    destroyChart() {
+        if (!this.chart) return;
+        try {
+            this.chart.destroy();
+        } catch (error) {
+            logger.warn('Failed to destroy content groups chart', { error: error.message });
+        }
+        this.chart = null;
+    }
+
+    showMessage(html) {
+        const messageEl = document.getElementById(`${this.containerId}_message`);
+        const canvas = document.getElementById(CONTENT_GROUPS_CANVAS_ID);
+        if (messageEl) {
+            messageEl.innerHTML = html;
+            messageEl.style.display = html ? 'flex' : 'none';
+        }
+        if (canvas) canvas.style.visibility = html ? 'hidden' : 'visible';
+    }
+}
+
+// ===== Global Instance =====
+export const contentGroupsView = new ContentGroupsView();
@@ -0,0 +1,102 @@
+import { logger } from './logger.js';
+import { getDataSource } from './dataSource.js';
+
+// ===== Country Registry =====
+// Countries offered by the country filters: every country the export pipeline wrote
+// files for (docs/data-exports-spec.md), named from the ISO 3166 sheet in docs/.
+// build_country_manifest.mjs lists them in Data/countries.json on deploy.
+
+// Per-country export paths (relative to the dashboard); group 1 is the ISO3 code
+const COUNTRY_EXPORT_PATTERNS = [
+    /^Data\/Chart-Daily_Data\/property_.+_daily_country_([A-Z]{3})_all_data\.csv$/,
+    /^Data\/weekly_data_output\/by_country\/([A-Z]{3})\//,
+    /^Data\/weekly_bundle\/by_country\/([A-Z]{3})\.bin$/,
+    /^Data\/keywords\/Page_Weekly\/by_country\/([A-Z]{3})\//,
+    /^Data\/keywords\/Site_Daily\/by_country\/([A-Z]{3})\.csv$/
+];
+
+/**
+ * ISO3 codes with at least one per-country export among the given file paths, sorted
+ */
+export function collectExportedCountryCodes(paths) {
+    const codes = new Set();
+    (paths || []).forEach(path => {
+        COUNTRY_EXPORT_PATTERNS.forEach(pattern => {
+            const match = String(path).match(pattern);
+            if (match) codes.add(match[1]);
+        });
+    });
+    return Array.from(codes).sort();
+}
+
+/**
+ * Codes from the country manifest ({ "countries": [ISO3...] }); an uploaded pipeline
+ * output without one is read from its file list. Resolves [] when neither is available.
+ */
+export async function loadExportedCountryCodes() {
+    const source = getDataSource();
+    try {
+        const manifest = await source.loadJson('countryManifest');
+        const codes = (Array.isArray(manifest?.countries) ? manifest.countries : [])
+            .map(code => String(code).trim().toUpperCase())
+            .filter(code => /^[A-Z]{3}$/.test(code));
+        return Array.from(new Set(codes)).sort();
+    } catch (error) {
+        const paths = source.listFiles();
+        if (paths) return collectExportedCountryCodes(paths);
+        logger.warn('No country manifest; country filter keeps its defaults', { error: error.message });
+        return [];
+    }
+}
+
+// Shorter labels where the ISO sheet is verbose; saved selections use 'United States'
+const DISPLAY_NAME_OVERRIDES = {
+    USA: 'United States'
+};
+
+/**
+ * Display name for an ISO 3166 entry, e.g. "Bahamas (the)" -> "Bahamas"
+ */
+export function formatCountryName(isoName, iso3) {
+    if (DISPLAY_NAME_OVERRIDES[iso3]) return DISPLAY_NAME_OVERRIDES[iso3];
+    const name = String(isoName || '').replace(/\s*\(the\)\s*$/i, '').trim();
+    return name || iso3;
+}
+
+/**
+ * Parse the ISO 3166 sheet. Resolves [] when the file or Papa is unavailable.
+ */
+async function loadCountryCodeRows() {
+    try {
+        return await getDataSource().loadCsvRows('countryCodes');
+    } catch (_) {
+        return [];
+    }
+}
+
+/**
+ * Load the exported countries with display names and export availability, by name
+ * @param {Object} options - { codes, property } - codes default to the country manifest;
+ *   property: sanitized domain of the daily exports
+ * @returns {Promise<Array>} [{ name, iso3, exported }] where exported is true, false or null (unknown)
+ */
+export async function loadCountryList({ codes, property } = {}) {
+    const source = getDataSource();
+    codes = codes || await loadExportedCountryCodes();
+    if (!codes.length) return [];
+    const rows = await loadCountryCodeRows();
+    const namesByIso3 = new Map(rows.map(r => [String(r['Alpha-3 code'] || '').trim().toUpperCase(), r.Country]));
+
+    const countries = await Promise.all(codes.map(async (iso3) => ({
+        name: formatCountryName(namesByIso3.get(iso3), iso3),
+        iso3,
+        exported: await source.exists('dailyCsv', { property, iso3 })
+    })));
+    countries.sort((a, b) => a.name.localeCompare(b.name));
+
+    logger.info('Country list loaded', {
+        countries: countries.length,
+        missingExports: countries.filter(c => c.exported === false).map(c => c.iso3)
+    });
+    return countries;
+}
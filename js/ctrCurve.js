@@ -0,0 +1,236 @@
+import { logger } from './logger.js';
+import { getCurrentCountry } from './utils.js';
+import { TPSScoringEngine, defaultTPSEngine } from './tpsScoringEngine.js';
+
+// ===== CTR Curve Calibration =====
+// Fits the expected CTR curve (a / position^b) to the property's own rows instead of
+// the engine's generic default: daily query rows (keywords/Site_Daily) or page totals,
+// per country, and per device when the rows carry a `device` column. Rows are pooled
+// into whole-position buckets 1–20; a bucket's CTR is clicks / impressions, so
+// zero-click rows still count. The fit is an impression-weighted least squares line
+// through ln(CTR) against ln(position).
+//
+// With calibration switched on, the fit for the Country filter's country (all devices)
+// replaces the engine's curve, which moves the TPS "CTR uplift" component, and with it
+// TPS and Opportunity. Without a usable fit the default curve stays. Countries without a
+// query export (and All countries) fit the Queries source from page totals instead.
+
+export const CTR_FIT_POSITIONS = { min: 1, max: 20 };
+export const CTR_CURVE_SOURCES = { queries: 'Queries', pages: 'Pages' };
+const MIN_BUCKET_IMPRESSIONS = 20;
+const MIN_FIT_BUCKETS = 4;
+const SETTINGS_STORAGE_KEY = 'dashboard:ctrCurve';
+// Settings were saved under this key before the dashboard: prefix; moved once on init
+const LEGACY_SETTINGS_STORAGE_KEY = 'ctrCurveCalibration';
+
+/**
+ * Pool rows into whole-position buckets
+ * @param {Array} rows - [{ clicks, impressions, position, device? }]
+ * @param {string} device - Only rows for this device ('' = all rows)
+ * @returns {Array} [{ bucket, position, clicks, impressions, ctr }] by bucket; position is
+ *   the bucket's impression-weighted mean and ctr a fraction
+ */
+export function bucketCtrRows(rows, device = '') {
+    const buckets = new Map();
+    (rows || []).forEach(row => {
+        if (device && row.device !== device) return;
+        const impressions = Number(row.impressions) || 0;
+        const position = Number(row.position) || 0;
+        const bucket = Math.round(position);
+        if (impressions <= 0 || bucket < CTR_FIT_POSITIONS.min || bucket > CTR_FIT_POSITIONS.max) return;
+        const entry = buckets.get(bucket) || { bucket, clicks: 0, impressions: 0, weightedPosition: 0 };
+        entry.clicks += Number(row.clicks) || 0;
+        entry.impressions += impressions;
+        entry.weightedPosition += position * impressions;
+        buckets.set(bucket, entry);
+    });
+    return Array.from(buckets.values())
+        .sort((a, b) => a.bucket - b.bucket)
+        .map(({ bucket, clicks, impressions, weightedPosition }) => ({
+            bucket,
+            position: weightedPosition / impressions,
+            clicks,
+            impressions,
+            ctr: clicks / impressions
+        }));
+}
+
+/**
+ * Fit a / position^b to position buckets
+ * @returns {Object|null} { a, b, r2, buckets, impressions } - null with fewer than
+ *   MIN_FIT_BUCKETS buckets that have clicks and MIN_BUCKET_IMPRESSIONS, or when CTR
+ *   doesn't fall with position
+ */
+export function fitCtrCurve(buckets) {
+    const points = (buckets || []).filter(b => b.clicks > 0 && b.impressions >= MIN_BUCKET_IMPRESSIONS);
+    if (points.length < MIN_FIT_BUCKETS) return null;
+
+    let sw = 0, sx = 0, sy = 0;
+    points.forEach(p => {
+        sw += p.impressions;
+        sx += p.impressions * Math.log(p.position);
+        sy += p.impressions * Math.log(p.ctr);
+    });
+    const mx = sx / sw;
+    const my = sy / sw;
+    let sxx = 0, sxy = 0, syy = 0;
+    points.forEach(p => {
+        const dx = Math.log(p.position) - mx;
+        const dy = Math.log(p.ctr) - my;
+        sxx += p.impressions * dx * dx;
+        sxy += p.impressions * dx * dy;
+        syy += p.impressions * dy * dy;
+    });
+    if (sxx === 0) return null;
+    const slope = sxy / sxx;
+    if (slope >= 0) return null;
+
+    return {
+        a: Math.exp(my - slope * mx),
+        b: -slope,
+        r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1,
+        buckets: points.length,
+        impressions: sw
+    };
+}
+
+/**
+ * Expected CTR (fraction) along a curve, as the engine computes it (same clamping)
+ * @returns {Array} [{ x: position, y: ctr }]
+ */
+export function sampleCtrCurve(params, step = 0.25) {
+    const engine = new TPSScoringEngine({ expectedCTR: { a: params.a, b: params.b } });
+    const points = [];
+    for (let position = CTR_FIT_POSITIONS.min; position <= CTR_FIT_POSITIONS.max + 1e-9; position += step) {
+        points.push({ x: position, y: engine.calculateExpectedCTR(position) });
+    }
+    return points;
+}
+
+export class CtrCurveCalibration {
+    constructor() {
+        this.loadRows = null; // (source, iso3) => Promise<[{ clicks, impressions, position, device? }]>
+        this.settings = { enabled: false, source: 'queries' };
+        this.rowsCache = new Map(); // `${source}|${iso3}` -> Promise<rows>
+        this.applied = null; // { iso3, source, params } while a fitted curve is on the engine
+        this._applyToken = 0;
+        this.isInitialized = false;
+    }
+
+    /**
+     * @param {Object} deps - { loadRows } provided by the dashboard
+     */
+    setDependencies({ loadRows } = {}) {
+        if (loadRows) this.loadRows = loadRows;
+    }
+
+    init() {
+        if (this.isInitialized) return;
+        this.isInitialized = true;
+        try {
+            const legacy = localStorage.getItem(LEGACY_SETTINGS_STORAGE_KEY);
+            if (legacy !== null) {
+                if (localStorage.getItem(SETTINGS_STORAGE_KEY) === null) {
+                    localStorage.setItem(SETTINGS_STORAGE_KEY, legacy);
+                }
+                localStorage.removeItem(LEGACY_SETTINGS_STORAGE_KEY);
+            }
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+            if (saved) this.settings = this.normalizeSettings(saved);
+        } catch (_) {}
+        window.addEventListener('countryFilterChanged', () => this.apply());
+        this.apply();
+    }
+
+    normalizeSettings(settings) {
+        return {
+            enabled: !!settings.enabled,
+            source: Object.keys(CTR_CURVE_SOURCES).includes(settings.source) ? settings.source : 'queries'
+        };
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    setSettings(changes) {
+        this.settings = this.normalizeSettings({ ...this.settings, ...changes });
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (_) {}
+        return this.apply();
+    }
+
+    /**
+     * Forget loaded rows (new data source or imported export) and refit
+     */
+    reset() {
+        this.rowsCache.clear();
+        return this.apply();
+    }
+
+    loadCurveRows(source, iso3) {
+        const key = `${source}|${iso3}`;
+        if (!this.rowsCache.has(key)) {
+            const rows = Promise.resolve(this.loadRows ? this.loadRows(source, iso3) : []).catch(error => {
+                this.rowsCache.delete(key);
+                throw error;
+            });
+            this.rowsCache.set(key, rows);
+        }
+        return this.rowsCache.get(key);
+    }
+
+    /**
+     * Buckets and fit for a source, country and device
+     * @returns {Promise<Object>} { buckets, fit, devices, rows, source } - `source` is the one
+     *   the rows came from: 'pages' when 'queries' has no export for the country
+     */
+    async getCalibration(source, iso3 = '', device = '') {
+        let rows = await this.loadCurveRows(source, iso3);
+        let rowsSource = source;
+        if (source === 'queries' && !rows.length) {
+            rows = await this.loadCurveRows('pages', iso3);
+            rowsSource = 'pages';
+        }
+        const devices = Array.from(new Set(rows.map(row => row.device).filter(Boolean))).sort();
+        const buckets = bucketCtrRows(rows, device);
+        return { buckets, fit: fitCtrCurve(buckets), devices, rows: rows.length, source: rowsSource };
+    }
+
+    /**
+     * Put the current country's fitted curve on the shared engine (or the default when
+     * calibration is off or there is no usable fit); `ctrCurveChanged` when it changes
+     */
+    async apply() {
+        const token = ++this._applyToken;
+        const iso3 = getCurrentCountry().iso3;
+        const { enabled, source } = this.settings;
+        let params = null;
+        let rowsSource = source;
+        if (enabled) {
+            try {
+                const calibration = await this.getCalibration(source, iso3);
+                rowsSource = calibration.source;
+                if (rowsSource !== source) {
+                    logger.warn('No query export for this country; CTR curve fitted from pages', { iso3 });
+                }
+                if (calibration.fit) params = { a: calibration.fit.a, b: calibration.fit.b };
+            } catch (error) {
+                logger.warn('CTR curve could not be fitted; using the default', { source, iso3, error: error.message });
+            }
+            if (token !== this._applyToken) return;
+        }
+
+        const previous = this.applied?.params || null;
+        this.applied = params ? { iso3, source: rowsSource, params } : null;
+        if (previous?.a === params?.a && previous?.b === params?.b) return;
+        const expectedCTR = defaultTPSEngine.setExpectedCTR(params);
+        window.dispatchEvent(new CustomEvent('ctrCurveChanged', {
+            detail: { calibrated: !!params, params: { ...expectedCTR }, iso3, source: rowsSource }
+        }));
+    }
+}
+
+// ===== Global Instance =====
+export const ctrCurveCalibration = new CtrCurveCalibration();
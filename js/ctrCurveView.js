@@ -0,0 +1,334 @@
+import { logger } from './logger.js';
+import { escapeHtml, formatNumber, getCurrentCountry } from './utils.js';
+import { DEFAULT_EXPECTED_CTR } from './tpsScoringEngine.js';
+import {
+    CTR_FIT_POSITIONS,
+    CTR_CURVE_SOURCES,
+    ctrCurveCalibration,
+    sampleCtrCurve
+} from './ctrCurve.js';
+
+// ===== CTR Curve Section =====
+// Observed CTR per position bucket for the selected country (and device, when the rows
+// have one) with the fitted curve and the engine's default curve on top. The switch
+// puts the fitted curve into TPS scoring (ctrCurve.js). A scatter plot has numeric x
+// values, so this chart is built here rather than through createUnifiedChart (dates).
+
+const CTR_CURVE_CANVAS_ID = 'ctrCurveChart';
+const CURVE_COLORS = { observed: '#1a73e8', fitted: '#ea4335', default: '#5f6368' };
+
+class CtrCurveView {
+    constructor(containerId = 'ctrCurveContainer', sectionId = 'ctr-curve') {
+        this.containerId = containerId;
+        this.sectionId = sectionId;
+        this.device = '';
+        this.calibration = null; // { buckets, fit, devices, rows } for the current selection
+        this.chart = null;
+        this.isDirty = true;
+        this._loadToken = 0;
+        this.isInitialized = false;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            logger.warn('CTR curve container not found', { containerId: this.containerId });
+            return;
+        }
+
+        this.createHTML(container);
+        this.bindEvents(container);
+        this.isInitialized = true;
+        if (this.isVisible()) this.refresh();
+        logger.info('CTR curve view initialized');
+    }
+
+    isVisible() {
+        const section = document.getElementById(this.sectionId);
+        return !!(section && section.classList.contains('active'));
+    }
+
+    createHTML(container) {
+        const sourceButtons = Object.entries(CTR_CURVE_SOURCES).map(([source, label]) => `
+            <button type="button" class="btn-outline" data-source="${source}">${label}</button>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="ctr-curve-header">
+                <h2 class="ctr-curve-title">CTR Curve</h2>
+                <span class="ctr-curve-summary" id="${this.containerId}_summary"></span>
+            </div>
+            <div class="chart-container">
+                <div class="chart-header">
+                    <div class="ctr-curve-controls">
+                        <div class="ctr-curve-mode" role="group" aria-label="Fit from">${sourceButtons}</div>
+                        <select class="filter-select" id="${this.containerId}_device" aria-label="Device" hidden></select>
+                    </div>
+                    <label class="ctr-curve-toggle">
+                        <input type="checkbox" id="${this.containerId}_enabled">
+                        Use the fitted curve for CTR uplift (TPS)
+                    </label>
+                </div>
+                <div class="chart-wrapper">
+                    <canvas id="${CTR_CURVE_CANVAS_ID}"></canvas>
+                    <div class="ctr-curve-message" id="${this.containerId}_message"></div>
+                </div>
+            </div>
+            <div class="ctr-curve-stats" id="${this.containerId}_stats"></div>
+        `;
+        this.updateControls();
+    }
+
+    bindEvents(container) {
+        container.addEventListener('click', (e) => {
+            const sourceBtn = e.target.closest('[data-source]');
+            if (!sourceBtn || sourceBtn.dataset.source === ctrCurveCalibration.getSettings().source) return;
+            this.device = '';
+            ctrCurveCalibration.setSettings({ source: sourceBtn.dataset.source });
+            this.updateControls();
+            this.refresh();
+        });
+        container.addEventListener('change', (e) => {
+            if (e.target.id === `${this.containerId}_device`) {
+                this.device = e.target.value;
+                this.refresh();
+            } else if (e.target.id === `${this.containerId}_enabled`) {
+                ctrCurveCalibration.setSettings({ enabled: e.target.checked });
+            }
+        });
+
+        // Reload lazily: only when the section is (or becomes) visible
+        const invalidate = () => {
+            this.isDirty = true;
+            if (this.isVisible()) this.refresh();
+        };
+        ['countryFilterChanged', 'dataSourceChanged'].forEach(type => {
+            window.addEventListener(type, () => {
+                this.device = '';
+                invalidate();
+            });
+        });
+        window.addEventListener('ctrCurveChanged', () => this.renderStats());
+        window.addEventListener('sectionShown', (e) => {
+            if (e.detail?.sectionId === this.sectionId && this.isDirty) this.refresh();
+        });
+    }
+
+    updateControls() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+        const { source, enabled } = ctrCurveCalibration.getSettings();
+        container.querySelectorAll('[data-source]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.source === source);
+            btn.setAttribute('aria-pressed', String(btn.dataset.source === source));
+        });
+        const toggle = document.getElementById(`${this.containerId}_enabled`);
+        if (toggle) toggle.checked = enabled;
+    }
+
+    async refresh() {
+        const token = ++this._loadToken;
+        this.isDirty = false;
+        const { countryName, iso3 } = getCurrentCountry();
+        const { source } = ctrCurveCalibration.getSettings();
+        this.updateControls();
+        this.showMessage('<div class="spinner"></div>');
+        try {
+            const calibration = await ctrCurveCalibration.getCalibration(source, iso3, this.device);
+            if (token !== this._loadToken) return;
+            this.calibration = calibration;
+            this.renderDeviceOptions(calibration.devices);
+            this.render();
+        } catch (error) {
+            if (token !== this._loadToken) return;
+            logger.error('Failed to load CTR curve rows', { source, iso3, error: error.message });
+            this.calibration = null;
+            this.destroyChart();
+            this.showMessage(`CTR curve rows could not be loaded for ${escapeHtml(countryName || 'All countries')}.`);
+            this.renderStats();
+        }
+    }
+
+    renderDeviceOptions(devices) {
+        const select = document.getElementById(`${this.containerId}_device`);
+        if (!select) return;
+        select.hidden = !devices.length;
+        select.innerHTML = [['', 'All devices'], ...devices.map(device => [device, device])]
+            .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+            .join('');
+        select.value = this.device;
+    }
+
+    render() {
+        const { buckets, fit } = this.calibration;
+        const { countryName } = getCurrentCountry();
+        this.renderStats();
+        if (!buckets.length) {
+            this.destroyChart();
+            this.showMessage(`No rows at positions ${CTR_FIT_POSITIONS.min}–${CTR_FIT_POSITIONS.max} for ${escapeHtml(countryName || 'All countries')}.`);
+            return;
+        }
+        if (typeof Chart === 'undefined') {
+            this.showMessage('Chart.js library not loaded.');
+            return;
+        }
+
+        const toPercent = (points) => points.map(({ x, y }) => ({ x, y: y * 100 }));
+        const maxImpressions = Math.max(...buckets.map(b => b.impressions));
+        const datasets = [
+            {
+                type: 'scatter',
+                label: 'Observed CTR',
+                data: buckets.map(b => ({ x: b.position, y: b.ctr * 100, clicks: b.clicks, impressions: b.impressions })),
+                backgroundColor: `${CURVE_COLORS.observed}99`,
+                borderColor: CURVE_COLORS.observed,
+                // Bigger points for buckets with more impressions
+                pointRadius: buckets.map(b => 3 + 7 * Math.sqrt(b.impressions / maxImpressions)),
+                pointHoverRadius: buckets.map(b => 4 + 7 * Math.sqrt(b.impressions / maxImpressions))
+            },
+            ...(fit ? [{
+                type: 'line',
+                label: 'Fitted curve',
+                data: toPercent(sampleCtrCurve(fit)),
+                borderColor: CURVE_COLORS.fitted,
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false
+            }] : []),
+            {
+                type: 'line',
+                label: 'Default curve',
+                data: toPercent(sampleCtrCurve(DEFAULT_EXPECTED_CTR)),
+                borderColor: CURVE_COLORS.default,
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                fill: false
+            }
+        ];
+        const font = { size: 12, family: 'Roboto, Arial, sans-serif' };
+
+        this.destroyChart();
+        this.showMessage('');
+        const canvas = document.getElementById(CTR_CURVE_CANVAS_ID);
+        if (!canvas) return;
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'scatter',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'nearest', intersect: false },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'bottom',
+                        labels: { boxWidth: 12, color: '#5f6368', font }
+                    },
+                    tooltip: {
+                        backgroundColor: '#ffffff',
+                        titleColor: '#202124',
+                        bodyColor: '#5f6368',
+                        borderColor: '#dadce0',
+                        borderWidth: 1,
+                        padding: 12,
+                        callbacks: {
+                            title: (items) => `Position ${items[0].parsed.x.toFixed(1)}`,
+                            label: (item) => {
+                                const point = item.raw;
+                                if (point.impressions !== undefined) {
+                                    return `${item.dataset.label}: ${item.parsed.y.toFixed(2)}% (${formatNumber(point.clicks)} / ${formatNumber(point.impressions)})`;
+                                }
+                                return `${item.dataset.label}: ${item.parsed.y.toFixed(2)}%`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: CTR_FIT_POSITIONS.min,
+                        max: CTR_FIT_POSITIONS.max,
+                        title: { display: true, text: 'Position', color: '#5f6368', font },
+                        grid: { color: '#f1f3f4', drawBorder: false },
+                        ticks: { color: '#5f6368', font, stepSize: 1 }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: { display: true, text: 'CTR', color: '#5f6368', font },
+                        grid: { color: '#f1f3f4', drawBorder: false },
+                        ticks: { color: '#5f6368', font, callback: (value) => `${value}%` }
+                    }
+                }
+            }
+        });
+    }
+
+    renderStats() {
+        const stats = document.getElementById(`${this.containerId}_stats`);
+        const summary = document.getElementById(`${this.containerId}_summary`);
+        const { countryName } = getCurrentCountry();
+        const { source, enabled } = ctrCurveCalibration.getSettings();
+        const calibration = this.calibration;
+        if (summary) {
+            summary.textContent = calibration
+                ? `${formatNumber(calibration.rows)} ${CTR_CURVE_SOURCES[calibration.source].toLowerCase()} rows${calibration.source !== source ? ` (no query export for ${countryName || 'All countries'})` : ''} · ${countryName || 'All countries'}${this.device ? ` · ${this.device}` : ''}`
+                : '';
+        }
+        if (!stats) return;
+
+        const fit = calibration?.fit;
+        const formatCurve = ({ a, b }) => `${a.toFixed(3)} / position<sup>${b.toFixed(2)}</sup>`;
+        const applied = ctrCurveCalibration.applied;
+        const country = escapeHtml(countryName || 'All countries');
+        let status;
+        if (!enabled) {
+            status = 'TPS uses the default curve.';
+        } else if (applied && applied.source !== source) {
+            // Queries falls back to page totals where the country has no query export
+            status = `<strong>TPS uses the curve fitted from pages: no query export for ${country}.</strong> Switch the source to Pages to make that explicit, or turn calibration off for the default curve.`;
+        } else if (applied) {
+            status = `TPS uses the fitted curve for ${country} (all devices).`;
+        } else {
+            status = 'No usable fit for this country: TPS uses the default curve.';
+        }
+        const fallback = calibration && calibration.source !== source && !(enabled && applied)
+            ? `No query export for ${country}: fitted from page totals. `
+            : '';
+        stats.innerHTML = `
+            <div class="ctr-curve-params">
+                <span><span class="ctr-curve-swatch" style="background-color: ${CURVE_COLORS.fitted}"></span>
+                    Fitted: ${fit ? `${formatCurve(fit)} · R² ${fit.r2.toFixed(2)} · ${fit.buckets} positions, ${formatNumber(fit.impressions)} impressions` : 'not enough data (4+ positions with clicks and 20+ impressions)'}
+                </span>
+                <span><span class="ctr-curve-swatch is-dashed" style="border-color: ${CURVE_COLORS.default}"></span>
+                    Default: ${formatCurve(DEFAULT_EXPECTED_CTR)}
+                </span>
+            </div>
+            <p class="ctr-curve-note">${fallback}${status} Fitted from all exported rows, pooled by whole position; expected CTR is capped at 1–60%.</p>
+        `;
+    }
+
+    destroyChart() {
+        if (!this.chart) return;
+        try {
+            this.chart.destroy();
+        } catch (error) {
+            logger.warn('Failed to destroy CTR curve chart', { error: error.message });
+        }
+        this.chart = null;
+    }
+
+    showMessage(html) {
+        const messageEl = document.getElementById(`${this.containerId}_message`);
+        const canvas = document.getElementById(CTR_CURVE_CANVAS_ID);
+        if (messageEl) {
+            messageEl.innerHTML = html;
+            messageEl.style.display = html ? 'flex' : 'none';
+        }
+        if (canvas) canvas.style.visibility = html ? 'hidden' : 'visible';
+    }
+}
+
+// ===== Global Instance =====
+export const ctrCurveView = new CtrCurveView();
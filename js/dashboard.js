@@ -2,7 +2,7 @@
 // ===== Import Statements =====
 import { logger } from './logger.js';
 import { parseDate } from './dateUtils.js';
-import { showSection, toggleSidebar } from './navbar.js';
+import { showSection, toggleSidebar, getCurrentNavSection, isNavSection, openView } from './navbar.js';
 
 import { 
     createDateRangeComponent,
@@ -17,11 +17,16 @@ import {
     updateOverviewMetrics, 
     updatePerformanceChart, 
     updateTopPagesTable, 
+    getTopPagesUIState,
+    setTopPagesUIState,
     setDependencies as setDashboardUpdatesDependencies
 } from './dashboardUpdates.js';
 import { 
     toggleMetric,
     resetMetrics,
+    getSelectedMetrics,
+    setSelectedMetrics,
+    COMPARISON_COLORS,
     setDependencies as setChartsDependencies
 } from './charts.js';
 import { 
@@ -33,16 +38,40 @@ import {
     applyDateRange,
     updateGlobalDateRange,
     getCurrentGlobalDateRange,
+    getPreviousPeriodRange,
+    getComparisonRange,
     setDependencies as setDateRangeDependencies,
     initializeDateManagement,
     registerDateRangeDisplay
 } from './dateUtils.js';
-import { normalizePageUrl } from './utils.js';
+import { normalizePageUrl, escapeHtml } from './utils.js';
 import { defaultTPSEngine } from './tpsScoringEngine.js';
 import { ogMetadataManager } from './ogMetadataManager.js';
+import { pageKeywordsPanel } from './pageKeywordsPanel.js';
+import { openPageDetail, setDependencies as setPageDetailDependencies } from './pageDetailView.js';
+import { loadCountryList } from './countryRegistry.js';
+import { loadPropertyList, formatPropertyLabel, getSavedProperty, saveProperty } from './propertyRegistry.js';
+import { gscImportDropZone } from './gscImport.js';
+import { schemaReportPanel } from './schemaReportPanel.js';
+import { anomalyPanel } from './anomalyPanel.js';
+import { contentGroupRegistry, classifyUrl, getGroupLabel } from './contentGroups.js';
+import { contentGroupPanel } from './contentGroupPanel.js';
+import { contentGroupsView } from './contentGroupsView.js';
+import { opportunityFinder } from './opportunityFinder.js';
+import { ctrCurveCalibration } from './ctrCurve.js';
+import { ctrCurveView } from './ctrCurveView.js';
+import { getDataSyncStatus, resetDataSyncStatus } from './dataCache.js';
+import { getDataSource, setDataSource } from './dataSource.js';
+import { validateCsvRows, recordSchemaIssues, CSV_SCHEMAS } from './dataSchemas.js';
+import { parseCsvText } from './weeklyAggregation.js';
+import { decodeWeeklyBundle } from './weeklyBundle.js';
+import { topPagesWorkerPool, isAbortError } from './workerPool.js';
+import { viewStateManager, readViewState } from './viewState.js';
+import { savedViewsPanel } from './savedViews.js';
 import { 
     initializeAutoDataLoading, 
-    transformAutoDataToDashboardFormat
+    transformAutoDataToDashboardFormat,
+    clearAutoData
 } from './autoDataLoader.js';
 
 // ===== Safety Wrapper Functions =====
@@ -95,48 +124,113 @@ let aggregatedDatesCache = [];
 let currentCountryFilter = '';
 let sanitizedDomainCache = '';
 let topPagesCandidatesCache = [];
-const byCountryCsvCache = new Map(); // key: `${iso3}|${sanitized}` -> rows
-const aggregatedWeeklyCsvCache = new Map(); // key: `${sanitized}` -> rows
+const byCountryCsvCache = new Map(); // key: `${iso3}|${sanitized}` -> weekly payload ({ file, text|rows }, null = missing)
+const aggregatedWeeklyCsvCache = new Map(); // key: `${sanitized}` -> weekly payload
+const weeklyBundleCache = new Map(); // key: iso3 ('' = aggregated) -> Promise<decoded bundle | null>
+let topPagesAbortController = null; // aborts the Top Pages worker tasks of a superseded run
+const pageKeywordsCsvCache = new Map(); // key: `${iso3}|${sanitized}` ('' iso3 = aggregated) -> rows
+const siteKeywordsCsvCache = new Map(); // key: iso3 ('' = all countries) -> Site_Daily keyword rows
 let aggregatedDailyLoaded = false; // ensure aggregated daily CSV only loads once
-
+const countryDailyDatesCache = new Map(); // key: iso3 -> sorted daily rows
+let comparisonCountries = []; // display names checked in the Compare dropdown (2+ = comparison chart)
+let comparisonRequestId = 0; // drops stale comparison loads when the selection changes mid-load
+let comparisonGroups = []; // content group ids plotted as weekly lines (content group panel)
+const contentGroupSeriesCache = new Map(); // key: `${iso3}|${group config revision}` -> Promise<weekly series per group>
+let importedDataLabel = ''; // dropped Search Console export name; '' = data served from Data/
+let availableProperties = []; // [{ property, label, countries }] from the daily export manifest
+
+// Filled from the country registry at init; these three are the fallback
 const countryNameToISO3 = {
     'United States': 'USA',
     'Mexico': 'MEX',
     'Canada': 'CAN'
 };
+const countryExportStatus = new Map(); // iso3 -> true | false (no data exported) | null (unknown)
+
+/**
+ * Current country filter as display name + ISO3 code ('' for all countries)
+ */
+function getCurrentCountrySelection() {
+    return {
+        countryName: currentCountryFilter,
+        iso3: countryNameToISO3[currentCountryFilter] || ''
+    };
+}
+
+// Other sections (keywords, page details) follow the main country filter
+window.getCurrentCountrySelection = getCurrentCountrySelection;
+
+/**
+ * Display name for an ISO3 code ('' = all countries), or null when the code is unknown
+ */
+function getCountryNameForISO3(iso3) {
+    if (!iso3) return '';
+    return Object.keys(countryNameToISO3).find(name => countryNameToISO3[name] === iso3) ?? null;
+}
+
+/**
+ * Country to open with: the link's ?country=, else the last selection, else United States
+ */
+function getInitialCountry() {
+    const linked = readViewState().country;
+    const linkedName = linked === undefined ? null : getCountryNameForISO3(linked);
+    if (linkedName !== null) return linkedName;
+    try {
+        const last = localStorage.getItem('dashboard:lastCountrySelection') || '';
+        if (last) return last;
+    } catch (_) {}
+    return 'United States';
+}
+
+function notifyCountryFilterChanged() {
+    window.dispatchEvent(new CustomEvent('countryFilterChanged', {
+        detail: getCurrentCountrySelection()
+    }));
+}
 
 function sanitizeToUnderscore(str) {
     return str.replace(/:\/\//g, '_').replace(/\//g, '_').replace(/\./g, '_');
 }
 
-function getSanitizedDomain() {
-    if (sanitizedDomainCache) return sanitizedDomainCache;
+/**
+ * Sanitized property for a page URL, e.g. https://www.getglobalcare.com/a -> https_www_getglobalcare_com
+ */
+function getPageDomain(pageUrl) {
     try {
-        // Prefer a page URL from data
-        const samplePage = globalData?.pages?.[0]?.['Top pages'] || 'https://www.getglobalcare.com/';
-        const urlObj = new URL(samplePage.startsWith('http') ? samplePage : `https://${samplePage}`);
-        const base = `${urlObj.protocol}//${urlObj.hostname}`; // e.g., https://www.getglobalcare.com
-        sanitizedDomainCache = sanitizeToUnderscore(base);
-        return sanitizedDomainCache;
+        const urlObj = new URL(pageUrl.startsWith('http') ? pageUrl : `https://${pageUrl}`);
+        return sanitizeToUnderscore(`${urlObj.protocol}//${urlObj.hostname}`);
     } catch (_) {
-        sanitizedDomainCache = 'https_www_getglobalcare_com';
-        return sanitizedDomainCache;
+        return '';
     }
 }
 
-function buildAggregatedDailyPath() {
-    return `Data/Chart-Daily_Data/property_${getSanitizedDomain()}_daily_all_countries_all_data.csv`;
+function getSanitizedDomain() {
+    if (sanitizedDomainCache) return sanitizedDomainCache;
+    // A data source pointed at a specific property wins over the data's page URLs
+    const sourceProperty = getDataSource().property;
+    if (sourceProperty) {
+        sanitizedDomainCache = sourceProperty;
+        return sanitizedDomainCache;
+    }
+    // Prefer a page URL from data
+    const samplePage = globalData?.pages?.[0]?.['Top pages'] || 'https://www.getglobalcare.com/';
+    sanitizedDomainCache = getPageDomain(samplePage) || 'https_www_getglobalcare_com';
+    return sanitizedDomainCache;
 }
 
-function buildCountryDailyPath(iso3) {
-    return `Data/Chart-Daily_Data/property_${getSanitizedDomain()}_daily_country_${iso3}_all_data.csv`;
+/**
+ * Daily export params for the data source ('' iso3 = all countries)
+ */
+function getDailyParams(iso3 = '') {
+    return { property: getSanitizedDomain(), iso3 };
 }
 
 async function ensureAggregatedDailyLoaded() {
+    if (importedDataLabel) return; // imported Dates.csv already replaced the aggregated series
     if (aggregatedDailyLoaded && aggregatedDatesCache && aggregatedDatesCache.length) return;
-    const path = buildAggregatedDailyPath();
+    const path = getDataSource().describe('dailyCsv', getDailyParams());
     try {
-        const parsed = await loadDailyCsv(path);
+        const parsed = await loadDailyCsv(getDailyParams());
         aggregatedDatesCache = parsed.sort((a, b) => new Date(a.Date) - new Date(b.Date));
         aggregatedDailyLoaded = true;
         logger.info('Aggregated daily CSV loaded for main chart', { path, count: aggregatedDatesCache.length });
@@ -170,67 +264,140 @@ function parseDailyCsvRowsToDates(rows) {
     }).filter(d => d.Date);
 }
 
-function loadDailyCsv(path) {
-    return new Promise((resolve, reject) => {
-        try {
-            const Papa = window.Papa;
-            if (!Papa) return reject(new Error('PapaParse not available'));
-            Papa.parse(path, {
-                download: true,
-                header: true,
-                dynamicTyping: false,
-                skipEmptyLines: true,
-                complete: (results) => {
-                    if (results && Array.isArray(results.data)) {
-                        resolve(parseDailyCsvRowsToDates(results.data));
-                    } else {
-                        reject(new Error('Invalid CSV parse result'));
-                    }
-                },
-                error: (err) => reject(err)
-            });
-        } catch (e) {
-            reject(e);
-        }
+async function loadDailyCsv(params) {
+    const rows = await getDataSource().loadCsvRows('dailyCsv', params);
+    return parseDailyCsvRowsToDates(rows);
+}
+
+/**
+ * Sorted daily rows for one country ([] when the export is missing or empty)
+ */
+async function loadCountryDailyDates(iso3) {
+    if (countryDailyDatesCache.has(iso3)) return countryDailyDatesCache.get(iso3);
+    if (countryExportStatus.get(iso3) === false) return [];
+    const path = getDataSource().describe('dailyCsv', getDailyParams(iso3));
+    let dates = [];
+    try {
+        const parsed = await loadDailyCsv(getDailyParams(iso3));
+        // Sort by date ascending
+        dates = parsed.sort((a, b) => new Date(a.Date) - new Date(b.Date));
+    } catch (e) {
+        logger.warn('Daily CSV not available for country', { iso3, path, error: e?.message });
+    }
+    if (dates.length) {
+        countryDailyDatesCache.set(iso3, dates);
+    } else {
+        countryExportStatus.set(iso3, false);
+    }
+    return dates;
+}
+
+function getCountryNoDataMessage(countryName) {
+    return `No data exported for ${countryName}.`;
+}
+
+/**
+ * Replace the country filter options with the registry list.
+ * Countries without exports stay selectable so their "no data" state is visible.
+ */
+async function loadCountryFilterOptions() {
+    const countries = await loadCountryList({ property: getSanitizedDomain() });
+    if (!countries.length) return;
+
+    Object.keys(countryNameToISO3).forEach(name => { delete countryNameToISO3[name]; });
+    countries.forEach(({ name, iso3, exported }) => {
+        countryNameToISO3[name] = iso3;
+        countryExportStatus.set(iso3, exported);
     });
+
+    const menuEl = document.getElementById('countryDropdownMenu');
+    const selectEl = document.getElementById('countryFilterSelect');
+    if (menuEl) {
+        menuEl.innerHTML = [
+            '<li class="country-dropdown-item" role="option" tabindex="0" data-value="" aria-selected="true">All countries</li>',
+            ...countries.map(({ name }) => `<li class="country-dropdown-item" role="option" tabindex="0" data-value="${escapeHtml(name)}">${escapeHtml(name)}</li>`)
+        ].join('');
+        countries.forEach(({ name, exported }) => { if (exported === false) markCountryWithoutData(name); });
+    }
+    if (selectEl) {
+        selectEl.innerHTML = [
+            '<option value="">All countries</option>',
+            ...countries.map(({ name }) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        ].join('');
+    }
+}
+
+/**
+ * Tag a country's dropdown item as having no exported data
+ */
+function markCountryWithoutData(countryName) {
+    const menuEl = document.getElementById('countryDropdownMenu');
+    const item = menuEl
+        ? Array.from(menuEl.querySelectorAll('.country-dropdown-item')).find(li => li.dataset.value === countryName)
+        : null;
+    if (!item || item.querySelector('.country-no-data')) return;
+    item.dataset.exported = 'false';
+    item.insertAdjacentHTML('beforeend', '<span class="country-no-data">No data</span>');
+}
+
+/**
+ * Show or clear the main chart's "no data exported" state ('' clears)
+ */
+function setChartNoDataState(message) {
+    const indicator = document.getElementById('chartNoDataIndicator');
+    const chartCanvas = document.getElementById('performanceChart');
+    if (indicator) {
+        indicator.style.display = message ? 'block' : 'none';
+        const text = indicator.querySelector('span');
+        if (text) text.textContent = message;
+    }
+    if (chartCanvas) chartCanvas.style.display = message ? 'none' : 'block';
 }
 
 async function applyCountryToMainChart(countryName) {
+    // The country chart replaces any content group lines
+    if (comparisonGroups.length) {
+        comparisonRequestId++;
+        setComparisonGroups([]);
+    }
     try {
         const chartLoading = document.getElementById('chartLoadingIndicator');
         if (chartLoading) chartLoading.style.display = 'block';
 
         let datesToUse = [];
+        let noDataMessage = '';
         if (countryName && countryNameToISO3[countryName]) {
-            const iso3 = countryNameToISO3[countryName];
-            const path = buildCountryDailyPath(iso3);
-            const parsed = await loadDailyCsv(path);
-            // Sort by date ascending
-            datesToUse = parsed.sort((a, b) => new Date(a.Date) - new Date(b.Date));
+            datesToUse = await loadCountryDailyDates(countryNameToISO3[countryName]);
+            if (!datesToUse.length) {
+                markCountryWithoutData(countryName);
+                noDataMessage = getCountryNoDataMessage(countryName);
+            }
             currentCountryFilter = countryName;
         } else {
             await ensureAggregatedDailyLoaded();
             datesToUse = aggregatedDatesCache;
+            if (!datesToUse.length && importedDataLabel) noDataMessage = `No Dates.csv in ${importedDataLabel}.`;
             currentCountryFilter = '';
         }
+        setChartNoDataState(noDataMessage);
 
         // Compose chart data and persist as current global for zoom + KPI sync
-        const chartData = { ...globalData, dates: datesToUse };
+        const chartData = {
+            ...globalData,
+            dates: datesToUse,
+            comparisonSeries: null,
+            comparePeriod: getComparisonRange(getCurrentGlobalRangeSafe())
+        };
         globalData = chartData;
         window.globalData = globalData;
+        notifyCountryFilterChanged();
 
         // Update the performance chart only
         const { updateChartById } = await import('./charts.js');
         updateChartById('performance', chartData);
         
         // Preserve current visible date range with zoom manager
-        const currentRange = getCurrentGlobalRangeSafe();
-        const zoomMgr = getChartZoomScrollManager?.();
-        if (zoomMgr && currentRange && currentRange.start && currentRange.end) {
-            try {
-                zoomMgr.updateChartToDateRange('performance', currentRange);
-            } catch (_) {}
-        }
+        keepPerformanceChartRange();
 
         // Sync KPI section with current selection and visible date range
         await updateKpisForCurrentSelection();
@@ -239,17 +406,17 @@ async function applyCountryToMainChart(countryName) {
         await updateTopPagesForCurrentSelection();
     } catch (error) {
         logger.error('Failed to apply country filter to main chart', { error: error.message });
+        setChartNoDataState('');
         // Fallback to aggregated
-        const chartData = { ...globalData, dates: aggregatedDatesCache?.length ? aggregatedDatesCache : (globalData.dates || []) };
+        const chartData = {
+            ...globalData,
+            dates: aggregatedDatesCache?.length ? aggregatedDatesCache : (globalData.dates || []),
+            comparisonSeries: null,
+            comparePeriod: getComparisonRange(getCurrentGlobalRangeSafe())
+        };
         const { updateChartById } = await import('./charts.js');
         updateChartById('performance', chartData);
-        const currentRange = getCurrentGlobalRangeSafe();
-        const zoomMgr = getChartZoomScrollManager?.();
-        if (zoomMgr && currentRange && currentRange.start && currentRange.end) {
-            try {
-                zoomMgr.updateChartToDateRange('performance', currentRange);
-            } catch (_) {}
-        }
+        keepPerformanceChartRange();
         await updateKpisForCurrentSelection();
         await updateTopPagesForCurrentSelection();
     } finally {
@@ -258,6 +425,510 @@ async function applyCountryToMainChart(countryName) {
     }
 }
 
+/**
+ * Re-apply the current global date range to the performance chart's zoom window
+ */
+function keepPerformanceChartRange() {
+    const currentRange = getCurrentGlobalRangeSafe();
+    const zoomMgr = getChartZoomScrollManager?.();
+    if (zoomMgr && currentRange && currentRange.start && currentRange.end) {
+        try {
+            zoomMgr.updateChartToDateRange('performance', currentRange);
+        } catch (_) {}
+    }
+}
+
+/**
+ * Redraw the performance chart when the period comparison (mode or offset) changes
+ */
+async function refreshPeriodComparison() {
+    const comparePeriod = getComparisonRange(getCurrentGlobalRangeSafe());
+    const previous = globalData.comparePeriod || null;
+    const unchanged = (!comparePeriod && !previous)
+        || (comparePeriod && previous && comparePeriod.mode === previous.mode && comparePeriod.offsetDays === previous.offsetDays);
+    if (unchanged || !globalData.dates?.length) return;
+
+    globalData = { ...globalData, comparePeriod };
+    window.globalData = globalData;
+    const { updateChartById } = await import('./charts.js');
+    updateChartById('performance', globalData);
+    keepPerformanceChartRange();
+}
+
+// ===== Search Console Import =====
+
+/**
+ * Swap the served data for a dropped Search Console export. Exports have no
+ * per-country daily or weekly files, so the country controls are disabled.
+ */
+async function loadImportedExport(autoData, label) {
+    const transformed = transformAutoDataToDashboardFormat(autoData);
+    if (!transformed) throw new Error('The export could not be converted to dashboard data.');
+    if (!transformed.dates.length && !transformed.pages.length) {
+        throw new Error('The export has no Dates or Pages rows.');
+    }
+
+    importedDataLabel = label;
+    comparisonCountries = [];
+    comparisonRequestId++;
+    updateCountryCompareLabel();
+    setCountryControlsDisabled(`The imported export (${label}) covers all countries`);
+
+    globalData = transformed;
+    window.globalData = globalData;
+    aggregatedDatesCache = transformed.dates.slice().sort((a, b) => new Date(a.Date) - new Date(b.Date));
+    aggregatedDailyLoaded = true;
+    topPagesCandidatesCache = [];
+    sanitizedDomainCache = '';
+    setDashboardUpdatesDependencies(globalData, charts);
+    setChartsDependencies(globalData, charts);
+
+    const selectEl = document.getElementById('countryFilterSelect');
+    if (selectEl) selectEl.value = '';
+    const selectedTextEl = document.querySelector('#countryDropdown .country-selected-text');
+    if (selectedTextEl) selectedTextEl.textContent = 'All countries';
+
+    // Show the whole imported period
+    updateGlobalDateRange({ start: null, end: null }, 'gscImport');
+    await applyCountryToMainChart('');
+    ctrCurveCalibration.reset();
+
+    logger.info('Search Console export loaded into dashboard', {
+        label,
+        dates: transformed.dates.length,
+        pages: transformed.pages.length,
+        queries: transformed.queries.length
+    });
+}
+
+/**
+ * Disable the Country and Compare dropdowns with an explanatory tooltip ('' re-enables)
+ */
+function setCountryControlsDisabled(reason) {
+    ['countryDropdown', 'countryCompareDropdown'].forEach(id => {
+        const dropdownEl = document.getElementById(id);
+        if (!dropdownEl) return;
+        dropdownEl.classList.remove('open');
+        dropdownEl.classList.toggle('is-disabled', !!reason);
+        if (reason) dropdownEl.title = reason;
+        else dropdownEl.removeAttribute('title');
+        const toggleBtn = dropdownEl.querySelector('.country-dropdown-toggle');
+        if (toggleBtn) toggleBtn.disabled = !!reason;
+    });
+}
+
+// ===== Data Source Switching =====
+
+/**
+ * Forget everything read from the previous data source
+ */
+function resetDataSourceCaches() {
+    aggregatedDatesCache = [];
+    aggregatedDailyLoaded = false;
+    sanitizedDomainCache = '';
+    topPagesCandidatesCache = [];
+    byCountryCsvCache.clear();
+    aggregatedWeeklyCsvCache.clear();
+    weeklyBundleCache.clear();
+    pageKeywordsCsvCache.clear();
+    siteKeywordsCsvCache.clear();
+    countryDailyDatesCache.clear();
+    countryExportStatus.clear();
+    contentGroupSeriesCache.clear();
+}
+
+/**
+ * Reload the dashboard from another data source, e.g. a dropped pipeline output
+ * (dashboard_data.json + Data/). Country exports come from the new source too.
+ * keepView keeps the selected country and date range (property switches).
+ */
+async function loadDataSource(source, label, { keepView = false } = {}) {
+    // The loader reads through the active source, so switch first and switch back on failure
+    const previousSource = getDataSource();
+    let transformed = null;
+    try {
+        setDataSource(source);
+        clearAutoData();
+        const autoData = await initializeAutoDataLoading();
+        transformed = autoData ? scopeDataToProperty(transformAutoDataToDashboardFormat(autoData)) : null;
+        if (!transformed) throw new Error(`No dashboard data could be read from ${label}.`);
+    } catch (error) {
+        setDataSource(previousSource);
+        clearAutoData();
+        throw error;
+    }
+
+    importedDataLabel = '';
+    comparisonCountries = [];
+    comparisonRequestId++;
+    updateCountryCompareLabel();
+    setCountryControlsDisabled('');
+    resetDataSourceCaches();
+
+    globalData = transformed;
+    window.globalData = globalData;
+    setDashboardUpdatesDependencies(globalData, charts);
+    setChartsDependencies(globalData, charts);
+    await contentGroupRegistry.load();
+    ctrCurveCalibration.reset();
+
+    const previousCountry = currentCountryFilter;
+    try {
+        await loadCountryFilterOptions();
+    } catch (e) {
+        logger.error('Country list load failed for new data source', { error: e.message });
+    }
+    renderCountryCompareItems();
+    if (!keepView) {
+        availableProperties = await loadPropertyList();
+        renderPropertySwitcher();
+    }
+
+    const countryName = keepView && countryNameToISO3[previousCountry] ? previousCountry : '';
+    syncCountrySelection(countryName);
+    if (!keepView) updateGlobalDateRange({ start: null, end: null }, 'dataSource');
+    await applyCountryToMainChart(countryName);
+
+    logger.info('Dashboard reloaded from data source', {
+        label,
+        kind: source.kind,
+        property: getSanitizedDomain(),
+        dates: transformed.dates.length,
+        pages: transformed.pages.length
+    });
+}
+
+/**
+ * Point the Country dropdown at a country without triggering its change handler
+ */
+function syncCountrySelection(countryName) {
+    const selectEl = document.getElementById('countryFilterSelect');
+    if (selectEl) selectEl.value = countryName;
+    const dropdownEl = document.getElementById('countryDropdown');
+    if (!dropdownEl) return;
+    const selectedTextEl = dropdownEl.querySelector('.country-selected-text');
+    if (selectedTextEl) selectedTextEl.textContent = countryName || 'All countries';
+    dropdownEl.querySelectorAll('.country-dropdown-item').forEach(item => {
+        item.setAttribute('aria-selected', (item.dataset.value || '') === countryName ? 'true' : 'false');
+    });
+}
+
+// ===== Property Switcher =====
+
+/**
+ * Keep the pages of the selected property; dashboard_data.json may cover several.
+ * Its daily totals are dropped unless every page belongs to the property
+ * (the main chart reads the property's daily CSV anyway).
+ */
+function scopeDataToProperty(data) {
+    const property = getDataSource().property;
+    if (!data || !property) return data;
+    const pages = (data.pages || []).filter(p => getPageDomain(p['Top pages'] || '') === property);
+    if (pages.length === (data.pages || []).length) return data;
+    return { ...data, pages, dates: [] };
+}
+
+/**
+ * Pick the starting property: ?property= in the URL, then the last selection
+ */
+async function initializePropertySelection() {
+    availableProperties = await loadPropertyList();
+    const source = getDataSource();
+    if (source.property) return;
+    const saved = getSavedProperty();
+    if (saved && availableProperties.some(p => p.property === saved)) {
+        setDataSource(source.withProperty(saved));
+    }
+}
+
+async function switchProperty(property) {
+    if (!property || property === getSanitizedDomain()) return;
+    saveProperty(property);
+    const label = formatPropertyLabel(property);
+    try {
+        await loadDataSource(getDataSource().withProperty(property), label, { keepView: true });
+        renderPropertySwitcher();
+    } catch (e) {
+        logger.error('Property switch failed', { property, error: e.message });
+    }
+}
+
+function renderPropertySwitcher() {
+    const dropdownEl = document.getElementById('propertyDropdown');
+    const menuEl = document.getElementById('propertyDropdownMenu');
+    if (!dropdownEl || !menuEl) return;
+
+    dropdownEl.hidden = !availableProperties.length;
+    const current = getSanitizedDomain();
+    menuEl.innerHTML = availableProperties.map(({ property, label }) =>
+        `<li class="country-dropdown-item" role="option" tabindex="0" data-value="${escapeHtml(property)}" aria-selected="${property === current}">${escapeHtml(label)}</li>`
+    ).join('');
+    const selectedTextEl = dropdownEl.querySelector('.country-selected-text');
+    if (selectedTextEl) selectedTextEl.textContent = formatPropertyLabel(current);
+}
+
+/**
+ * Property dropdown: one item per property in the manifest
+ */
+function bindPropertySwitcher() {
+    const dropdownEl = document.getElementById('propertyDropdown');
+    const menuEl = document.getElementById('propertyDropdownMenu');
+    const toggleBtn = dropdownEl ? dropdownEl.querySelector('.country-dropdown-toggle') : null;
+    if (!dropdownEl || !menuEl || !toggleBtn) return;
+
+    renderPropertySwitcher();
+
+    const setOpen = (open) => {
+        dropdownEl.classList.toggle('open', open);
+        toggleBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+    };
+
+    menuEl.addEventListener('click', (e) => {
+        const item = e.target.closest('.country-dropdown-item');
+        if (!item) return;
+        setOpen(false);
+        switchProperty(item.dataset.value || '');
+    });
+
+    menuEl.addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.closest('.country-dropdown-item')) {
+            e.preventDefault();
+            e.target.click();
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+            toggleBtn.focus();
+        }
+    });
+
+    toggleBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        setOpen(!dropdownEl.classList.contains('open'));
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!dropdownEl.contains(e.target)) setOpen(false);
+    });
+}
+
+// ===== Offline Data Cache =====
+
+const STALE_DATA_AGE_MS = 24 * 60 * 60 * 1000;
+
+function formatDataAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * "Data as of" badge: oldest sync time of the files on screen
+ */
+function renderDataFreshness(status = getDataSyncStatus()) {
+    const badgeEl = document.getElementById('dataFreshness');
+    if (!badgeEl) return;
+    badgeEl.hidden = !status.syncedAt;
+    if (!status.syncedAt) return;
+
+    const age = Date.now() - status.syncedAt;
+    const syncedAt = new Date(status.syncedAt).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const textEl = badgeEl.querySelector('.data-freshness-text');
+    if (textEl) {
+        textEl.textContent = `Data as of ${syncedAt} (${formatDataAge(age)})${status.offline ? ' · offline' : ''}`;
+    }
+    badgeEl.title = `${status.fromCache} file(s) from the local cache, ${status.fetched} downloaded`;
+    badgeEl.classList.toggle('is-stale', age > STALE_DATA_AGE_MS);
+    badgeEl.classList.toggle('is-offline', status.offline);
+}
+
+function bindDataFreshness() {
+    window.addEventListener('dataSyncStatusChanged', (e) => renderDataFreshness(e.detail));
+    window.addEventListener('dataSourceChanged', resetDataSyncStatus);
+    setInterval(() => renderDataFreshness(), 60000); // keep the age current
+    renderDataFreshness();
+}
+
+/**
+ * Service worker keeps the app shell available offline (data comes from IndexedDB)
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+    navigator.serviceWorker.register('sw.js')
+        .then(reg => logger.info('Service worker registered', { scope: reg.scope }))
+        .catch(error => logger.warn('Service worker registration failed', { error: error.message }));
+}
+
+// ===== Country Comparison =====
+
+/**
+ * Per-date totals across comparison series over the union of their dates.
+ * CTR is recomputed from the sums; position is impression-weighted.
+ */
+function combineCountryDailyDates(seriesList) {
+    const totals = new Map();
+    seriesList.forEach(({ dates }) => {
+        dates.forEach(row => {
+            const entry = totals.get(row.Date) || { Date: row.Date, Clicks: 0, Impressions: 0, weightedPosition: 0 };
+            entry.Clicks += row.Clicks || 0;
+            entry.Impressions += row.Impressions || 0;
+            entry.weightedPosition += (row.Position || 0) * (row.Impressions || 0);
+            totals.set(row.Date, entry);
+        });
+    });
+    return Array.from(totals.values())
+        .map(({ Date: date, Clicks, Impressions, weightedPosition }) => ({
+            Date: date,
+            Clicks,
+            Impressions,
+            CTR: `${(Impressions > 0 ? (Clicks / Impressions) * 100 : 0).toFixed(2)}%`,
+            Position: Impressions > 0 ? weightedPosition / Impressions : 0
+        }))
+        .sort((a, b) => new Date(a.Date) - new Date(b.Date));
+}
+
+/**
+ * Plot one line per country for the selected metric. Fewer than two countries
+ * falls back to the single-country chart of the Country filter.
+ */
+async function applyCountryComparison(countryNames) {
+    comparisonCountries = countryNames.filter(name => countryNameToISO3[name]);
+    const requestId = ++comparisonRequestId;
+    updateCountryCompareLabel();
+    window.dispatchEvent(new CustomEvent('countryComparisonChanged', {
+        detail: { countries: comparisonCountries.slice() }
+    }));
+
+    if (comparisonCountries.length < 2) {
+        if (globalData.comparisonSeries?.length) await applyCountryToMainChart(currentCountryFilter);
+        return;
+    }
+    setComparisonGroups([]);
+
+    const chartLoading = document.getElementById('chartLoadingIndicator');
+    if (chartLoading) chartLoading.style.display = 'block';
+    try {
+        const loaded = await Promise.all(comparisonCountries.map(async (name) => ({
+            name,
+            iso3: countryNameToISO3[name],
+            dates: await loadCountryDailyDates(countryNameToISO3[name])
+        })));
+        if (requestId !== comparisonRequestId) return;
+
+        loaded.filter(s => !s.dates.length).forEach(s => markCountryWithoutData(s.name));
+        const comparisonSeries = loaded
+            .filter(s => s.dates.length)
+            .map((s, index) => ({
+                label: s.name,
+                iso3: s.iso3,
+                color: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+                dates: s.dates
+            }));
+        if (!comparisonSeries.length) {
+            setChartNoDataState('No data exported for the selected countries.');
+            return;
+        }
+        setChartNoDataState('');
+
+        const chartData = { ...globalData, dates: combineCountryDailyDates(comparisonSeries), comparisonSeries };
+        globalData = chartData;
+        window.globalData = globalData;
+
+        const { updateChartById } = await import('./charts.js');
+        updateChartById('performance', chartData);
+        keepPerformanceChartRange();
+        await updateKpisForCurrentSelection();
+
+        logger.info('Country comparison applied', { countries: comparisonSeries.map(s => s.iso3) });
+    } catch (error) {
+        logger.error('Failed to apply country comparison', { error: error.message });
+    } finally {
+        if (chartLoading) chartLoading.style.display = 'none';
+    }
+}
+
+function updateCountryCompareLabel() {
+    const dropdownEl = document.getElementById('countryCompareDropdown');
+    const textEl = dropdownEl ? dropdownEl.querySelector('.country-selected-text') : null;
+    if (textEl) {
+        textEl.textContent = comparisonCountries.length >= 2
+            ? `${comparisonCountries.length} countries`
+            : (comparisonCountries[0] || 'Off');
+    }
+    const menuEl = document.getElementById('countryCompareMenu');
+    if (menuEl) {
+        menuEl.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = comparisonCountries.includes(input.value);
+        });
+    }
+}
+
+/**
+ * Compare dropdown items from the current country list and export status
+ */
+function renderCountryCompareItems() {
+    const menuEl = document.getElementById('countryCompareMenu');
+    if (!menuEl) return;
+    menuEl.innerHTML = [
+        ...Object.entries(countryNameToISO3).map(([name, iso3]) => {
+            const disabled = countryExportStatus.get(iso3) === false;
+            return `<li class="country-dropdown-item country-compare-item"${disabled ? ' data-exported="false"' : ''}>
+                <label><input type="checkbox" value="${escapeHtml(name)}"${disabled ? ' disabled' : ''}> ${escapeHtml(name)}</label>
+                ${disabled ? '<span class="country-no-data">No data</span>' : ''}
+            </li>`;
+        }),
+        '<li class="country-compare-actions"><button type="button" class="country-compare-clear">Clear</button></li>'
+    ].join('');
+    updateCountryCompareLabel();
+}
+
+/**
+ * Compare dropdown: checkbox per country; checking two or more switches the chart to comparison
+ */
+function bindCountryCompare() {
+    const dropdownEl = document.getElementById('countryCompareDropdown');
+    const menuEl = document.getElementById('countryCompareMenu');
+    const toggleBtn = dropdownEl ? dropdownEl.querySelector('.country-dropdown-toggle') : null;
+    if (!dropdownEl || !menuEl || !toggleBtn) return;
+
+    renderCountryCompareItems();
+
+    const setOpen = (open) => {
+        dropdownEl.classList.toggle('open', open);
+        toggleBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+    };
+
+    menuEl.addEventListener('change', (e) => {
+        if (e.target.type !== 'checkbox') return;
+        const checked = Array.from(menuEl.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+        applyCountryComparison(checked);
+    });
+
+    menuEl.addEventListener('click', (e) => {
+        if (!e.target.closest('.country-compare-clear')) return;
+        applyCountryComparison([]);
+        setOpen(false);
+    });
+
+    toggleBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        setOpen(!dropdownEl.classList.contains('open'));
+    });
+
+    toggleBtn.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') setOpen(false);
+    });
+
+    // Close when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!dropdownEl.contains(e.target)) setOpen(false);
+    });
+}
+
 function bindCountryFilter() {
     const selectEl = document.getElementById('countryFilterSelect');
     if (!selectEl) return;
@@ -266,10 +937,11 @@ function bindCountryFilter() {
     const toggleBtn = dropdownEl ? dropdownEl.querySelector('.country-dropdown-toggle') : null;
     const selectedTextEl = dropdownEl ? dropdownEl.querySelector('.country-selected-text') : null;
     const menuEl = document.getElementById('countryDropdownMenu');
-    const items = Array.from(menuEl ? menuEl.querySelectorAll('.country-dropdown-item') : []);
+    // Items are re-rendered when the country list or data source changes, so look them up live
+    const getItems = () => Array.from(menuEl ? menuEl.querySelectorAll('.country-dropdown-item') : []);
 
     // Ensure items are focusable for keyboard navigation
-    items.forEach(item => { item.tabIndex = 0; });
+    getItems().forEach(item => { item.tabIndex = 0; });
 
     // Hover intent: open only on toggle hover; keep open while hovering the menu
     let hoverCloseTimeout = null;
@@ -290,27 +962,33 @@ function bindCountryFilter() {
 
     function updateLabelFromSelect() {
         if (selectedTextEl) selectedTextEl.textContent = selectEl.value || 'All countries';
-        items.forEach(item => {
+        getItems().forEach(item => {
             const isSelected = (item.dataset.value || '') === (selectEl.value || '');
             item.setAttribute('aria-selected', isSelected ? 'true' : 'false');
         });
     }
 
-    // Restore last selection from localStorage if available; default to United States
-    try {
-        const last = localStorage.getItem('dashboard:lastCountrySelection') || '';
-        const hasLast = typeof last === 'string' && Array.from(selectEl.options).some(o => o.value === last) && last !== '';
-        const desired = hasLast ? last : 'United States';
-        if (selectEl.value !== desired) {
-            selectEl.value = desired;
-            // Trigger change to apply data and update label
-            setTimeout(() => selectEl.dispatchEvent(new Event('change', { bubbles: true })), 0);
-        }
-    } catch (_) {}
+    // Restore the linked or last selection; default to United States
+    const initial = getInitialCountry();
+    const desired = Array.from(selectEl.options).some(o => o.value === initial) ? initial : 'United States';
+    if (desired === currentCountryFilter) {
+        // Already charted during init; only the controls need to catch up
+        syncCountrySelection(desired);
+    } else if (selectEl.value !== desired) {
+        selectEl.value = desired;
+        // Trigger change to apply data and update label
+        setTimeout(() => selectEl.dispatchEvent(new Event('change', { bubbles: true })), 0);
+    }
 
     // Keep existing logic and sync the custom UI
     selectEl.addEventListener('change', (e) => {
         const countryName = e.target.value || '';
+        // Picking a single country leaves comparison mode
+        if (comparisonCountries.length) {
+            comparisonCountries = [];
+            comparisonRequestId++;
+            updateCountryCompareLabel();
+        }
         applyCountryToMainChart(countryName);
         updateLabelFromSelect();
         // Persist last selection
@@ -318,39 +996,38 @@ function bindCountryFilter() {
     });
 
     // Click selection for custom items
-    items.forEach(item => {
-        item.addEventListener('click', () => {
-            const value = item.dataset.value || '';
-            if (selectEl.value !== value) {
-                selectEl.value = value;
-                selectEl.dispatchEvent(new Event('change', { bubbles: true }));
-            } else {
-                updateLabelFromSelect();
-            }
-            closeMenu(0);
-        });
-
-        // Keyboard support on items
-        item.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                item.click();
-            } else if (e.key === 'Escape') {
-                closeMenu(0);
-                if (toggleBtn) toggleBtn.focus();
-            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
-                e.preventDefault();
-                const currentIndex = items.indexOf(item);
-                const nextIndex = e.key === 'ArrowDown'
-                    ? (currentIndex + 1) % items.length
-                    : (currentIndex - 1 + items.length) % items.length;
-                items[nextIndex].focus();
-            }
-        });
+    menuEl?.addEventListener('click', (e) => {
+        const item = e.target.closest('.country-dropdown-item');
+        if (!item) return;
+        const value = item.dataset.value || '';
+        if (selectEl.value !== value) {
+            selectEl.value = value;
+            selectEl.dispatchEvent(new Event('change', { bubbles: true }));
+        } else {
+            updateLabelFromSelect();
+        }
+        closeMenu(0);
+    });
 
-        // Hover handling for menu items (keep open while over items)
-        item.addEventListener('mouseenter', () => openMenu());
-        item.addEventListener('mouseleave', () => closeMenu());
+    // Keyboard support on items
+    menuEl?.addEventListener('keydown', (e) => {
+        const item = e.target.closest('.country-dropdown-item');
+        if (!item) return;
+        const items = getItems();
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            item.click();
+        } else if (e.key === 'Escape') {
+            closeMenu(0);
+            if (toggleBtn) toggleBtn.focus();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const currentIndex = items.indexOf(item);
+            const nextIndex = e.key === 'ArrowDown'
+                ? (currentIndex + 1) % items.length
+                : (currentIndex - 1 + items.length) % items.length;
+            items[nextIndex].focus();
+        }
     });
 
     // Toggle via button for touch/click devices (hover is handled via CSS)
@@ -360,7 +1037,7 @@ function bindCountryFilter() {
             const willOpen = !dropdownEl.classList.contains('open');
             if (willOpen) {
                 openMenu();
-                if (items.length) items[0].focus();
+                getItems()[0]?.focus();
             } else {
                 closeMenu(0);
             }
@@ -370,7 +1047,7 @@ function bindCountryFilter() {
             if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown') {
                 e.preventDefault();
                 openMenu();
-                if (items.length) items[0].focus();
+                getItems()[0]?.focus();
             } else if (e.key === 'Escape') {
                 closeMenu(0);
             }
@@ -420,13 +1097,30 @@ async function updateKpisForCurrentSelection() {
     try {
         // Base dates based on current country selection
         let dates = aggregatedDatesCache?.length ? aggregatedDatesCache : (globalData.dates || []);
-        if (currentCountryFilter && countryNameToISO3[currentCountryFilter]) {
+        const comparisonSeries = globalData.comparisonSeries || [];
+        if (comparisonSeries.length || (currentCountryFilter && countryNameToISO3[currentCountryFilter])) {
             dates = (globalData.dates || []).slice();
         }
         // Respect current visible/selected date range
         const range = getCurrentGlobalRangeSafe();
         const filteredDates = filterDatesByRange(dates, range);
         const kpiData = { ...globalData, dates: filteredDates };
+        // Compare mode: cards show the change against the comparison range
+        const comparisonRange = getComparisonRange(range);
+        if (comparisonRange) {
+            kpiData.comparison = {
+                label: comparisonRange.label,
+                dates: filterDatesByRange(dates, comparisonRange)
+            };
+        }
+        if (comparisonSeries.length) {
+            // Comparison: cards show the combined total plus one row per country
+            kpiData.countryBreakdown = comparisonSeries.map(({ label, color, dates: countryDates }) => ({
+                label,
+                color,
+                dates: filterDatesByRange(countryDates, range)
+            }));
+        }
         const { updateOverviewMetrics } = await import('./dashboardUpdates.js');
         updateOverviewMetrics(kpiData);
     } catch (e) {
@@ -434,6 +1128,203 @@ async function updateKpisForCurrentSelection() {
     }
 }
 
+// ===== Content Groups =====
+
+/**
+ * Weekly totals per content group for a scope ('' = all countries), memoized per
+ * group config. Built from the weekly export of every page in the page list.
+ * Resolves null for imported exports, which have no weekly files.
+ */
+function loadContentGroupSeries(iso3 = '') {
+    if (importedDataLabel) return Promise.resolve(null);
+    const cacheKey = `${iso3}|${contentGroupRegistry.revision}`;
+    if (!contentGroupSeriesCache.has(cacheKey)) {
+        const series = buildContentGroupSeries(iso3).catch(error => {
+            contentGroupSeriesCache.delete(cacheKey);
+            throw error;
+        });
+        contentGroupSeriesCache.set(cacheKey, series);
+    }
+    return contentGroupSeriesCache.get(cacheKey);
+}
+
+async function buildContentGroupSeries(iso3) {
+    const urls = Array.from(new Set((globalData.pages || [])
+        .map(page => normalizePageUrl(page?.['Top pages'] || ''))
+        .filter(Boolean)));
+    const pages = [];
+    const uncheckedByFile = new Map();
+    const batchSize = 25;
+    for (let i = 0; i < urls.length; i += batchSize) {
+        const batch = urls.slice(i, i + batchSize);
+        const payloads = await Promise.all(batch.map(url => loadWeeklyPayloadForUrl(sanitizeUrlToFilename(url), iso3)));
+        payloads.forEach((payload, idx) => {
+            if (!payload) return;
+            if (!payload.checked) uncheckedByFile.set(payload.file, payload);
+            pages.push({
+                url: batch[idx],
+                group: classifyUrl(batch[idx]),
+                file: payload.file,
+                validate: !payload.checked,
+                ...(typeof payload.text === 'string' ? { text: payload.text } : { rows: payload.rows })
+            });
+        });
+    }
+    const { groups, issues } = await topPagesWorkerPool.run('aggregateWeeklyByGroup', { pages });
+    recordWeeklySchemaIssues(issues, uncheckedByFile);
+    logger.info('Content group series built', { iso3, pages: pages.length, groups: groups.map(g => g.id) });
+    return groups;
+}
+
+/**
+ * Set the compared content groups and tell the group panel (no event when unchanged)
+ */
+function setComparisonGroups(groupIds) {
+    const next = groupIds.filter(id => contentGroupRegistry.hasGroup(id));
+    if (next.join(',') === comparisonGroups.join(',')) return;
+    comparisonGroups = next;
+    window.dispatchEvent(new CustomEvent('contentGroupComparisonChanged', {
+        detail: { groups: comparisonGroups.slice() }
+    }));
+}
+
+/**
+ * Plot one weekly line per content group for the selected metric (e.g. doctor profiles
+ * vs clinic pages), for the Country filter's country. Leaves country comparison; no
+ * groups goes back to the Country filter's daily chart.
+ */
+async function applyGroupComparison(groupIds) {
+    const requestId = ++comparisonRequestId;
+    if (comparisonCountries.length) {
+        comparisonCountries = [];
+        updateCountryCompareLabel();
+        window.dispatchEvent(new CustomEvent('countryComparisonChanged', { detail: { countries: [] } }));
+    }
+    setComparisonGroups(groupIds);
+    if (!comparisonGroups.length) {
+        if (globalData.comparisonSeries?.length) await applyCountryToMainChart(currentCountryFilter);
+        return;
+    }
+
+    const chartLoading = document.getElementById('chartLoadingIndicator');
+    if (chartLoading) chartLoading.style.display = 'block';
+    try {
+        const groups = await loadContentGroupSeries(getCurrentCountrySelection().iso3);
+        if (requestId !== comparisonRequestId) return;
+
+        const weeksById = new Map((groups || []).map(group => [group.id, group.weeks]));
+        const comparisonSeries = comparisonGroups
+            .filter(id => weeksById.get(id)?.length)
+            .map((id, index) => ({
+                label: getGroupLabel(id),
+                groupId: id,
+                color: contentGroupRegistry.getColor(id) || COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+                dates: weeksById.get(id)
+            }));
+        if (!comparisonSeries.length) {
+            setChartNoDataState('No weekly data for the selected content groups.');
+            return;
+        }
+        setChartNoDataState('');
+
+        const chartData = { ...globalData, dates: combineCountryDailyDates(comparisonSeries), comparisonSeries };
+        globalData = chartData;
+        window.globalData = globalData;
+
+        const { updateChartById } = await import('./charts.js');
+        updateChartById('performance', chartData);
+        keepPerformanceChartRange();
+        await updateKpisForCurrentSelection();
+
+        logger.info('Content group comparison applied', { groups: comparisonSeries.map(s => s.groupId) });
+    } catch (error) {
+        logger.error('Failed to apply content group comparison', { error: error.message });
+        if (requestId === comparisonRequestId) setComparisonGroups([]);
+    } finally {
+        if (chartLoading) chartLoading.style.display = 'none';
+    }
+}
+
+// ===== Opportunities =====
+
+/**
+ * Range totals for every page in the page list ('' = all countries), as Top Pages
+ * summaries (Opportunities, the Pages CTR curve). Imported exports have no weekly
+ * files; their page totals are used as-is.
+ * @param {Object} options - { signal } to drop the worker tasks of a superseded load
+ */
+async function loadOpportunityPages(iso3 = '', range = null, { signal } = {}) {
+    if (importedDataLabel) return (globalData.pages || []).slice();
+    const urls = Array.from(new Set((globalData.pages || [])
+        .map(page => normalizePageUrl(page?.['Top pages'] || ''))
+        .filter(Boolean)));
+    const summaries = [];
+    const batchSize = 25;
+    for (let i = 0; i < urls.length; i += batchSize) {
+        const batch = urls.slice(i, i + batchSize);
+        const payloads = await Promise.all(batch.map(url => loadWeeklyPayloadForUrl(sanitizeUrlToFilename(url), iso3)));
+        const pages = [];
+        const uncheckedByFile = new Map();
+        payloads.forEach((payload, idx) => {
+            if (!payload) return;
+            if (!payload.checked) uncheckedByFile.set(payload.file, payload);
+            pages.push({
+                url: batch[idx],
+                file: payload.file,
+                validate: !payload.checked,
+                ...(typeof payload.text === 'string' ? { text: payload.text } : { rows: payload.rows })
+            });
+        });
+        const result = await topPagesWorkerPool.run('summarizeWeeklyPages', {
+            pages,
+            range: range && { start: range.start, end: range.end },
+            previousRange: getPreviousPeriodRange(range)
+        }, { signal });
+        recordWeeklySchemaIssues(result.issues, uncheckedByFile);
+        summaries.push(...result.summaries);
+    }
+    return summaries;
+}
+
+/**
+ * Page_Weekly keyword rows for a page; null for imported exports, which have none
+ */
+function loadOpportunityKeywordRows(url, iso3 = '') {
+    if (importedDataLabel) return Promise.resolve(null);
+    return loadPageKeywordRowsForUrl(sanitizeUrlToFilename(normalizePageUrl(url)), iso3);
+}
+
+// ===== CTR Curve =====
+
+/**
+ * Rows to fit the expected CTR curve from ({ clicks, impressions, position, device? }):
+ * daily query rows (keywords/Site_Daily) or all-time page totals. Imported exports use
+ * their Queries.csv / Pages.csv totals.
+ */
+async function loadCtrCurveRows(source, iso3 = '') {
+    if (importedDataLabel) {
+        return ((source === 'pages' ? globalData.pages : globalData.queries) || []).map(row => ({
+            clicks: Number(row.Clicks) || 0,
+            impressions: Number(row.Impressions) || 0,
+            position: Number(row.Position) || 0
+        }));
+    }
+    if (source === 'pages') {
+        return (await loadOpportunityPages(iso3)).map(page => ({
+            clicks: page.Clicks || 0,
+            impressions: page.Impressions || 0,
+            position: page.Position || 0
+        }));
+    }
+    const rows = await loadCsvRowsCached(siteKeywordsCsvCache, iso3, 'siteKeywordsCsv', { iso3 });
+    return rows.map(row => ({
+        clicks: Number(row.clicks) || 0,
+        impressions: Number(row.impressions) || 0,
+        position: Number(row.position) || 0,
+        device: row.device || ''
+    }));
+}
+
 // ===== Top Pages Weekly Data Sync =====
 function ensureTopPagesCandidates() {
     if (topPagesCandidatesCache.length) return topPagesCandidatesCache;
@@ -465,117 +1356,165 @@ function sanitizeUrlToFilename(url) {
     }
 }
 
-function weeklyRowOverlapsRange(row, range) {
-    if (!range || !range.start || !range.end) return true;
-    const rs = parseDate(row.start_date);
-    const re = parseDate(row.end_date);
-    const s = parseDate(range.start);
-    const e = parseDate(range.end);
-    if (!rs || !re || !s || !e) return true;
-    return re >= s && rs <= e;
+/**
+ * Raw CSV rows for a data source resource, memoized in the given cache.
+ * Resolves [] when the file is missing or can't be parsed.
+ */
+async function loadCsvRowsCached(cache, cacheKey, resource, params) {
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+    const rows = await getDataSource().loadCsvRows(resource, params).catch(() => []);
+    cache.set(cacheKey, rows);
+    return rows;
 }
 
-function aggregateWeeklyRows(rows) {
-    if (!rows || !rows.length) return { clicks: 0, impressions: 0, ctrPct: '0.00%', position: 0 };
-    let clicks = 0, impressions = 0, ctrSum = 0, posSum = 0, n = 0;
-    for (const r of rows) {
-        clicks += Number(r.clicks || 0);
-        impressions += Number(r.impressions || 0);
-        let ctrFrac = 0;
-        if (r.ctr !== undefined) {
-            const v = String(r.ctr);
-            ctrFrac = v.includes('%') ? (parseFloat(v.replace('%', '')) / 100) : parseFloat(v) || 0;
-        }
-        const pos = Number(r.position || 0);
-        if (r.impressions && Number(r.impressions) > 0) {
-            ctrSum += (ctrFrac * 100);
-            posSum += pos;
-            n += 1;
-        }
+/**
+ * Weekly bundle for a scope (one file instead of a CSV per page), or null when the
+ * source has none and pages fall back to their CSVs
+ */
+function loadWeeklyBundle(iso3 = '') {
+    if (!weeklyBundleCache.has(iso3)) {
+        const source = getDataSource();
+        const bundle = source.loadBinary('weeklyBundle', { iso3 })
+            .then(buffer => ({ ...decodeWeeklyBundle(buffer), file: source.describe('weeklyBundle', { iso3 }) }))
+            .catch(error => {
+                logger.debug('No weekly bundle; reading per-page CSVs', { iso3, error: error.message });
+                return null;
+            });
+        weeklyBundleCache.set(iso3, bundle);
     }
-    const ctrPct = n > 0 ? (ctrSum / n).toFixed(2) + '%' : '0.00%';
-    const position = n > 0 ? posSum / n : 0;
-    return { clicks, impressions, ctrPct, position };
+    return weeklyBundleCache.get(iso3);
 }
 
-async function loadWeeklyRowsForUrl(sanitizedName, iso3 = '', normalizedUrl = '') {
+/**
+ * Weekly CSV payload for one page ({ file, text } or { file, rows }), memoized.
+ * Resolves null when the page has no weekly export.
+ */
+async function loadWeeklyPayloadForUrl(sanitizedName, iso3 = '') {
     // Aggregated source must be read from aggregated weekly CSV files
-    if (!iso3) {
-        const cacheKey = sanitizedName;
-        if (aggregatedWeeklyCsvCache.has(cacheKey)) return aggregatedWeeklyCsvCache.get(cacheKey);
-        const path = `Data/weekly_data_output/aggregated/${sanitizedName}_weekly_all_data.csv`;
-        const rows = await new Promise((resolve) => {
-            const Papa = window.Papa;
-            if (!Papa) return resolve([]);
-            Papa.parse(path, {
-                download: true,
-                header: true,
-                dynamicTyping: false,
-                skipEmptyLines: true,
-                complete: (res) => resolve(res?.data || []),
-                error: () => resolve([])
-            });
-        });
-        aggregatedWeeklyCsvCache.set(cacheKey, rows);
-        return rows;
+    const cache = iso3 ? byCountryCsvCache : aggregatedWeeklyCsvCache;
+    const cacheKey = iso3 ? `${iso3}|${sanitizedName}` : sanitizedName;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+    const bundle = await loadWeeklyBundle(iso3);
+    // Bundled rows were schema-checked by build_weekly_bundle.mjs
+    const payload = bundle
+        ? (bundle.pages.has(sanitizedName) ? { file: `${bundle.file}#${sanitizedName}`, rows: bundle.pages.get(sanitizedName), checked: true } : null)
+        : await getDataSource().loadCsvPayload('weeklyCsv', { page: sanitizedName, iso3 }).catch(() => null);
+    cache.set(cacheKey, payload);
+    return payload;
+}
+
+/**
+ * Record the schema checks a worker ran on weekly payloads and mark those payloads checked
+ * @param {Array} issues - [{ file, issues }] from a weekly worker task
+ * @param {Map} uncheckedByFile - file -> payload sent with validate: true
+ */
+function recordWeeklySchemaIssues(issues, uncheckedByFile) {
+    issues.forEach(({ file, issues: fileIssues }) => {
+        recordSchemaIssues(file, CSV_SCHEMAS.weeklyCsv.label, fileIssues);
+        if (uncheckedByFile.has(file)) uncheckedByFile.get(file).checked = true;
+    });
+}
+
+/**
+ * Parsed weekly rows for one page (page detail view); Top Pages parses in the worker pool
+ */
+async function loadWeeklyRowsForUrl(sanitizedName, iso3 = '') {
+    const payload = await loadWeeklyPayloadForUrl(sanitizedName, iso3);
+    if (!payload) return [];
+    if (!payload.rows) payload.rows = parseCsvText(payload.text);
+    if (!payload.checked) {
+        recordSchemaIssues(payload.file, CSV_SCHEMAS.weeklyCsv.label, validateCsvRows('weeklyCsv', payload.rows));
+        payload.checked = true;
     }
-    const cacheKey = `${iso3}|${sanitizedName}`;
-    if (byCountryCsvCache.has(cacheKey)) return byCountryCsvCache.get(cacheKey);
-    const path = `Data/weekly_data_output/by_country/${iso3}/${sanitizedName}_weekly_all_data.csv`;
-    const rows = await new Promise((resolve, reject) => {
-        const Papa = window.Papa;
-        if (!Papa) return resolve([]);
-        Papa.parse(path, {
-            download: true,
-            header: true,
-            dynamicTyping: false,
-            skipEmptyLines: true,
-            complete: (res) => resolve(res?.data || []),
-            error: () => resolve([])
-        });
+    return payload.rows;
+}
+
+async function loadPageKeywordRowsForUrl(sanitizedName, iso3 = '') {
+    return loadCsvRowsCached(pageKeywordsCsvCache, `${iso3}|${sanitizedName}`, 'pageKeywordsCsv', { page: sanitizedName, iso3 });
+}
+
+/**
+ * Weekly series for one page in chart format ({ Date, Clicks, Impressions, CTR, Position })
+ */
+async function loadPageWeeklyDates(url, iso3 = '') {
+    const normalized = normalizePageUrl(url);
+    const rows = await loadWeeklyRowsForUrl(sanitizeUrlToFilename(normalized), iso3);
+    return parseDailyCsvRowsToDates(rows);
+}
+
+// ===== Page Keywords Drilldown =====
+function openPageKeywords(url, event) {
+    // Let the card's external link open the page instead of the drawer
+    if (event?.target?.closest?.('a')) return;
+    const normalized = normalizePageUrl(url);
+    if (!normalized) return;
+    const sanitized = sanitizeUrlToFilename(normalized);
+    pageKeywordsPanel.open(normalized, {
+        loadRows: (iso3) => loadPageKeywordRowsForUrl(sanitized, iso3)
     });
-    byCountryCsvCache.set(cacheKey, rows);
-    return rows;
 }
 
 async function updateTopPagesForCurrentSelection() {
     try {
+        if (importedDataLabel) {
+            // Imported exports carry one total per page (no weekly files to aggregate)
+            updateTopPagesForCurrentSelection._token = (updateTopPagesForCurrentSelection._token || 0) + 1;
+            topPagesAbortController?.abort();
+            const pages = (globalData.pages || []).slice().sort((a, b) => (b.Clicks || 0) - (a.Clicks || 0));
+            const emptyMessage = pages.length ? '' : `No Pages.csv in ${importedDataLabel}.`;
+            const { updateTopPagesTable } = await import('./dashboardUpdates.js');
+            await updateTopPagesTable({ ...globalData, pages, emptyMessage });
+            return;
+        }
+
         // Support cancellation to keep zoom interactions smooth
         updateTopPagesForCurrentSelection._token = (updateTopPagesForCurrentSelection._token || 0) + 1;
         const runToken = updateTopPagesForCurrentSelection._token;
+        // Drop the previous run's queued and in-flight worker tasks
+        topPagesAbortController?.abort();
+        const abortController = new AbortController();
+        topPagesAbortController = abortController;
         const range = getCurrentGlobalRangeSafe();
         const country = currentCountryFilter;
         const iso3 = country ? countryNameToISO3[country] : '';
+        const previousRange = getPreviousPeriodRange(range);
         const candidates = ensureTopPagesCandidates();
 
         // Load and aggregate in small batches for responsiveness
         const batchSize = 25;
         const pageMap = new Map(); // normalizedUrl -> aggregated metrics
+        let weeklyFilesFound = false;
         let initialDisplayed = false;
         let lastStreamTs = 0;
         for (let i = 0; i < candidates.length; i += batchSize) {
             // Abort if a newer request superseded this one
             if (runToken !== updateTopPagesForCurrentSelection._token) return;
-            const batch = candidates.slice(i, i + batchSize);
-            const batchPromises = batch.map(async (url) => {
-                const normalized = normalizePageUrl(url);
-                const sanitized = sanitizeUrlToFilename(normalized);
-                const rows = await loadWeeklyRowsForUrl(sanitized, iso3 || '', normalized);
-                if (!rows.length) return null;
-                const filtered = rows.filter(r => weeklyRowOverlapsRange(r, range));
-                // Skip pages with no overlap in the selected date range to avoid zero KPIs
-                if (!filtered.length) return null;
-                const agg = aggregateWeeklyRows(filtered);
-                return {
-                    'Top pages': normalized,
-                    Clicks: agg.clicks,
-                    Impressions: agg.impressions,
-                    CTR: agg.ctrPct,
-                    Position: agg.position
-                };
+            const batch = candidates.slice(i, i + batchSize).map(url => normalizePageUrl(url));
+            const payloads = await Promise.all(batch.map(url => loadWeeklyPayloadForUrl(sanitizeUrlToFilename(url), iso3 || '')));
+            if (runToken !== updateTopPagesForCurrentSelection._token) return;
+            // Parsing, range filtering and aggregation run in the worker pool
+            const pages = [];
+            const uncheckedByFile = new Map();
+            payloads.forEach((payload, idx) => {
+                if (!payload) return;
+                if (!payload.checked) uncheckedByFile.set(payload.file, payload);
+                pages.push({
+                    url: batch[idx],
+                    file: payload.file,
+                    validate: !payload.checked,
+                    ...(typeof payload.text === 'string' ? { text: payload.text } : { rows: payload.rows })
+                });
             });
-            const results = await Promise.all(batchPromises);
-            results.filter(Boolean).forEach(page => {
+            const { summaries, found, issues } = await topPagesWorkerPool.run(
+                'summarizeWeeklyPages',
+                { pages, range: range && { start: range.start, end: range.end }, previousRange },
+                { signal: abortController.signal }
+            );
+            recordWeeklySchemaIssues(issues, uncheckedByFile);
+            // A country's export can skip the top candidates, so every batch is read before
+            // the country counts as having no weekly data
+            if (found) weeklyFilesFound = true;
+            summaries.forEach(page => {
                 const key = page['Top pages'];
                 const existing = pageMap.get(key);
                 if (existing) {
@@ -588,6 +1527,13 @@ async function updateTopPagesForCurrentSelection() {
                         Impressions: imps,
                         CTR: imps > 0 ? ((clicks / imps) * 100).toFixed(2) + '%' : '0.00%',
                         Position: pos,
+                        Weeks: Math.max(existing.Weeks || 0, page.Weeks || 0),
+                        weeks_active: Math.max(existing.weeks_active || 0, page.weeks_active || 0),
+                        clicks_variance: (existing.clicks_variance || 0) + (page.clicks_variance || 0),
+                        PreviousClicks: (existing.PreviousClicks === null || page.PreviousClicks === null)
+                            ? null
+                            : (existing.PreviousClicks || 0) + (page.PreviousClicks || 0),
+                        PreviousWeeks: Math.max(existing.PreviousWeeks || 0, page.PreviousWeeks || 0),
                         'Top pages': key
                     });
                 } else {
@@ -640,15 +1586,7 @@ async function updateTopPagesForCurrentSelection() {
 
                 // Soft-prioritize currently selected type (no filtering)
                 if (typeFilter && typeFilter !== 'All') {
-                    const matchesType = (url = '') => {
-                        const low = String(url).toLowerCase();
-                        if (typeFilter === 'Blog') return /\/blog(?:[\/_\-]|$)/.test(low);
-                        if (typeFilter === 'Clinics') return /\/clinics(?:[\/_\-]|$)/.test(low);
-                        if (typeFilter === 'Doctors') return /\/our-doctors(?:[\/_\-]|$)/.test(low);
-                        if (typeFilter === 'Locations') return /\/locations(?:[\/_\-]|$)/.test(low);
-                        if (typeFilter === 'Page') return !( /\/blog(?:[\/_\-]|$)/.test(low) || /\/clinics(?:[\/_\-]|$)/.test(low) || /\/our-doctors(?:[\/_\-]|$)/.test(low) || /\/locations(?:[\/_\-]|$)/.test(low) );
-                        return false;
-                    };
+                    const matchesType = (url = '') => classifyUrl(url) === typeFilter;
                     const first = [];
                     const rest = [];
                     for (const p of prioritized) {
@@ -721,15 +1659,7 @@ async function updateTopPagesForCurrentSelection() {
 
             // Soft-prioritize selected type without filtering
             if (typeFilter && typeFilter !== 'All') {
-                const matchesType = (url = '') => {
-                    const low = String(url).toLowerCase();
-                    if (typeFilter === 'Blog') return /\/blog(?:[\/_\-]|$)/.test(low);
-                    if (typeFilter === 'Clinics') return /\/clinics(?:[\/_\-]|$)/.test(low);
-                    if (typeFilter === 'Doctors') return /\/our-doctors(?:[\/_\-]|$)/.test(low);
-                    if (typeFilter === 'Locations') return /\/locations(?:[\/_\-]|$)/.test(low);
-                    if (typeFilter === 'Page') return !( /\/blog(?:[\/_\-]|$)/.test(low) || /\/clinics(?:[\/_\-]|$)/.test(low) || /\/our-doctors(?:[\/_\-]|$)/.test(low) || /\/locations(?:[\/_\-]|$)/.test(low) );
-                    return false;
-                };
+                const matchesType = (url = '') => classifyUrl(url) === typeFilter;
                 const first = [];
                 const rest = [];
                 for (const p of finalPages) {
@@ -740,18 +1670,77 @@ async function updateTopPagesForCurrentSelection() {
         } else {
             finalPages.sort((a, b) => (b.Clicks || 0) - (a.Clicks || 0));
         }
-        const dataForComponent = { ...globalData, pages: finalPages };
+        const emptyMessage = (iso3 && !weeklyFilesFound) ? getCountryNoDataMessage(country) : '';
+        const dataForComponent = { ...globalData, pages: finalPages, emptyMessage };
         const { updateTopPagesTable } = await import('./dashboardUpdates.js');
         // Abort delivering result if superseded
         if (runToken !== updateTopPagesForCurrentSelection._token) return;
         await updateTopPagesTable(dataForComponent);
     } catch (e) {
+        if (isAbortError(e)) return; // superseded by a newer selection
         logger.error('Failed updating Top Pages for current selection', { error: e.message });
     }
 }
 
 // View toggle is handled internally by the TopPagesTableComponent
 
+// ===== Shareable View State =====
+
+/**
+ * Sidebar section to open with (?section=), overview by default
+ */
+function getInitialSection() {
+    const { section } = readViewState();
+    return isNavSection(section) ? section : 'overview';
+}
+
+/**
+ * Current view for the URL (see js/viewState.js)
+ */
+function getViewState() {
+    const range = getCurrentGlobalRangeSafe();
+    return {
+        section: getCurrentNavSection(),
+        range: range?.start && range?.end ? { start: range.start, end: range.end } : null,
+        country: getCurrentCountrySelection().iso3,
+        compare: comparisonCountries.map(name => countryNameToISO3[name]).filter(Boolean),
+        metrics: Array.from(getSelectedMetrics()),
+        topPages: getTopPagesUIState()
+    };
+}
+
+/**
+ * Bring the dashboard to a view read from the URL; parts already matching are skipped.
+ * The section is handled by the caller (init) or NavbarManager (back/forward).
+ */
+async function applyViewState(state) {
+    if (state.country !== undefined && state.country !== getCurrentCountrySelection().iso3) {
+        const countryName = getCountryNameForISO3(state.country);
+        if (countryName !== null) {
+            syncCountrySelection(countryName);
+            await applyCountryToMainChart(countryName);
+        }
+    }
+
+    const compareNames = state.compare.map(getCountryNameForISO3).filter(Boolean);
+    if (compareNames.join(',') !== comparisonCountries.join(',')) {
+        await applyCountryComparison(compareNames);
+    }
+
+    const range = getCurrentGlobalRangeSafe();
+    const sameRange = (range?.start || null) === (state.range?.start || null)
+        && (range?.end || null) === (state.range?.end || null);
+    if (!sameRange) {
+        // Manual-style update: filters the data and moves the chart zoom to the range
+        updateGlobalDateRange(state.range || { start: null, end: null }, 'viewState');
+    }
+
+    if (Array.from(getSelectedMetrics()).join(',') !== state.metrics.join(',')) {
+        setSelectedMetrics(state.metrics);
+    }
+    setTopPagesUIState(state.topPages);
+}
+
 // ===== UI Helper Functions =====
 
 /**
@@ -784,6 +1773,7 @@ function hideLoadingState() {
  */
 function showDataLoadError(error) {
     logger.error('Data load error displayed', { error: error.message });
+    schemaReportPanel.showError(error);
 }
 
 /**
@@ -805,9 +1795,50 @@ async function initializeDashboard() {
     // Show loading state
     showLoadingState();
 
+    // Read the data source params before the view state writes the URL without them
+    getDataSource();
+
+    // Schema problems in any loaded file show up as a badge + report
+    schemaReportPanel.init();
+    // Unusual days flagged on the performance chart, listed under it
+    anomalyPanel.init();
+    // Per-group KPIs; checked groups are charted as weekly lines
+    contentGroupPanel.setDependencies({
+        loadGroupSeries: () => loadContentGroupSeries(getCurrentCountrySelection().iso3),
+        compareGroups: applyGroupComparison
+    });
+    contentGroupPanel.init();
+    // Content Groups section: the same series as a stacked trend
+    contentGroupsView.setDependencies({
+        loadGroupSeries: () => loadContentGroupSeries(getCurrentCountrySelection().iso3)
+    });
+    contentGroupsView.initialize();
+    // Striking-distance pages and queries
+    opportunityFinder.setDependencies({
+        loadPages: loadOpportunityPages,
+        loadKeywordRows: loadOpportunityKeywordRows
+    });
+    opportunityFinder.initialize();
+    // Expected CTR curve fitted from the property's rows (refitted once data is loaded)
+    ctrCurveCalibration.setDependencies({ loadRows: loadCtrCurveRows });
+    ctrCurveCalibration.init();
+    ctrCurveView.initialize();
+    bindDataFreshness();
+    registerServiceWorker();
+
     // Initialize OG metadata manager (non-blocking)
     try { ogMetadataManager.init(); } catch (e) {}
     
+    // Property comes first: it picks the daily exports (and API data) to load
+    try {
+        await initializePropertySelection();
+    } catch (e) {
+        logger.error('Property selection failed; using the data\'s own property', { error: e.message });
+    }
+
+    // Page groups behind the Top Pages type filter and the content group panel
+    await contentGroupRegistry.load();
+
     // Try to load auto data first
     try {
         logger.info('Attempting to load auto data...');
@@ -821,7 +1852,7 @@ async function initializeDashboard() {
             });
             
             // Transform auto data to dashboard format
-            const dashboardData = transformAutoDataToDashboardFormat(autoData);
+            const dashboardData = scopeDataToProperty(transformAutoDataToDashboardFormat(autoData));
             
             if (dashboardData) {
                 // Update global data with auto-loaded data
@@ -846,7 +1877,7 @@ async function initializeDashboard() {
                 setDashboardUpdatesDependencies(globalData, charts);
                 setChartsDependencies(globalData, charts);
                 setDateRangeDependencies(() => globalData, { 
-                    overviewMetrics: updateOverviewMetrics, 
+                    overviewMetrics: () => updateKpisForCurrentSelection(), // keeps country rows and compare deltas
                     performanceChart: updatePerformanceChart, 
                     // Top Pages should sync with zoom/date changes but use weekly CSV data source
                     topPagesTable: async (filteredData) => {
@@ -890,6 +1921,7 @@ async function initializeDashboard() {
                 try {
                     await updateDashboard();
                     logger.info('updateDashboard() completed successfully');
+                    ctrCurveCalibration.reset();
                     
                                     // Start comprehensive data preloading for instant filter switching
                 // Smart image manager has been removed - using simple background colors
@@ -909,20 +1941,21 @@ async function initializeDashboard() {
                     logger.error('updateDashboard() failed', { error: error.message, stack: error.stack });
                 }
                 
-                // Auto-navigate to overview section
+                // Auto-navigate to the linked section (overview by default)
                 setTimeout(() => {
-                    showSection('overview');
+                    showSection(getInitialSection());
                 }, 100);
             } else {
                 logger.error('Data transformation failed');
             }
         } else {
             logger.warn('No auto data available');
+            showDataLoadError(new Error(`${getDataSource().describe('dashboardData')} could not be loaded or failed its schema checks.`));
             
             setDashboardUpdatesDependencies(globalData, charts);
             setChartsDependencies(globalData, charts);
             setDateRangeDependencies(() => globalData, { 
-                overviewMetrics: updateOverviewMetrics, 
+                overviewMetrics: () => updateKpisForCurrentSelection(),
                 performanceChart: updatePerformanceChart, 
                 topPagesTable: () => {}
             });
@@ -934,7 +1967,7 @@ async function initializeDashboard() {
         setDashboardUpdatesDependencies(globalData, charts);
         setChartsDependencies(globalData, charts);
         setDateRangeDependencies(() => globalData, { 
-            overviewMetrics: updateOverviewMetrics, 
+            overviewMetrics: () => updateKpisForCurrentSelection(),
             performanceChart: updatePerformanceChart, 
             // Ensure Top Pages is driven exclusively by weekly_data_output via dashboard.js handlers
             topPagesTable: () => {}
@@ -984,10 +2017,17 @@ async function initializeDashboard() {
             multiChartManager.updateChartToDateRange('performance', dateRange);
         }
         // Keep KPI in sync with date range changes and current country filter
+        refreshPeriodComparison();
         updateKpisForCurrentSelection();
         // Top Pages update is handled by dateUtils.applyDateRange via setDateRangeDependencies
     });
     
+    // Date picker "Compare": dashed comparison lines and KPI deltas
+    window.addEventListener('compareModeChanged', async () => {
+        await refreshPeriodComparison();
+        await updateKpisForCurrentSelection();
+    });
+    
     // Removed: Top Pages is already updated via dateUtils.applyDateRange zoom debounce
     
     // Removed chartDateRangeChanged immediate filtering (handled by zoom manager debounce)
@@ -1008,23 +2048,44 @@ async function initializeDashboard() {
     // Expose all functions globally after initialization
     exposeGlobalFunctions();
     
-    // Show overview section by default
-    showSection('overview');
+    // Show the linked section (overview by default)
+    showSection(getInitialSection());
+
+    // Country options come from the registry (names + which exports exist)
+    try {
+        await loadCountryFilterOptions();
+    } catch (e) {
+        logger.error('Country list load failed; keeping default countries', { error: e.message });
+    }
 
     // Initialize main chart from daily CSVs (aggregated or last-selected country)
     try {
-        let initialCountry = 'United States';
-        try {
-            const last = localStorage.getItem('dashboard:lastCountrySelection') || '';
-            if (typeof last === 'string' && last) initialCountry = last;
-        } catch (_) {}
-        await applyCountryToMainChart(initialCountry);
+        await applyCountryToMainChart(getInitialCountry());
     } catch (e) {
         logger.error('Initial daily CSV chart load failed', { error: e.message });
     }
 
     // Bind country filter after initial render
     bindCountryFilter();
+    bindCountryCompare();
+    bindPropertySwitcher();
+
+    // Drag-and-drop (or sidebar) import of raw Search Console exports
+    gscImportDropZone.setDependencies({ onImport: loadImportedExport, onLoadSource: loadDataSource });
+
+    // Page detail route (#page=<url>) reads the same weekly exports as Top Pages
+    setPageDetailDependencies({
+        loadDates: loadPageWeeklyDates,
+        countries: countryNameToISO3
+    });
+
+    // Shared links: restore the rest of the view, then keep the URL in sync
+    viewStateManager.setDependencies({ getState: getViewState, applyState: applyViewState });
+    viewStateManager.init();
+    await viewStateManager.restore();
+
+    savedViewsPanel.setDependencies({ getState: getViewState, openState: openView });
+    savedViewsPanel.init();
     
     logger.info('Dashboard initialization complete');
 }
@@ -1048,6 +2109,11 @@ function exposeGlobalFunctions() {
     window.resetMetrics = resetMetrics;
     window.toggleBlogMetric = toggleMetric; // Alias for blog metrics
 
+    // Top Pages click-through (TopPagesTableComponent onPageClick)
+    window.openPageKeywords = openPageKeywords;
+    window.openPageDetail = openPageDetail;
+    window.openGscImport = () => gscImportDropZone.open();
+
     // Utility functions not exposed here anymore
     // Smart image manager has been removed - using simple background colors
 
@@ -148,7 +148,8 @@ export function updatePerformanceChart(data) {
                 // Create the performance chart model if it doesn't exist
                 logger.info('Creating new performance chart model...');
                 performanceModel = createChartModel('performance', 'performanceChart', {
-                    defaultMetrics: ['clicks', 'impressions']
+                    defaultMetrics: ['clicks', 'impressions'],
+                    markAnomalies: true
                 });
                 logger.info('Performance chart model created:', performanceModel);
             } else {
@@ -208,7 +209,8 @@ export async function updateTopPagesTable(data) {
                         enableSearch: true,
                         enableViewToggle: true,
                         enableSorting: true,
-                        defaultView: 'grid'
+                        defaultView: 'grid',
+                        onPageClick: 'openPageKeywords'
                     });
                     logger.info('Top Pages Table component initialized');
                 }
@@ -248,7 +250,8 @@ export function setDependencies(data, chartsObj) {
             enableSearch: true,
             enableViewToggle: true,
             enableSorting: true,
-            defaultView: 'grid'
+            defaultView: 'grid',
+            onPageClick: 'openPageKeywords'
         });
         logger.info('Top Pages Table component initialized in setDependencies');
     }
@@ -274,6 +277,13 @@ export function getTopPagesUIState() {
     }
 }
 
+/**
+ * Restore Top Pages sort/filter/search/view (shareable URL state)
+ */
+export function setTopPagesUIState(state) {
+    topPagesTableComponent?.applyUIState(state);
+}
+
 // Attach an accessor on window for other modules (e.g., dashboard.js) to read UI state
 if (typeof window !== 'undefined') {
     window.__dashboardUpdates__ = window.__dashboardUpdates__ || {};
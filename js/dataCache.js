@@ -0,0 +1,149 @@
+import { logger } from './logger.js';
+
+// ===== Persistent Data Cache =====
+// Parsed JSON/CSV rows kept in IndexedDB so reloads skip the download + Papa parse.
+// Entries are keyed by URL and tagged with the file's ETag/Last-Modified; the one GET per
+// file is conditional on them, so an unchanged file comes back as an empty 304 and is
+// served from the entry. Offline, the last synced entry is used.
+
+const DB_NAME = 'seo-dashboard-data';
+const DB_VERSION = 1;
+const STORE = 'files';
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE, { keyPath: 'url' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            logger.warn('IndexedDB unavailable; data cache disabled', { error: request.error?.message });
+            resolve(null);
+        };
+    });
+    return dbPromise;
+}
+
+async function getEntry(url) {
+    const db = await openDb();
+    if (!db) return null;
+    try {
+        return await requestToPromise(db.transaction(STORE).objectStore(STORE).get(url)) || null;
+    } catch (_) {
+        return null;
+    }
+}
+
+async function putEntry(entry) {
+    const db = await openDb();
+    if (!db) return;
+    try {
+        await requestToPromise(db.transaction(STORE, 'readwrite').objectStore(STORE).put(entry));
+    } catch (error) {
+        // Quota errors only cost the next visit a download
+        logger.warn('Could not persist data cache entry', { url: entry.url, error: error.message });
+    }
+}
+
+async function deleteEntry(url) {
+    const db = await openDb();
+    if (!db) return;
+    try {
+        await requestToPromise(db.transaction(STORE, 'readwrite').objectStore(STORE).delete(url));
+    } catch (_) {}
+}
+
+/**
+ * GET a file, conditional on the cached entry's validators
+ * @returns {Promise<Response|null>} null when the network is unreachable
+ */
+async function fetchIfChanged(url, init, cached) {
+    const headers = new Headers(init.headers || {});
+    if (cached?.etag) headers.set('If-None-Match', cached.etag);
+    if (cached?.lastModified) headers.set('If-Modified-Since', cached.lastModified);
+    try {
+        // no-store: the 304 has to reach us rather than be answered from the HTTP cache
+        return await fetch(url, { ...init, headers, cache: 'no-store' });
+    } catch (_) {
+        return null;
+    }
+}
+
+// ===== Sync Status =====
+// Oldest sync time of the entries served this session, for the "data as of" badge
+
+const syncStatus = { syncedAt: null, offline: false, fromCache: 0, fetched: 0 };
+
+function noteServed(syncedAt, { offline = false, fromCache = false } = {}) {
+    if (!syncStatus.syncedAt || syncedAt < syncStatus.syncedAt) syncStatus.syncedAt = syncedAt;
+    if (offline) syncStatus.offline = true;
+    if (fromCache) syncStatus.fromCache++;
+    else syncStatus.fetched++;
+    window.dispatchEvent(new CustomEvent('dataSyncStatusChanged', { detail: getDataSyncStatus() }));
+}
+
+export function getDataSyncStatus() {
+    return { ...syncStatus };
+}
+
+/**
+ * Start a new status (the data source changed)
+ */
+export function resetDataSyncStatus() {
+    Object.assign(syncStatus, { syncedAt: null, offline: false, fromCache: 0, fetched: 0 });
+    window.dispatchEvent(new CustomEvent('dataSyncStatusChanged', { detail: getDataSyncStatus() }));
+}
+
+/**
+ * Serve a parsed file from IndexedDB when the server reports it unchanged (304), else
+ * parse the response and store it
+ * @param {string} url - File URL (cache key unless options.key is given)
+ * @param {Function} read - (response) => Promise<parsed value>
+ * @param {Object} options - { key } to keep another form of the same file (e.g. raw text),
+ *   { init } extra fetch options (headers)
+ * @returns {Promise<*>} Parsed value
+ */
+export async function readThroughCache(url, read, { key = url, init = {} } = {}) {
+    const cached = await getEntry(key);
+    const response = await fetchIfChanged(url, init, cached);
+
+    if (!response) {
+        if (!cached) throw new Error(`Could not reach ${url}`);
+        noteServed(cached.syncedAt, { offline: true, fromCache: true });
+        return cached.value;
+    }
+    if (response.status === 304 && cached) {
+        noteServed(cached.syncedAt, { fromCache: true });
+        return cached.value;
+    }
+    if (response.status === 404 && cached) {
+        await deleteEntry(key);
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const value = await read(response);
+    const syncedAt = Date.now();
+    noteServed(syncedAt);
+    putEntry({
+        url: key,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        value,
+        syncedAt
+    });
+    return value;
+}
@@ -0,0 +1,242 @@
+import { logger } from './logger.js';
+
+// ===== Data Schemas =====
+// Declarative schemas for dashboard_data.json and the CSV families in
+// docs/data-exports-spec.md. Validation only reports problems (file, row, column,
+// problem); the loaders keep their own defaults for bad values.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ISSUES_PER_FILE = 100;
+
+const METRIC_COLUMNS = {
+    clicks: { type: 'count', required: true },
+    impressions: { type: 'count', required: true },
+    ctr: { type: 'ratio', required: true },
+    position: { type: 'position', required: true }
+};
+
+const WEEK_RULES = [
+    { rule: 'dateOrder', start: 'start_date', end: 'end_date' },
+    { rule: 'notGreater', column: 'clicks', than: 'impressions' }
+];
+
+// Resource (see dataSource.js) -> CSV schema
+export const CSV_SCHEMAS = {
+    dailyCsv: {
+        label: 'Property daily',
+        columns: {
+            start_date: { type: 'date', required: true },
+            end_date: { type: 'date', required: true },
+            date: { type: 'date', required: true },
+            ...METRIC_COLUMNS
+        },
+        rules: WEEK_RULES
+    },
+    weeklyCsv: {
+        label: 'Page weekly',
+        columns: {
+            start_date: { type: 'date', required: true },
+            end_date: { type: 'date', required: true },
+            country: { type: 'text' }, // by-country files only
+            ...METRIC_COLUMNS
+        },
+        rules: WEEK_RULES
+    },
+    siteKeywordsCsv: {
+        label: 'Site daily keywords',
+        columns: {
+            start_date: { type: 'date', required: true },
+            end_date: { type: 'date', required: true },
+            query: { type: 'text', required: true },
+            ...METRIC_COLUMNS
+        },
+        rules: WEEK_RULES
+    },
+    pageKeywordsCsv: {
+        label: 'URL weekly keywords',
+        columns: {
+            start_date: { type: 'date', required: true },
+            end_date: { type: 'date', required: true },
+            country: { type: 'text' },
+            query: { type: 'text', required: true },
+            ...METRIC_COLUMNS
+        },
+        rules: WEEK_RULES
+    }
+};
+
+// dashboard_data.json: record arrays plus optional objects
+export const DASHBOARD_DATA_SCHEMA = {
+    arrays: {
+        dates: {
+            Date: { type: 'date', required: true },
+            Clicks: { type: 'count', required: true },
+            Impressions: { type: 'count', required: true },
+            CTR: { type: 'percent' },
+            Position: { type: 'position' }
+        },
+        pages: {
+            'Top pages': { type: 'text', required: true },
+            Clicks: { type: 'count', required: true },
+            Impressions: { type: 'count', required: true },
+            CTR: { type: 'percent' },
+            Position: { type: 'position' }
+        }
+    },
+    objects: ['url_data', 'metadata']
+};
+
+function toNumber(value) {
+    return typeof value === 'number' ? value : Number(String(value).trim());
+}
+
+// Type -> (value) => problem string or null
+const VALUE_CHECKS = {
+    date: (value) => (ISO_DATE.test(String(value)) && !Number.isNaN(Date.parse(value)))
+        ? null
+        : `Not a YYYY-MM-DD date: "${value}"`,
+    text: () => null,
+    count: (value) => {
+        const n = toNumber(value);
+        if (!Number.isFinite(n)) return `Non-numeric value "${value}"`;
+        return n < 0 ? `Negative value ${n}` : null;
+    },
+    position: (value) => {
+        const n = toNumber(value);
+        if (!Number.isFinite(n)) return `Non-numeric value "${value}"`;
+        return n < 0 ? `Negative position ${n}` : null;
+    },
+    // CSV ctr is a 0-1 fraction; a "3.2%" string is accepted too
+    ratio: (value) => {
+        const str = String(value).trim();
+        const n = str.endsWith('%') ? Number(str.slice(0, -1)) / 100 : Number(str);
+        if (!Number.isFinite(n)) return `Non-numeric value "${value}"`;
+        return (n < 0 || n > 1) ? `Expected a ratio between 0 and 1, got ${str}` : null;
+    },
+    // dashboard_data.json CTR is "12.34%" (numbers are read as percentages)
+    percent: (value) => {
+        const n = toNumber(String(value).replace('%', ''));
+        if (!Number.isFinite(n)) return `Non-numeric value "${value}"`;
+        return (n < 0 || n > 100) ? `Expected a percentage between 0 and 100, got ${value}` : null;
+    }
+};
+
+const RULE_CHECKS = {
+    dateOrder: (row, { start, end }) => {
+        const a = row[start];
+        const b = row[end];
+        if (!a || !b || !ISO_DATE.test(a) || !ISO_DATE.test(b) || a <= b) return null;
+        return { column: `${start}, ${end}`, problem: `Inverted date range: ${start} ${a} is after ${end} ${b}` };
+    },
+    notGreater: (row, { column, than }) => {
+        const a = toNumber(row[column]);
+        const b = toNumber(row[than]);
+        if (!Number.isFinite(a) || !Number.isFinite(b) || a <= b) return null;
+        return { column, problem: `${column} (${a}) exceeds ${than} (${b})` };
+    }
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Check records against a column map
+ * @param {Array} rows - Row objects
+ * @param {Object} columns - { name: { type, required } }
+ * @param {Object} options - { rules, rowOffset } rowOffset turns indexes into row numbers
+ * @returns {Array} [{ row, column, problem, severity }] ('header' row for missing columns)
+ */
+export function validateRecords(rows, columns, { rules = [], rowOffset = 1 } = {}) {
+    const issues = [];
+    if (!Array.isArray(rows) || !rows.length) return issues;
+
+    const present = new Set(Object.keys(rows[0] || {}));
+    const missing = Object.entries(columns).filter(([name, spec]) => spec.required && !present.has(name));
+    missing.forEach(([name]) => issues.push({ row: 'header', column: name, problem: 'Missing column', severity: 'error' }));
+    const checked = Object.entries(columns).filter(([name]) => present.has(name));
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + rowOffset;
+        checked.forEach(([name, spec]) => {
+            const value = row[name];
+            if (isBlank(value)) {
+                if (spec.required) issues.push({ row: rowNumber, column: name, problem: 'Missing value', severity: 'warning' });
+                return;
+            }
+            const problem = VALUE_CHECKS[spec.type]?.(value);
+            if (problem) issues.push({ row: rowNumber, column: name, problem, severity: 'warning' });
+        });
+        rules.forEach(({ rule, ...options }) => {
+            const result = RULE_CHECKS[rule]?.(row, options);
+            if (result) issues.push({ row: rowNumber, ...result, severity: 'warning' });
+        });
+    });
+    return issues;
+}
+
+/**
+ * Validate rows of a CSV resource; row numbers are file lines (header is line 1)
+ */
+export function validateCsvRows(resource, rows) {
+    const schema = CSV_SCHEMAS[resource];
+    if (!schema) return [];
+    return validateRecords(rows, schema.columns, { rules: schema.rules, rowOffset: 2 });
+}
+
+/**
+ * Validate dashboard_data.json; issue rows are 1-based indexes within their array
+ * @returns {Array} [{ section, row, column, problem, severity }]
+ */
+export function validateDashboardData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{ section: '', row: '', column: '', problem: 'Top level is not a JSON object', severity: 'error' }];
+    }
+    const issues = [];
+    Object.entries(DASHBOARD_DATA_SCHEMA.arrays).forEach(([section, columns]) => {
+        if (!Array.isArray(data[section])) {
+            issues.push({ section, row: '', column: '', problem: `Missing or invalid "${section}" array`, severity: 'warning' });
+            return;
+        }
+        validateRecords(data[section], columns).forEach(issue => issues.push({ section, ...issue }));
+    });
+    DASHBOARD_DATA_SCHEMA.objects.forEach(section => {
+        if (!data[section] || typeof data[section] !== 'object') {
+            issues.push({ section, row: '', column: '', problem: `Missing or invalid "${section}" object`, severity: 'warning' });
+        }
+    });
+    const range = data.metadata?.global_date_range;
+    if (range) {
+        const rangeIssue = RULE_CHECKS.dateOrder(range, { start: 'start', end: 'end' });
+        if (rangeIssue) issues.push({ section: 'metadata.global_date_range', row: '', ...rangeIssue, severity: 'warning' });
+    }
+    return issues;
+}
+
+// ===== Schema Report =====
+// Issues per file for the report panel; a new data source starts a new report.
+
+const reportByFile = new Map(); // file -> { file, label, issues, total }
+
+/**
+ * Record a file's issues (replaces earlier results for the same file)
+ */
+export function recordSchemaIssues(file, label, issues) {
+    const hadIssues = reportByFile.has(file);
+    if (!issues.length) {
+        if (!hadIssues) return;
+        reportByFile.delete(file);
+    } else {
+        reportByFile.set(file, { file, label, issues: issues.slice(0, MAX_ISSUES_PER_FILE), total: issues.length });
+        logger.warn('Data file failed schema checks', { file, issues: issues.length, first: issues[0] });
+    }
+    window.dispatchEvent(new CustomEvent('schemaReportChanged'));
+}
+
+export function getSchemaReport() {
+    return Array.from(reportByFile.values());
+}
+
+export function clearSchemaReport() {
+    if (!reportByFile.size) return;
+    reportByFile.clear();
+    window.dispatchEvent(new CustomEvent('schemaReportChanged'));
+}
@@ -0,0 +1,399 @@
+import { logger } from './logger.js';
+import { readFileContent } from './utils.js';
+import { validateCsvRows, recordSchemaIssues, CSV_SCHEMAS } from './dataSchemas.js';
+import { readThroughCache } from './dataCache.js';
+
+// ===== Data Source Layer =====
+// Every loader asks for a logical resource (dashboard JSON, daily/weekly/keyword CSVs)
+// instead of building fetch paths itself, so one build can read static files, an
+// uploaded pipeline output or a local HTTP API (e.g. a mock server).
+//
+// Pick the source with URL params:
+//   ?source=api&api=http://localhost:8000/api   local HTTP API
+//   ?dataBase=seo-archive/                        static files under another base path
+//   &property=https_www_example_com               sanitized property for the daily exports
+
+export const DEFAULT_API_BASE_URL = 'http://localhost:8000/api';
+
+// Origins ?api= and ?dataBase= may point at besides the dashboard's own (relative URLs
+// always work). Anything else is ignored so a shared link can't swap in foreign data.
+export const TRUSTED_DATA_ORIGINS = [new URL(DEFAULT_API_BASE_URL).origin];
+
+// Params naming the source. They're read once per tab and kept in session storage, so
+// the address bar only has to hold the view (viewState.js leaves them out of links).
+export const DATA_SOURCE_PARAMS = ['source', 'api', 'dataBase'];
+const SOURCE_PARAMS_STORAGE_KEY = 'dashboard:dataSourceParams';
+const RELATIVE_URL_BASE = 'https://relative.invalid/';
+
+// Resource -> path relative to the dashboard (static files and uploads share the layout)
+const RESOURCE_PATHS = {
+    dashboardData: () => 'dashboard_data.json',
+    propertyManifest: () => 'Data/Chart-Daily_Data/manifest.json',
+    countryManifest: () => 'Data/countries.json',
+    countryCodes: () => 'docs/Country-Codes - Sheet1.csv',
+    contentGroups: () => 'Data/content_groups.json',
+    dailyCsv: ({ property, iso3 }) => iso3
+        ? `Data/Chart-Daily_Data/property_${property}_daily_country_${iso3}_all_data.csv`
+        : `Data/Chart-Daily_Data/property_${property}_daily_all_countries_all_data.csv`,
+    weeklyCsv: ({ page, iso3 }) => iso3
+        ? `Data/weekly_data_output/by_country/${iso3}/${page}_weekly_all_data.csv`
+        : `Data/weekly_data_output/aggregated/${page}_weekly_all_data.csv`,
+    weeklyBundle: ({ iso3 }) => iso3
+        ? `Data/weekly_bundle/by_country/${iso3}.bin`
+        : 'Data/weekly_bundle/aggregated.bin',
+    pageKeywordsCsv: ({ page, iso3 }) => iso3
+        ? `Data/keywords/Page_Weekly/by_country/${iso3}/${page}.csv`
+        : `Data/keywords/Page_Weekly/aggregated/${page}.csv`,
+    siteKeywordsCsv: ({ iso3 }) => iso3
+        ? `Data/keywords/Site_Daily/by_country/${iso3}.csv`
+        : 'Data/keywords/Site_Daily/all_countries.csv'
+};
+
+// Resource -> local API endpoint; params go in the query string
+const API_ENDPOINTS = {
+    dashboardData: 'dashboard-data',
+    propertyManifest: 'properties',
+    countryManifest: 'countries',
+    countryCodes: 'country-codes',
+    contentGroups: 'content-groups',
+    dailyCsv: 'daily',
+    weeklyCsv: 'weekly',
+    weeklyBundle: 'weekly-bundle',
+    pageKeywordsCsv: 'page-keywords',
+    siteKeywordsCsv: 'site-keywords'
+};
+
+function parseCsvText(text) {
+    const Papa = window.Papa;
+    if (!Papa) throw new Error('PapaParse not available');
+    const results = Papa.parse(String(text || '').replace(/^\uFEFF/, ''), {
+        header: true,
+        dynamicTyping: false,
+        skipEmptyLines: true
+    });
+    return Array.isArray(results?.data) ? results.data : [];
+}
+
+/**
+ * Base data source. Implementations resolve a resource + params to JSON or CSV rows.
+ * Subclasses implement loadJson/readCsvRows (rejecting when the resource is unavailable)
+ * and exists(), which resolves true/false, or null when availability can't be checked.
+ */
+class DataSource {
+    constructor(kind, { property = '' } = {}) {
+        this.kind = kind;
+        this.property = property; // sanitized property, e.g. https_www_example_com ('' = derive from data)
+    }
+
+    resolvePath(resource, params = {}) {
+        const build = RESOURCE_PATHS[resource];
+        if (!build) throw new Error(`Unknown data resource: ${resource}`);
+        return build({ ...params, property: params.property || this.property });
+    }
+
+    /** Same source pointed at another property */
+    withProperty(property) {
+        return Object.assign(Object.create(Object.getPrototypeOf(this)), this, { property });
+    }
+
+    /** Where a resource is read from, for logs and cache keys */
+    describe(resource, params = {}) {
+        return this.resolvePath(resource, params);
+    }
+
+    async loadJson(resource, params = {}) {
+        throw new Error(`${this.kind} source cannot load ${resource}`);
+    }
+
+    /**
+     * CSV rows for a resource, checked against its schema (problems go to the schema report)
+     */
+    async loadCsvRows(resource, params = {}) {
+        const rows = await this.readCsvRows(resource, params);
+        if (CSV_SCHEMAS[resource]) {
+            const file = this.describe(resource, params);
+            recordSchemaIssues(file, CSV_SCHEMAS[resource].label, validateCsvRows(resource, rows));
+        }
+        return rows;
+    }
+
+    async readCsvRows(resource, params = {}) {
+        throw new Error(`${this.kind} source cannot load ${resource}`);
+    }
+
+    /** Binary resource (weekly bundle) as an ArrayBuffer */
+    async loadBinary(resource, params = {}) {
+        throw new Error(`${this.kind} source cannot load ${resource}`);
+    }
+
+    /**
+     * CSV as handed to the worker pool: { file, text } when the source can read the raw
+     * file (parsed and schema-checked off the main thread), else { file, rows } unchecked
+     */
+    async loadCsvPayload(resource, params = {}) {
+        return { file: this.describe(resource, params), rows: await this.readCsvRows(resource, params) };
+    }
+
+    async exists(resource, params = {}) {
+        return null;
+    }
+
+    /** Every file path the source holds, or null when it can't be listed */
+    listFiles() {
+        return null;
+    }
+}
+
+// ===== Static Files =====
+export class StaticFileDataSource extends DataSource {
+    constructor({ baseUrl = '', property = '' } = {}) {
+        super('static', { property });
+        this.baseUrl = baseUrl && !baseUrl.endsWith('/') ? `${baseUrl}/` : baseUrl;
+    }
+
+    describe(resource, params = {}) {
+        return `${this.baseUrl}${this.resolvePath(resource, params)}`;
+    }
+
+    async loadJson(resource, params = {}) {
+        const url = this.describe(resource, params);
+        return readThroughCache(url, response => response.json());
+    }
+
+    async readCsvRows(resource, params = {}) {
+        const url = this.describe(resource, params);
+        return readThroughCache(url, async response => parseCsvText(await response.text()));
+    }
+
+    async loadCsvPayload(resource, params = {}) {
+        const url = this.describe(resource, params);
+        const text = await readThroughCache(url, response => response.text(), { key: `${url}#text` });
+        return { file: url, text };
+    }
+
+    async loadBinary(resource, params = {}) {
+        const url = this.describe(resource, params);
+        return readThroughCache(url, response => response.arrayBuffer());
+    }
+
+    async exists(resource, params = {}) {
+        try {
+            const response = await fetch(this.describe(resource, params), { method: 'HEAD', cache: 'no-store' });
+            return response.ok;
+        } catch (_) {
+            return null; // e.g. file:// where HEAD isn't possible
+        }
+    }
+}
+
+// ===== Uploaded Files =====
+export class UploadedFileDataSource extends DataSource {
+    /**
+     * @param {Map<string, File|Object>} files - Relative path -> File or JSZip entry
+     */
+    constructor(files, { property = '', label = '' } = {}) {
+        super('uploaded', { property });
+        this.files = files;
+        this.label = label;
+    }
+
+    describe(resource, params = {}) {
+        return `${this.label ? `${this.label}:` : ''}${this.resolvePath(resource, params)}`;
+    }
+
+    async readText(resource, params = {}) {
+        const path = this.resolvePath(resource, params);
+        const file = this.files.get(path);
+        if (!file) throw new Error(`Not in upload: ${path}`);
+        // JSZip entries read lazily; plain File objects go through FileReader
+        return typeof file.async === 'function' ? file.async('string') : readFileContent(file);
+    }
+
+    async loadJson(resource, params = {}) {
+        return JSON.parse(await this.readText(resource, params));
+    }
+
+    async readCsvRows(resource, params = {}) {
+        return parseCsvText(await this.readText(resource, params));
+    }
+
+    async loadCsvPayload(resource, params = {}) {
+        return { file: this.describe(resource, params), text: await this.readText(resource, params) };
+    }
+
+    async loadBinary(resource, params = {}) {
+        const path = this.resolvePath(resource, params);
+        const file = this.files.get(path);
+        if (!file) throw new Error(`Not in upload: ${path}`);
+        return typeof file.async === 'function' ? file.async('arraybuffer') : file.arrayBuffer();
+    }
+
+    async exists(resource, params = {}) {
+        return this.files.has(this.resolvePath(resource, params));
+    }
+
+    listFiles() {
+        return Array.from(this.files.keys());
+    }
+}
+
+/**
+ * Build an uploaded source from a pipeline output (dashboard_data.json + Data/ tree).
+ * Paths are re-rooted at the folder holding dashboard_data.json.
+ * @param {Array} entries - [{ path, file }] with File objects or JSZip entries
+ * @returns {UploadedFileDataSource|null} null when there is no dashboard_data.json
+ */
+export function createUploadedDataSource(entries, { label = '' } = {}) {
+    const root = entries
+        .map(({ path }) => path.match(/^(.*?)dashboard_data\.json$/i))
+        .filter(Boolean)
+        .map(match => match[1])
+        .sort((a, b) => a.length - b.length)[0];
+    if (root === undefined) return null;
+
+    const files = new Map();
+    entries.forEach(({ path, file }) => {
+        if (path.startsWith(root)) files.set(path.slice(root.length), file);
+    });
+
+    // Property comes from the daily export names when there is exactly one
+    const properties = new Set(Array.from(files.keys())
+        .map(path => path.match(/^Data\/Chart-Daily_Data\/property_(.+)_daily_all_countries_all_data\.csv$/))
+        .filter(Boolean)
+        .map(match => match[1]));
+    const property = properties.size === 1 ? Array.from(properties)[0] : '';
+
+    return new UploadedFileDataSource(files, { property, label });
+}
+
+// ===== Local HTTP API =====
+// GET {baseUrl}/{endpoint}?property=&country=&page= returning JSON. CSV resources come
+// back as an array of row objects (or { rows: [...] }) with the CSV's column names;
+// weekly-bundle returns the bundle's bytes.
+export class HttpApiDataSource extends DataSource {
+    constructor({ baseUrl = DEFAULT_API_BASE_URL, property = '' } = {}) {
+        super('api', { property });
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    describe(resource, params = {}) {
+        const endpoint = API_ENDPOINTS[resource];
+        if (!endpoint) throw new Error(`Unknown data resource: ${resource}`);
+        const query = new URLSearchParams();
+        const property = params.property || this.property;
+        if (property) query.set('property', property);
+        if (params.iso3) query.set('country', params.iso3);
+        if (params.page) query.set('page', params.page);
+        const qs = query.toString();
+        return `${this.baseUrl}/${endpoint}${qs ? `?${qs}` : ''}`;
+    }
+
+    async loadJson(resource, params = {}) {
+        const url = this.describe(resource, params);
+        return readThroughCache(url, response => response.json(), {
+            init: { headers: { Accept: 'application/json' } }
+        });
+    }
+
+    async readCsvRows(resource, params = {}) {
+        const body = await this.loadJson(resource, params);
+        const rows = Array.isArray(body) ? body : body?.rows;
+        if (!Array.isArray(rows)) throw new Error(`Unexpected ${resource} response from ${this.baseUrl}`);
+        return rows;
+    }
+
+    async loadBinary(resource, params = {}) {
+        const url = this.describe(resource, params);
+        return readThroughCache(url, response => response.arrayBuffer(), {
+            init: { headers: { Accept: 'application/octet-stream' } }
+        });
+    }
+
+    async exists(resource, params = {}) {
+        try {
+            const response = await fetch(this.describe(resource, params), { method: 'HEAD', cache: 'no-store' });
+            return response.ok;
+        } catch (_) {
+            return null;
+        }
+    }
+}
+
+// ===== Active Source =====
+
+/**
+ * Whether ?api= / ?dataBase= may use a URL: relative, same origin or TRUSTED_DATA_ORIGINS
+ */
+export function isTrustedDataUrl(value, origin = window.location.origin) {
+    let url;
+    try {
+        // Resolved against a placeholder base: relative URLs keep its origin, and
+        // protocol-relative ones (//host, /\host) don't
+        url = new URL(String(value || '').trim(), RELATIVE_URL_BASE);
+    } catch (_) {
+        return false;
+    }
+    if (url.origin === new URL(RELATIVE_URL_BASE).origin) return true;
+    return ['http:', 'https:'].includes(url.protocol)
+        && (url.origin === origin || TRUSTED_DATA_ORIGINS.includes(url.origin));
+}
+
+function readTrustedUrl(params, name, fallback) {
+    const value = params.get(name);
+    if (!value) return fallback;
+    if (isTrustedDataUrl(value)) return value;
+    logger.warn(`Ignoring ?${name}=: not this origin or a trusted one (TRUSTED_DATA_ORIGINS)`, { url: value });
+    return fallback;
+}
+
+/**
+ * Data source named by the page URL (?source=api&api=..., ?dataBase=..., &property=...)
+ */
+export function createDataSourceFromLocation(search = window.location.search) {
+    const params = new URLSearchParams(search || '');
+    const property = params.get('property') || '';
+    if (params.get('source') === 'api') {
+        return new HttpApiDataSource({ baseUrl: readTrustedUrl(params, 'api', DEFAULT_API_BASE_URL), property });
+    }
+    return new StaticFileDataSource({ baseUrl: readTrustedUrl(params, 'dataBase', ''), property });
+}
+
+/**
+ * The page's query string with this tab's source params: saved when the URL names a
+ * source, restored once the view state has rewritten the URL without them
+ */
+function withSessionSourceParams(search) {
+    const params = new URLSearchParams(search || '');
+    try {
+        const named = DATA_SOURCE_PARAMS.filter(name => params.has(name));
+        if (named.length) {
+            const saved = new URLSearchParams(named.map(name => [name, params.get(name)]));
+            sessionStorage.setItem(SOURCE_PARAMS_STORAGE_KEY, saved.toString());
+        } else {
+            new URLSearchParams(sessionStorage.getItem(SOURCE_PARAMS_STORAGE_KEY) || '')
+                .forEach((value, name) => params.set(name, value));
+        }
+    } catch (_) {}
+    return params.toString();
+}
+
+let activeDataSource = null;
+
+export function getDataSource() {
+    if (!activeDataSource) {
+        activeDataSource = createDataSourceFromLocation(withSessionSourceParams(window.location.search));
+        logger.info('Data source selected', { kind: activeDataSource.kind, property: activeDataSource.property || '(from data)' });
+    }
+    return activeDataSource;
+}
+
+/**
+ * Switch the active source; loaders holding caches listen for `dataSourceChanged`
+ */
+export function setDataSource(source) {
+    activeDataSource = source;
+    logger.info('Data source changed', { kind: source.kind, property: source.property || '(from data)' });
+    window.dispatchEvent(new CustomEvent('dataSourceChanged', {
+        detail: { kind: source.kind, property: source.property }
+    }));
+}
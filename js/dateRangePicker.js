@@ -6,7 +6,10 @@ import {
   registerDatePicker, 
   unregisterDatePicker, 
   updateGlobalDateRange, 
-  getCurrentGlobalDateRange
+  getCurrentGlobalDateRange,
+  COMPARE_MODES,
+  getCompareMode,
+  setCompareMode
 } from './dateUtils.js';
 import { logger } from './logger.js';
 
@@ -241,6 +244,8 @@ class DateRangePicker {
     this.overlay = null;
     this.startInput = null;
     this.endInput = null;
+    this.compareToggle = null;
+    this.compareSelect = null;
     this.init();
     
     // Register this picker with the synchronization system
@@ -255,6 +260,10 @@ class DateRangePicker {
     this.startInput.addEventListener('change', () => this.handleDateChange());
     this.endInput.addEventListener('change', () => this.handleDateChange());
     
+    // Keep every picker's compare controls in step with the shared mode
+    this.compareModeHandler = () => this.syncCompareControls();
+    window.addEventListener('compareModeChanged', this.compareModeHandler);
+    
     // Initialize with current global state after DOM is built
     setTimeout(() => this.initializeFromGlobalState(), 0);
   }
@@ -372,6 +381,38 @@ class DateRangePicker {
       quick.appendChild(btn);
     });
 
+    // Compare: overlay a previous period on the chart and show KPI deltas
+    const compare = document.createElement('div');
+    compare.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 1rem; padding: 0.75rem 1rem; border: 1px solid #e5e7eb; border-radius: 0.5rem; background: #f9fafb;';
+
+    const compareLabel = document.createElement('label');
+    compareLabel.style.cssText = 'display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem; font-weight: 500; color: #374151; cursor: pointer;';
+    const compareToggle = document.createElement('input');
+    compareToggle.type = 'checkbox';
+    compareToggle.style.cssText = 'width: 16px; height: 16px; accent-color: #4f46e5; cursor: pointer;';
+    compareLabel.append(compareToggle, document.createTextNode('Compare'));
+
+    const compareSelect = document.createElement('select');
+    compareSelect.style.cssText = 'padding: 0.5rem 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; font-size: 0.875rem; background: #ffffff; color: #374151;';
+    Object.entries(COMPARE_MODES).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      compareSelect.appendChild(option);
+    });
+
+    compareToggle.addEventListener('change', () => {
+      setCompareMode(compareToggle.checked ? compareSelect.value : 'off');
+    });
+    compareSelect.addEventListener('change', () => {
+      if (compareToggle.checked) setCompareMode(compareSelect.value);
+    });
+
+    this.compareToggle = compareToggle;
+    this.compareSelect = compareSelect;
+    compare.append(compareLabel, compareSelect);
+    this.syncCompareControls();
+
     // Footer buttons with enhanced styling
     const footer = document.createElement('div');
     footer.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid #e5e7eb;';
@@ -434,12 +475,21 @@ class DateRangePicker {
     
     footer.append(clearFilters, cancel);
 
-    panel.append(h, subtitle, inputContainer, quick, footer);
+    panel.append(h, subtitle, inputContainer, quick, compare, footer);
     overlay.appendChild(panel);
     document.body.appendChild(overlay);
     this.overlay = overlay;
   }
 
+  syncCompareControls() {
+    if (!this.compareToggle || !this.compareSelect) return;
+    const mode = getCompareMode();
+    this.compareToggle.checked = mode !== 'off';
+    if (mode !== 'off') this.compareSelect.value = mode;
+    this.compareSelect.disabled = mode === 'off';
+    this.compareSelect.style.opacity = mode === 'off' ? '0.6' : '1';
+  }
+
   open() {
     this.overlay.style.display = 'block';
     // Add click outside listener when opening
@@ -633,6 +683,7 @@ class DateRangePicker {
   // Clean up when picker is destroyed
   destroy() {
     unregisterDatePicker(this);
+    window.removeEventListener('compareModeChanged', this.compareModeHandler);
     // Remove click outside listener before removing overlay
     this.removeClickOutsideListener();
     if (this.overlay) {
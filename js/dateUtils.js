@@ -64,6 +64,90 @@ export function daysBetween(a, b) {
   return Math.ceil(diff / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Local-time YYYY-MM-DD (toISO goes through UTC and can shift a day)
+ */
+export function toLocalISO(date) {
+  const d = parseISO(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Equal-length period immediately preceding a range (momentum, period comparisons)
+ * @param {Object} rangeObj - { start, end } as YYYY-MM-DD
+ * @returns {Object|null} { start, end } as YYYY-MM-DD, or null for "All data"
+ */
+export function getPreviousPeriodRange(rangeObj) {
+  if (!rangeObj || !rangeObj.start || !rangeObj.end) return null;
+  // Round rather than ceil so DST transitions don't add a day
+  const lengthDays = Math.round((parseISO(rangeObj.end) - parseISO(rangeObj.start)) / (1000 * 60 * 60 * 24)) + 1;
+  return {
+    start: toLocalISO(addDays(rangeObj.start, -lengthDays)),
+    end: toLocalISO(addDays(rangeObj.start, -1))
+  };
+}
+
+/**
+ * Same calendar dates one year earlier (Feb 29 falls back to Feb 28)
+ * @param {Object} rangeObj - { start, end } as YYYY-MM-DD
+ * @returns {Object|null} { start, end } as YYYY-MM-DD, or null for "All data"
+ */
+export function getSamePeriodLastYearRange(rangeObj) {
+  if (!rangeObj || !rangeObj.start || !rangeObj.end) return null;
+  const shiftYear = (val) => {
+    const d = parseISO(val);
+    const shifted = new Date(d.getFullYear() - 1, d.getMonth(), d.getDate());
+    // Feb 29 would roll into March
+    if (shifted.getMonth() !== d.getMonth()) shifted.setDate(0);
+    return toLocalISO(shifted);
+  };
+  return { start: shiftYear(rangeObj.start), end: shiftYear(rangeObj.end) };
+}
+
+// ===== Period Comparison =====
+
+export const COMPARE_MODES = {
+  previous: 'Previous period',
+  'last-year': 'Same period last year'
+};
+
+let currentCompareMode = 'off';
+
+/**
+ * Active comparison mode: 'off' | 'previous' | 'last-year'
+ */
+export function getCompareMode() {
+  return currentCompareMode;
+}
+
+/**
+ * Switch comparison mode and notify listeners (pickers, chart, KPI cards)
+ */
+export function setCompareMode(mode) {
+  const nextMode = COMPARE_MODES[mode] ? mode : 'off';
+  if (nextMode === currentCompareMode) return;
+  currentCompareMode = nextMode;
+  window.dispatchEvent(new CustomEvent('compareModeChanged', {
+    detail: { mode: nextMode }
+  }));
+  logger.info('Compare mode changed', { mode: nextMode });
+}
+
+/**
+ * Range to compare against for a mode, plus its day offset from the selected range
+ * @param {Object} rangeObj - { start, end } as YYYY-MM-DD
+ * @param {string} mode - Defaults to the active compare mode
+ * @returns {Object|null} { start, end, offsetDays, mode, label }, or null when off or "All data"
+ */
+export function getComparisonRange(rangeObj, mode = currentCompareMode) {
+  const range = mode === 'previous'
+    ? getPreviousPeriodRange(rangeObj)
+    : mode === 'last-year' ? getSamePeriodLastYearRange(rangeObj) : null;
+  if (!range) return null;
+  const offsetDays = Math.round((parseISO(rangeObj.start) - parseISO(range.start)) / (1000 * 60 * 60 * 24));
+  return { ...range, offsetDays, mode, label: COMPARE_MODES[mode] };
+}
+
 // Display format: e.g., "April 12, 2025"
 export function formatDisplay(date) {
   const d = parseISO(date);
@@ -0,0 +1,339 @@
+import { logger } from './logger.js';
+import { readFileContent, getFileType, escapeHtml } from './utils.js';
+import { createUploadedDataSource } from './dataSource.js';
+
+// ===== Search Console Export Import =====
+// Drop zone for raw GSC Performance exports (the zip, or the CSVs inside it),
+// shaped like dashboard_data.json so the dashboard can load it without the Python pipeline.
+// A zipped pipeline output (dashboard_data.json + Data/) is loaded as an uploaded data source instead.
+
+// Export file name (lowercased, no extension) -> dashboard data key
+const GSC_EXPORT_FILES = {
+    dates: 'dates',
+    chart: 'dates', // older exports name the daily table Chart.csv
+    pages: 'pages',
+    queries: 'queries',
+    countries: 'countries'
+};
+
+// First column of each table, for renamed files
+const GSC_FIRST_COLUMNS = {
+    'Date': 'dates',
+    'Top pages': 'pages',
+    'Top queries': 'queries',
+    'Country': 'countries'
+};
+
+// Two ISO dates with anything between them: "2025-05-01_2025-07-31", "2025-05-01 - 2025-07-31"
+const FILE_NAME_RANGE = /(\d{4}-\d{2}-\d{2})\D+(\d{4}-\d{2}-\d{2})/;
+
+function toNumber(value) {
+    const n = Number(String(value ?? '').replace(/,/g, ''));
+    return Number.isFinite(n) ? n : 0;
+}
+
+// GSC writes CTR as "3.2%"; keep it in the dashboard's string form
+function toCtr(value) {
+    const str = String(value ?? '').trim();
+    if (!str) return '0%';
+    if (str.endsWith('%')) return str;
+    const n = toNumber(str);
+    return `${(n <= 1 ? n * 100 : n).toFixed(2)}%`;
+}
+
+function normalizeRow(row, labelKey) {
+    return {
+        [labelKey]: String(row[labelKey] || '').trim(),
+        Clicks: toNumber(row.Clicks),
+        Impressions: toNumber(row.Impressions),
+        CTR: toCtr(row.CTR),
+        Position: toNumber(row.Position)
+    };
+}
+
+const TABLE_LABEL_KEYS = {
+    dates: 'Date',
+    pages: 'Top pages',
+    queries: 'Top queries',
+    countries: 'Country'
+};
+
+/**
+ * Parse one export CSV into [key, rows]; key is null for tables the dashboard doesn't use
+ * (Devices, Search appearance, Filters)
+ */
+function parseExportTable(fileName, text) {
+    const Papa = window.Papa;
+    if (!Papa) throw new Error('PapaParse not available');
+
+    const { data, meta } = Papa.parse(String(text || '').replace(/^\uFEFF/, ''), {
+        header: true,
+        skipEmptyLines: true
+    });
+    const baseName = fileName.split('/').pop().replace(/\.csv$/i, '').trim().toLowerCase();
+    const key = GSC_EXPORT_FILES[baseName] || GSC_FIRST_COLUMNS[meta?.fields?.[0]] || null;
+    if (!key) return [null, []];
+
+    const labelKey = TABLE_LABEL_KEYS[key];
+    const rows = (data || []).map(row => normalizeRow(row, labelKey)).filter(row => row[labelKey]);
+    return [key, rows];
+}
+
+/**
+ * Date range hint from file names, e.g. "...-Performance-on-Search-2025-05-01_2025-07-31.zip"
+ * @returns {Object|null} { start, end } - null when no name carries two dates
+ */
+export function getRangeFromFileNames(names) {
+    for (const name of names) {
+        const match = String(name || '').match(FILE_NAME_RANGE);
+        if (match) {
+            const [start, end] = match[1] <= match[2] ? [match[1], match[2]] : [match[2], match[1]];
+            return { start, end };
+        }
+    }
+    return null;
+}
+
+/**
+ * Dropped files as entries, each zip opened once
+ * @param {Array<File>} files - Dropped files and folders' files
+ * @returns {Promise<Array>} [{ path, file, archive }] - file is a File or JSZip entry,
+ *   archive the name of the zip it came from ('' for loose files)
+ */
+export async function openDroppedFiles(files) {
+    const entries = [];
+    for (const file of files) {
+        if (/\.zip$/i.test(file.name)) {
+            const JSZip = window.JSZip;
+            if (!JSZip) throw new Error('ZIP support is not available; drop the CSV files instead.');
+            const zip = await JSZip.loadAsync(file);
+            Object.values(zip.files)
+                .filter(entry => !entry.dir)
+                .forEach(entry => entries.push({ path: entry.name, file: entry, archive: file.name }));
+        } else {
+            entries.push({ path: file.webkitRelativePath || file.name, file, archive: '' });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Read the tables of a GSC Performance export into dashboard_data.json shape
+ * @param {Array} entries - From openDroppedFiles (the zip, or the CSVs inside it)
+ * @returns {Promise<Object>} { dates, pages, queries, countries, url_data, metadata }
+ */
+export async function readGscExport(entries) {
+    const tables = {};
+    const used = [];
+    const skipped = [];
+
+    const addTable = (fileName, text) => {
+        const [key, rows] = parseExportTable(fileName, text);
+        if (!key) {
+            skipped.push(fileName);
+            return;
+        }
+        tables[key] = rows;
+        used.push(fileName);
+    };
+
+    for (const { path, file, archive } of entries) {
+        if (archive) {
+            // Only the CSVs of a zip are tables
+            if (/\.csv$/i.test(path)) addTable(path, await file.async('string'));
+        } else if (getFileType(path) === 'data' && /\.csv$/i.test(path)) {
+            addTable(path, await readFileContent(file));
+        } else {
+            skipped.push(path);
+        }
+    }
+
+    if (!used.length) {
+        throw new Error('No Search Console tables found. Expected Dates.csv, Pages.csv, Queries.csv or Countries.csv.');
+    }
+
+    const dates = (tables.dates || []).sort((a, b) => a.Date.localeCompare(b.Date));
+    const globalRange = dates.length
+        ? { start: dates[0].Date, end: dates[dates.length - 1].Date }
+        : getRangeFromFileNames(Array.from(new Set(entries.map(({ path, archive }) => archive || path))));
+
+    logger.info('Search Console export read', {
+        tables: Object.keys(tables),
+        rows: Object.fromEntries(Object.entries(tables).map(([key, rows]) => [key, rows.length])),
+        skipped
+    });
+
+    return {
+        dates,
+        pages: tables.pages || [],
+        queries: tables.queries || [],
+        countries: tables.countries || [],
+        url_data: {},
+        metadata: {
+            ...(globalRange ? { global_date_range: globalRange } : {}),
+            source: 'gsc-import',
+            source_files: used
+        }
+    };
+}
+
+class GscImportDropZone {
+    constructor() {
+        this.overlay = null;
+        this.onImport = null; // (autoData, label) => Promise
+        this.onLoadSource = null; // (dataSource, label) => Promise
+        this.activeLabel = '';
+        this.isImporting = false;
+        this._dragDepth = 0;
+        this._listenersBound = false;
+    }
+
+    /**
+     * @param {Object} deps - { onImport: (autoData, label) => Promise, onLoadSource: (dataSource, label) => Promise }
+     */
+    setDependencies({ onImport, onLoadSource } = {}) {
+        if (typeof onImport === 'function') this.onImport = onImport;
+        if (typeof onLoadSource === 'function') this.onLoadSource = onLoadSource;
+        this.bindWindowDrag();
+    }
+
+    ensureDom() {
+        if (this.overlay) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'gsc-import-overlay';
+        overlay.id = 'gscImportOverlay';
+        overlay.innerHTML = `
+            <div class="gsc-import-dialog" role="dialog" aria-modal="true" aria-labelledby="gscImportTitle">
+                <div class="gsc-import-header">
+                    <h3 id="gscImportTitle">Import Search Console export</h3>
+                    <button type="button" class="page-drawer-close" data-action="close" aria-label="Close">&times;</button>
+                </div>
+                <label class="gsc-import-dropzone" for="gscImportInput">
+                    <strong>Drop a Performance export here</strong>
+                    <span>The .zip from Search Console, or Dates.csv, Pages.csv, Queries.csv, Countries.csv</span>
+                    <span>A zipped dashboard export (dashboard_data.json + Data/) also works</span>
+                    <span class="gsc-import-browse">or browse files</span>
+                </label>
+                <input type="file" id="gscImportInput" class="visually-hidden" accept=".zip,.csv" multiple>
+                <p class="gsc-import-status" id="gscImportStatus" role="status"></p>
+                <div class="gsc-import-footer" id="gscImportFooter"></div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('[data-action="close"]')) this.close();
+            if (e.target.closest('[data-action="restore"]')) window.location.reload();
+        });
+
+        const dropzone = overlay.querySelector('.gsc-import-dropzone');
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragging');
+        });
+        dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragging'));
+        overlay.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragging');
+            this._dragDepth = 0;
+            this.handleFiles(e.dataTransfer?.files);
+        });
+
+        overlay.querySelector('#gscImportInput').addEventListener('change', (e) => {
+            this.handleFiles(e.target.files);
+            e.target.value = '';
+        });
+    }
+
+    // Dragging files anywhere over the page opens the drop zone
+    bindWindowDrag() {
+        if (this._listenersBound) return;
+        this._listenersBound = true;
+
+        const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+        window.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            this._dragDepth++;
+            this.open();
+        });
+        window.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            this._dragDepth = Math.max(0, this._dragDepth - 1);
+            if (this._dragDepth === 0 && !this.isImporting) this.close();
+        });
+        // Keep the browser from navigating to a file dropped outside the zone
+        window.addEventListener('dragover', (e) => { if (hasFiles(e)) e.preventDefault(); });
+        window.addEventListener('drop', (e) => { if (hasFiles(e)) e.preventDefault(); });
+    }
+
+    open() {
+        this.ensureDom();
+        this.renderFooter();
+        this.overlay.classList.add('open');
+    }
+
+    close() {
+        if (this.overlay) this.overlay.classList.remove('open');
+        this._dragDepth = 0;
+    }
+
+    setStatus(message, type = '') {
+        const statusEl = document.getElementById('gscImportStatus');
+        if (!statusEl) return;
+        statusEl.textContent = message;
+        statusEl.className = `gsc-import-status${type ? ` ${type}` : ''}`;
+    }
+
+    renderFooter() {
+        const footer = document.getElementById('gscImportFooter');
+        if (!footer) return;
+        footer.innerHTML = this.activeLabel
+            ? `<span>Showing <strong>${escapeHtml(this.activeLabel)}</strong></span>
+               <button type="button" class="btn-outline" data-action="restore">Back to served data</button>`
+            : '';
+    }
+
+    async handleFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (!files.length || this.isImporting) return;
+        if (!this.onImport) {
+            this.setStatus('The dashboard is still loading; try again in a moment.', 'error');
+            return;
+        }
+
+        this.isImporting = true;
+        const label = files.length === 1 ? files[0].name : `${files.length} files`;
+        this.setStatus(`Reading ${label}…`);
+        try {
+            // A pipeline output (dashboard_data.json + Data/) loads as a data source;
+            // anything else is read as a GSC export
+            const entries = await openDroppedFiles(files);
+            const source = this.onLoadSource ? createUploadedDataSource(entries, { label }) : null;
+            if (source) {
+                await this.onLoadSource(source, label);
+                this.activeLabel = label;
+                this.setStatus(`Loaded the dashboard export in ${label}.`, 'success');
+                this.renderFooter();
+                return;
+            }
+
+            const autoData = await readGscExport(entries);
+            await this.onImport(autoData, label);
+            this.activeLabel = label;
+            const dayCount = autoData.dates.length;
+            const pageCount = autoData.pages.length;
+            this.setStatus(`Loaded ${dayCount} days and ${pageCount} pages from ${label}.`, 'success');
+            this.renderFooter();
+        } catch (error) {
+            logger.error('Search Console import failed', { error: error.message });
+            this.setStatus(error.message || 'Import failed.', 'error');
+        } finally {
+            this.isImporting = false;
+        }
+    }
+}
+
+// ===== Global Instance =====
+export const gscImportDropZone = new GscImportDropZone();
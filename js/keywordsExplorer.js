@@ -0,0 +1,404 @@
+import { logger } from './logger.js';
+import { formatNumber, escapeHtml, getCurrentCountry } from './utils.js';
+import { getCurrentGlobalDateRange, formatDateRangeForDisplay } from './dateUtils.js';
+import { getDataSource } from './dataSource.js';
+
+// ===== Keywords Explorer =====
+// Site-level query table built from keywords/Site_Daily exports.
+// Follows the global date range and the main country filter.
+
+const KEYWORD_COLUMNS = [
+    { field: 'query', label: 'Query' },
+    { field: 'clicks', label: 'Clicks' },
+    { field: 'impressions', label: 'Impressions' },
+    { field: 'ctr', label: 'CTR' },
+    { field: 'position', label: 'Position' }
+];
+
+/**
+ * Aggregate daily query rows into one row per query.
+ * CTR is recomputed from totals and position is impression-weighted, matching GSC.
+ * @param {Array} rows - Raw CSV rows (start_date, end_date, query, clicks, impressions, ctr, position)
+ * @param {Object|null} range - { start, end } ISO dates, or null for all data
+ * @returns {Array} [{ query, clicks, impressions, ctr, position }]
+ */
+export function aggregateKeywordRows(rows, range = null) {
+    const hasRange = !!(range && range.start && range.end);
+    const byQuery = new Map();
+    for (const r of rows || []) {
+        const query = r.query;
+        if (!query) continue;
+        if (hasRange) {
+            const start = r.start_date || '';
+            const end = r.end_date || start;
+            if (end < range.start || start > range.end) continue;
+        }
+        const clicks = Number(r.clicks || 0);
+        const impressions = Number(r.impressions || 0);
+        const position = Number(r.position || 0);
+        let agg = byQuery.get(query);
+        if (!agg) {
+            agg = { query, clicks: 0, impressions: 0, posWeighted: 0 };
+            byQuery.set(query, agg);
+        }
+        agg.clicks += clicks;
+        agg.impressions += impressions;
+        agg.posWeighted += position * impressions;
+    }
+    return Array.from(byQuery.values()).map(a => ({
+        query: a.query,
+        clicks: a.clicks,
+        impressions: a.impressions,
+        ctr: a.impressions > 0 ? a.clicks / a.impressions : 0,
+        position: a.impressions > 0 ? a.posWeighted / a.impressions : 0
+    }));
+}
+
+/**
+ * Dates the rows cover within a range: the first start_date and last end_date of the
+ * rows that overlap it (all rows without a range); null when none do
+ */
+export function getKeywordRowsSpan(rows, range = null) {
+    const hasRange = !!(range && range.start && range.end);
+    let start = '';
+    let end = '';
+    for (const r of rows || []) {
+        const rowStart = r.start_date || '';
+        const rowEnd = r.end_date || rowStart;
+        if (!rowStart) continue;
+        if (hasRange && (rowEnd < range.start || rowStart > range.end)) continue;
+        if (!start || rowStart < start) start = rowStart;
+        if (!end || rowEnd > end) end = rowEnd;
+    }
+    if (!start) return null;
+    return hasRange
+        ? { start: start < range.start ? range.start : start, end: end > range.end ? range.end : end }
+        : { start, end };
+}
+
+/**
+ * Sort aggregated keywords in place by field/direction
+ */
+export function sortKeywords(list, field = 'clicks', direction = 'desc') {
+    const dir = direction === 'asc' ? 1 : -1;
+    return list.sort((a, b) => {
+        if (field === 'query') return a.query.localeCompare(b.query) * dir;
+        return ((a[field] || 0) - (b[field] || 0)) * dir;
+    });
+}
+
+/**
+ * Default sort direction when a keyword column is first selected
+ * (lower is better for position; alphabetical for query)
+ */
+export function getDefaultKeywordSortDirection(field) {
+    return (field === 'position' || field === 'query') ? 'asc' : 'desc';
+}
+
+/**
+ * Sortable <th> cells for keyword tables
+ */
+export function renderKeywordHeaders() {
+    return KEYWORD_COLUMNS.map(col => `
+        <th class="sortable-header" data-sort="${col.field}">
+            ${col.label}<span class="sort-indicator"></span>
+        </th>
+    `).join('');
+}
+
+/**
+ * Table rows for aggregated keywords
+ */
+export function renderKeywordRows(list) {
+    return list.map(k => `
+        <tr>
+            <td class="keyword-query">${escapeHtml(k.query)}</td>
+            <td>${formatNumber(k.clicks)}</td>
+            <td>${formatNumber(k.impressions)}</td>
+            <td>${(k.ctr * 100).toFixed(2)}%</td>
+            <td>${k.position ? k.position.toFixed(1) : '-'}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Reflect the active sort on sortable headers within a root element
+ */
+export function updateKeywordSortIndicators(root, field, direction) {
+    if (!root) return;
+    root.querySelectorAll('.sortable-header').forEach(th => {
+        const isActive = th.dataset.sort === field;
+        th.classList.toggle('active', isActive);
+        const indicator = th.querySelector('.sort-indicator');
+        if (indicator) indicator.textContent = isActive ? (direction === 'asc' ? ' ▲' : ' ▼') : '';
+    });
+}
+
+class KeywordsExplorer {
+    constructor(containerId = 'keywordsExplorerContainer', sectionId = 'keywords') {
+        this.containerId = containerId;
+        this.sectionId = sectionId;
+        this.rowsCache = new Map(); // key: iso3 ('' = all countries) -> raw rows
+        this.keywords = [];
+        this.searchTerm = '';
+        this.sortField = 'clicks';
+        this.sortDirection = 'desc';
+        this.pageSize = 100;
+        this.visibleCount = this.pageSize;
+        this.isDirty = true;
+        this._loadToken = 0;
+        this._searchDebounceTimer = null;
+        this.isInitialized = false;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        this.createHTML(container);
+        this.bindEvents();
+        this.isInitialized = true;
+        logger.info('Keywords explorer initialized');
+    }
+
+    isVisible() {
+        const section = document.getElementById(this.sectionId);
+        return !!(section && section.classList.contains('active'));
+    }
+
+    createHTML(container) {
+        container.innerHTML = `
+            <div class="table-container">
+                <div class="table-header">
+                    <div class="title-section">
+                        <h3 class="table-title">Keywords</h3>
+                        <span class="keywords-summary" id="${this.containerId}_summary"></span>
+                    </div>
+                    <div class="table-controls keywords-controls">
+                        <div class="date-range">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
+                            </svg>
+                            <span id="${this.containerId}_range">${escapeHtml(formatDateRangeForDisplay(getCurrentGlobalDateRange()))}</span>
+                        </div>
+                        <div class="search-box">
+                            <svg class="search-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+                            </svg>
+                            <input type="text" class="search-input" placeholder="Search queries..." id="${this.containerId}_search">
+                        </div>
+                    </div>
+                </div>
+                <div style="overflow-x: auto;">
+                    <table class="data-table keywords-table">
+                        <thead><tr>${renderKeywordHeaders()}</tr></thead>
+                        <tbody id="${this.containerId}_tbody">
+                            <tr><td colspan="${KEYWORD_COLUMNS.length}" class="loading"><div class="spinner"></div></td></tr>
+                        </tbody>
+                    </table>
+                </div>
+                <div class="keywords-footer" id="${this.containerId}_footer"></div>
+            </div>
+        `;
+        this.updateSortIndicators();
+    }
+
+    bindEvents() {
+        const container = document.getElementById(this.containerId);
+
+        container.querySelectorAll('.sortable-header').forEach(th => {
+            th.addEventListener('click', () => this.setSort(th.dataset.sort));
+        });
+
+        const searchInput = document.getElementById(`${this.containerId}_search`);
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(this._searchDebounceTimer);
+                const value = e.target.value || '';
+                this._searchDebounceTimer = setTimeout(() => {
+                    this.searchTerm = value.trim().toLowerCase();
+                    this.visibleCount = this.pageSize;
+                    this.render();
+                }, 200);
+            });
+        }
+
+        const footer = document.getElementById(`${this.containerId}_footer`);
+        if (footer) {
+            footer.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="show-more"]')) {
+                    this.visibleCount += this.pageSize;
+                    this.render();
+                }
+            });
+        }
+
+        // Reload lazily: only when the section is (or becomes) visible
+        const invalidate = () => {
+            this.isDirty = true;
+            if (this.isVisible()) this.refresh();
+        };
+        window.addEventListener('countryFilterChanged', invalidate);
+        window.addEventListener('dateRangeChanged', invalidate);
+        window.addEventListener('dataSourceChanged', () => {
+            this.rowsCache.clear();
+            invalidate();
+        });
+        window.addEventListener('sectionShown', (e) => {
+            if (e.detail?.sectionId === this.sectionId && this.isDirty) this.refresh();
+        });
+    }
+
+    // Site_Daily keyword rows for a country ('' = all countries); null when not exported
+    async loadRows(iso3 = '') {
+        if (this.rowsCache.has(iso3)) return this.rowsCache.get(iso3);
+        const source = getDataSource();
+        const rows = await source.loadCsvRows('siteKeywordsCsv', { iso3 }).catch(async error => {
+            // A missing file is an export the pipeline didn't write; anything else is an error
+            if (await source.exists('siteKeywordsCsv', { iso3 }) === false) return null;
+            throw error;
+        });
+        this.rowsCache.set(iso3, rows);
+        return rows;
+    }
+
+    // Queries.csv totals from an imported Search Console export (null when serving Data/)
+    getImportedKeywords() {
+        const data = window.globalData;
+        if (data?.metadata?.source !== 'gsc-import') return null;
+        return (data.queries || []).map(q => ({
+            query: q['Top queries'],
+            clicks: q.Clicks || 0,
+            impressions: q.Impressions || 0,
+            ctr: q.Impressions > 0 ? q.Clicks / q.Impressions : 0,
+            position: q.Position || 0
+        }));
+    }
+
+    async refresh() {
+        const token = ++this._loadToken;
+        this.isDirty = false;
+        const imported = this.getImportedKeywords();
+        if (imported) {
+            this.updateRange(getCurrentGlobalDateRange());
+            this.keywords = imported;
+            this.visibleCount = this.pageSize;
+            if (imported.length) this.render();
+            else this.showEmpty('The imported export has no Queries.csv.');
+            return;
+        }
+        const { countryName, iso3 } = getCurrentCountry();
+        this.showLoading();
+        try {
+            const rows = await this.loadRows(iso3);
+            if (token !== this._loadToken) return;
+            const range = getCurrentGlobalDateRange();
+            if (!rows) {
+                this.keywords = [];
+                this.updateRange(null);
+                const file = getDataSource().describe('siteKeywordsCsv', { iso3 });
+                this.showEmpty(`No keyword export for ${escapeHtml(countryName || 'All countries')}: ${escapeHtml(file)} is missing.`);
+                return;
+            }
+            this.updateRange(getKeywordRowsSpan(rows, range));
+            this.keywords = aggregateKeywordRows(rows, range);
+            this.visibleCount = this.pageSize;
+            this.render();
+            logger.info('Keywords explorer refreshed', { iso3, queries: this.keywords.length });
+        } catch (e) {
+            if (token !== this._loadToken) return;
+            logger.error('Failed to load site keywords', { iso3, error: e.message });
+            this.updateRange(null);
+            this.showEmpty('Keywords could not be loaded.');
+        }
+    }
+
+    setSort(field) {
+        if (!field) return;
+        if (this.sortField === field) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortField = field;
+            this.sortDirection = getDefaultKeywordSortDirection(field);
+        }
+        this.updateSortIndicators();
+        this.render();
+    }
+
+    updateSortIndicators() {
+        updateKeywordSortIndicators(document.getElementById(this.containerId), this.sortField, this.sortDirection);
+    }
+
+    getFilteredSortedKeywords() {
+        const term = this.searchTerm;
+        const list = term ? this.keywords.filter(k => k.query.toLowerCase().includes(term)) : this.keywords.slice();
+        return sortKeywords(list, this.sortField, this.sortDirection);
+    }
+
+    render() {
+        const tbody = document.getElementById(`${this.containerId}_tbody`);
+        if (!tbody) return;
+        const list = this.getFilteredSortedKeywords();
+        const visible = list.slice(0, this.visibleCount);
+
+        if (!visible.length) {
+            this.showEmpty(this.searchTerm ? 'No queries match your search.' : 'No queries in the selected date range.');
+            return;
+        }
+
+        tbody.innerHTML = renderKeywordRows(visible);
+
+        this.updateSummary(list.length);
+        const footer = document.getElementById(`${this.containerId}_footer`);
+        if (footer) {
+            footer.innerHTML = list.length > visible.length
+                ? `<button type="button" class="btn btn-secondary" data-action="show-more">Show more (${formatNumber(list.length - visible.length)} remaining)</button>`
+                : '';
+        }
+    }
+
+    updateSummary(count) {
+        const summary = document.getElementById(`${this.containerId}_summary`);
+        if (!summary) return;
+        const { countryName } = getCurrentCountry();
+        summary.textContent = `${formatNumber(count)} queries · ${countryName || 'All countries'}`;
+    }
+
+    /** Date chip: the dates the table covers, '–' when there is no export */
+    updateRange(span) {
+        const chip = document.getElementById(`${this.containerId}_range`);
+        if (chip) chip.textContent = span ? formatDateRangeForDisplay(span) : '–';
+    }
+
+    showLoading() {
+        const tbody = document.getElementById(`${this.containerId}_tbody`);
+        if (tbody) {
+            tbody.innerHTML = `<tr><td colspan="${KEYWORD_COLUMNS.length}" class="loading"><div class="spinner"></div></td></tr>`;
+        }
+    }
+
+    showEmpty(message) {
+        const tbody = document.getElementById(`${this.containerId}_tbody`);
+        if (tbody) {
+            tbody.innerHTML = `<tr><td colspan="${KEYWORD_COLUMNS.length}" class="keywords-empty">${message}</td></tr>`;
+        }
+        const footer = document.getElementById(`${this.containerId}_footer`);
+        if (footer) footer.innerHTML = '';
+        this.updateSummary(0);
+    }
+}
+
+// ===== Global Instance =====
+export const keywordsExplorer = new KeywordsExplorer();
+
+// ===== Auto-initialization =====
+if (typeof window !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            keywordsExplorer.initialize();
+        });
+    } else {
+        keywordsExplorer.initialize();
+    }
+}
@@ -1,5 +1,5 @@
 import { logger } from './logger.js';
-import { formatNumber, formatPercentage } from './utils.js';
+import { formatNumber, formatPercentage, escapeHtml } from './utils.js';
 
 // ===== KPI Component Configuration =====
 const KPI_CONFIG = {
@@ -29,7 +29,8 @@ const KPI_CONFIG = {
         </svg>`,
         iconColor: 'rgba(16, 185, 129, 0.1)',
         textColor: 'var(--success-color)',
-        formatter: formatPercentage
+        formatter: formatPercentage,
+        deltaFormatter: (value) => `${value.toFixed(2)} pp`
     },
     avgPosition: {
         label: 'Average Position',
@@ -38,7 +39,8 @@ const KPI_CONFIG = {
         </svg>`,
         iconColor: 'rgba(245, 158, 11, 0.1)',
         textColor: 'var(--warning-color)',
-        formatter: (value) => value.toFixed(1)
+        formatter: (value) => value.toFixed(1),
+        lowerIsBetter: true
     }
 };
 
@@ -77,13 +79,17 @@ class KPIComponent {
                 </div>
             </div>
             <div class="metric-value" id="${cardId}_value">-</div>
+            <div class="metric-delta" id="${cardId}_delta" hidden></div>
+            <div class="metric-breakdown" id="${cardId}_breakdown" hidden></div>
         `;
         
         this.instances.set(cardId, {
             metricKey,
             config,
             card,
-            valueElement: card.querySelector(`#${cardId}_value`)
+            valueElement: card.querySelector(`#${cardId}_value`),
+            deltaElement: card.querySelector(`#${cardId}_delta`),
+            breakdownElement: card.querySelector(`#${cardId}_breakdown`)
         });
         
         return card;
@@ -160,6 +166,8 @@ class KPIComponent {
                 setTimeout(() => {
                     valueElement.textContent = config.formatter ? config.formatter(value) : value;
                     valueElement.style.opacity = '1';
+                    this.updateDelta(instance, value, data?.comparison);
+                    this.updateBreakdown(instance, data?.countryBreakdown);
                 }, 50);
             } else {
                 logger.warn(`Value element not found for KPI card: ${cardId}`);
@@ -173,6 +181,59 @@ class KPIComponent {
         });
     }
     
+    // Absolute and % change against the compare period; hidden when compare is off
+    updateDelta(instance, value, comparison) {
+        const { metricKey, config, deltaElement } = instance;
+        if (!deltaElement) return;
+        
+        deltaElement.hidden = !comparison;
+        deltaElement.className = 'metric-delta';
+        deltaElement.removeAttribute('title');
+        if (!comparison) {
+            deltaElement.textContent = '';
+            return;
+        }
+        
+        const periodLabel = comparison.label.toLowerCase();
+        if (!comparison.dates || comparison.dates.length === 0) {
+            deltaElement.classList.add('flat');
+            deltaElement.textContent = `No data for ${periodLabel}`;
+            return;
+        }
+        
+        const previous = this.calculateMetricValue(metricKey, { dates: comparison.dates });
+        const change = value - previous;
+        const percent = previous !== 0 ? (change / Math.abs(previous)) * 100 : null;
+        const improved = config.lowerIsBetter ? change < 0 : change > 0;
+        const formatDelta = config.deltaFormatter || config.formatter || ((v) => v);
+        const sign = change > 0 ? '+' : change < 0 ? '-' : '';
+        const percentText = percent === null ? 'n/a' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+        
+        deltaElement.classList.add(change === 0 ? 'flat' : (improved ? 'up' : 'down'));
+        deltaElement.textContent = `${sign}${formatDelta(Math.abs(change))} (${percentText}) vs ${periodLabel}`;
+        deltaElement.title = `${comparison.label}: ${config.formatter ? config.formatter(previous) : previous}`;
+    }
+    
+    // Per-series rows under the headline value (country or content group comparison); hidden otherwise
+    updateBreakdown(instance, breakdown) {
+        const { metricKey, config, card, breakdownElement } = instance;
+        if (!breakdownElement) return;
+        
+        const rows = Array.isArray(breakdown) ? breakdown : [];
+        card.classList.toggle('has-breakdown', rows.length > 0);
+        breakdownElement.hidden = rows.length === 0;
+        breakdownElement.innerHTML = rows.map(row => {
+            const value = this.calculateMetricValue(metricKey, { dates: row.dates || [] });
+            return `
+                <div class="metric-breakdown-row">
+                    <span class="metric-breakdown-swatch" style="background-color: ${row.color};"></span>
+                    <span class="metric-breakdown-label">${escapeHtml(row.label)}</span>
+                    <span class="metric-breakdown-value">${config.formatter ? config.formatter(value) : value}</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
     // Calculate metric value from data
     calculateMetricValue(metricKey, data) {
         logger.debug(`Calculating metric ${metricKey} with data:`, {
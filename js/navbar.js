@@ -1,9 +1,11 @@
 import { logger } from './logger.js';
+import { readViewState, viewStateManager } from './viewState.js';
 
 // ===== Navbar Manager =====
 class NavbarManager {
     constructor() {
         this.currentSection = 'overview';
+        this.currentNavSection = 'overview'; // last sidebar section, kept in the URL
         this.isSidebarOpen = false;
         this.isInitialized = false;
     }
@@ -26,11 +28,14 @@ class NavbarManager {
                 e.preventDefault();
                 const sectionId = this.getSectionIdFromNavItem(item);
                 if (sectionId) {
-                    this.showSection(sectionId);
+                    this.navigate(sectionId);
                 }
             });
         });
 
+        // Back/forward between views (the page detail route handles its own hash)
+        window.addEventListener('popstate', () => this.handlePopState());
+
         // Set up sidebar toggle handler
         const sidebarToggle = document.querySelector('.sidebar-toggle');
         if (sidebarToggle) {
@@ -46,7 +51,7 @@ class NavbarManager {
     getSectionIdFromNavItem(navItem) {
         // Extract section ID from navigation item
         const href = navItem.getAttribute('href');
-        if (href && href.startsWith('#')) {
+        if (href && href.length > 1 && href.startsWith('#')) {
             return href.substring(1);
         }
         
@@ -61,26 +66,64 @@ class NavbarManager {
         }
 
         // Hide all sections
-        const sections = document.querySelectorAll('.dashboard-section');
+        const sections = document.querySelectorAll('.section, .dashboard-section');
         sections.forEach(section => {
+            section.classList.remove('active');
             section.style.display = 'none';
         });
 
         // Show the requested section
         const targetSection = document.getElementById(sectionId);
         if (targetSection) {
+            targetSection.classList.add('active');
             targetSection.style.display = 'block';
             this.currentSection = sectionId;
-            
+            if (this.isNavSection(sectionId)) this.currentNavSection = sectionId;
+
             // Update navigation state
             this.updateNavigationState(sectionId);
-            
+
+            // Let lazily-loaded sections know they became visible
+            window.dispatchEvent(new CustomEvent('sectionShown', {
+                detail: { sectionId }
+            }));
+
             logger.info(`Section displayed: ${sectionId}`);
         } else {
             logger.warn(`Section not found: ${sectionId}`);
         }
     }
 
+    /**
+     * Sidebar navigation: show the section and add a history entry for it
+     */
+    navigate(sectionId) {
+        if (sectionId === this.currentSection) return;
+        // Push first so the entry being left keeps its own section
+        if (this.isNavSection(sectionId)) viewStateManager.pushSection(sectionId);
+        this.showSection(sectionId);
+    }
+
+    /**
+     * Open a whole view (saved views): new history entry, then restore it like back/forward
+     */
+    openView(state) {
+        viewStateManager.pushView(state);
+        this.handlePopState();
+    }
+
+    /** Sections reachable from the sidebar (the ones kept in the URL) */
+    isNavSection(sectionId) {
+        return Boolean(document.querySelector(`.nav-item[data-section="${sectionId}"]`));
+    }
+
+    handlePopState() {
+        if (window.location.hash.startsWith('#page=')) return;
+        const { section } = readViewState();
+        if (section !== this.currentSection && this.isNavSection(section)) this.showSection(section);
+        window.dispatchEvent(new CustomEvent('viewStateNavigated', { detail: { section } }));
+    }
+
     updateNavigationState(activeSectionId) {
         // Remove active class from all nav items
         const navItems = document.querySelectorAll('.nav-item');
@@ -133,6 +176,9 @@ const navbarManager = new NavbarManager();
 // ===== Export Functions =====
 export const showSection = (sectionId) => navbarManager.showSection(sectionId);
 export const toggleSidebar = () => navbarManager.toggleSidebar();
+export const getCurrentNavSection = () => navbarManager.currentNavSection;
+export const isNavSection = (sectionId) => navbarManager.isNavSection(sectionId);
+export const openView = (state) => navbarManager.openView(state);
 
 // ===== Auto-initialization =====
 if (typeof window !== 'undefined') {
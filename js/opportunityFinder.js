@@ -0,0 +1,430 @@
+import { logger } from './logger.js';
+import { formatNumber, escapeHtml, getPageTitle, exportToCSV, getCurrentCountry } from './utils.js';
+import { getCurrentGlobalDateRange, toLocalISO } from './dateUtils.js';
+import { TPSScoringEngine, defaultTPSEngine } from './tpsScoringEngine.js';
+import { aggregateKeywordRows } from './keywordsExplorer.js';
+import { classifyUrl, getGroupLabel } from './contentGroups.js';
+
+// ===== Opportunities =====
+// Striking-distance finder: pages, and page + query pairs from the keywords/Page_Weekly
+// exports, ranking at positions 4–20 with enough impressions to matter. Each row gets
+// the TPS engine's Opportunity score and the extra clicks it would earn at the expected
+// CTR (calculateExpectedCTR) of a target position. Follows the global date range and
+// the main country filter; the list exports as a CSV action list.
+
+export const STRIKING_DISTANCE = { min: 4, max: 20 };
+const TARGET_POSITIONS = [1, 3, 5];
+const RANK_FIELDS = [
+    { field: 'extraClicks', label: 'Extra clicks' },
+    { field: 'opportunity', label: 'Opportunity' },
+    { field: 'impressions', label: 'Impressions' }
+];
+const MAX_QUERY_PAGES = 40; // query mode reads the keyword export of the pages with the most impressions
+const QUERY_BATCH_SIZE = 10;
+
+/**
+ * Score and rank striking-distance rows
+ * @param {Array} rows - [{ url, query?, clicks, impressions, position }] range totals
+ * @param {Object} options - { minImpressions, targetPosition, engine }
+ * @returns {Array} Rows at positions 4–20 with at least minImpressions, plus
+ *   { ctr, opportunity, targetCTR, extraClicks, action }, most extra clicks first
+ */
+export function rankOpportunities(rows, { minImpressions = 100, targetPosition = 3, engine = defaultTPSEngine } = {}) {
+    // Own engine instance: Opportunity percentiles rank against this set, and the shared
+    // engine's distributions stay those of the Top Pages candidates. Its impressions floor
+    // drops to minImpressions so rows under the engine's default can still be ranked.
+    const config = engine.getConfig();
+    const scorer = new TPSScoringEngine({ ...config, minImpressions: Math.min(config.minImpressions, minImpressions) });
+    const scored = scorer.calculateTPSScores((rows || []).map(row => ({
+        ...row,
+        Clicks: row.clicks,
+        Impressions: row.impressions,
+        CTR: row.impressions > 0 ? row.clicks / row.impressions : 0,
+        Position: row.position
+    })), null);
+    const targetCTR = scorer.calculateExpectedCTR(targetPosition);
+
+    return scored
+        .filter(row => row.position >= STRIKING_DISTANCE.min && row.position <= STRIKING_DISTANCE.max
+            && row.impressions >= minImpressions)
+        .map(({ Clicks, Impressions, CTR, Position, TPS, Opportunity, scoreComponents, ...row }) => ({
+            ...row,
+            ctr: CTR,
+            opportunity: Opportunity,
+            targetCTR,
+            extraClicks: Math.max(0, Math.round(row.impressions * targetCTR - row.clicks)),
+            // On page one with a CTR below its position's norm the snippet is the lever;
+            // further down it's the ranking itself
+            action: row.position <= 10 && CTR < scorer.calculateExpectedCTR(row.position)
+                ? 'Rewrite title and meta description'
+                : 'Strengthen content and internal links'
+        }))
+        .sort((a, b) => (b.extraClicks - a.extraClicks) || (b.opportunity - a.opportunity));
+}
+
+/**
+ * Page + query rows for one page's keyword export over a range
+ */
+export function toQueryRows(url, keywordRows, range) {
+    return aggregateKeywordRows(keywordRows, range).map(({ query, clicks, impressions, position }) => ({
+        url,
+        query,
+        clicks,
+        impressions,
+        position
+    }));
+}
+
+class OpportunityFinder {
+    constructor(containerId = 'opportunitiesContainer', sectionId = 'opportunities') {
+        this.containerId = containerId;
+        this.sectionId = sectionId;
+        this.loadPages = null; // (iso3, range, { signal }) => Promise<page summaries>
+        this.loadKeywordRows = null; // (url, iso3) => Promise<rows | null>
+        this.mode = 'pages'; // pages | queries
+        this.minImpressions = 100;
+        this.targetPosition = 3;
+        this.rankField = 'extraClicks';
+        this.rows = []; // ranked rows of the current mode
+        this.queryPages = null; // { read, total } pages whose keyword exports query mode read
+        this.pageSize = 100;
+        this.visibleCount = this.pageSize;
+        this.isDirty = true;
+        this._loadToken = 0;
+        this._abortController = null; // aborts the page worker tasks of a superseded refresh
+        this.isInitialized = false;
+    }
+
+    /**
+     * @param {Object} deps - { loadPages, loadKeywordRows } provided by the dashboard
+     */
+    setDependencies({ loadPages, loadKeywordRows } = {}) {
+        if (loadPages) this.loadPages = loadPages;
+        if (loadKeywordRows) this.loadKeywordRows = loadKeywordRows;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            logger.warn('Opportunities container not found', { containerId: this.containerId });
+            return;
+        }
+
+        this.createHTML(container);
+        this.bindEvents(container);
+        this.isInitialized = true;
+        if (this.isVisible()) this.refresh();
+        logger.info('Opportunity finder initialized');
+    }
+
+    isVisible() {
+        const section = document.getElementById(this.sectionId);
+        return !!(section && section.classList.contains('active'));
+    }
+
+    createHTML(container) {
+        const targetOptions = TARGET_POSITIONS.map(position => `
+            <option value="${position}" ${position === this.targetPosition ? 'selected' : ''}>Position ${position}</option>
+        `).join('');
+        const rankOptions = RANK_FIELDS.map(({ field, label }) => `
+            <option value="${field}" ${field === this.rankField ? 'selected' : ''}>${label}</option>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="table-container">
+                <div class="table-header">
+                    <div class="title-section">
+                        <h3 class="table-title">Opportunities</h3>
+                        <span class="keywords-summary" id="${this.containerId}_summary"></span>
+                    </div>
+                    <div class="table-controls opportunities-controls">
+                        <div class="opportunities-mode" role="group" aria-label="List">
+                            <button type="button" class="btn-outline" data-mode="pages">Pages</button>
+                            <button type="button" class="btn-outline" data-mode="queries">Queries</button>
+                        </div>
+                        <label class="opportunities-field">
+                            Min. impressions
+                            <input type="number" class="filter-select" id="${this.containerId}_minImpressions"
+                                min="0" step="10" value="${this.minImpressions}">
+                        </label>
+                        <label class="opportunities-field">
+                            Target
+                            <select class="filter-select" id="${this.containerId}_target">${targetOptions}</select>
+                        </label>
+                        <label class="opportunities-field">
+                            Rank by
+                            <select class="filter-select" id="${this.containerId}_rank">${rankOptions}</select>
+                        </label>
+                        <button type="button" class="btn-outline" data-action="export">Export CSV</button>
+                    </div>
+                </div>
+                <div style="overflow-x: auto;">
+                    <table class="data-table opportunities-table">
+                        <thead id="${this.containerId}_thead"></thead>
+                        <tbody id="${this.containerId}_tbody"></tbody>
+                    </table>
+                </div>
+                <div class="keywords-footer" id="${this.containerId}_footer"></div>
+                <p class="opportunities-note">
+                    Positions ${STRIKING_DISTANCE.min}–${STRIKING_DISTANCE.max}. Extra clicks = impressions × the expected
+                    CTR at the target position − current clicks, over the selected range.
+                </p>
+            </div>
+        `;
+        this.updateModeButtons();
+    }
+
+    bindEvents(container) {
+        container.addEventListener('click', (e) => {
+            const modeBtn = e.target.closest('[data-mode]');
+            if (modeBtn && modeBtn.dataset.mode !== this.mode) {
+                this.mode = modeBtn.dataset.mode;
+                this.updateModeButtons();
+                this.refresh();
+                return;
+            }
+            if (e.target.closest('[data-action="export"]')) {
+                this.exportList();
+                return;
+            }
+            if (e.target.closest('[data-action="show-more"]')) {
+                this.visibleCount += this.pageSize;
+                this.render();
+                return;
+            }
+            const pageBtn = e.target.closest('[data-url]');
+            if (pageBtn && typeof window.openPageDetail === 'function') window.openPageDetail(pageBtn.dataset.url);
+        });
+        container.addEventListener('change', (e) => {
+            if (e.target.id === `${this.containerId}_minImpressions`) {
+                this.minImpressions = Math.max(0, Number(e.target.value) || 0);
+            } else if (e.target.id === `${this.containerId}_target`) {
+                this.targetPosition = Number(e.target.value) || 3;
+            } else if (e.target.id === `${this.containerId}_rank`) {
+                this.rankField = e.target.value;
+                this.sortRows();
+                this.visibleCount = this.pageSize;
+                this.render();
+                return;
+            } else {
+                return;
+            }
+            this.refresh();
+        });
+
+        // Reload lazily: only when the section is (or becomes) visible
+        const invalidate = () => {
+            this.isDirty = true;
+            if (this.isVisible()) this.refresh();
+        };
+        ['countryFilterChanged', 'dateRangeChanged', 'dataSourceChanged', 'ctrCurveChanged'].forEach(type => {
+            window.addEventListener(type, invalidate);
+        });
+        window.addEventListener('sectionShown', (e) => {
+            if (e.detail?.sectionId === this.sectionId && this.isDirty) this.refresh();
+        });
+    }
+
+    async refresh() {
+        if (!this.loadPages) return;
+        const token = ++this._loadToken;
+        this.queryPages = null;
+        this._abortController?.abort();
+        const abortController = new AbortController();
+        this._abortController = abortController;
+        this.isDirty = false;
+        const { countryName, iso3 } = getCurrentCountry();
+        const range = getCurrentGlobalDateRange();
+        this.renderHeaders();
+        this.showMessage('<div class="spinner"></div>');
+        try {
+            const pages = (await this.loadPages(iso3, range, { signal: abortController.signal })).map(page => ({
+                url: page['Top pages'],
+                clicks: page.Clicks || 0,
+                impressions: page.Impressions || 0,
+                position: page.Position || 0
+            }));
+            if (token !== this._loadToken) return;
+            const rows = this.mode === 'queries' ? await this.loadQueryRows(pages, iso3, range, token) : pages;
+            if (token !== this._loadToken || !rows) return;
+
+            this.rows = rankOpportunities(rows, {
+                minImpressions: this.minImpressions,
+                targetPosition: this.targetPosition
+            });
+            this.sortRows();
+            this.visibleCount = this.pageSize;
+            this.render();
+            logger.info('Opportunities refreshed', { mode: this.mode, iso3, rows: this.rows.length });
+        } catch (error) {
+            if (token !== this._loadToken) return;
+            logger.error('Failed to load opportunities', { mode: this.mode, error: error.message });
+            this.rows = [];
+            this.showMessage(`Opportunities could not be loaded for ${escapeHtml(countryName || 'All countries')}.`);
+        }
+    }
+
+    /**
+     * Page + query rows for the pages with the most impressions; null when the list
+     * has moved on, or when the keyword exports aren't available (imported data)
+     */
+    async loadQueryRows(pages, iso3, range, token) {
+        const candidates = pages.slice()
+            .sort((a, b) => b.impressions - a.impressions)
+            .slice(0, MAX_QUERY_PAGES);
+        this.queryPages = { read: candidates.length, total: pages.length };
+        const rows = [];
+        let found = false;
+        for (let i = 0; i < candidates.length; i += QUERY_BATCH_SIZE) {
+            const batch = candidates.slice(i, i + QUERY_BATCH_SIZE);
+            const results = await Promise.all(batch.map(page => this.loadKeywordRows(page.url, iso3)));
+            if (token !== this._loadToken) return null;
+            if (results.some(result => result === null)) {
+                this.rows = [];
+                this.showMessage('Query opportunities need the keyword exports, which imported Search Console files don\'t include.');
+                return null;
+            }
+            results.forEach((keywordRows, idx) => {
+                if (keywordRows.length) found = true;
+                rows.push(...toQueryRows(batch[idx].url, keywordRows, range));
+            });
+        }
+        if (!found) {
+            const { countryName } = getCurrentCountry();
+            this.rows = [];
+            this.showMessage(`No page keyword exports found for ${escapeHtml(countryName || 'All countries')}.`);
+            return null;
+        }
+        return rows;
+    }
+
+    sortRows() {
+        const field = this.rankField;
+        this.rows.sort((a, b) => (b[field] - a[field]) || (b.extraClicks - a.extraClicks));
+    }
+
+    updateModeButtons() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+        container.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.mode);
+            btn.setAttribute('aria-pressed', String(btn.dataset.mode === this.mode));
+        });
+    }
+
+    getColumns() {
+        return [
+            'Page',
+            ...(this.mode === 'queries' ? ['Query'] : []),
+            'Position', 'Impressions', 'Clicks', 'CTR', 'Target CTR', 'Extra clicks', 'Opportunity', 'Action'
+        ];
+    }
+
+    renderHeaders() {
+        const thead = document.getElementById(`${this.containerId}_thead`);
+        if (thead) thead.innerHTML = `<tr>${this.getColumns().map(label => `<th>${label}</th>`).join('')}</tr>`;
+    }
+
+    render() {
+        const tbody = document.getElementById(`${this.containerId}_tbody`);
+        if (!tbody) return;
+        this.renderHeaders();
+        if (!this.rows.length) {
+            this.showMessage(`No ${this.mode === 'queries' ? 'queries' : 'pages'} at positions ${STRIKING_DISTANCE.min}–${STRIKING_DISTANCE.max} with at least ${formatNumber(this.minImpressions)} impressions in the selected range.`);
+            return;
+        }
+
+        const visible = this.rows.slice(0, this.visibleCount);
+        tbody.innerHTML = visible.map(row => `
+            <tr>
+                <td class="opportunity-page">
+                    <button type="button" class="opportunity-page-link" data-url="${escapeHtml(row.url)}" title="${escapeHtml(row.url)}">
+                        ${escapeHtml(getPageTitle(row.url))}
+                    </button>
+                    <span class="opportunity-group">${escapeHtml(getGroupLabel(classifyUrl(row.url)))}</span>
+                </td>
+                ${this.mode === 'queries' ? `<td class="keyword-query">${escapeHtml(row.query)}</td>` : ''}
+                <td>${row.position.toFixed(1)}</td>
+                <td>${formatNumber(row.impressions)}</td>
+                <td>${formatNumber(row.clicks)}</td>
+                <td>${(row.ctr * 100).toFixed(2)}%</td>
+                <td>${(row.targetCTR * 100).toFixed(1)}%</td>
+                <td><strong>+${formatNumber(row.extraClicks)}</strong></td>
+                <td>${row.opportunity.toFixed(2)}</td>
+                <td class="opportunity-action">${escapeHtml(row.action)}</td>
+            </tr>
+        `).join('');
+
+        this.updateSummary(this.rows.length);
+        const footer = document.getElementById(`${this.containerId}_footer`);
+        if (footer) {
+            footer.innerHTML = this.rows.length > visible.length
+                ? `<button type="button" class="btn btn-secondary" data-action="show-more">Show more (${formatNumber(this.rows.length - visible.length)} remaining)</button>`
+                : '';
+        }
+    }
+
+    /**
+     * Which pages query mode covers, e.g. "Queries from the top 40 of 312 pages by impressions"
+     */
+    getQueryScope() {
+        if (this.mode !== 'queries' || !this.queryPages) return '';
+        const { read, total } = this.queryPages;
+        return read < total
+            ? `Queries from the top ${formatNumber(read)} of ${formatNumber(total)} pages by impressions`
+            : `Queries from all ${formatNumber(total)} pages`;
+    }
+
+    updateSummary(count) {
+        const summary = document.getElementById(`${this.containerId}_summary`);
+        if (!summary) return;
+        const { countryName } = getCurrentCountry();
+        const extra = this.rows.reduce((total, row) => total + row.extraClicks, 0);
+        const scope = count ? this.getQueryScope() : '';
+        summary.textContent = count
+            ? `${formatNumber(count)} ${this.mode === 'queries' ? 'queries' : 'pages'} · +${formatNumber(extra)} clicks · ${countryName || 'All countries'}${scope ? ` · ${scope}` : ''}`
+            : `${countryName || 'All countries'}`;
+    }
+
+    showMessage(html) {
+        const tbody = document.getElementById(`${this.containerId}_tbody`);
+        if (tbody) {
+            tbody.innerHTML = `<tr><td colspan="${this.getColumns().length}" class="keywords-empty">${html}</td></tr>`;
+        }
+        const footer = document.getElementById(`${this.containerId}_footer`);
+        if (footer) footer.innerHTML = '';
+        this.updateSummary(0);
+    }
+
+    /**
+     * Download the whole ranked list (not just the rows shown) as a CSV action list
+     */
+    exportList() {
+        if (!this.rows.length) {
+            logger.warn('No opportunities to export');
+            return;
+        }
+        const { iso3 } = getCurrentCountry();
+        const range = getCurrentGlobalDateRange();
+        const period = range?.start && range?.end ? `${range.start}_${range.end}` : toLocalISO(new Date());
+        const scope = this.getQueryScope();
+        exportToCSV(this.rows.map(row => ({
+            Page: row.url,
+            ...(this.mode === 'queries' ? { Query: row.query } : {}),
+            Group: getGroupLabel(classifyUrl(row.url)),
+            Position: row.position.toFixed(1),
+            Impressions: row.impressions,
+            Clicks: row.clicks,
+            CTR: `${(row.ctr * 100).toFixed(2)}%`,
+            'Target CTR': `${(row.targetCTR * 100).toFixed(1)}%`,
+            'Extra clicks': row.extraClicks,
+            Opportunity: row.opportunity.toFixed(3),
+            Action: row.action,
+            ...(scope ? { Scope: scope } : {})
+        })), `opportunities-${this.mode}-${(iso3 || 'all').toLowerCase()}-${period}.csv`);
+    }
+}
+
+// ===== Global Instance =====
+export const opportunityFinder = new OpportunityFinder();
@@ -0,0 +1,413 @@
+import { logger } from './logger.js';
+import { formatNumber, formatPercentage, escapeHtml, getPageTitle, normalizePageUrl, getCurrentCountry } from './utils.js';
+import { parseDate, getCurrentGlobalDateRange, formatDateRangeForDisplay } from './dateUtils.js';
+import { createChartModel, getChartModel, updateChartById, updateChartModel } from './charts.js';
+import { getChartManager } from './chartZoomScroll.js';
+import { showSection } from './navbar.js';
+
+// ===== Page Detail View =====
+// Routed view (#page=<url>&country=<ISO3>) with a weekly time-series chart for a single URL.
+// Data comes from weekly_data_output; the country is chosen locally and the zoom follows the global date range.
+
+const PAGE_DETAIL_CHART_ID = 'pageDetail';
+const PAGE_DETAIL_CANVAS_ID = 'pageDetailChart';
+const PAGE_DETAIL_METRICS = [
+    { metric: 'clicks', label: 'Clicks' },
+    { metric: 'impressions', label: 'Impressions' },
+    { metric: 'ctr', label: 'CTR' },
+    { metric: 'position', label: 'Position' }
+];
+
+/**
+ * Build the hash for a page detail route
+ * @param {string} url - Normalized page URL
+ * @param {string} iso3 - Country code ('' = all countries)
+ * @returns {string} Hash including the leading '#'
+ */
+export function buildPageDetailHash(url, iso3 = '') {
+    const params = new URLSearchParams({ page: url });
+    if (iso3) params.set('country', iso3);
+    return `#${params.toString()}`;
+}
+
+/**
+ * Parse a page detail route from a location hash
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Object|null} { url, iso3 } or null when the hash is not a page route
+ */
+export function parsePageDetailHash(hash) {
+    if (!hash || !hash.startsWith('#page=')) return null;
+    const params = new URLSearchParams(hash.slice(1));
+    const url = normalizePageUrl(params.get('page') || '');
+    if (!url) return null;
+    return { url, iso3: (params.get('country') || '').toUpperCase() };
+}
+
+/**
+ * Sum weekly points into page totals (CTR from totals, impression-weighted position)
+ * @param {Array} dates - [{ Date, Clicks, Impressions, CTR, Position }]
+ * @returns {Object} { weeks, clicks, impressions, ctr, position }
+ */
+export function summarizeWeeklyDates(dates) {
+    let clicks = 0, impressions = 0, posWeighted = 0;
+    for (const d of dates || []) {
+        const imps = Number(d.Impressions || 0);
+        clicks += Number(d.Clicks || 0);
+        impressions += imps;
+        posWeighted += Number(d.Position || 0) * imps;
+    }
+    return {
+        weeks: (dates || []).length,
+        clicks,
+        impressions,
+        ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+        position: impressions > 0 ? posWeighted / impressions : 0
+    };
+}
+
+class PageDetailView {
+    constructor(containerId = 'pageDetailContainer', sectionId = 'page-detail') {
+        this.containerId = containerId;
+        this.sectionId = sectionId;
+        this.url = '';
+        this.iso3 = '';
+        this.dates = [];
+        this.loadDates = null; // (url, iso3) => Promise<[{ Date, Clicks, Impressions, CTR, Position }]>
+        this.countries = {}; // display name -> ISO3
+        this.returnSection = 'overview';
+        this.openedFromApp = false;
+        this._loadToken = 0;
+        this.isInitialized = false;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        this.createHTML(container);
+        this.bindEvents();
+        this.isInitialized = true;
+        logger.info('Page detail view initialized');
+
+        // Deep link: the route is resolved once dependencies are set
+        this.handleRoute();
+    }
+
+    /**
+     * Provide data access from the dashboard
+     * @param {Object} deps - { loadDates: (url, iso3) => Promise<Array>, countries: { name: ISO3 } }
+     */
+    setDependencies({ loadDates, countries } = {}) {
+        this.loadDates = loadDates;
+        this.countries = countries || {};
+        this.renderCountryOptions();
+        this.handleRoute();
+    }
+
+    isVisible() {
+        const section = document.getElementById(this.sectionId);
+        return !!(section && section.classList.contains('active'));
+    }
+
+    createHTML(container) {
+        const metricButtons = PAGE_DETAIL_METRICS.map(({ metric, label }) => `
+            <button type="button" class="metric-btn" data-metric="${metric}">${label}</button>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="page-detail-header">
+                <button type="button" class="btn-outline" data-action="back">&larr; Back</button>
+                <div class="page-detail-heading">
+                    <h2 class="page-detail-title" id="${this.containerId}_title"></h2>
+                    <a class="page-detail-url" id="${this.containerId}_url" target="_blank" rel="noopener noreferrer"></a>
+                </div>
+                <button type="button" class="btn-outline" data-action="keywords">Keywords</button>
+            </div>
+            <div class="page-detail-totals" id="${this.containerId}_totals"></div>
+            <div class="chart-container">
+                <div class="chart-header">
+                    <div class="metric-selector">
+                        <div class="metric-buttons">${metricButtons}</div>
+                    </div>
+                    <div class="page-detail-controls">
+                        <select class="filter-select" id="${this.containerId}_country" aria-label="Country"></select>
+                        <div class="page-detail-zoom">
+                            <button type="button" class="btn-outline" data-zoom="out" aria-label="Zoom out">&minus;</button>
+                            <button type="button" class="btn-outline" data-zoom="in" aria-label="Zoom in">+</button>
+                            <button type="button" class="btn-outline" data-zoom="reset">Reset</button>
+                        </div>
+                    </div>
+                </div>
+                <div class="chart-wrapper">
+                    <canvas id="${PAGE_DETAIL_CANVAS_ID}"></canvas>
+                    <div class="page-detail-message" id="${this.containerId}_message"></div>
+                </div>
+            </div>
+        `;
+        this.renderCountryOptions();
+    }
+
+    renderCountryOptions() {
+        const select = document.getElementById(`${this.containerId}_country`);
+        if (!select) return;
+        const options = [['All countries', ''], ...Object.entries(this.countries)];
+        select.innerHTML = options
+            .map(([name, iso3]) => `<option value="${escapeHtml(iso3)}">${escapeHtml(name)}</option>`)
+            .join('');
+        select.value = this.iso3;
+    }
+
+    bindEvents() {
+        const container = document.getElementById(this.containerId);
+
+        container.addEventListener('click', (e) => {
+            const metricBtn = e.target.closest('.metric-btn[data-metric]');
+            if (metricBtn) {
+                this.toggleMetric(metricBtn.dataset.metric);
+                return;
+            }
+            const zoomBtn = e.target.closest('[data-zoom]');
+            if (zoomBtn) {
+                this.zoom(zoomBtn.dataset.zoom);
+                return;
+            }
+            const actionBtn = e.target.closest('[data-action]');
+            if (actionBtn?.dataset.action === 'back') this.close();
+            if (actionBtn?.dataset.action === 'keywords' && typeof window.openPageKeywords === 'function') {
+                window.openPageKeywords(this.url);
+            }
+        });
+
+        const select = document.getElementById(`${this.containerId}_country`);
+        if (select) {
+            select.addEventListener('change', () => {
+                this.iso3 = select.value || '';
+                history.replaceState(null, '', buildPageDetailHash(this.url, this.iso3));
+                this.refresh();
+            });
+        }
+
+        window.addEventListener('hashchange', () => this.handleRoute());
+
+        // Totals follow every range change; the chart view only follows manual picks
+        // (zoom-driven changes originate from this chart's own zoom manager)
+        window.addEventListener('dateRangeChanged', () => {
+            if (this.isVisible()) this.renderTotals();
+        });
+        window.addEventListener('manualDateRangeSynchronized', () => this.applyGlobalRange());
+
+        // Zoom state is rebuilt whenever the chart is recreated (new data or metric toggle)
+        window.addEventListener('chartUpdated', (e) => {
+            if (e.detail?.chartId !== PAGE_DETAIL_CHART_ID) return;
+            // Wait for the zoom manager's own post-update sync before narrowing the view
+            requestAnimationFrame(() => this.applyGlobalRange());
+        });
+
+        // Leaving through the sidebar drops the page route from the address bar
+        window.addEventListener('sectionShown', (e) => {
+            if (e.detail?.sectionId !== this.sectionId && parsePageDetailHash(window.location.hash)) {
+                this.openedFromApp = false;
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+        });
+    }
+
+    /**
+     * Navigate to the detail view for a page
+     * @param {string} url - Page URL (normalized internally)
+     * @param {string|null} iso3 - Country code; defaults to the main country filter
+     */
+    open(url, iso3 = null) {
+        const normalized = normalizePageUrl(url);
+        if (!normalized) return;
+        const country = iso3 ?? getCurrentCountry().iso3;
+        const hash = buildPageDetailHash(normalized, country);
+        this.openedFromApp = true;
+        if (window.location.hash === hash) {
+            this.handleRoute();
+        } else {
+            window.location.hash = hash; // hashchange -> handleRoute
+        }
+    }
+
+    close() {
+        if (this.openedFromApp) {
+            this.openedFromApp = false;
+            history.back();
+            return;
+        }
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        this.handleRoute();
+    }
+
+    handleRoute() {
+        if (!this.isInitialized) return;
+        const route = parsePageDetailHash(window.location.hash);
+
+        if (!route) {
+            if (this.isVisible()) showSection(this.returnSection);
+            this._loadToken++;
+            return;
+        }
+        if (typeof this.loadDates !== 'function') return; // resolved again from setDependencies
+
+        if (!this.isVisible()) {
+            const activeSection = document.querySelector('.section.active');
+            this.returnSection = activeSection && activeSection.id !== this.sectionId ? activeSection.id : 'overview';
+        }
+
+        const changed = route.url !== this.url || route.iso3 !== this.iso3 || !this.isVisible();
+        this.url = route.url;
+        this.iso3 = route.iso3;
+        showSection(this.sectionId);
+        this.renderHeader();
+        if (changed) this.refresh();
+    }
+
+    renderHeader() {
+        const titleEl = document.getElementById(`${this.containerId}_title`);
+        const urlEl = document.getElementById(`${this.containerId}_url`);
+        const select = document.getElementById(`${this.containerId}_country`);
+        if (titleEl) titleEl.textContent = getPageTitle(this.url);
+        if (urlEl) {
+            urlEl.textContent = this.url;
+            urlEl.href = this.url;
+        }
+        if (select) select.value = this.iso3;
+    }
+
+    getCountryName() {
+        const entry = Object.entries(this.countries).find(([, iso3]) => iso3 === this.iso3);
+        return entry ? entry[0] : (this.iso3 || 'All countries');
+    }
+
+    async refresh() {
+        if (typeof this.loadDates !== 'function' || !this.url) return;
+        const token = ++this._loadToken;
+        this.showMessage('<div class="spinner"></div>');
+
+        try {
+            const dates = await this.loadDates(this.url, this.iso3);
+            if (token !== this._loadToken) return;
+            this.dates = (dates || []).slice().sort((a, b) => parseDate(a.Date) - parseDate(b.Date));
+            this.renderTotals();
+            if (!this.dates.length) {
+                this.showMessage(`No weekly export found for this page in ${escapeHtml(this.getCountryName())}.`);
+                return;
+            }
+            this.showMessage('');
+            this.renderChart();
+        } catch (e) {
+            if (token !== this._loadToken) return;
+            logger.error('Failed to load page detail data', { url: this.url, iso3: this.iso3, error: e.message });
+            this.showMessage('Weekly data could not be loaded.');
+        }
+    }
+
+    getModel() {
+        return getChartModel(PAGE_DETAIL_CHART_ID) || createChartModel(PAGE_DETAIL_CHART_ID, PAGE_DETAIL_CANVAS_ID, {
+            defaultMetrics: ['clicks', 'impressions'],
+            // The page's weekly series must not replace the site-wide window.globalData
+            publishGlobalData: false
+        });
+    }
+
+    renderChart() {
+        // Register the zoom manager against our canvas before the first update reaches it
+        getChartManager(PAGE_DETAIL_CHART_ID, PAGE_DETAIL_CANVAS_ID);
+        this.updateMetricButtons();
+        updateChartById(PAGE_DETAIL_CHART_ID, { dates: this.dates, comparisonSeries: null });
+    }
+
+    toggleMetric(metric) {
+        const model = this.getModel();
+        if (model.hasMetric(metric)) {
+            model.removeMetric(metric);
+        } else {
+            model.addMetric(metric);
+        }
+        // Ensure at least one metric is selected
+        if (model.getSelectedMetrics().size === 0) model.addMetric('clicks');
+        this.updateMetricButtons();
+        if (model.getData()) updateChartModel(model)();
+    }
+
+    updateMetricButtons() {
+        const model = this.getModel();
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+        container.querySelectorAll('.metric-btn[data-metric]').forEach(btn => {
+            btn.classList.toggle('active', model.hasMetric(btn.dataset.metric));
+        });
+    }
+
+    zoom(action) {
+        const manager = getChartManager(PAGE_DETAIL_CHART_ID, PAGE_DETAIL_CANVAS_ID);
+        if (!manager) return;
+        if (action === 'in') manager.zoomIn();
+        else if (action === 'out') manager.zoomOut();
+        else manager.resetToDefault();
+    }
+
+    applyGlobalRange() {
+        if (!this.isVisible() || !this.dates.length) return;
+        const manager = getChartManager(PAGE_DETAIL_CHART_ID, PAGE_DETAIL_CANVAS_ID);
+        const range = getCurrentGlobalDateRange();
+        if (!manager) return;
+        if (range && range.start && range.end) {
+            manager.updateChartToDateRange(range);
+        } else {
+            manager.resetToDefault();
+        }
+    }
+
+    renderTotals() {
+        const totalsEl = document.getElementById(`${this.containerId}_totals`);
+        if (!totalsEl) return;
+        const range = getCurrentGlobalDateRange();
+        const inRange = range && range.start && range.end
+            ? this.dates.filter(d => {
+                const date = parseDate(d.Date);
+                return date && date >= parseDate(range.start) && date <= parseDate(range.end);
+            })
+            : this.dates;
+        const totals = summarizeWeeklyDates(inRange);
+        totalsEl.innerHTML = `
+            <span class="page-detail-scope">${escapeHtml(this.getCountryName())} · ${escapeHtml(formatDateRangeForDisplay(range))}</span>
+            <span><strong>${formatNumber(totals.weeks)}</strong> weeks</span>
+            <span><strong>${formatNumber(totals.clicks)}</strong> clicks</span>
+            <span><strong>${formatNumber(totals.impressions)}</strong> impressions</span>
+            <span><strong>${formatPercentage(totals.ctr)}</strong> CTR</span>
+            <span><strong>${totals.position ? totals.position.toFixed(1) : '–'}</strong> avg. position</span>
+        `;
+    }
+
+    showMessage(html) {
+        const messageEl = document.getElementById(`${this.containerId}_message`);
+        const canvas = document.getElementById(PAGE_DETAIL_CANVAS_ID);
+        if (messageEl) {
+            messageEl.innerHTML = html;
+            messageEl.style.display = html ? 'flex' : 'none';
+        }
+        if (canvas) canvas.style.visibility = html ? 'hidden' : 'visible';
+    }
+}
+
+// ===== Global Instance =====
+export const pageDetailView = new PageDetailView();
+
+// ===== Export Functions =====
+export const openPageDetail = (url, iso3 = null) => pageDetailView.open(url, iso3);
+export const setDependencies = (deps) => pageDetailView.setDependencies(deps);
+
+// ===== Auto-initialization =====
+if (typeof window !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            pageDetailView.initialize();
+        });
+    } else {
+        pageDetailView.initialize();
+    }
+}
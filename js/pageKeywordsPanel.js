@@ -0,0 +1,194 @@
+import { logger } from './logger.js';
+import { formatNumber, escapeHtml, getPageTitle, getCurrentCountry } from './utils.js';
+import { getCurrentGlobalDateRange, formatDateRangeForDisplay } from './dateUtils.js';
+import {
+    aggregateKeywordRows,
+    sortKeywords,
+    getDefaultKeywordSortDirection,
+    renderKeywordHeaders,
+    renderKeywordRows,
+    updateKeywordSortIndicators
+} from './keywordsExplorer.js';
+
+// ===== Page Keywords Panel =====
+// Side drawer listing the queries that drive a single URL (keywords/Page_Weekly exports).
+
+const MAX_PANEL_QUERIES = 200;
+
+class PageKeywordsPanel {
+    constructor() {
+        this.overlay = null;
+        this.url = '';
+        this.loadRows = null; // (iso3) => Promise<rows>
+        this.keywords = [];
+        this.sortField = 'clicks';
+        this.sortDirection = 'desc';
+        this.isOpen = false;
+        this._loadToken = 0;
+        this._keydownHandler = null;
+        this._listenersBound = false;
+    }
+
+    ensureDom() {
+        if (this.overlay) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'page-drawer-overlay';
+        overlay.id = 'pageKeywordsOverlay';
+        overlay.innerHTML = `
+            <aside class="page-drawer" role="dialog" aria-modal="true" aria-labelledby="pageKeywordsTitle">
+                <div class="page-drawer-header">
+                    <div class="page-drawer-heading">
+                        <h3 class="page-drawer-title" id="pageKeywordsTitle"></h3>
+                        <a class="page-drawer-url" id="pageKeywordsUrl" target="_blank" rel="noopener noreferrer"></a>
+                        <div class="page-drawer-meta" id="pageKeywordsMeta"></div>
+                    </div>
+                    <div class="page-drawer-actions">
+                        <button type="button" class="btn-outline" data-action="trend">Weekly trend</button>
+                        <button type="button" class="page-drawer-close" aria-label="Close">&times;</button>
+                    </div>
+                </div>
+                <div class="page-drawer-body">
+                    <div class="page-drawer-totals" id="pageKeywordsTotals"></div>
+                    <table class="data-table keywords-table" id="pageKeywordsTable">
+                        <thead><tr>${renderKeywordHeaders()}</tr></thead>
+                        <tbody id="pageKeywordsTbody"></tbody>
+                    </table>
+                </div>
+            </aside>
+        `;
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.close();
+        });
+        overlay.querySelector('.page-drawer-close').addEventListener('click', () => this.close());
+        overlay.querySelector('[data-action="trend"]').addEventListener('click', () => {
+            const url = this.url;
+            this.close();
+            if (typeof window.openPageDetail === 'function') window.openPageDetail(url);
+        });
+        overlay.querySelectorAll('.sortable-header').forEach(th => {
+            th.addEventListener('click', () => this.setSort(th.dataset.sort));
+        });
+        updateKeywordSortIndicators(overlay, this.sortField, this.sortDirection);
+    }
+
+    bindGlobalListeners() {
+        if (this._listenersBound) return;
+        const refreshIfOpen = () => { if (this.isOpen) this.refresh(); };
+        window.addEventListener('countryFilterChanged', refreshIfOpen);
+        window.addEventListener('dateRangeChanged', refreshIfOpen);
+        this._listenersBound = true;
+    }
+
+    /**
+     * Open the drawer for a page
+     * @param {string} url - Normalized page URL
+     * @param {Object} options - { loadRows: (iso3) => Promise<Array> }
+     */
+    open(url, { loadRows } = {}) {
+        this.ensureDom();
+        this.bindGlobalListeners();
+        this.url = url;
+        this.loadRows = loadRows;
+
+        const titleEl = document.getElementById('pageKeywordsTitle');
+        const urlEl = document.getElementById('pageKeywordsUrl');
+        if (titleEl) titleEl.textContent = getPageTitle(url);
+        if (urlEl) {
+            urlEl.textContent = url;
+            urlEl.href = url;
+        }
+
+        this.overlay.classList.add('open');
+        this.isOpen = true;
+        this._keydownHandler = (e) => { if (e.key === 'Escape') this.close(); };
+        document.addEventListener('keydown', this._keydownHandler);
+        this.refresh();
+    }
+
+    close() {
+        if (!this.overlay) return;
+        this.overlay.classList.remove('open');
+        this.isOpen = false;
+        this._loadToken++;
+        if (this._keydownHandler) {
+            document.removeEventListener('keydown', this._keydownHandler);
+            this._keydownHandler = null;
+        }
+    }
+
+    async refresh() {
+        if (typeof this.loadRows !== 'function') return;
+        const token = ++this._loadToken;
+        const { countryName, iso3 } = getCurrentCountry();
+        const range = getCurrentGlobalDateRange();
+
+        const meta = document.getElementById('pageKeywordsMeta');
+        if (meta) meta.textContent = `${countryName || 'All countries'} · ${formatDateRangeForDisplay(range)}`;
+        this.showMessage('<div class="spinner"></div>', 'loading');
+
+        try {
+            const rows = await this.loadRows(iso3);
+            if (token !== this._loadToken) return;
+            if (!rows.length) {
+                this.keywords = [];
+                this.renderTotals();
+                this.showMessage(`No keyword export found for this page in ${escapeHtml(countryName || 'All countries')}.`);
+                return;
+            }
+            this.keywords = aggregateKeywordRows(rows, range);
+            this.render();
+        } catch (e) {
+            if (token !== this._loadToken) return;
+            logger.error('Failed to load page keywords', { url: this.url, error: e.message });
+            this.showMessage('Keywords could not be loaded.');
+        }
+    }
+
+    setSort(field) {
+        if (!field) return;
+        if (this.sortField === field) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortField = field;
+            this.sortDirection = getDefaultKeywordSortDirection(field);
+        }
+        updateKeywordSortIndicators(this.overlay, this.sortField, this.sortDirection);
+        this.render();
+    }
+
+    renderTotals() {
+        const totalsEl = document.getElementById('pageKeywordsTotals');
+        if (!totalsEl) return;
+        const clicks = this.keywords.reduce((sum, k) => sum + k.clicks, 0);
+        const impressions = this.keywords.reduce((sum, k) => sum + k.impressions, 0);
+        totalsEl.innerHTML = `
+            <span><strong>${formatNumber(this.keywords.length)}</strong> queries</span>
+            <span><strong>${formatNumber(clicks)}</strong> clicks</span>
+            <span><strong>${formatNumber(impressions)}</strong> impressions</span>
+        `;
+    }
+
+    render() {
+        this.renderTotals();
+        if (!this.keywords.length) {
+            this.showMessage('No queries for this page in the selected date range.');
+            return;
+        }
+        const tbody = document.getElementById('pageKeywordsTbody');
+        if (!tbody) return;
+        const sorted = sortKeywords(this.keywords.slice(), this.sortField, this.sortDirection);
+        tbody.innerHTML = renderKeywordRows(sorted.slice(0, MAX_PANEL_QUERIES));
+    }
+
+    showMessage(html, className = 'keywords-empty') {
+        const tbody = document.getElementById('pageKeywordsTbody');
+        if (tbody) tbody.innerHTML = `<tr><td colspan="5" class="${className}">${html}</td></tr>`;
+    }
+}
+
+// ===== Global Instance =====
+export const pageKeywordsPanel = new PageKeywordsPanel();
@@ -0,0 +1,71 @@
+import { logger } from './logger.js';
+import { getDataSource } from './dataSource.js';
+
+// ===== Property Registry =====
+// Search Console properties offered by the property selector, discovered from the
+// daily export manifest (Data/Chart-Daily_Data/manifest.json) by the
+// property_<sanitized>_daily_* file naming convention (docs/data-exports-spec.md).
+
+export const LAST_PROPERTY_STORAGE_KEY = 'dashboard:lastPropertySelection';
+
+const DAILY_FILE_PATTERN = /^property_(.+?)_daily_(?:all_countries|country_([A-Z]{3}))_all_data\.csv$/;
+
+/**
+ * Readable label for a sanitized property, e.g. https_www_example_com -> www.example.com
+ */
+export function formatPropertyLabel(property) {
+    return String(property || '')
+        .replace(/^sc-domain:/, '')
+        .replace(/^https?_/, '')
+        .replace(/_/g, '.');
+}
+
+/**
+ * Group manifest file names into properties
+ * @param {Object} manifest - { files: [file names or paths] }
+ * @returns {Array} [{ property, label, countries, hasAllCountries }] sorted by label
+ */
+export function parsePropertyManifest(manifest) {
+    const byProperty = new Map();
+    (manifest?.files || []).forEach(path => {
+        const match = String(path).split('/').pop().match(DAILY_FILE_PATTERN);
+        if (!match) return;
+        const [, property, iso3] = match;
+        const entry = byProperty.get(property) || {
+            property,
+            label: formatPropertyLabel(property),
+            countries: [],
+            hasAllCountries: false
+        };
+        if (iso3) entry.countries.push(iso3);
+        else entry.hasAllCountries = true;
+        byProperty.set(property, entry);
+    });
+    return Array.from(byProperty.values()).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Load the properties listed in the manifest. Resolves [] when there is no manifest.
+ */
+export async function loadPropertyList() {
+    try {
+        const properties = parsePropertyManifest(await getDataSource().loadJson('propertyManifest'));
+        logger.info('Property list loaded', { properties: properties.map(p => p.property) });
+        return properties;
+    } catch (error) {
+        logger.warn('No property manifest; property selector hidden', { error: error.message });
+        return [];
+    }
+}
+
+export function getSavedProperty() {
+    try {
+        return localStorage.getItem(LAST_PROPERTY_STORAGE_KEY) || '';
+    } catch (_) {
+        return '';
+    }
+}
+
+export function saveProperty(property) {
+    try { localStorage.setItem(LAST_PROPERTY_STORAGE_KEY, property); } catch (_) {}
+}
@@ -0,0 +1,351 @@
+import { logger } from './logger.js';
+import { escapeHtml, readFileContent } from './utils.js';
+import { addDays, daysBetween, toISO, toLocalISO } from './dateUtils.js';
+import { readViewState, buildViewSearch } from './viewState.js';
+
+// ===== Saved Views =====
+// Named presets of the shareable view state (section, range, country, compared countries,
+// chart metrics, Top Pages filters), listed in the sidebar and kept in localStorage.
+// A range that ends today can be saved as rolling ("last 90 days"), so it moves with
+// the calendar. Views export/import as JSON:
+//
+//   { "version": 1, "views": [{ "id", "name", "state", "rollingDays", "createdAt", "updatedAt" }] }
+//
+// "state" has the shape of readViewState(); imported states go through the same URL
+// parsing, so unknown metrics, sort fields or malformed dates are dropped.
+
+export const SAVED_VIEWS_STORAGE_KEY = 'dashboard:savedViews';
+const SAVED_VIEWS_VERSION = 1;
+const MAX_NAME_LENGTH = 80;
+
+const newViewId = () => `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+function cleanName(name) {
+    return String(name ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Validate one stored or imported view; returns null when it can't be used
+ */
+export function normalizeSavedView(raw) {
+    const name = cleanName(raw?.name);
+    if (!name || !raw.state || typeof raw.state !== 'object') return null;
+    const state = readViewState(buildViewSearch(raw.state, ''));
+    const rollingDays = Number.isInteger(raw.rollingDays) && raw.rollingDays > 0 ? raw.rollingDays : null;
+    const now = new Date().toISOString();
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : newViewId(),
+        name,
+        state,
+        rollingDays,
+        createdAt: raw.createdAt || now,
+        updatedAt: raw.updatedAt || raw.createdAt || now
+    };
+}
+
+/**
+ * Views from an export file: { version, views } or a bare array
+ */
+export function parseSavedViewsJson(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.views;
+    if (!Array.isArray(list)) throw new Error('No "views" list in this file');
+    if (!Array.isArray(data) && data.version > SAVED_VIEWS_VERSION) {
+        throw new Error(`Saved views version ${data.version} is newer than this dashboard`);
+    }
+    return list.map(normalizeSavedView).filter(Boolean);
+}
+
+/**
+ * View state to open: rolling views get their range re-anchored on today
+ */
+export function resolveSavedViewState(view, today = new Date()) {
+    if (!view.rollingDays) return view.state;
+    const end = toLocalISO(today);
+    return { ...view.state, range: { start: toLocalISO(addDays(end, -view.rollingDays + 1)), end } };
+}
+
+/** Range ending today (the date picker's quick ranges), i.e. one that can be saved as rolling */
+function getRollingDays(range, today = new Date()) {
+    if (!range?.start || !range?.end) return null;
+    if (range.end !== toLocalISO(today) && range.end !== toISO(today)) return null;
+    return daysBetween(range.start, range.end) + 1;
+}
+
+function describeView(view) {
+    const { state } = view;
+    const parts = [];
+    if (view.rollingDays) parts.push(`last ${view.rollingDays} days`);
+    else if (state.range) parts.push(`${state.range.start} → ${state.range.end}`);
+    else parts.push('all dates');
+    if (state.country) parts.push(state.country);
+    else if (state.country === '') parts.push('all countries');
+    if (state.compare.length) parts.push(`vs ${state.compare.join(', ')}`);
+    parts.push(state.metrics.join('+'));
+    return parts.join(' · ');
+}
+
+class SavedViewsPanel {
+    constructor() {
+        this.container = null;
+        this.views = [];
+        this.getState = null; // () => current view state
+        this.openState = null; // (state) => void
+        this.editingId = null;
+        this.isSaving = false;
+        this.status = { text: '', type: '' };
+        this.isInitialized = false;
+    }
+
+    /**
+     * @param {Object} deps - { getState, openState } provided by the dashboard
+     */
+    setDependencies({ getState, openState } = {}) {
+        if (getState) this.getState = getState;
+        if (openState) this.openState = openState;
+    }
+
+    init(containerId = 'savedViews') {
+        if (this.isInitialized) return;
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            logger.warn('Saved views container not found', { containerId });
+            return;
+        }
+        this.isInitialized = true;
+        this.views = this.load();
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('submit', (e) => this.handleSubmit(e));
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.cancelEdit();
+        });
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('.saved-views-file')) this.importFile(e.target.files?.[0]);
+        });
+        // Another tab saved or removed a view
+        window.addEventListener('storage', (e) => {
+            if (e.key !== SAVED_VIEWS_STORAGE_KEY) return;
+            this.views = this.load();
+            this.render();
+        });
+        this.render();
+    }
+
+    // ===== Storage =====
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SAVED_VIEWS_STORAGE_KEY) || 'null');
+            return (stored?.views || []).map(normalizeSavedView).filter(Boolean);
+        } catch (error) {
+            logger.warn('Saved views could not be read', { error: error.message });
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, JSON.stringify({
+                version: SAVED_VIEWS_VERSION,
+                views: this.views
+            }));
+        } catch (error) {
+            logger.warn('Saved views could not be stored', { error: error.message });
+            this.setStatus('Could not store views in this browser', 'error');
+        }
+    }
+
+    // ===== Actions =====
+
+    save(name, rolling) {
+        if (!this.getState) return;
+        const state = readViewState(buildViewSearch(this.getState(), ''));
+        const rollingDays = rolling ? getRollingDays(state.range) : null;
+        const existing = this.views.find(view => view.name.toLowerCase() === name.toLowerCase());
+        const now = new Date().toISOString();
+        if (existing) {
+            Object.assign(existing, { state, rollingDays, updatedAt: now });
+        } else {
+            this.views.push({ id: newViewId(), name, state, rollingDays, createdAt: now, updatedAt: now });
+        }
+        this.persist();
+        this.setStatus(existing ? `Updated "${name}"` : `Saved "${name}"`, 'success');
+        logger.info('Saved view stored', { name, rollingDays });
+    }
+
+    open(id) {
+        const view = this.views.find(v => v.id === id);
+        if (!view || !this.openState) return;
+        logger.info('Opening saved view', { name: view.name });
+        this.openState(resolveSavedViewState(view));
+    }
+
+    rename(id, name) {
+        const view = this.views.find(v => v.id === id);
+        if (!view) return;
+        if (this.views.some(v => v !== view && v.name.toLowerCase() === name.toLowerCase())) {
+            this.setStatus(`A view named "${name}" already exists`, 'error');
+            return;
+        }
+        view.name = name;
+        view.updatedAt = new Date().toISOString();
+        this.persist();
+    }
+
+    remove(id) {
+        const view = this.views.find(v => v.id === id);
+        if (!view) return;
+        this.views = this.views.filter(v => v !== view);
+        this.persist();
+        this.setStatus(`Deleted "${view.name}"`, '');
+    }
+
+    exportViews() {
+        if (!this.views.length) return;
+        const json = JSON.stringify({
+            version: SAVED_VIEWS_VERSION,
+            exportedAt: new Date().toISOString(),
+            views: this.views
+        }, null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `saved-views-${toLocalISO(new Date())}.json`;
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Merge views from an export file: same id or name replaces, anything else is added
+     */
+    async importFile(file) {
+        if (!file) return;
+        try {
+            const imported = parseSavedViewsJson(await readFileContent(file));
+            imported.forEach(view => {
+                const name = view.name.toLowerCase();
+                const idx = this.views.findIndex(v => v.id === view.id || v.name.toLowerCase() === name);
+                if (idx === -1) this.views.push(view);
+                else this.views[idx] = { ...view, id: this.views[idx].id };
+            });
+            this.persist();
+            this.setStatus(imported.length
+                ? `Imported ${imported.length} view${imported.length === 1 ? '' : 's'}`
+                : 'No usable views in this file', imported.length ? 'success' : 'error');
+            logger.info('Saved views imported', { file: file.name, count: imported.length });
+        } catch (error) {
+            logger.warn('Saved views import failed', { file: file.name, error: error.message });
+            this.setStatus(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    setStatus(text, type) {
+        this.status = { text, type };
+        this.render();
+    }
+
+    cancelEdit() {
+        if (!this.editingId && !this.isSaving) return;
+        this.editingId = null;
+        this.isSaving = false;
+        this.render();
+    }
+
+    // ===== Events =====
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const id = button.closest('[data-view-id]')?.dataset.viewId;
+        switch (button.dataset.action) {
+            case 'open': this.open(id); break;
+            case 'new':
+                this.isSaving = true;
+                this.editingId = null;
+                this.status = { text: '', type: '' };
+                this.render();
+                this.container.querySelector('.saved-views-form input[name="name"]')?.focus();
+                break;
+            case 'rename':
+                this.editingId = id;
+                this.isSaving = false;
+                this.render();
+                this.container.querySelector('.saved-views-form input[name="name"]')?.select();
+                break;
+            case 'delete': this.remove(id); break;
+            case 'cancel': this.cancelEdit(); break;
+            case 'export': this.exportViews(); break;
+            case 'import': this.container.querySelector('.saved-views-file')?.click(); break;
+        }
+    }
+
+    handleSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const name = cleanName(form.elements.name?.value);
+        if (!name) return;
+        if (this.editingId) this.rename(this.editingId, name);
+        else this.save(name, Boolean(form.elements.rolling?.checked));
+        this.editingId = null;
+        this.isSaving = false;
+        this.render();
+    }
+
+    // ===== Rendering =====
+
+    renderForm(value = '', { withRolling = false } = {}) {
+        const rollingDays = withRolling && this.getState ? getRollingDays(this.getState().range) : null;
+        return `
+            <form class="saved-views-form">
+                <input type="text" name="name" value="${escapeHtml(value)}" maxlength="${MAX_NAME_LENGTH}"
+                    placeholder="e.g. Mexico blog, last 90 days" aria-label="View name" required>
+                ${rollingDays ? `
+                    <label class="saved-views-rolling">
+                        <input type="checkbox" name="rolling" checked>
+                        Keep as last ${rollingDays} days
+                    </label>` : ''}
+                <div class="saved-views-form-actions">
+                    <button type="submit" class="saved-views-button primary">Save</button>
+                    <button type="button" class="saved-views-button" data-action="cancel">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    render() {
+        if (!this.container) return;
+        const items = this.views.map(view => this.editingId === view.id
+            ? `<li data-view-id="${escapeHtml(view.id)}">${this.renderForm(view.name)}</li>`
+            : `
+                <li class="saved-views-item" data-view-id="${escapeHtml(view.id)}">
+                    <button type="button" class="saved-views-open" data-action="open" title="${escapeHtml(describeView(view))}">
+                        <span class="saved-views-name">${escapeHtml(view.name)}</span>
+                        <span class="saved-views-meta">${escapeHtml(describeView(view))}</span>
+                    </button>
+                    <button type="button" class="saved-views-icon" data-action="rename" aria-label="Rename ${escapeHtml(view.name)}" title="Rename">&#9998;</button>
+                    <button type="button" class="saved-views-icon" data-action="delete" aria-label="Delete ${escapeHtml(view.name)}" title="Delete">&times;</button>
+                </li>
+            `).join('');
+
+        this.container.innerHTML = `
+            <div class="saved-views-header">
+                <span>Saved views</span>
+                <button type="button" class="saved-views-button" data-action="new" ${this.getState ? '' : 'disabled'}>+ Save current</button>
+            </div>
+            ${this.isSaving ? this.renderForm('', { withRolling: true }) : ''}
+            ${items ? `<ul class="saved-views-list">${items}</ul>` : (this.isSaving ? '' : '<p class="saved-views-empty">No saved views yet.</p>')}
+            <div class="saved-views-footer">
+                <button type="button" class="saved-views-link" data-action="export" ${this.views.length ? '' : 'disabled'}>Export</button>
+                <button type="button" class="saved-views-link" data-action="import">Import</button>
+                <input type="file" class="saved-views-file" accept=".json,application/json" hidden>
+            </div>
+            ${this.status.text ? `<p class="saved-views-status ${this.status.type}">${escapeHtml(this.status.text)}</p>` : ''}
+        `;
+    }
+}
+
+// ===== Global Instance =====
+export const savedViewsPanel = new SavedViewsPanel();
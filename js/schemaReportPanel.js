@@ -0,0 +1,135 @@
+import { escapeHtml } from './utils.js';
+import { getSchemaReport, clearSchemaReport } from './dataSchemas.js';
+
+// ===== Schema Report Panel =====
+// Badge + dialog listing data files that failed their schema checks (file, row, column,
+// problem), plus the load error when the dashboard data couldn't be used at all.
+
+function formatIssueRow(issue) {
+    const prefix = issue.section ? `${issue.section} ` : '';
+    if (issue.row === 'header') return `${prefix}header`;
+    if (issue.section) return issue.row ? `${issue.section} #${issue.row}` : issue.section;
+    return issue.row === '' ? '—' : String(issue.row);
+}
+
+class SchemaReportPanel {
+    constructor() {
+        this.overlay = null;
+        this.badge = null;
+        this.loadError = '';
+        this._listenersBound = false;
+    }
+
+    init() {
+        if (this._listenersBound) return;
+        this._listenersBound = true;
+        window.addEventListener('schemaReportChanged', () => this.render());
+        // A new data source starts a new report
+        window.addEventListener('dataSourceChanged', () => {
+            this.loadError = '';
+            clearSchemaReport();
+            this.render();
+        });
+        this.render();
+    }
+
+    /**
+     * Show why the dashboard data failed to load, alongside any schema problems
+     */
+    showError(error) {
+        this.loadError = error?.message || String(error || 'Data could not be loaded.');
+        this.render();
+        this.open();
+    }
+
+    ensureDom() {
+        if (this.overlay) return;
+
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = 'schema-report-badge';
+        badge.hidden = true;
+        badge.addEventListener('click', () => this.open());
+        document.body.appendChild(badge);
+        this.badge = badge;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'schema-report-overlay';
+        overlay.innerHTML = `
+            <div class="schema-report-dialog" role="dialog" aria-modal="true" aria-labelledby="schemaReportTitle">
+                <div class="gsc-import-header">
+                    <h3 id="schemaReportTitle">Data problems</h3>
+                    <button type="button" class="page-drawer-close" data-action="close" aria-label="Close">&times;</button>
+                </div>
+                <div class="schema-report-body"></div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('[data-action="close"]')) this.close();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    open() {
+        this.ensureDom();
+        this.renderBody();
+        this.overlay.classList.add('open');
+    }
+
+    close() {
+        if (this.overlay) this.overlay.classList.remove('open');
+    }
+
+    render() {
+        const report = getSchemaReport();
+        if (!report.length && !this.loadError && !this.overlay) return;
+        this.ensureDom();
+
+        const total = report.reduce((sum, entry) => sum + entry.total, 0);
+        this.badge.hidden = !total && !this.loadError;
+        this.badge.textContent = total
+            ? `${total.toLocaleString()} data problem${total === 1 ? '' : 's'}`
+            : 'Data failed to load';
+        this.badge.classList.toggle('has-error', !!this.loadError);
+
+        if (this.overlay.classList.contains('open')) this.renderBody();
+    }
+
+    renderBody() {
+        const body = this.overlay?.querySelector('.schema-report-body');
+        if (!body) return;
+        const report = getSchemaReport();
+
+        const errorHtml = this.loadError
+            ? `<p class="schema-report-error">${escapeHtml(this.loadError)}</p>`
+            : '';
+        const filesHtml = report.map(({ file, label, issues, total }) => `
+            <section class="schema-report-file">
+                <h4>${escapeHtml(label)} <code>${escapeHtml(file)}</code>
+                    <span>${total.toLocaleString()} problem${total === 1 ? '' : 's'}</span></h4>
+                <table class="schema-report-table">
+                    <thead><tr><th>Row</th><th>Column</th><th>Problem</th></tr></thead>
+                    <tbody>
+                        ${issues.map(issue => `
+                            <tr class="${issue.severity === 'error' ? 'is-error' : ''}">
+                                <td>${escapeHtml(formatIssueRow(issue))}</td>
+                                <td>${escapeHtml(issue.column || '—')}</td>
+                                <td>${escapeHtml(issue.problem)}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+                ${total > issues.length ? `<p class="schema-report-more">Showing the first ${issues.length} of ${total.toLocaleString()}.</p>` : ''}
+            </section>
+        `).join('');
+
+        body.innerHTML = errorHtml + (filesHtml || (this.loadError ? '' : '<p class="schema-report-more">No problems found in the files loaded so far.</p>'));
+    }
+}
+
+// ===== Global Instance =====
+export const schemaReportPanel = new SchemaReportPanel();
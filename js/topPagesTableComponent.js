@@ -1,8 +1,12 @@
-import { formatNumber, parsePercentage, getPageImage, getPageTitle, normalizePageUrl } from './utils.js';
+import { formatNumber, parsePercentage, getPageImage, getPageTitle, normalizePageUrl, escapeHtml } from './utils.js';
 import { ogMetadataManager } from './ogMetadataManager.js';
-import { defaultTPSEngine } from './tpsScoringEngine.js';
+import { defaultTPSEngine, TPS_PRESET_LABELS, TPS_COMPONENT_LABELS } from './tpsScoringEngine.js';
 import { getCurrentGlobalDateRange } from './dateUtils.js';
 import { AllPagesNavbar } from './allPagesNavbar.js';
+import { contentGroupRegistry, classifyUrl, resolveTypeFilter, ALL_GROUPS } from './contentGroups.js';
+import { tpsExplanationPanel } from './tpsExplanationPanel.js';
+
+const TPS_WEIGHTS_STORAGE_KEY = 'dashboard:tpsWeights';
 
 /**
  * Reusable Top Pages Table Component
@@ -25,9 +29,10 @@ export class TopPagesTableComponent {
         
         this.pages = [];
         this.filteredPages = [];
+        this.emptyMessage = ''; // Shown instead of an empty list, e.g. "No data exported for Spain."
         this.currentView = this.config.defaultView;
         this.searchTerm = '';
-        this.typeFilter = 'Blog';
+        this.typeFilter = 'blog'; // content group id or 'All'
         this.sortField = 'Auto'; // Default to Auto mode
         this.sortDirection = 'desc';
         
@@ -64,8 +69,28 @@ export class TopPagesTableComponent {
         // Navbar instance
         this.navbar = null;
         
+        this.restoreTPSWeights();
         this.init();
     }
+
+    /**
+     * Restore the persisted TPS weight preset into the shared engine
+     */
+    restoreTPSWeights() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(TPS_WEIGHTS_STORAGE_KEY) || 'null');
+            if (saved && saved.preset) {
+                defaultTPSEngine.setPreset(saved.preset, saved.customWeights || null);
+            }
+        } catch (_) {}
+    }
+
+    persistTPSWeights() {
+        try {
+            const { preset, customWeights } = defaultTPSEngine.getConfig();
+            localStorage.setItem(TPS_WEIGHTS_STORAGE_KEY, JSON.stringify({ preset, customWeights }));
+        } catch (_) {}
+    }
     
     /**
      * Initialize the component
@@ -81,23 +106,30 @@ export class TopPagesTableComponent {
     }
 
     /**
-     * Determine page type from URL
-     * - 'clinics' if includes '/clinics/'
-     * - 'blog' if includes '/blog/'
-     * - otherwise 'page'
+     * Determine page type (content group id) from URL, e.g. 'blog', 'doctors' or the
+     * fallback 'page' (rules in Data/content_groups.json, see contentGroups.js)
      */
     getPageType(url) {
-        const val = (url || '').toLowerCase();
-        // Robust matching to handle normalized URLs without trailing slashes and slugs with '_' or '-'
-        const isClinics = /getglobalcare\.com\/clinics(?:[\/_\-]|$)/.test(val);
-        if (isClinics) return 'clinics';
-        const isDoctors = /getglobalcare\.com\/our-doctors(?:[\/_\-]|$)/.test(val);
-        if (isDoctors) return 'doctors';
-        const isLocations = /getglobalcare\.com\/locations(?:[\/_\-]|$)/.test(val);
-        if (isLocations) return 'locations';
-        const isBlog = /getglobalcare\.com\/blog(?:[\/_\-]|$)/.test(val);
-        if (isBlog) return 'blog';
-        return 'page';
+        return classifyUrl(url);
+    }
+
+    /**
+     * Type filter options: All Pages, then every content group
+     */
+    getTypeOptions() {
+        return [
+            { value: ALL_GROUPS, label: 'All Pages' },
+            ...contentGroupRegistry.getGroups().map(group => ({ value: group.id, label: group.label }))
+        ];
+    }
+
+    /**
+     * Card badge for a page type; groups with a configured color are tinted with it
+     */
+    renderPageTypeBadge(type) {
+        const color = contentGroupRegistry.getColor(type);
+        const style = color ? ` style="color: ${color}; background-color: ${color}1a;"` : '';
+        return `<span class="page-type ${escapeHtml(type)}"${style}>${escapeHtml(contentGroupRegistry.getLabel(type))}</span>`;
     }
 
     /**
@@ -342,6 +374,8 @@ export class TopPagesTableComponent {
             await this.updateTableIncrementally(newData);
         }
         
+        this.updateEmptyState();
+
         // Update the last rendered data
         this.currentDOMState.lastRenderedData = [...newData];
         
@@ -510,6 +544,17 @@ export class TopPagesTableComponent {
             positionElement.textContent = this.formatPosition(page.Position);
             positionElement.className = `position-indicator ${this.getPositionSeverityClass(page.Position)}`;
         }
+
+        const actions = card.querySelector('.page-actions');
+        if (actions) {
+            const existingBadge = actions.querySelector('.page-momentum');
+            if (existingBadge) existingBadge.remove();
+            const badge = this.renderMomentumBadge(page);
+            if (badge) actions.insertAdjacentHTML('afterbegin', badge);
+            actions.querySelector('.tps-explain-btn')?.remove();
+            const openLink = actions.querySelector('.page-open-link');
+            if (openLink) openLink.insertAdjacentHTML('beforebegin', this.renderTPSButton(page));
+        }
     }
 
     /**
@@ -564,6 +609,9 @@ export class TopPagesTableComponent {
             positionElement.textContent = this.formatPosition(page.Position);
             positionElement.className = `position-indicator ${this.getPositionSeverityClass(page.Position)}`;
         }
+
+        const tpsCell = row.querySelector('td:nth-child(6)');
+        if (tpsCell) tpsCell.innerHTML = this.renderTPSButton(page);
     }
     
     /**
@@ -656,15 +704,7 @@ export class TopPagesTableComponent {
      */
     async createCardElement(page) {
         const url = page['Top pages'];
-        const type = this.getPageType(url);
-        const pageType = type;
-        const pageTypeLabel = (
-            type === 'blog' ? 'Blog Post'
-            : type === 'clinics' ? 'Clinics'
-            : type === 'doctors' ? 'Doctors'
-            : type === 'locations' ? 'Locations'
-            : 'Page'
-        );
+        const pageType = this.getPageType(url);
         
         // Get display name and background color using simple system
         const displayName = getPageTitle(url);
@@ -681,7 +721,7 @@ export class TopPagesTableComponent {
             </div>
             <div class="page-header">
                 <div class="page-title" data-url="${url}">${displayName}</div>
-                <span class="page-type ${pageType}">${pageTypeLabel}</span>
+                ${this.renderPageTypeBadge(pageType)}
             </div>
             <div class="page-metrics">
                 <div class="page-metric">
@@ -725,6 +765,8 @@ export class TopPagesTableComponent {
                 </div>
             </div>
             <div class="page-actions">
+                ${this.renderMomentumBadge(page)}
+                ${this.renderTPSButton(page)}
                 <a href="${url}" class="btn btn-outline page-open-link" target="_blank" rel="noopener noreferrer" title="Open page in new tab">
                     <svg class="icon-external" width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true" focusable="false" shape-rendering="geometricPrecision">
                         <path d="M6.75 17.25L17.25 6.75" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" vector-effect="non-scaling-stroke"></path>
@@ -777,6 +819,7 @@ export class TopPagesTableComponent {
                     ${this.formatPosition(page.Position)}
                 </span>
             </td>
+            <td>${this.renderTPSButton(page)}</td>
         `;
         
         // Bind click handler if configured
@@ -830,17 +873,21 @@ export class TopPagesTableComponent {
                                 <th>Impressions</th>
                                 <th>CTR</th>
                                 <th>Position</th>
+                                <th>TPS</th>
                             </tr>
                         </thead>
                         <tbody id="${this.config.containerId}_tbody">
                             <tr>
-                                <td colspan="5" class="loading">
+                                <td colspan="6" class="loading">
                                     <div class="spinner"></div>
                                 </td>
                             </tr>
                         </tbody>
                     </table>
                 </div>
+
+                <!-- Empty state (e.g. country without exported data) -->
+                <div id="${this.config.containerId}_emptyState" class="pages-empty-state" style="display: none;"></div>
             </div>
         `;
     }
@@ -858,10 +905,19 @@ export class TopPagesTableComponent {
                 showSearch: this.config.enableSearch !== false,
                 showTypeFilter: true,
                 defaultType: this.typeFilter,
+                typeOptions: this.getTypeOptions(),
                 defaultView: this.currentView,
                 sortField: this.sortField,
                 sortDirection: this.sortDirection,
-                searchPlaceholder: this.config.searchPlaceholder
+                searchPlaceholder: this.config.searchPlaceholder,
+                showWeightPresets: this.config.enableSorting !== false,
+                weightPresets: defaultTPSEngine.getAvailablePresets().map(value => ({
+                    value,
+                    label: TPS_PRESET_LABELS[value] || value
+                })),
+                weightLabels: TPS_COMPONENT_LABELS,
+                weightPreset: defaultTPSEngine.getConfig().preset,
+                weights: defaultTPSEngine.getActiveWeights()
             });
         } catch (e) {
             try { console.error('Failed to initialize navbar:', e); } catch (_) {}
@@ -883,6 +939,7 @@ export class TopPagesTableComponent {
                     this._searchDebounceTimer = setTimeout(() => {
                         this.searchTerm = value.toLowerCase();
                         this.filterAndRender();
+                        this.notifyUIStateChanged();
                         // Allow heavy tasks again shortly after rendering
                         setTimeout(() => { this._isTyping = false; }, 60);
                     }, this._searchDebounceMs);
@@ -891,9 +948,9 @@ export class TopPagesTableComponent {
 
             // Type filter
             this.navbar.on('typefilter', ({ type }) => {
-                const allowed = ['All', 'Blog', 'Page', 'Clinics', 'Doctors', 'Locations'];
-                this.typeFilter = allowed.includes(type) ? type : 'All';
+                this.typeFilter = resolveTypeFilter(type);
                 this.filterAndRender();
+                this.notifyUIStateChanged();
             });
 
             // Sort field
@@ -907,6 +964,7 @@ export class TopPagesTableComponent {
                     }
                     this.updateSortingControls();
                     this.filterAndRender();
+                    this.notifyUIStateChanged();
                 });
 
                 // Sort direction
@@ -914,6 +972,21 @@ export class TopPagesTableComponent {
                     this.sortDirection = direction === 'asc' ? 'asc' : 'desc';
                     this.updateSortDirectionButton();
                     this.filterAndRender();
+                    this.notifyUIStateChanged();
+                });
+
+                // TPS weights: re-rank live (filterAndRender coalesces slider drags per frame)
+                this.navbar.on('weightschange', ({ preset, weights }) => {
+                    const active = defaultTPSEngine.setPreset(preset, weights);
+                    this.navbar.setWeights(defaultTPSEngine.getConfig().preset, active, !weights);
+                    this.persistTPSWeights();
+                    if (this.sortField !== 'Auto') {
+                        this.sortField = 'Auto';
+                        this.sortDirection = 'desc';
+                        this.updateSortingControls();
+                        this.notifyUIStateChanged();
+                    }
+                    this.filterAndRender();
                 });
             }
 
@@ -924,9 +997,36 @@ export class TopPagesTableComponent {
                     this.toggleView(desired);
                     // Ensure navbar reflects current view
                     this.navbar.setView(this.currentView);
+                    this.notifyUIStateChanged();
                 });
             }
         }
+
+        // TPS pills open the score explanation instead of the page click (capture phase,
+        // ahead of the card and row handlers)
+        const tableContainer = document.getElementById(this.config.containerId)?.querySelector('.table-container');
+        if (tableContainer) {
+            tableContainer.addEventListener('click', (ev) => {
+                const button = ev.target.closest('.tps-explain-btn');
+                if (!button) return;
+                ev.stopPropagation();
+                this.openScoreExplanation(button.dataset.url);
+            }, true);
+        }
+
+        // Calibrated CTR curve switched on/off or refitted: CTR uplift (and TPS) changed,
+        // the score cache key picks it up
+        window.addEventListener('ctrCurveChanged', () => this.filterAndRender());
+
+        // Content groups reloaded (e.g. another data source): refresh the type options,
+        // a group that no longer exists falls back to All
+        window.addEventListener('contentGroupsChanged', () => {
+            const previous = this.typeFilter;
+            this.typeFilter = resolveTypeFilter(this.typeFilter);
+            this.navbar?.setTypeOptions(this.getTypeOptions(), this.typeFilter);
+            this.filterAndRender();
+            if (this.typeFilter !== previous) this.notifyUIStateChanged();
+        });
     }
     
     /**
@@ -1063,6 +1163,7 @@ export class TopPagesTableComponent {
         
         // Store pages and apply current sorting
         this.pages = pages;
+        this.emptyMessage = data.emptyMessage || '';
         
         // Update UI controls to reflect current state
         this.updateSortingControls();
@@ -1155,6 +1256,88 @@ export class TopPagesTableComponent {
         return sorted;
     }
 
+    /**
+     * Score all loaded pages in one engine pass (percentile ranks need the whole candidate set),
+     * cached on each page per date range and weights. Rescored whenever a page joins the set.
+     */
+    ensureTPSScores(pages, dateRange = this.getCurrentDateRange()) {
+        const cacheKey = `${JSON.stringify(dateRange)}|${defaultTPSEngine.getWeightsKey()}`;
+        const isCached = (page) => page._tpsScore !== undefined && page._tpsDateRange === cacheKey;
+        const population = this.pages && this.pages.length ? this.pages : pages;
+        if (population.every(isCached) && pages.every(isCached)) return;
+
+        const scored = defaultTPSEngine.calculateTPSScores(population, dateRange);
+        const byUrl = new Map(scored.map(p => [p['Top pages'], p]));
+        new Set([...population, ...pages]).forEach(page => {
+            // Pages below the engine's data thresholds rank last
+            const match = byUrl.get(page['Top pages']);
+            page.TPS = match ? match.TPS : 0;
+            page._tpsScore = page.TPS;
+            page.scoreComponents = match ? match.scoreComponents : null;
+            page._tpsDateRange = cacheKey;
+        });
+    }
+
+    /**
+     * Momentum badge for grid cards: weekly clicks growth vs the preceding period
+     */
+    renderMomentumBadge(page) {
+        // Same value as scoreComponents.momentumGrowth, without depending on a TPS sort having run
+        const growth = defaultTPSEngine.calculateClicksGrowth(page);
+        if (growth === null || growth === undefined || !isFinite(growth)) return '';
+
+        const rounded = Math.round(growth);
+        const trend = rounded > 0 ? 'up' : (rounded < 0 ? 'down' : 'flat');
+        const label = `${rounded > 0 ? '+' : ''}${rounded}%`;
+        return `<span class="page-momentum ${trend}" title="Weekly clicks vs previous period">${label}</span>`;
+    }
+
+    /**
+     * TPS pill (0–100) that opens the score explanation; pages below the engine's data
+     * thresholds show a dash
+     */
+    renderTPSButton(page) {
+        const url = page['Top pages'];
+        const label = page.scoreComponents ? Math.round((page.TPS || 0) * 100) : '–';
+        return `<button type="button" class="tps-explain-btn" data-url="${escapeHtml(url)}" title="Why this score?">TPS ${label}</button>`;
+    }
+
+    /**
+     * Rank of a page among the scored pages and the explanation drawer's header context
+     */
+    getScoreContext(page) {
+        const scored = this.pages.filter(p => p.scoreComponents).sort((a, b) => (b.TPS || 0) - (a.TPS || 0));
+        const preset = defaultTPSEngine.getConfig().preset;
+        return {
+            rank: scored.indexOf(page) + 1,
+            total: scored.length,
+            weightsLabel: TPS_PRESET_LABELS[preset] || preset
+        };
+    }
+
+    openScoreExplanation(url) {
+        const page = this.pages.find(p => p['Top pages'] === url);
+        if (!page) return;
+        this.ensureTPSScores(this.pages);
+        tpsExplanationPanel.open(page, this.getScoreContext(page));
+    }
+
+    /**
+     * Keep an open explanation in step with rescoring (weights, CTR curve, new data);
+     * closes when its page is no longer loaded
+     */
+    refreshScoreExplanation() {
+        const url = tpsExplanationPanel.getOpenUrl();
+        if (!url) return;
+        const page = this.pages.find(p => p['Top pages'] === url);
+        if (!page) {
+            tpsExplanationPanel.close();
+            return;
+        }
+        this.ensureTPSScores(this.pages);
+        tpsExplanationPanel.update(page, this.getScoreContext(page));
+    }
+
     /**
      * Optimized TPS sorting with instant response
      */
@@ -1164,20 +1347,8 @@ export class TopPagesTableComponent {
             const dateRange = this.getCurrentDateRange();
             
             // Use cached TPS scores if available to prevent recalculation
-            const scoredPages = pages.map(page => {
-                // Check if TPS is already calculated and cached
-                if (page._tpsScore !== undefined && page._tpsDateRange === JSON.stringify(dateRange)) {
-                    return page;
-                }
-                
-                // Calculate TPS score and cache it
-                const tpsScore = defaultTPSEngine.calculateTPSScore(page, dateRange);
-                page.TPS = tpsScore;
-                page._tpsScore = tpsScore;
-                page._tpsDateRange = JSON.stringify(dateRange);
-                
-                return page;
-            });
+            this.ensureTPSScores(pages, dateRange);
+            const scoredPages = pages;
             
             // Sort by TPS score (descending by default)
             if (this.sortDirection === 'desc') {
@@ -1250,19 +1421,9 @@ export class TopPagesTableComponent {
         // Use more efficient filtering with early returns
         let filtered = this.pages;
 
-        // Type filter: All | Blog | Page | Clinics | Doctors | Locations
-        if (this.typeFilter && this.typeFilter !== 'All') {
-            filtered = filtered.filter((page) => {
-                const url = page['Top pages'] || '';
-                const type = this.getPageType(url);
-                return (
-                    (this.typeFilter === 'Blog' && type === 'blog') ||
-                    (this.typeFilter === 'Page' && type === 'page') ||
-                    (this.typeFilter === 'Clinics' && type === 'clinics') ||
-                    (this.typeFilter === 'Doctors' && type === 'doctors') ||
-                    (this.typeFilter === 'Locations' && type === 'locations')
-                );
-            });
+        // Type filter: All or one content group
+        if (this.typeFilter && this.typeFilter !== ALL_GROUPS) {
+            filtered = filtered.filter(page => this.getPageType(page['Top pages'] || '') === this.typeFilter);
         }
         
         // Only apply search filter if there's a search term
@@ -1277,6 +1438,9 @@ export class TopPagesTableComponent {
         
         // Apply sorting with optimized algorithm
         this.filteredPages = this.sortPages(filtered);
+        // Every listed page shows its TPS, whatever the sort (cached per range and weights)
+        this.ensureTPSScores(this.filteredPages);
+        this.refreshScoreExplanation();
         
         // Use incremental updates to prevent flickering when possible
         if (this.updateStrategy === 'incremental' && this.canUseIncrementalUpdate(this.filteredPages)) {
@@ -1324,6 +1488,7 @@ export class TopPagesTableComponent {
         
         // Remove any loading states
         this.removeLoadingStates();
+        this.updateEmptyState();
         
         // Track the rendered data for future incremental updates
         this.currentDOMState.lastRenderedData = [...this.filteredPages];
@@ -1332,6 +1497,17 @@ export class TopPagesTableComponent {
         this.restoreScrollPosition();
     }
     
+    /**
+     * Show the data-level empty message (set via updateData) when nothing is listed
+     */
+    updateEmptyState() {
+        const emptyEl = document.getElementById(`${this.config.containerId}_emptyState`);
+        if (!emptyEl) return;
+        const show = !!this.emptyMessage && this.filteredPages.length === 0;
+        emptyEl.textContent = show ? this.emptyMessage : '';
+        emptyEl.style.display = show ? 'block' : 'none';
+    }
+
     /**
      * Render the table view
      */
@@ -1366,6 +1542,7 @@ export class TopPagesTableComponent {
                             ${this.formatPosition(page.Position)}
                         </span>
                     </td>
+                    <td>${this.renderTPSButton(page)}</td>
                 </tr>
             `;
         });
@@ -1395,15 +1572,7 @@ export class TopPagesTableComponent {
         // Render immediately
         const pageCards = pagesToRender.map(page => {
             const url = page['Top pages'];
-            const type = this.getPageType(url);
-            const pageType = type; // 'blog' | 'page' | 'clinics' | 'doctors'
-            const pageTypeLabel = (
-                type === 'blog' ? 'Blog Post'
-                : type === 'clinics' ? 'Clinics'
-                : type === 'doctors' ? 'Doctors'
-                : type === 'locations' ? 'Locations'
-                : 'Page'
-            );
+            const pageType = this.getPageType(url); // content group id
             
             // Get display name and background color
             const displayName = getPageTitle(url);
@@ -1416,7 +1585,7 @@ export class TopPagesTableComponent {
                     </div>
                     <div class="page-header">
                         <div class="page-title" data-url="${url}">${displayName}</div>
-                        <span class="page-type ${pageType}">${pageTypeLabel}</span>
+                        ${this.renderPageTypeBadge(pageType)}
                     </div>
                     <div class="page-metrics">
                         <div class="page-metric">
@@ -1460,6 +1629,8 @@ export class TopPagesTableComponent {
                         </div>
                     </div>
                     <div class="page-actions">
+                        ${this.renderMomentumBadge(page)}
+                        ${this.renderTPSButton(page)}
                         <a href="${url}" class="btn btn-outline page-open-link" target="_blank" rel="noopener noreferrer" title="Open page in new tab">
                             <svg class="icon-external" width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true" focusable="false" shape-rendering="geometricPrecision">
                                 <path d="M6.75 17.25L17.25 6.75" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" vector-effect="non-scaling-stroke"></path>
@@ -1547,6 +1718,40 @@ export class TopPagesTableComponent {
         });
     }
     
+    /**
+     * Tell the view state (shareable URL) that sort/filter/search/view changed
+     */
+    notifyUIStateChanged() {
+        window.dispatchEvent(new CustomEvent('topPagesUIStateChanged', {
+            detail: { containerId: this.config.containerId }
+        }));
+    }
+
+    /**
+     * Apply sort/filter/search/view from a deep link or back/forward navigation
+     * @param {Object} state - { sortField, sortDirection, typeFilter, searchTerm, view }
+     */
+    applyUIState({ sortField, sortDirection, typeFilter, searchTerm, view } = {}) {
+        if (sortField) this.sortField = sortField;
+        if (sortDirection) this.sortDirection = sortDirection;
+        if (typeFilter) this.typeFilter = resolveTypeFilter(typeFilter);
+        if (typeof searchTerm === 'string') {
+            this.searchTerm = searchTerm.toLowerCase();
+            this.navbar?.setSearchTerm(searchTerm);
+        }
+        this.updateSortingControls();
+        this.navbar?.setTypeFilter(this.typeFilter);
+
+        const hasViews = document.getElementById(`${this.config.containerId}_gridView`)
+            && document.getElementById(`${this.config.containerId}_tableView`);
+        if (view && view !== this.currentView && hasViews) {
+            this.toggleView(view); // re-renders
+        } else {
+            if (view) this.currentView = view;
+            this.filterAndRender();
+        }
+    }
+
     /**
      * Get the current search term
      */
@@ -0,0 +1,238 @@
+import { formatNumber, escapeHtml, getPageTitle } from './utils.js';
+import { defaultTPSEngine } from './tpsScoringEngine.js';
+
+// ===== TPS Explanation Panel =====
+// Side drawer breaking a Top Pages score down: each component's weight, percentile score
+// and contribution to TPS, plus what-if rescoring (a better position, the expected CTR).
+// TPS is shown on a 0–100 scale (the engine's 0–1 score × 100).
+
+const MAX_BAR_WIDTH = 80; // px, for the largest weight
+
+const points = (value) => value * 100;
+
+function formatPoints(value, digits = 1) {
+    return points(value).toFixed(digits);
+}
+
+function formatCtr(fraction) {
+    return `${(fraction * 100).toFixed(2)}%`;
+}
+
+function formatPosition(position) {
+    return Number(position).toFixed(1);
+}
+
+/**
+ * "+6 TPS", "+<1 TPS" for gains that round away
+ */
+function formatDelta(delta) {
+    const rounded = Math.round(points(delta));
+    if (rounded === 0) return delta >= 0 ? '+<1 TPS' : '−<1 TPS';
+    return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded)} TPS`;
+}
+
+class TPSExplanationPanel {
+    constructor() {
+        this.overlay = null;
+        this.page = null;
+        this.isOpen = false;
+        this._keydownHandler = null;
+    }
+
+    ensureDom() {
+        if (this.overlay) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'page-drawer-overlay';
+        overlay.id = 'tpsExplanationOverlay';
+        overlay.innerHTML = `
+            <aside class="page-drawer" role="dialog" aria-modal="true" aria-labelledby="tpsExplanationTitle">
+                <div class="page-drawer-header">
+                    <div class="page-drawer-heading">
+                        <h3 class="page-drawer-title" id="tpsExplanationTitle"></h3>
+                        <a class="page-drawer-url" id="tpsExplanationUrl" target="_blank" rel="noopener noreferrer"></a>
+                        <div class="page-drawer-meta" id="tpsExplanationMeta"></div>
+                    </div>
+                    <div class="page-drawer-actions">
+                        <button type="button" class="page-drawer-close" aria-label="Close">&times;</button>
+                    </div>
+                </div>
+                <div class="page-drawer-body" id="tpsExplanationBody"></div>
+            </aside>
+        `;
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.close();
+        });
+        overlay.querySelector('.page-drawer-close').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Open the drawer for a scored page
+     * @param {Object} page - Page from the Top Pages list, scored against the loaded pages
+     * @param {Object} context - { rank, total, weightsLabel } - rank among the `total` scored pages
+     */
+    open(page, context = {}) {
+        this.ensureDom();
+        this.overlay.classList.add('open');
+        if (!this.isOpen) {
+            this._keydownHandler = (e) => { if (e.key === 'Escape') this.close(); };
+            document.addEventListener('keydown', this._keydownHandler);
+        }
+        this.isOpen = true;
+        this.update(page, context);
+    }
+
+    /**
+     * Re-render for the same page after a rescore (weights, date range, CTR curve)
+     */
+    update(page, { rank = 0, total = 0, weightsLabel = '' } = {}) {
+        if (!this.overlay) return;
+        this.page = page;
+        const url = page['Top pages'];
+        const explanation = defaultTPSEngine.explainScore(page);
+
+        const titleEl = document.getElementById('tpsExplanationTitle');
+        const urlEl = document.getElementById('tpsExplanationUrl');
+        const metaEl = document.getElementById('tpsExplanationMeta');
+        if (titleEl) titleEl.textContent = getPageTitle(url);
+        if (urlEl) {
+            urlEl.textContent = url;
+            urlEl.href = url;
+        }
+        if (metaEl) {
+            metaEl.textContent = explanation
+                ? [`TPS ${Math.round(points(explanation.TPS))}`, rank ? `#${rank} of ${total} scored pages` : '', weightsLabel ? `${weightsLabel} weights` : '']
+                    .filter(Boolean).join(' · ')
+                : 'Not scored';
+        }
+
+        const body = document.getElementById('tpsExplanationBody');
+        if (!body) return;
+        if (!explanation) {
+            const { minImpressions } = defaultTPSEngine.getConfig();
+            body.innerHTML = `<p class="tps-explain-note">This page isn't scored: TPS needs at least ${minImpressions} impressions and an average position under 100 in the selected range.</p>`;
+            return;
+        }
+        body.innerHTML = `
+            ${this.renderTotals(page)}
+            ${this.renderComponents(page, explanation)}
+            ${this.renderWhatIf(explanation)}
+            <p class="tps-explain-note">Scores are percentiles against the ${formatNumber(total || 0)} pages scored for this date range and country, so a page's TPS moves when other pages do. What-ifs rescore this page with every other page unchanged; their clicks follow the expected CTR curve at the same impressions.</p>
+        `;
+    }
+
+    close() {
+        if (!this.overlay) return;
+        this.overlay.classList.remove('open');
+        this.isOpen = false;
+        this.page = null;
+        if (this._keydownHandler) {
+            document.removeEventListener('keydown', this._keydownHandler);
+            this._keydownHandler = null;
+        }
+    }
+
+    /** URL of the page on display, '' when closed */
+    getOpenUrl() {
+        return this.isOpen && this.page ? this.page['Top pages'] : '';
+    }
+
+    renderTotals(page) {
+        const { clicks, impressions, position, ctrValue } = defaultTPSEngine.extractMetrics(page);
+        return `
+            <div class="page-drawer-totals">
+                <span><strong>${formatNumber(clicks)}</strong> clicks</span>
+                <span><strong>${formatNumber(impressions)}</strong> impressions</span>
+                <span><strong>${formatCtr(ctrValue)}</strong> CTR</span>
+                <span><strong>${formatPosition(position)}</strong> avg. position</span>
+            </div>
+        `;
+    }
+
+    /**
+     * What each component measured for this page, in its own units
+     */
+    describeComponent(key, page, explanation) {
+        const { clicks, impressions, position, ctrValue } = defaultTPSEngine.extractMetrics(page);
+        switch (key) {
+            case 'C':
+                return `${clicks.toLocaleString()} clicks`;
+            case 'I':
+                return `${impressions.toLocaleString()} impressions`;
+            case 'P':
+                return `Average position ${formatPosition(position)}`;
+            case 'E':
+                return `${formatCtr(ctrValue)} CTR vs ${formatCtr(defaultTPSEngine.calculateExpectedCTR(position))} expected at this position`;
+            case 'M': {
+                const growth = explanation.momentumGrowth;
+                if (growth === null || growth === undefined || !isFinite(growth)) {
+                    return 'No previous period to compare (counts as flat)';
+                }
+                const rounded = Math.round(growth);
+                return `${rounded > 0 ? '+' : ''}${rounded}% weekly clicks vs the previous period`;
+            }
+            case 'K':
+                if (page.weeks_active === undefined || !page.Weeks) return 'No weekly history (neutral)';
+                return `Clicks in ${page.weeks_active} of ${page.Weeks} weeks`;
+            default:
+                return '';
+        }
+    }
+
+    renderComponents(page, explanation) {
+        const maxWeight = Math.max(...explanation.components.map(c => c.weight), 0.0001);
+        const rows = explanation.components.map(component => {
+            // Track length = weight, fill = percentile: the filled area is the contribution
+            const track = (component.weight / maxWeight) * MAX_BAR_WIDTH;
+            return `
+                <tr>
+                    <td>${escapeHtml(component.label)}</td>
+                    <td>${Math.round(component.weight * 100)}%</td>
+                    <td>${Math.round(component.score * 100)}</td>
+                    <td>
+                        <div class="tps-explain-contribution">
+                            <span class="tps-explain-bar" style="width: ${Math.round(track)}px;">
+                                <span style="width: ${(component.score * 100).toFixed(1)}%;"></span>
+                            </span>
+                            <strong>${formatPoints(component.contribution)}</strong>
+                        </div>
+                    </td>
+                    <td class="tps-explain-detail">${escapeHtml(this.describeComponent(component.key, page, explanation))}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="data-table tps-explain-table">
+                <thead>
+                    <tr><th>Component</th><th>Weight</th><th>Percentile</th><th>Contribution</th><th>Measured</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr><td colspan="3">TPS</td><td><strong>${formatPoints(explanation.TPS)}</strong></td><td></td></tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    renderWhatIf(explanation) {
+        const items = explanation.whatIf.map(scenario => {
+            const extraClicks = scenario.clicks - (this.page.Clicks || 0);
+            const clicks = extraClicks > 0 ? ` (about +${extraClicks.toLocaleString()} clicks)` : '';
+            if (scenario.type === 'position') {
+                return `<li>Moving from position ${formatPosition(scenario.from)} to ${scenario.to} adds <strong>${formatDelta(scenario.delta)}</strong>${clicks}.</li>`;
+            }
+            return `<li>Lifting CTR from ${formatCtr(scenario.from)} to the expected ${formatCtr(scenario.to)} at this position adds <strong>${formatDelta(scenario.delta)}</strong>${clicks}.</li>`;
+        });
+        const content = items.length
+            ? `<ul class="tps-explain-whatif">${items.join('')}</ul>`
+            : '<p class="tps-explain-note">Already near position 1 with at least the expected CTR; further gains come from more impressions or steadier weeks.</p>';
+        return `<h4 class="tps-explain-heading">What would move this page</h4>${content}`;
+    }
+}
+
+// ===== Global Instance =====
+export const tpsExplanationPanel = new TPSExplanationPanel();
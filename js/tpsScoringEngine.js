@@ -1,5 +1,26 @@
 import { logger } from './logger.js';
 
+// Display labels for weight presets and score components (navbar, explanations)
+export const TPS_PRESET_LABELS = {
+    balanced: 'Balanced',
+    'traffic-first': 'Traffic first',
+    growth: 'Growth',
+    'ctr-efficiency': 'CTR efficiency',
+    custom: 'Custom'
+};
+
+export const TPS_COMPONENT_LABELS = {
+    C: 'Clicks',
+    E: 'CTR uplift',
+    P: 'Position',
+    I: 'Impressions',
+    M: 'Momentum',
+    K: 'Consistency'
+};
+
+// Expected CTR power curve (a / position^b) used until a calibrated curve is applied
+export const DEFAULT_EXPECTED_CTR = { a: 0.35, b: 0.9 };
+
 /**
  * TPS (Top Page Score) Scoring Engine
  * Implements smart composite scoring for ranking pages by traffic, efficiency, visibility, and momentum
@@ -7,7 +28,7 @@ import { logger } from './logger.js';
 export class TPSScoringEngine {
     constructor(config = {}) {
         this.config = {
-            // Balanced scoring weights (only mode available)
+            // Scoring weight presets (each sums to 1)
             weights: {
                 balanced: {
                     C: 0.35,  // Clicks (traffic)
@@ -16,13 +37,22 @@ export class TPSScoringEngine {
                     I: 0.15,  // Impressions (visibility)
                     M: 0.10,  // Momentum
                     K: 0.05   // Consistency
+                },
+                'traffic-first': {
+                    C: 0.50, E: 0.05, P: 0.10, I: 0.25, M: 0.05, K: 0.05
+                },
+                growth: {
+                    C: 0.20, E: 0.10, P: 0.10, I: 0.15, M: 0.35, K: 0.10
+                },
+                'ctr-efficiency': {
+                    C: 0.20, E: 0.40, P: 0.20, I: 0.10, M: 0.05, K: 0.05
                 }
             },
-            // Expected CTR curve parameters
-            expectedCTR: {
-                a: 0.35,
-                b: 0.9
-            },
+            // Active preset ('custom' uses customWeights)
+            preset: 'balanced',
+            customWeights: null,
+            // Expected CTR curve parameters (setExpectedCTR swaps in a calibrated curve)
+            expectedCTR: { ...DEFAULT_EXPECTED_CTR },
             // Scaling method
             scaling: 'percentile', // 'percentile' or 'minmax'
             // Minimum impressions threshold
@@ -31,6 +61,8 @@ export class TPSScoringEngine {
         };
         
         this.logger = logger;
+        // Per-metric sorted raw values of the last scored candidate set (percentile scaling)
+        this.distributions = null;
     }
 
     /**
@@ -52,8 +84,7 @@ export class TPSScoringEngine {
                 return [];
             }
 
-            // Always use balanced weights
-            const weights = this.config.weights.balanced;
+            const weights = this.getActiveWeights();
             
             // Filter out pages with insufficient data
             const validPages = pages.filter(page => this.isValidPage(page));
@@ -63,6 +94,9 @@ export class TPSScoringEngine {
                 return [];
             }
 
+            // Rank every component against the whole candidate set
+            this.distributions = this.buildDistributions(validPages);
+
             // Calculate scores for each page
             const scoredPages = validPages.map(page => {
                 const scores = this.calculatePageScores(page, weights);
@@ -99,32 +133,102 @@ export class TPSScoringEngine {
      * @returns {number} TPS score for the page
      */
     calculateTPSScore(page, dateRange) {
+        const details = this.scorePage(page, dateRange);
+        return details ? details.TPS : 0;
+    }
+
+    /**
+     * Calculate TPS, Opportunity and component scores for a single page
+     * @param {Object} page - Single page object with metrics
+     * @param {Object} dateRange - Date range object
+     * @returns {Object|null} { TPS, Opportunity, scoreComponents }, or null when the page lacks data
+     */
+    scorePage(page, dateRange) {
         try {
             // Validate input
             if (!page || !this.isValidPage(page)) {
-                return 0;
+                return null;
             }
 
-            // Always use balanced weights
-            const weights = this.config.weights.balanced;
+            const weights = this.getActiveWeights();
             
             // Calculate scores for the single page
             const scores = this.calculatePageScores(page, weights);
             
-            return scores.TPS;
+            return {
+                TPS: scores.TPS,
+                Opportunity: scores.Opportunity,
+                scoreComponents: scores.components
+            };
 
         } catch (error) {
             this.logger.error('Error calculating TPS score for single page', { page, error });
-            return 0;
+            return null;
         }
     }
 
+    /**
+     * Break a page's TPS down by component, against the last scored candidate set
+     * @param {Object} page - Page from calculateTPSScores (or any page with the same metrics)
+     * @returns {Object|null} { TPS, momentumGrowth, components: [{ key, label, weight, score,
+     *   raw, contribution }], whatIf } - TPS and contributions on the engine's 0–1 scale;
+     *   null when the page lacks data
+     */
+    explainScore(page) {
+        if (!page || !this.isValidPage(page)) return null;
+
+        const weights = this.getActiveWeights();
+        const scores = this.calculatePageScores(page, weights);
+        const raw = this.getRawMetricValues(page);
+        const components = Object.keys(TPS_COMPONENT_LABELS).map(key => {
+            const weight = weights[key] || 0;
+            const score = scores.components[key] || 0;
+            return { key, label: TPS_COMPONENT_LABELS[key], weight, score, raw: raw[key], contribution: weight * score };
+        });
+
+        return {
+            TPS: scores.TPS,
+            momentumGrowth: scores.components.momentumGrowth,
+            components,
+            whatIf: this.getWhatIfScenarios(page, scores.TPS, weights)
+        };
+    }
+
+    /**
+     * Rescore a page with changed metrics to show what a better ranking or snippet would add
+     * - position: the next milestone (1, 3, 5, 10) above the current position, keeping the
+     *   page's CTR relative to the expected CTR, so clicks follow the curve
+     * - ctr: reaching the expected CTR at the current position (only when below it)
+     * @returns {Array} [{ type, from, to, clicks, delta }] - clicks are the scenario's clicks,
+     *   delta the TPS change (0–1 scale)
+     */
+    getWhatIfScenarios(page, baseTPS, weights = this.getActiveWeights()) {
+        const { impressions, position, ctrValue } = this.extractMetrics(page);
+        const expected = this.calculateExpectedCTR(position);
+        const rescore = (changes) => Math.round((this.calculatePageScores({ ...page, ...changes }, weights).TPS - baseTPS) * 1000) / 1000;
+        const scenarios = [];
+
+        const target = [10, 5, 3, 1].find(milestone => milestone < position - 0.5);
+        if (target) {
+            const ctr = Math.min(1, ctrValue * (this.calculateExpectedCTR(target) / expected));
+            const clicks = Math.round(impressions * ctr);
+            scenarios.push({ type: 'position', from: position, to: target, clicks, delta: rescore({ Position: target, CTR: ctr, Clicks: clicks }) });
+        }
+
+        if (ctrValue < expected) {
+            const clicks = Math.round(impressions * expected);
+            scenarios.push({ type: 'ctr', from: ctrValue, to: expected, clicks, delta: rescore({ CTR: expected, Clicks: clicks }) });
+        }
+
+        return scenarios;
+    }
+
     /**
      * Get weights for the specified preset
      */
     getWeights(preset, customWeights) {
         if (preset === 'custom' && customWeights) {
-            return { ...this.config.weights.balanced, ...customWeights };
+            return this.normalizeWeights({ ...this.config.weights.balanced, ...customWeights });
         }
         
         const presetWeights = this.config.weights[preset];
@@ -136,6 +240,55 @@ export class TPSScoringEngine {
         return presetWeights;
     }
 
+    /**
+     * Weights for the active preset
+     */
+    getActiveWeights() {
+        return this.getWeights(this.config.preset, this.config.customWeights);
+    }
+
+    /**
+     * Stable key for the active weights and expected CTR curve (score caches)
+     */
+    getWeightsKey() {
+        const weights = this.getActiveWeights();
+        const { a, b } = this.config.expectedCTR;
+        const weightsKey = Object.keys(TPS_COMPONENT_LABELS).map(key => (weights[key] || 0).toFixed(4)).join(',');
+        return `${weightsKey}|${a.toFixed(4)},${b.toFixed(4)}`;
+    }
+
+    /**
+     * Scale non-negative weights so they sum to 1 (falls back to balanced when all are zero)
+     */
+    normalizeWeights(weights) {
+        const cleaned = {};
+        Object.keys(TPS_COMPONENT_LABELS).forEach(key => {
+            const value = Number(weights?.[key]);
+            cleaned[key] = Number.isFinite(value) && value > 0 ? value : 0;
+        });
+        const total = Object.values(cleaned).reduce((sum, value) => sum + value, 0);
+        if (total <= 0) return { ...this.config.weights.balanced };
+        Object.keys(cleaned).forEach(key => { cleaned[key] = cleaned[key] / total; });
+        return cleaned;
+    }
+
+    /**
+     * Switch the active preset; customWeights only apply to 'custom'
+     */
+    setPreset(preset, customWeights = null) {
+        const available = this.getAvailablePresets();
+        const nextPreset = available.includes(preset) ? preset : 'balanced';
+        if (nextPreset === 'custom' && !customWeights && !this.config.customWeights) {
+            customWeights = this.config.weights.balanced;
+        }
+        this.config.preset = nextPreset;
+        if (nextPreset === 'custom' && customWeights) {
+            this.config.customWeights = this.normalizeWeights(customWeights);
+        }
+        this.logger.info('TPS weight preset changed', { preset: nextPreset, weights: this.getActiveWeights() });
+        return this.getActiveWeights();
+    }
+
     /**
      * Check if a page has valid data for scoring
      */
@@ -146,19 +299,57 @@ export class TPSScoringEngine {
                page.Position < 100; // Reasonable position range
     }
 
+    /**
+     * Extract numeric metrics from a page (CTR as a fraction)
+     */
+    extractMetrics(page) {
+        const ctr = page.CTR || 0;
+        return {
+            clicks: page.Clicks || 0,
+            impressions: page.Impressions || 0,
+            position: page.Position || 100,
+            // Parse CTR if it's a percentage string
+            ctrValue: typeof ctr === 'string' ? parseFloat(ctr.replace('%', '')) / 100 : ctr
+        };
+    }
+
+    /**
+     * Raw per-component values, in the same units each score passes to normalizeValue
+     */
+    getRawMetricValues(page) {
+        const { clicks, impressions, position, ctrValue } = this.extractMetrics(page);
+        return {
+            C: Math.log1p(clicks),
+            I: Math.log1p(impressions),
+            P: (11 - position) / 10,
+            E: ctrValue / Math.max(this.calculateExpectedCTR(position), 0.0001),
+            M: this.getMomentumRatio(page),
+            K: this.getConsistencyValue(page)
+        };
+    }
+
+    /**
+     * Sorted raw values per component across the candidate set
+     */
+    buildDistributions(pages) {
+        const distributions = {};
+        Object.keys(TPS_COMPONENT_LABELS).forEach(key => { distributions[key] = []; });
+        pages.forEach(page => {
+            const raw = this.getRawMetricValues(page);
+            Object.keys(distributions).forEach(key => {
+                if (Number.isFinite(raw[key])) distributions[key].push(raw[key]);
+            });
+        });
+        Object.values(distributions).forEach(values => values.sort((a, b) => a - b));
+        return distributions;
+    }
+
     /**
      * Calculate individual page scores
      */
     calculatePageScores(page, weights) {
         try {
-            // Extract metrics
-            const clicks = page.Clicks || 0;
-            const impressions = page.Impressions || 0;
-            const position = page.Position || 100;
-            const ctr = page.CTR || 0;
-            
-            // Parse CTR if it's a percentage string
-            const ctrValue = typeof ctr === 'string' ? parseFloat(ctr.replace('%', '')) / 100 : ctr;
+            const { clicks, impressions, position, ctrValue } = this.extractMetrics(page);
 
             // Calculate individual component scores
             const components = {
@@ -167,7 +358,9 @@ export class TPSScoringEngine {
                 P: this.calculatePositionScore(position),
                 E: this.calculateCTRUpliftScore(ctrValue, position),
                 M: this.calculateMomentumScore(page),
-                K: this.calculateConsistencyScore(page)
+                K: this.calculateConsistencyScore(page),
+                // Not weighted: raw clicks growth % behind M, for display
+                momentumGrowth: this.calculateClicksGrowth(page)
             };
 
             // Calculate TPS score
@@ -189,7 +382,7 @@ export class TPSScoringEngine {
             return {
                 TPS: 0,
                 Opportunity: 0,
-                components: { C: 0, I: 0, P: 0, E: 0, M: 0, K: 0 }
+                components: { C: 0, I: 0, P: 0, E: 0, M: 0, K: 0, momentumGrowth: null }
             };
         }
     }
@@ -198,13 +391,13 @@ export class TPSScoringEngine {
      * Calculate clicks score (normalized)
      */
     calculateClicksScore(clicks, impressions) {
-        if (clicks === 0 || impressions === 0) return 0;
+        if (impressions === 0) return 0;
         
         // Use log scale to reduce outlier dominance
         const logClicks = Math.log1p(clicks);
         // Normalize against a reasonable range (0 to log of max expected clicks)
         const maxExpectedClicks = Math.log1p(impressions * 2); // Allow for 2x current impressions
-        return this.normalizeValue(logClicks, 0, maxExpectedClicks);
+        return this.normalizeValue(logClicks, 0, maxExpectedClicks, 'C');
     }
 
     /**
@@ -217,7 +410,7 @@ export class TPSScoringEngine {
         const logImpressions = Math.log1p(impressions);
         // Normalize against a reasonable range (0 to log of 10x current impressions)
         const maxExpectedImpressions = Math.log1p(impressions * 10);
-        return this.normalizeValue(logImpressions, 0, maxExpectedImpressions);
+        return this.normalizeValue(logImpressions, 0, maxExpectedImpressions, 'I');
     }
 
     /**
@@ -227,26 +420,25 @@ export class TPSScoringEngine {
         if (position <= 0) return 0;
         
         // Convert position to positive score: (11 - position) / 10
-        // Position 1 = 1.0, Position 10 = 0.1, Position 11+ = 0
-        const rawScore = Math.max(0, (11 - position) / 10);
-        return this.normalizeValue(rawScore, 0, 1);
+        // Position 1 = 1.0, Position 10 = 0.1, Position 11+ = 0 (min-max clamps)
+        const rawScore = (11 - position) / 10;
+        return this.normalizeValue(rawScore, 0, 1, 'P');
     }
 
     /**
      * Calculate CTR uplift score vs expected
      */
     calculateCTRUpliftScore(ctr, position) {
-        if (ctr <= 0 || position <= 0) return 0;
+        if (position <= 0) return 0;
         
         // Calculate expected CTR based on position
         const expectedCTR = this.calculateExpectedCTR(position);
         
         // Calculate uplift ratio
-        const uplift = ctr / Math.max(expectedCTR, 0.0001);
+        const uplift = Math.max(0, ctr) / Math.max(expectedCTR, 0.0001);
         
-        // Clip to reasonable range [0.5, 2.0] and normalize to [0, 1]
-        const clippedUplift = Math.max(0.5, Math.min(2.0, uplift));
-        return (clippedUplift - 0.5) / 1.5;
+        // Min-max clips to a reasonable range [0.5, 2.0]
+        return this.normalizeValue(uplift, 0.5, 2.0, 'E');
     }
 
     /**
@@ -258,22 +450,79 @@ export class TPSScoringEngine {
         return Math.max(0.01, Math.min(0.6, expected));
     }
 
+    /**
+     * Replace the expected CTR curve, e.g. with one fitted from the property's own rows
+     * (ctrCurve.js); null restores the default
+     */
+    setExpectedCTR(params) {
+        this.config.expectedCTR = params ? { a: params.a, b: params.b } : { ...DEFAULT_EXPECTED_CTR };
+        this.logger.info('Expected CTR curve changed', this.config.expectedCTR);
+        return this.config.expectedCTR;
+    }
+
+    /**
+     * Average weekly clicks for the selected range and the equal-length preceding period.
+     * Pages carry PreviousClicks/PreviousWeeks only when the weekly export covers that period.
+     * @returns {Object|null} { current, previous } or null without a baseline
+     */
+    getWeeklyClickRates(page) {
+        if (page.PreviousClicks === null || page.PreviousClicks === undefined || !page.PreviousWeeks) {
+            return null;
+        }
+        return {
+            current: (page.Clicks || 0) / Math.max(page.Weeks || 1, 1),
+            previous: page.PreviousClicks / page.PreviousWeeks
+        };
+    }
+
+    /**
+     * Clicks growth vs the preceding period, in percent (null when the baseline is missing or zero)
+     */
+    calculateClicksGrowth(page) {
+        const rates = this.getWeeklyClickRates(page);
+        if (!rates || rates.previous === 0) return null;
+        return ((rates.current - rates.previous) / rates.previous) * 100;
+    }
+
+    /**
+     * Log2 ratio of weekly clicks vs the preceding period (+1 smoothing so zero baselines don't explode).
+     * 0 (flat) when there is no comparable history, e.g. "All data" or a range at the start of the export.
+     */
+    getMomentumRatio(page) {
+        const rates = this.getWeeklyClickRates(page);
+        if (!rates) return 0;
+        return Math.log2((rates.current + 1) / (rates.previous + 1));
+    }
+
     /**
      * Calculate momentum score (growth vs previous period)
      */
     calculateMomentumScore(page) {
-        // For now, return a neutral score since we don't have historical data
-        // This can be enhanced when historical data is available
-        return 0.5;
+        // Min-max clips to [halved, doubled]; flat traffic = 0.5
+        return this.normalizeValue(this.getMomentumRatio(page), -1, 1, 'M');
+    }
+
+    /**
+     * Consistency in [0, 1]: half share of weeks with clicks, half stability of weekly clicks (1 / (1 + CV))
+     */
+    getConsistencyValue(page) {
+        // Neutral when the page wasn't built from weekly rows
+        if (page.weeks_active === undefined || !page.Weeks) return 0.5;
+
+        const activeShare = Math.min(1, page.weeks_active / page.Weeks);
+        const mean = (page.Clicks || 0) / page.Weeks;
+        if (mean <= 0) return 0;
+
+        const cv = Math.sqrt(page.clicks_variance || 0) / mean;
+        const stability = 1 / (1 + cv);
+        return (0.5 * activeShare) + (0.5 * stability);
     }
 
     /**
      * Calculate consistency score
      */
     calculateConsistencyScore(page) {
-        // For now, return a neutral score since we don't have weeks_active data
-        // This can be enhanced when consistency data is available
-        return 0.5;
+        return this.normalizeValue(this.getConsistencyValue(page), 0, 1, 'K');
     }
 
     /**
@@ -281,9 +530,7 @@ export class TPSScoringEngine {
      */
     calculateOpportunityScore(impressions, position, ctrUpliftScore) {
         // High impressions + weak position + low CTR efficiency = high opportunity
-        const logImpressions = Math.log1p(impressions);
-        const maxExpectedImpressions = Math.log1p(impressions * 10);
-        const impressionScore = this.normalizeValue(logImpressions, 0, maxExpectedImpressions);
+        const impressionScore = this.calculateImpressionsScore(impressions);
         const positionOpportunity = 1 - this.calculatePositionScore(position); // Inverse of position score
         const ctrOpportunity = Math.max(0, 0.6 - ctrUpliftScore); // Below 0.6 = opportunity
         
@@ -292,25 +539,42 @@ export class TPSScoringEngine {
 
     /**
      * Normalize a value to 0-1 range
+     * Percentile scaling ranks the value within the metric's candidate-set distribution;
+     * min/max bounds are used for min-max scaling or when no distribution has been built
      */
-    normalizeValue(value, min, max) {
-        if (max === min) return 0.5; // Avoid division by zero
-        
-        if (this.config.scaling === 'percentile') {
-            // For percentile scaling, we'd need the full dataset
-            // For now, use min-max scaling
-            return Math.max(0, Math.min(1, (value - min) / (max - min)));
-        } else {
-            // Min-max scaling
-            return Math.max(0, Math.min(1, (value - min) / (max - min)));
+    normalizeValue(value, min, max, metric = null) {
+        const distribution = metric && this.distributions ? this.distributions[metric] : null;
+        if (this.config.scaling === 'percentile' && distribution && distribution.length) {
+            return this.percentileRank(distribution, value);
         }
+
+        // Min-max scaling
+        if (max === min) return 0.5; // Avoid division by zero
+        return Math.max(0, Math.min(1, (value - min) / (max - min)));
+    }
+
+    /**
+     * Mid-rank percentile of a value in a sorted array (ties share the average rank)
+     */
+    percentileRank(sorted, value) {
+        const bound = (strict) => {
+            let lo = 0, hi = sorted.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (strict ? sorted[mid] <= value : sorted[mid] < value) lo = mid + 1; else hi = mid;
+            }
+            return lo;
+        };
+        const below = bound(false);
+        const equal = bound(true) - below;
+        return (below + equal / 2) / sorted.length;
     }
 
     /**
-     * Get available presets (only balanced available)
+     * Get available presets (configured weight sets plus custom)
      */
     getAvailablePresets() {
-        return ['balanced'];
+        return [...Object.keys(this.config.weights), 'custom'];
     }
 
     /**
@@ -25,6 +25,15 @@ export function formatPercentage(num) {
     return `${num.toFixed(1)}%`;
 }
 
+export function escapeHtml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 export function toTitleCase(str) {
     return str.replace(/\w\S*/g, (txt) => {
         return txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase();
@@ -381,6 +390,18 @@ export function normalizePageUrl(url) {
     }
 }
 
+/**
+ * Country filter selection published by the dashboard (window.getCurrentCountrySelection)
+ * @returns {Object} { countryName, iso3 } - both '' for all countries or before the dashboard loads
+ */
+export function getCurrentCountry() {
+    try {
+        return window.getCurrentCountrySelection?.() || { countryName: '', iso3: '' };
+    } catch (_) {
+        return { countryName: '', iso3: '' };
+    }
+}
+
 // ===== Performance Monitoring =====
 class PerformanceMonitor {
     constructor() {
@@ -0,0 +1,182 @@
+import { logger } from './logger.js';
+import { DATA_SOURCE_PARAMS } from './dataSource.js';
+
+// ===== Shareable View State =====
+// The dashboard view (section, date range / zoom window, country, compared countries,
+// chart metrics, Top Pages sort/filter/search/view) lives in the query string so a
+// copied link opens the same view. The data source params (source, api, dataBase) are
+// dropped: dataSource.js keeps them for the tab, so links never carry a source. The
+// property param and the page detail hash (#page=) are left untouched.
+//
+//   ?section=keywords&from=2025-01-01&to=2025-03-31&country=USA&compare=USA,MEX
+//    &metrics=clicks,ctr&sort=CTR&dir=asc&type=doctors&q=visa&view=table
+//
+// The chart zoom is stored as the date window it shows; restoring the range sets the
+// zoom again. Section changes from the sidebar add a history entry (NavbarManager);
+// everything else rewrites the current entry.
+
+const VIEW_PARAMS = ['section', 'from', 'to', 'country', 'compare', 'metrics', 'sort', 'dir', 'type', 'q', 'view'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const METRICS = ['clicks', 'impressions', 'ctr', 'position'];
+const SORT_FIELDS = ['Auto', 'Clicks', 'Impressions', 'CTR', 'Position'];
+// Content group ids come from the data source's config (contentGroups.js); unknown ids
+// fall back to All when applied. Older links used capitalized names ('Blog', 'Page').
+const TYPE_FILTER = /^[a-z0-9][a-z0-9_-]*$/i;
+const WRITE_DELAY_MS = 250;
+
+export const DEFAULT_SECTION = 'overview';
+export const DEFAULT_METRICS = ['clicks', 'impressions'];
+export const DEFAULT_TOP_PAGES_STATE = { sortField: 'Auto', sortDirection: 'desc', typeFilter: 'blog', searchTerm: '', view: 'grid' };
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Read the view state from a query string. Missing params come back as defaults,
+ * except country (undefined = keep the saved/last selection).
+ * @returns {Object} { section, range, country, compare, metrics, topPages }
+ */
+export function readViewState(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const from = params.get('from') || '';
+    const to = params.get('to') || '';
+    const country = params.get('country');
+    const metrics = splitList(params.get('metrics')).filter(metric => METRICS.includes(metric));
+    const sortField = params.get('sort');
+    const typeFilter = params.get('type');
+    return {
+        section: params.get('section') || DEFAULT_SECTION,
+        range: ISO_DATE.test(from) && ISO_DATE.test(to) && from <= to ? { start: from, end: to } : null,
+        // 'all' = all countries (''); other values are ISO3 codes
+        country: country === null ? undefined : (country.toLowerCase() === 'all' ? '' : country.toUpperCase()),
+        compare: splitList(params.get('compare')).map(code => code.toUpperCase()),
+        metrics: metrics.length ? metrics : DEFAULT_METRICS.slice(),
+        topPages: {
+            sortField: SORT_FIELDS.includes(sortField) ? sortField : DEFAULT_TOP_PAGES_STATE.sortField,
+            sortDirection: params.get('dir') === 'asc' ? 'asc' : (params.get('dir') === 'desc' ? 'desc' : DEFAULT_TOP_PAGES_STATE.sortDirection),
+            typeFilter: TYPE_FILTER.test(typeFilter || '')
+                ? (typeFilter.toLowerCase() === 'all' ? 'All' : typeFilter.toLowerCase())
+                : DEFAULT_TOP_PAGES_STATE.typeFilter,
+            searchTerm: params.get('q') || '',
+            view: params.get('view') === 'table' ? 'table' : DEFAULT_TOP_PAGES_STATE.view
+        }
+    };
+}
+
+/**
+ * Query string for a view state; defaults and data source params are left out, other params kept
+ * @param {Object} state - Same shape as readViewState() (partial is fine)
+ * @param {string} search - Current query string whose other params are preserved
+ * @returns {string} Query string including '?' ('' when empty)
+ */
+export function buildViewSearch(state, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    [...VIEW_PARAMS, ...DATA_SOURCE_PARAMS].forEach(name => params.delete(name));
+
+    if (state.section && state.section !== DEFAULT_SECTION) params.set('section', state.section);
+    if (state.range?.start && state.range?.end) {
+        params.set('from', state.range.start);
+        params.set('to', state.range.end);
+    }
+    if (state.country !== undefined) params.set('country', state.country || 'all');
+    if (state.compare?.length) params.set('compare', state.compare.join(','));
+    if (state.metrics?.length && state.metrics.join(',') !== DEFAULT_METRICS.join(',')) {
+        params.set('metrics', state.metrics.join(','));
+    }
+    const topPages = { ...DEFAULT_TOP_PAGES_STATE, ...(state.topPages || {}) };
+    if (topPages.sortField !== DEFAULT_TOP_PAGES_STATE.sortField) params.set('sort', topPages.sortField);
+    if (topPages.sortDirection !== DEFAULT_TOP_PAGES_STATE.sortDirection) params.set('dir', topPages.sortDirection);
+    if (topPages.typeFilter !== DEFAULT_TOP_PAGES_STATE.typeFilter) params.set('type', topPages.typeFilter);
+    if (topPages.searchTerm) params.set('q', topPages.searchTerm);
+    if (topPages.view !== DEFAULT_TOP_PAGES_STATE.view) params.set('view', topPages.view);
+
+    // Commas are legal in a query string and keep lists readable
+    const qs = params.toString().replace(/%2C/g, ',');
+    return qs ? `?${qs}` : '';
+}
+
+class ViewStateManager {
+    constructor() {
+        this.getState = null; // () => current view state
+        this.applyState = null; // async (state) => void
+        this.isRestoring = false;
+        this.writeTimer = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * @param {Object} deps - { getState, applyState } provided by the dashboard
+     */
+    setDependencies({ getState, applyState } = {}) {
+        if (getState) this.getState = getState;
+        if (applyState) this.applyState = applyState;
+    }
+
+    init() {
+        if (this.isInitialized) return;
+        this.isInitialized = true;
+        const write = () => this.scheduleWrite();
+        [
+            'sectionShown',
+            'countryFilterChanged',
+            'countryComparisonChanged',
+            'manualDateRangeSynchronized',
+            'zoomDateRangeSynchronized',
+            'chartMetricsChanged',
+            'topPagesUIStateChanged'
+        ].forEach(type => window.addEventListener(type, write));
+        // Back/forward: NavbarManager shows the section, the rest is restored here
+        window.addEventListener('viewStateNavigated', () => this.restore());
+    }
+
+    scheduleWrite() {
+        if (this.isRestoring || !this.getState) return;
+        clearTimeout(this.writeTimer);
+        this.writeTimer = setTimeout(() => this.write(), WRITE_DELAY_MS);
+    }
+
+    /** Rewrite the current history entry with the current view */
+    write() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        if (this.isRestoring || !this.getState) return;
+        const url = `${window.location.pathname}${buildViewSearch(this.getState())}${window.location.hash}`;
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    /**
+     * Add a history entry for a section change (the current entry keeps the old view)
+     */
+    pushSection(section) {
+        this.pushView({ ...(this.getState ? this.getState() : readViewState()), section });
+    }
+
+    /**
+     * Add a history entry for another view; the caller shows it (NavbarManager.openView)
+     */
+    pushView(state) {
+        if (this.writeTimer) this.write();
+        history.pushState(null, '', `${window.location.pathname}${buildViewSearch(state)}`);
+    }
+
+    /**
+     * Apply the view in the address bar (initial load and back/forward)
+     */
+    async restore() {
+        if (!this.applyState) return;
+        this.isRestoring = true;
+        clearTimeout(this.writeTimer);
+        try {
+            await this.applyState(readViewState());
+        } catch (error) {
+            logger.error('Failed to restore view state from URL', { error: error.message });
+        } finally {
+            this.isRestoring = false;
+        }
+        this.write();
+    }
+}
+
+// ===== Global Instance =====
+export const viewStateManager = new ViewStateManager();
@@ -0,0 +1,220 @@
+import { validateCsvRows } from './dataSchemas.js';
+
+// ===== Weekly Aggregation =====
+// Pure functions behind Top Pages: CSV parsing, date-range filtering and weekly
+// aggregation into page summaries (and content group totals). No DOM access, so they
+// run in the Top Pages worker (js/workers/topPagesWorker.js) and on the main thread
+// as a fallback.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse CSV text with a header row into row objects (quoted fields, CRLF, BOM)
+ */
+export function parseCsvText(text) {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (inQuotes) {
+            if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header, ...body] = records.filter(r => r.length > 1 || r[0] !== '');
+    if (!header) return [];
+    return body.map(values => Object.fromEntries(header.map((name, idx) => [name, values[idx] ?? ''])));
+}
+
+// Day number for a YYYY-MM-DD (or Date-parsable) string; null when invalid
+function toDay(value) {
+    if (!value) return null;
+    const str = String(value);
+    const ms = ISO_DATE.test(str) ? Date.UTC(+str.slice(0, 4), +str.slice(5, 7) - 1, +str.slice(8, 10)) : Date.parse(str);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 86400000);
+}
+
+export function weeklyRowOverlapsRange(row, range) {
+    if (!range || !range.start || !range.end) return true;
+    const rs = toDay(row.start_date);
+    const re = toDay(row.end_date);
+    const s = toDay(range.start);
+    const e = toDay(range.end);
+    if (rs === null || re === null || s === null || e === null) return true;
+    return re >= s && rs <= e;
+}
+
+export function aggregateWeeklyRows(rows) {
+    if (!rows || !rows.length) return { clicks: 0, impressions: 0, ctrPct: '0.00%', position: 0, weeksActive: 0, clicksVariance: 0 };
+    let clicks = 0, impressions = 0, ctrSum = 0, posSum = 0, n = 0, weeksActive = 0, clicksSq = 0;
+    for (const r of rows) {
+        const weekClicks = Number(r.clicks || 0);
+        clicks += weekClicks;
+        clicksSq += weekClicks * weekClicks;
+        if (weekClicks > 0) weeksActive += 1;
+        impressions += Number(r.impressions || 0);
+        let ctrFrac = 0;
+        if (r.ctr !== undefined) {
+            const v = String(r.ctr);
+            ctrFrac = v.includes('%') ? (parseFloat(v.replace('%', '')) / 100) : parseFloat(v) || 0;
+        }
+        const pos = Number(r.position || 0);
+        if (r.impressions && Number(r.impressions) > 0) {
+            ctrSum += (ctrFrac * 100);
+            posSum += pos;
+            n += 1;
+        }
+    }
+    const ctrPct = n > 0 ? (ctrSum / n).toFixed(2) + '%' : '0.00%';
+    const position = n > 0 ? posSum / n : 0;
+    // Population variance of weekly clicks (zero weeks included) for TPS consistency
+    const mean = clicks / rows.length;
+    const clicksVariance = Math.max(0, clicksSq / rows.length - mean * mean);
+    return { clicks, impressions, ctrPct, position, weeksActive, clicksVariance };
+}
+
+/**
+ * Weekly rows for the equal-length period before `range`, or null when the export
+ * does not reach back that far (a partial baseline would read as growth).
+ */
+export function getPreviousPeriodWeeklyRows(rows, range, previousRange) {
+    if (!previousRange || !rows || !rows.length) return null;
+    const firstStart = rows.reduce((min, r) => (r.start_date && (!min || r.start_date < min) ? r.start_date : min), '');
+    if (!firstStart || firstStart > previousRange.start) return null;
+    // Boundary weeks already count towards the selected range
+    return rows.filter(r => weeklyRowOverlapsRange(r, previousRange) && !weeklyRowOverlapsRange(r, range));
+}
+
+/**
+ * Top Pages summary for one page's weekly rows, or null when no week overlaps the range
+ */
+export function summarizeWeeklyPage(url, rows, range, previousRange) {
+    const filtered = rows.filter(r => weeklyRowOverlapsRange(r, range));
+    // Skip pages with no overlap in the selected date range to avoid zero KPIs
+    if (!filtered.length) return null;
+    const agg = aggregateWeeklyRows(filtered);
+    // Preceding period feeds the TPS momentum component
+    const previousRows = getPreviousPeriodWeeklyRows(rows, range, previousRange);
+    return {
+        'Top pages': url,
+        Clicks: agg.clicks,
+        Impressions: agg.impressions,
+        CTR: agg.ctrPct,
+        Position: agg.position,
+        Weeks: filtered.length,
+        weeks_active: agg.weeksActive,
+        clicks_variance: agg.clicksVariance,
+        PreviousClicks: previousRows ? aggregateWeeklyRows(previousRows).clicks : null,
+        PreviousWeeks: previousRows ? previousRows.length : 0
+    };
+}
+
+/**
+ * Worker task: weekly CSVs -> page summaries
+ * @param {Object} payload - { pages: [{ url, file, text?, rows?, validate? }], range, previousRange }
+ *   text is parsed here; validate asks for a schema check (first time the file is seen)
+ * @param {Function} isCancelled - () => boolean, checked between pages
+ * @returns {Promise<Object>} { summaries, found, issues: [{ file, issues }] } or null when cancelled
+ */
+export async function summarizeWeeklyPages({ pages = [], range = null, previousRange = null }, isCancelled = () => false) {
+    const summaries = [];
+    const issues = [];
+    let found = false;
+    for (let i = 0; i < pages.length; i++) {
+        // Let cancel messages through every few pages
+        if (i && i % 10 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) return null;
+        }
+        const { url, file, text, rows: parsedRows, validate } = pages[i];
+        const rows = typeof text === 'string' ? parseCsvText(text) : (parsedRows || []);
+        if (validate) issues.push({ file, issues: validateCsvRows('weeklyCsv', rows) });
+        if (!rows.length) continue;
+        found = true;
+        const summary = summarizeWeeklyPage(url, rows, range, previousRange);
+        if (summary) summaries.push(summary);
+    }
+    return { summaries, found, issues };
+}
+
+/**
+ * Worker task: weekly CSVs -> weekly totals per content group (content group panel).
+ * Clicks and impressions are summed per week; CTR comes from the sums and position
+ * is weighted by impressions.
+ * @param {Object} payload - { pages: [{ url, file, group, text?, rows?, validate? }] }
+ * @param {Function} isCancelled - () => boolean, checked between pages
+ * @returns {Promise<Object>} { groups: [{ id, pages, weeks: [{ Date, EndDate, Clicks, Impressions, CTR, Position }] }],
+ *   issues: [{ file, issues }] } or null when cancelled
+ */
+export async function aggregateWeeklyByGroup({ pages = [] }, isCancelled = () => false) {
+    const groups = new Map(); // id -> { pages, weeks: Map(start_date -> totals) }
+    const issues = [];
+    for (let i = 0; i < pages.length; i++) {
+        if (i && i % 10 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) return null;
+        }
+        const { file, group, text, rows: parsedRows, validate } = pages[i];
+        const rows = typeof text === 'string' ? parseCsvText(text) : (parsedRows || []);
+        if (validate) issues.push({ file, issues: validateCsvRows('weeklyCsv', rows) });
+        if (!rows.length) continue;
+        if (!groups.has(group)) groups.set(group, { pages: 0, weeks: new Map() });
+        const entry = groups.get(group);
+        entry.pages += 1;
+        for (const r of rows) {
+            if (toDay(r.start_date) === null) continue;
+            const week = entry.weeks.get(r.start_date)
+                || { Date: r.start_date, EndDate: r.end_date || r.start_date, Clicks: 0, Impressions: 0, weightedPosition: 0 };
+            const impressions = Number(r.impressions || 0);
+            week.Clicks += Number(r.clicks || 0);
+            week.Impressions += impressions;
+            week.weightedPosition += Number(r.position || 0) * impressions;
+            entry.weeks.set(r.start_date, week);
+        }
+    }
+    return {
+        groups: Array.from(groups, ([id, { pages: pageCount, weeks }]) => ({
+            id,
+            pages: pageCount,
+            weeks: Array.from(weeks.values())
+                .sort((a, b) => a.Date.localeCompare(b.Date))
+                .map(({ Date: date, EndDate, Clicks, Impressions, weightedPosition }) => ({
+                    Date: date,
+                    EndDate,
+                    Clicks,
+                    Impressions,
+                    CTR: `${(Impressions > 0 ? (Clicks / Impressions) * 100 : 0).toFixed(2)}%`,
+                    Position: Impressions > 0 ? weightedPosition / Impressions : 0
+                }))
+        })),
+        issues
+    };
+}
+
+// Task type -> handler, shared by the worker and the main-thread fallback
+export const WEEKLY_TASKS = {
+    summarizeWeeklyPages,
+    aggregateWeeklyByGroup
+};
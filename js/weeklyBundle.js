@@ -0,0 +1,142 @@
+// ===== Weekly Bundle =====
+// Columnar form of Data/weekly_data_output: one file per scope (all countries, or one
+// country) instead of one CSV per URL. Built by build_weekly_bundle.mjs;
+// format described in docs/data-exports-spec.md ("Weekly bundle").
+//
+// Layout (little-endian, written and read through DataView so host byte order
+// doesn't matter):
+//   'SWB1' | header length (uint32) | header JSON (UTF-8) | padding to 4 bytes
+//   pageOffsets Uint32[pages + 1]  rows of page i are pageOffsets[i] .. pageOffsets[i + 1] - 1
+//   week        Uint16[rows]       index into header.weeks ([start_date, end_date])
+//   (padding to 4 bytes)
+//   clicks      Uint32[rows]
+//   impressions Uint32[rows]
+//   ctr         Float32[rows]      fraction, as in the CSVs
+//   position    Float32[rows]
+
+const MAGIC = 'SWB1';
+export const WEEKLY_BUNDLE_VERSION = 1;
+
+const align4 = (n) => (n + 3) & ~3;
+
+function toCount(value) {
+    const n = Math.round(Number(value));
+    return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function toFloat(value) {
+    const n = parseFloat(String(value ?? '').replace('%', ''));
+    if (!Number.isFinite(n)) return 0;
+    return String(value).includes('%') ? n / 100 : n;
+}
+
+/**
+ * Encode weekly rows per page into a bundle
+ * @param {Map<string, Array>} pages - Sanitized page name -> CSV rows (start_date, end_date, clicks, ...)
+ * @param {Object} meta - { scope: 'aggregated' | ISO3, country } stored in the header
+ * @returns {ArrayBuffer}
+ */
+export function encodeWeeklyBundle(pages, { scope = 'aggregated', country = '' } = {}) {
+    const names = Array.from(pages.keys()).sort();
+    const weeks = [];
+    const weekIndex = new Map();
+    const rowCount = names.reduce((sum, name) => sum + pages.get(name).length, 0);
+
+    const pageOffsets = new Uint32Array(names.length + 1);
+    const week = new Uint16Array(rowCount);
+    const clicks = new Uint32Array(rowCount);
+    const impressions = new Uint32Array(rowCount);
+    const ctr = new Float32Array(rowCount);
+    const position = new Float32Array(rowCount);
+
+    let row = 0;
+    names.forEach((name, pageIdx) => {
+        pageOffsets[pageIdx] = row;
+        const sorted = pages.get(name).slice().sort((a, b) => String(a.start_date).localeCompare(String(b.start_date)));
+        for (const r of sorted) {
+            const key = `${r.start_date}|${r.end_date}`;
+            if (!weekIndex.has(key)) {
+                if (weeks.length >= 0xFFFF) throw new Error('Too many distinct weeks for a weekly bundle');
+                weekIndex.set(key, weeks.length);
+                weeks.push([r.start_date, r.end_date]);
+            }
+            week[row] = weekIndex.get(key);
+            clicks[row] = toCount(r.clicks);
+            impressions[row] = toCount(r.impressions);
+            ctr[row] = toFloat(r.ctr);
+            position[row] = toFloat(r.position);
+            row++;
+        }
+    });
+    pageOffsets[names.length] = row;
+
+    const header = new TextEncoder().encode(JSON.stringify({
+        version: WEEKLY_BUNDLE_VERSION,
+        scope,
+        country,
+        generatedAt: new Date().toISOString(),
+        pages: names,
+        weeks,
+        rows: rowCount
+    }));
+
+    const headerEnd = align4(8 + header.length);
+    const weekStart = headerEnd + pageOffsets.byteLength;
+    const clicksStart = align4(weekStart + week.byteLength);
+    const totalLength = clicksStart + rowCount * 16;
+
+    const buffer = new ArrayBuffer(totalLength);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i);
+    view.setUint32(4, header.length, true);
+    bytes.set(header, 8);
+    pageOffsets.forEach((offset, i) => view.setUint32(headerEnd + i * 4, offset, true));
+    for (let i = 0; i < rowCount; i++) {
+        view.setUint16(weekStart + i * 2, week[i], true);
+        view.setUint32(clicksStart + i * 4, clicks[i], true);
+        view.setUint32(clicksStart + (rowCount + i) * 4, impressions[i], true);
+        view.setFloat32(clicksStart + (rowCount * 2 + i) * 4, ctr[i], true);
+        view.setFloat32(clicksStart + (rowCount * 3 + i) * 4, position[i], true);
+    }
+    return buffer;
+}
+
+/**
+ * Decode a bundle into the row shape of the weekly CSVs
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} { scope, country, generatedAt, pages: Map<sanitized page, rows> }
+ */
+export function decodeWeeklyBundle(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    if (String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) throw new Error('Not a weekly bundle');
+    const headerLength = view.getUint32(4, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+    if (header.version !== WEEKLY_BUNDLE_VERSION) throw new Error(`Unsupported weekly bundle version ${header.version}`);
+
+    const rowCount = header.rows;
+    const headerEnd = align4(8 + headerLength);
+    const weekStart = headerEnd + (header.pages.length + 1) * 4;
+    const clicksStart = align4(weekStart + rowCount * 2);
+    const pageOffset = (pageIdx) => view.getUint32(headerEnd + pageIdx * 4, true);
+
+    const pages = new Map();
+    header.pages.forEach((name, pageIdx) => {
+        const rows = [];
+        for (let row = pageOffset(pageIdx); row < pageOffset(pageIdx + 1); row++) {
+            const [startDate, endDate] = header.weeks[view.getUint16(weekStart + row * 2, true)];
+            rows.push({
+                start_date: startDate,
+                end_date: endDate,
+                ...(header.country ? { country: header.country } : {}),
+                clicks: view.getUint32(clicksStart + row * 4, true),
+                impressions: view.getUint32(clicksStart + (rowCount + row) * 4, true),
+                ctr: view.getFloat32(clicksStart + (rowCount * 2 + row) * 4, true),
+                position: view.getFloat32(clicksStart + (rowCount * 3 + row) * 4, true)
+            });
+        }
+        pages.set(name, rows);
+    });
+    return { scope: header.scope, country: header.country, generatedAt: header.generatedAt, pages };
+}
@@ -0,0 +1,154 @@
+import { logger } from './logger.js';
+import { WEEKLY_TASKS } from './weeklyAggregation.js';
+
+// ===== Worker Pool =====
+// Runs Top Pages tasks (CSV parsing, range filtering, weekly aggregation) in module
+// workers so the UI thread only receives page summaries. Tasks queue until a worker
+// is free; an AbortSignal drops queued tasks and cancels running ones.
+// Without Worker support (or if a worker fails to start) tasks run inline.
+
+const MAX_WORKERS = 4;
+
+function abortError() {
+    return new DOMException('Task cancelled', 'AbortError');
+}
+
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+export class WorkerPool {
+    /**
+     * @param {URL|string} scriptUrl - Module worker script speaking the { id, type, payload } protocol
+     * @param {Object} inlineTasks - Task type -> handler used when workers are unavailable
+     */
+    constructor(scriptUrl, inlineTasks, { size } = {}) {
+        this.scriptUrl = scriptUrl;
+        this.inlineTasks = inlineTasks;
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        this.size = size || Math.max(1, Math.min(cores - 1, MAX_WORKERS));
+        this.workers = []; // { worker, task }
+        this.queue = [];
+        this.nextId = 1;
+        this.workersDisabled = typeof Worker === 'undefined';
+    }
+
+    /**
+     * Run a task in the pool
+     * @param {string} type - Task type (key of the worker's task table)
+     * @param {Object} payload - Structured-cloneable task input
+     * @param {Object} options - { signal } to cancel the task
+     * @returns {Promise<*>} Task result; rejects with an AbortError when cancelled
+     */
+    run(type, payload, { signal } = {}) {
+        if (signal?.aborted) return Promise.reject(abortError());
+        if (this.workersDisabled) return this.runInline(type, payload, signal);
+
+        return new Promise((resolve, reject) => {
+            const task = { id: this.nextId++, type, payload, signal, resolve, reject };
+            if (signal) {
+                task.onAbort = () => this.cancel(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+            this.queue.push(task);
+            this.pump();
+        });
+    }
+
+    async runInline(type, payload, signal) {
+        const handler = this.inlineTasks[type];
+        if (!handler) throw new Error(`Unknown task: ${type}`);
+        const result = await handler(payload, () => Boolean(signal?.aborted));
+        if (result === null || signal?.aborted) throw abortError();
+        return result;
+    }
+
+    pump() {
+        while (this.queue.length) {
+            const slot = this.getIdleSlot();
+            if (!slot) return;
+            const task = this.queue.shift();
+            slot.task = task;
+            slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+        }
+    }
+
+    getIdleSlot() {
+        const idle = this.workers.find(slot => !slot.task);
+        if (idle || this.workers.length >= this.size) return idle || null;
+        try {
+            const worker = new Worker(this.scriptUrl, { type: 'module' });
+            const slot = { worker, task: null };
+            worker.addEventListener('message', (event) => this.handleMessage(slot, event.data || {}));
+            worker.addEventListener('error', (event) => this.handleWorkerError(slot, event));
+            this.workers.push(slot);
+            return slot;
+        } catch (error) {
+            this.fallBackToInline(error);
+            return null;
+        }
+    }
+
+    handleMessage(slot, { id, result, error, cancelled }) {
+        const task = slot.task;
+        if (!task || task.id !== id) return;
+        slot.task = null;
+        this.settle(task, () => {
+            if (cancelled) task.reject(abortError());
+            else if (error) task.reject(new Error(error));
+            else task.resolve(result);
+        });
+        this.pump();
+    }
+
+    /** A worker that fails to load (e.g. no module worker support) takes the pool inline */
+    handleWorkerError(slot, event) {
+        event.preventDefault?.();
+        const pending = slot.task ? [slot.task] : [];
+        slot.worker.terminate();
+        this.workers = this.workers.filter(other => other !== slot);
+        this.fallBackToInline(new Error(event.message || 'Worker failed'), pending);
+    }
+
+    fallBackToInline(error, pending = []) {
+        if (!this.workersDisabled) {
+            logger.warn('Worker pool unavailable; running tasks on the main thread', { error: error.message });
+        }
+        this.workersDisabled = true;
+        this.workers.forEach(slot => {
+            if (slot.task) pending.push(slot.task);
+            slot.worker.terminate();
+        });
+        this.workers = [];
+        pending.push(...this.queue.splice(0));
+        pending.forEach(task => this.settle(task, () => {
+            this.runInline(task.type, task.payload, task.signal).then(task.resolve, task.reject);
+        }));
+    }
+
+    cancel(task) {
+        const queuedAt = this.queue.indexOf(task);
+        if (queuedAt !== -1) {
+            this.queue.splice(queuedAt, 1);
+            this.settle(task, () => task.reject(abortError()));
+            return;
+        }
+        const slot = this.workers.find(other => other.task === task);
+        if (!slot) return;
+        // The worker stops at its next checkpoint; free the slot now, late replies are ignored
+        slot.worker.postMessage({ id: task.id, type: 'cancel' });
+        slot.task = null;
+        this.settle(task, () => task.reject(abortError()));
+        this.pump();
+    }
+
+    settle(task, finish) {
+        if (task.signal && task.onAbort) task.signal.removeEventListener('abort', task.onAbort);
+        finish();
+    }
+}
+
+export const topPagesWorkerPool = new WorkerPool(
+    new URL('./workers/topPagesWorker.js', import.meta.url),
+    WEEKLY_TASKS
+);
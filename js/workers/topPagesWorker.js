@@ -0,0 +1,35 @@
+import { WEEKLY_TASKS } from '../weeklyAggregation.js';
+
+// ===== Top Pages Worker =====
+// Message protocol (see js/workerPool.js):
+//   in:  { id, type, payload }  run WEEKLY_TASKS[type](payload)
+//        { id, type: 'cancel' } drop the task's result (checked between pages)
+//   out: { id, result } | { id, error } | { id, cancelled: true }
+
+const running = new Set();
+const cancelled = new Set(); // subset of running; ids leave both when their task ends
+
+self.addEventListener('message', async (event) => {
+    const { id, type, payload } = event.data || {};
+    if (type === 'cancel') {
+        // A cancel can cross the task's result in flight; nothing left to drop then
+        if (running.has(id)) cancelled.add(id);
+        return;
+    }
+
+    const task = WEEKLY_TASKS[type];
+    if (!task) {
+        self.postMessage({ id, error: `Unknown task: ${type}` });
+        return;
+    }
+    running.add(id);
+    try {
+        const result = await task(payload, () => cancelled.has(id));
+        self.postMessage(result === null || cancelled.has(id) ? { id, cancelled: true } : { id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error?.message || String(error) });
+    } finally {
+        running.delete(id);
+        cancelled.delete(id);
+    }
+});
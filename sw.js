@@ -0,0 +1,70 @@
+// ===== Dashboard Service Worker =====
+// Keeps the app shell (HTML, CSS, JS modules, CDN libraries, images) available offline.
+// Network first so deploys show up on the next visit; the cache is the offline fallback.
+// Data files (dashboard_data.json, Data/) are not cached here: js/dataCache.js keeps
+// their parsed rows in IndexedDB.
+
+// Every module, the worker script and the CDN libraries, listed by build_shell_manifest.mjs
+// on deploy. The page registers this worker only after its module graph has loaded, so
+// runtime caching alone would never see the modules of the first visit.
+try {
+    importScripts('sw-shell.js');
+} catch (_) {
+    // Not built (local checkout): precache the entry points; the rest is cached as used
+}
+
+const SHELL_MANIFEST = self.SHELL_MANIFEST || {
+    version: 'dev',
+    urls: ['dashboard.html', 'css/styles.css', 'js/dashboard.js'],
+    cdn: []
+};
+
+const CACHE_NAME = `seo-dashboard-shell-${SHELL_MANIFEST.version}`;
+
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
+function isDataRequest(url) {
+    return url.origin === self.location.origin
+        && (url.pathname.includes('/Data/') || url.pathname.endsWith('/dashboard_data.json'));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all([
+                cache.addAll(SHELL_MANIFEST.urls),
+                // A CDN that is down shouldn't fail the install; those fill in at runtime
+                ...SHELL_MANIFEST.cdn.map(url => cache.add(new Request(url, { mode: 'cors' })).catch(() => {}))
+            ]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return; // HEAD existence checks go straight to the network
+    const url = new URL(request.url);
+    const cacheable = (url.origin === self.location.origin && !isDataRequest(url)) || CDN_HOSTS.includes(url.hostname);
+    if (!cacheable) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+                .then(cached => cached || Response.error()))
+    );
+});
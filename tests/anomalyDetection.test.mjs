@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDailyAnomalies, detectSeriesAnomalies, formatAnomaly, ANOMALY_DEFAULTS } from '../js/anomalyDetection.js';
+
+// Daily records from Monday 2025-01-06; clicks(i, weekday) with weekday 0 = Monday
+const FIRST_DAY = Date.UTC(2025, 0, 6);
+const days = (count, clicks) => Array.from({ length: count }, (_, i) => ({
+    Date: new Date(FIRST_DAY + i * 86400000).toISOString().slice(0, 10),
+    Clicks: clicks(i, i % 7),
+    Impressions: 10000
+}));
+// Deterministic wobble of ±25 clicks
+const noise = (i) => ((i * 37) % 11 - 5) * 5;
+
+test('flags nothing in a flat series', () => {
+    assert.deepEqual(detectDailyAnomalies(days(84, () => 500), ['clicks']), []);
+    assert.deepEqual(detectDailyAnomalies(days(84, (i) => 1000 + noise(i)), ['clicks']), []);
+});
+
+test('flags a single spike on its day', () => {
+    const anomalies = detectDailyAnomalies(days(84, (i) => (i === 70 ? 3000 : 1000 + noise(i))), ['clicks']);
+    assert.equal(anomalies.length, 1);
+    const [spike] = anomalies;
+    assert.equal(spike.date, '2025-03-17');
+    assert.equal(spike.index, 70);
+    assert.equal(spike.direction, 'up');
+    assert.equal(spike.isGood, true);
+    assert.ok(spike.score >= ANOMALY_DEFAULTS.threshold);
+    assert.match(formatAnomaly(spike), /^Clicks 3,000 vs ~\d[\d,]* expected \(\+\d+%\)$/);
+});
+
+test('does not flag the weekly weekend dip', () => {
+    const weekly = days(84, (i, weekday) => (weekday >= 5 ? 400 : 1000) + noise(i));
+    assert.deepEqual(detectDailyAnomalies(weekly, ['clicks']), []);
+
+    // A weekday that drops to weekend level is flagged
+    const dropped = days(84, (i, weekday) => (i === 72 ? 400 : (weekday >= 5 ? 400 : 1000) + noise(i)));
+    assert.deepEqual(detectDailyAnomalies(dropped, ['clicks']).map(a => [a.index, a.direction, a.isGood]), [[72, 'down', false]]);
+});
+
+test('gives no verdict until the same weekday has enough history', () => {
+    const needed = ANOMALY_DEFAULTS.minHistory * 7; // days before the first day that can be judged
+    const spikeAt = (count, index) => days(count, (i) => (i === index ? 5000 : 1000));
+    assert.deepEqual(detectDailyAnomalies(spikeAt(needed, needed - 1), ['clicks']), []);
+    assert.deepEqual(detectDailyAnomalies(spikeAt(needed + 1, needed), ['clicks']).map(a => a.index), [needed]);
+    assert.deepEqual(detectSeriesAnomalies([]), []);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectExportedCountryCodes, formatCountryName } from '../js/countryRegistry.js';
+
+test('collects the countries with per-country exports', () => {
+    const codes = collectExportedCountryCodes([
+        'Data/Chart-Daily_Data/property_https_www_example_com_daily_country_USA_all_data.csv',
+        'Data/Chart-Daily_Data/property_https_www_example_com_daily_all_countries_all_data.csv',
+        'Data/weekly_data_output/by_country/MEX/https_www_example_com_weekly_all_data.csv',
+        'Data/weekly_bundle/by_country/CAN.bin',
+        'Data/keywords/Page_Weekly/by_country/ARG/https_www_example_com.csv',
+        'Data/keywords/Site_Daily/by_country/ESP.csv',
+        'Data/keywords/Site_Daily/by_country/USA.csv',
+        'Data/keywords/Site_Daily/all_countries.csv',
+        'docs/Country-Codes - Sheet1.csv'
+    ]);
+    assert.deepEqual(codes, ['ARG', 'CAN', 'ESP', 'MEX', 'USA']);
+});
+
+test('collects nothing without per-country files', () => {
+    assert.deepEqual(collectExportedCountryCodes([]), []);
+    assert.deepEqual(collectExportedCountryCodes(null), []);
+});
+
+test('shortens ISO sheet names', () => {
+    assert.equal(formatCountryName('Bahamas (the)', 'BHS'), 'Bahamas');
+    assert.equal(formatCountryName('United States of America (the)', 'USA'), 'United States');
+    assert.equal(formatCountryName('', 'XYZ'), 'XYZ');
+});
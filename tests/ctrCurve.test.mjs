@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bucketCtrRows, fitCtrCurve } from '../js/ctrCurve.js';
+
+const curveBuckets = (a, b, positions, impressions = 1000) => positions.map(position => ({
+    bucket: position,
+    position,
+    clicks: Math.max(1, Math.round(impressions * a / Math.pow(position, b))),
+    impressions,
+    ctr: a / Math.pow(position, b)
+}));
+
+test('recovers the parameters of an exact power curve', () => {
+    const fit = fitCtrCurve(curveBuckets(0.3, 0.8, [1, 2, 3, 5, 8, 13]));
+    assert.ok(Math.abs(fit.a - 0.3) < 1e-9);
+    assert.ok(Math.abs(fit.b - 0.8) < 1e-9);
+    assert.ok(Math.abs(fit.r2 - 1) < 1e-9);
+    assert.equal(fit.buckets, 6);
+    assert.equal(fit.impressions, 6000);
+});
+
+test('weights buckets by impressions', () => {
+    const buckets = curveBuckets(0.3, 0.8, [1, 2, 3, 4]);
+    // An outlier with few impressions barely moves the fit
+    buckets.push({ bucket: 10, position: 10, clicks: 10, impressions: 20, ctr: 0.5 });
+    const fit = fitCtrCurve(buckets);
+    assert.ok(Math.abs(fit.b - 0.8) < 0.1);
+});
+
+test('needs four buckets with clicks and 20+ impressions', () => {
+    assert.equal(fitCtrCurve(curveBuckets(0.3, 0.8, [1, 2, 3])), null);
+    const buckets = curveBuckets(0.3, 0.8, [1, 2, 3, 4]);
+    buckets[3] = { ...buckets[3], impressions: 19 };
+    assert.equal(fitCtrCurve(buckets), null);
+    buckets[3] = { ...buckets[3], impressions: 1000, clicks: 0, ctr: 0 };
+    assert.equal(fitCtrCurve(buckets), null);
+    assert.equal(fitCtrCurve([]), null);
+    assert.equal(fitCtrCurve(null), null);
+});
+
+test('rejects a CTR that does not fall with position', () => {
+    assert.equal(fitCtrCurve(curveBuckets(0.05, -0.5, [1, 2, 3, 4, 5])), null);
+    assert.equal(fitCtrCurve(curveBuckets(0.1, 0, [1, 2, 3, 4, 5])), null);
+});
+
+test('pools rows into whole positions 1–20 per device', () => {
+    const rows = [
+        { clicks: 4, impressions: 10, position: 1.2, device: 'MOBILE' },
+        { clicks: 2, impressions: 30, position: 0.8, device: 'DESKTOP' },
+        { clicks: 1, impressions: 10, position: 2.6, device: 'MOBILE' },
+        { clicks: 0, impressions: 50, position: 20.4, device: 'MOBILE' },
+        { clicks: 9, impressions: 9, position: 20.6, device: 'MOBILE' },
+        { clicks: 5, impressions: 0, position: 3, device: 'MOBILE' }
+    ];
+    const buckets = bucketCtrRows(rows);
+    assert.deepEqual(buckets.map(b => [b.bucket, b.clicks, b.impressions]), [[1, 6, 40], [3, 1, 10], [20, 0, 50]]);
+    assert.ok(Math.abs(buckets[0].position - (1.2 * 10 + 0.8 * 30) / 40) < 1e-12);
+    assert.equal(buckets[0].ctr, 6 / 40);
+    assert.deepEqual(bucketCtrRows(rows, 'DESKTOP').map(b => b.bucket), [1]);
+});
+
+test('moves settings saved under the old storage key once', async () => {
+    const store = new Map([['ctrCurveCalibration', JSON.stringify({ enabled: true, source: 'pages' })]]);
+    globalThis.localStorage = {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    globalThis.window = { addEventListener() {}, dispatchEvent() {} };
+    try {
+        const { CtrCurveCalibration } = await import('../js/ctrCurve.js');
+        const calibration = new CtrCurveCalibration();
+        calibration.init();
+        assert.deepEqual(calibration.getSettings(), { enabled: true, source: 'pages' });
+        assert.equal(store.has('ctrCurveCalibration'), false);
+        assert.deepEqual(JSON.parse(store.get('dashboard:ctrCurve')), { enabled: true, source: 'pages' });
+    } finally {
+        delete globalThis.localStorage;
+        delete globalThis.window;
+    }
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isTrustedDataUrl,
+    createDataSourceFromLocation,
+    DEFAULT_API_BASE_URL
+} from '../js/dataSource.js';
+
+const ORIGIN = 'https://dashboard.example.com';
+
+test('trusts relative, same-origin and allow-listed data URLs', () => {
+    ['seo-archive/', '/seo/', './data', '../api'].forEach(url => assert.equal(isTrustedDataUrl(url, ORIGIN), true, url));
+    assert.equal(isTrustedDataUrl(`${ORIGIN}/seo/`, ORIGIN), true);
+    assert.equal(isTrustedDataUrl(DEFAULT_API_BASE_URL, ORIGIN), true);
+});
+
+test('rejects other origins, protocol-relative URLs and other schemes', () => {
+    [
+        'https://evil.example.com/api',
+        'http://localhost:9000/api',
+        '//evil.example.com/api',
+        '/\\evil.example.com/api',
+        'javascript:alert(1)',
+        'data:application/json,{}'
+    ].forEach(url => assert.equal(isTrustedDataUrl(url, ORIGIN), false, url));
+});
+
+test('falls back to the default source for untrusted URLs', () => {
+    globalThis.window = { location: { origin: ORIGIN } };
+    try {
+        const api = createDataSourceFromLocation('?source=api&api=https://evil.example.com/api&property=p');
+        assert.equal(api.kind, 'api');
+        assert.equal(api.baseUrl, DEFAULT_API_BASE_URL);
+        assert.equal(api.property, 'p');
+        assert.equal(createDataSourceFromLocation('?dataBase=//evil.example.com/').baseUrl, '');
+        assert.equal(createDataSourceFromLocation('?dataBase=seo-archive/').baseUrl, 'seo-archive/');
+    } finally {
+        delete globalThis.window;
+    }
+});
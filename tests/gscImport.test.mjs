@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRangeFromFileNames, openDroppedFiles } from '../js/gscImport.js';
+import { createUploadedDataSource } from '../js/dataSource.js';
+
+test('reads the range from a Search Console export name', () => {
+    assert.deepEqual(
+        getRangeFromFileNames(['https___www.example.com_-Performance-on-Search-2025-05-01_2025-07-31.zip']),
+        { start: '2025-05-01', end: '2025-07-31' }
+    );
+});
+
+test('accepts a spaced separator', () => {
+    assert.deepEqual(
+        getRangeFromFileNames(['example.com-Performance-on-Search-2025-05-01 - 2025-07-31.zip']),
+        { start: '2025-05-01', end: '2025-07-31' }
+    );
+});
+
+test('skips names without two dates', () => {
+    assert.deepEqual(
+        getRangeFromFileNames(['Pages.csv', 'example.com-Performance-on-Search-2025-08-01.zip', 'export-2025-01-01_2025-03-31.zip']),
+        { start: '2025-01-01', end: '2025-03-31' }
+    );
+    assert.equal(getRangeFromFileNames(['Queries.csv', 'report-2025-08.zip']), null);
+});
+
+test('opens each dropped zip once and routes on dashboard_data.json', async () => {
+    let opened = 0;
+    const zipEntry = (name) => ({ name, dir: false, async: async () => '' });
+    const archives = {
+        'pipeline.zip': ['out/dashboard_data.json', 'out/Data/Chart-Daily_Data/manifest.json'],
+        'example.com-Performance-on-Search-2025-05-01_2025-07-31.zip': ['Dates.csv', 'Pages.csv']
+    };
+    globalThis.window = {
+        JSZip: {
+            loadAsync: async (file) => {
+                opened++;
+                return { files: Object.fromEntries(archives[file.name].map(name => [name, zipEntry(name)])) };
+            }
+        }
+    };
+    try {
+        const pipeline = await openDroppedFiles([{ name: 'pipeline.zip' }]);
+        assert.deepEqual(pipeline.map(({ path, archive }) => [path, archive]), [
+            ['out/dashboard_data.json', 'pipeline.zip'],
+            ['out/Data/Chart-Daily_Data/manifest.json', 'pipeline.zip']
+        ]);
+        assert.ok(createUploadedDataSource(pipeline));
+
+        const gsc = await openDroppedFiles([{ name: 'example.com-Performance-on-Search-2025-05-01_2025-07-31.zip' }, { name: 'Queries.csv' }]);
+        assert.deepEqual(gsc.map(({ path }) => path), ['Dates.csv', 'Pages.csv', 'Queries.csv']);
+        assert.equal(createUploadedDataSource(gsc), null);
+        assert.equal(opened, 2);
+    } finally {
+        delete globalThis.window;
+    }
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The worker registers its handler on `self` when imported
+const posted = [];
+let handler = null;
+globalThis.self = {
+    addEventListener: (type, listener) => { if (type === 'message') handler = listener; },
+    postMessage: (message) => posted.push(message)
+};
+await import('../js/workers/topPagesWorker.js');
+
+const send = (data) => handler({ data });
+const summarize = (id, pageCount = 0) => ({
+    id,
+    type: 'summarizeWeeklyPages',
+    payload: { pages: Array.from({ length: pageCount }, (_, i) => ({ url: `https://example.com/${i}`, rows: [] })) }
+});
+
+test('a cancel for a task that is not running is ignored', async () => {
+    posted.length = 0;
+    await send({ id: 1, type: 'cancel' });
+    await send(summarize(1));
+    assert.deepEqual(posted, [{ id: 1, result: { summaries: [], found: false, issues: [] } }]);
+});
+
+test('a running task is cancelled once, and its id can run again', async () => {
+    posted.length = 0;
+    // Long enough to yield between pages, so the cancel lands mid-task
+    const running = send(summarize(2, 25));
+    send({ id: 2, type: 'cancel' });
+    await running;
+    await send(summarize(2));
+    assert.deepEqual(posted, [
+        { id: 2, cancelled: true },
+        { id: 2, result: { summaries: [], found: false, issues: [] } }
+    ]);
+});
+
+test('reports unknown tasks', async () => {
+    posted.length = 0;
+    await send({ id: 3, type: 'nope' });
+    assert.deepEqual(posted, [{ id: 3, error: 'Unknown task: nope' }]);
+});
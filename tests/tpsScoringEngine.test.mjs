@@ -0,0 +1,224 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TPSScoringEngine } from '../js/tpsScoringEngine.js';
+
+const close = (actual, expected, epsilon = 1e-9) => assert.ok(Math.abs(actual - expected) < epsilon, `${actual} ≈ ${expected}`);
+
+// ===== Momentum =====
+// Weekly click rates vs the preceding period; a fresh engine has no candidate set, so
+// scores use the min-max bounds
+
+const withPrevious = (clicks, weeks, previousClicks, previousWeeks) => ({
+    Clicks: clicks,
+    Weeks: weeks,
+    PreviousClicks: previousClicks,
+    PreviousWeeks: previousWeeks
+});
+
+test('momentum is neutral without a comparable previous period', () => {
+    const engine = new TPSScoringEngine();
+    assert.equal(engine.calculateMomentumScore({ Clicks: 40, Weeks: 4 }), 0.5);
+    assert.equal(engine.calculateMomentumScore(withPrevious(40, 4, null, 0)), 0.5);
+    assert.equal(engine.calculateMomentumScore(withPrevious(40, 4, 10, 0)), 0.5);
+    assert.equal(engine.calculateClicksGrowth(withPrevious(40, 4, null, 0)), null);
+});
+
+test('momentum with zero previous clicks is clipped, not infinite', () => {
+    const engine = new TPSScoringEngine();
+    // 3 clicks a week after 0: log2((3 + 1) / (0 + 1)) = 2, clipped to doubled
+    assert.equal(engine.calculateMomentumScore(withPrevious(12, 4, 0, 4)), 1);
+    assert.equal(engine.calculateClicksGrowth(withPrevious(12, 4, 0, 4)), null);
+    assert.equal(engine.calculateMomentumScore(withPrevious(0, 4, 0, 4)), 0.5);
+});
+
+test('momentum maps halved to doubled (with +1 smoothing) onto 0–1', () => {
+    const engine = new TPSScoringEngine();
+    assert.equal(engine.calculateMomentumScore(withPrevious(12, 4, 12, 4)), 0.5);
+    // (7 + 1) / (3 + 1) = 2 and (1 + 1) / (3 + 1) = 1/2
+    assert.equal(engine.calculateMomentumScore(withPrevious(28, 4, 12, 4)), 1);
+    assert.equal(engine.calculateMomentumScore(withPrevious(4, 4, 12, 4)), 0);
+    assert.equal(engine.calculateMomentumScore(withPrevious(400, 4, 12, 4)), 1);
+    // Rates are per week, so periods of different lengths compare
+    close(engine.calculateMomentumScore(withPrevious(6, 2, 9, 3)), 0.5);
+    assert.equal(engine.calculateClicksGrowth(withPrevious(24, 4, 12, 4)), 100);
+});
+
+// ===== Consistency =====
+
+const weekly = (clicks, weeks, weeksActive, variance) => ({
+    Clicks: clicks,
+    Weeks: weeks,
+    weeks_active: weeksActive,
+    clicks_variance: variance
+});
+
+test('consistency is neutral for pages without weekly rows', () => {
+    const engine = new TPSScoringEngine();
+    assert.equal(engine.calculateConsistencyScore({ Clicks: 10 }), 0.5);
+    assert.equal(engine.calculateConsistencyScore(weekly(10, 0, 0, 0)), 0.5);
+});
+
+test('consistency is 0 without clicks and 1 for the same clicks every week', () => {
+    const engine = new TPSScoringEngine();
+    assert.equal(engine.calculateConsistencyScore(weekly(0, 8, 0, 0)), 0);
+    assert.equal(engine.calculateConsistencyScore(weekly(40, 8, 8, 0)), 1);
+});
+
+test('consistency halves active-week share and weekly stability', () => {
+    const engine = new TPSScoringEngine();
+    // 4 of 8 weeks active, mean 5, standard deviation 5: CV 1, stability 1/2
+    close(engine.calculateConsistencyScore(weekly(40, 8, 4, 25)), 0.5 * 0.5 + 0.5 * 0.5);
+    // Spikier weeks score lower at the same share of active weeks
+    assert.ok(engine.calculateConsistencyScore(weekly(40, 8, 4, 100)) < engine.calculateConsistencyScore(weekly(40, 8, 4, 25)));
+    // weeks_active never counts for more than all weeks
+    close(engine.calculateConsistencyScore(weekly(40, 8, 12, 0)), 1);
+});
+
+// ===== Weight presets =====
+
+const sum = (weights) => Object.values(weights).reduce((total, value) => total + value, 0);
+
+test('custom weights are scaled to sum to 1', () => {
+    const engine = new TPSScoringEngine();
+    const weights = engine.normalizeWeights({ C: 2, E: 1, P: 1, I: 0, M: 0, K: 0 });
+    assert.deepEqual(weights, { C: 0.5, E: 0.25, P: 0.25, I: 0, M: 0, K: 0 });
+    close(sum(engine.normalizeWeights({ C: 0.3, E: 0.3, P: 0.3, I: 0.3, M: 0.3, K: 0.3 })), 1);
+});
+
+test('negative, missing and non-numeric weights count as zero', () => {
+    const engine = new TPSScoringEngine();
+    assert.deepEqual(engine.normalizeWeights({ C: 1, E: -1, P: 'x', I: NaN }), { C: 1, E: 0, P: 0, I: 0, M: 0, K: 0 });
+});
+
+test('all-zero weights fall back to balanced', () => {
+    const engine = new TPSScoringEngine();
+    const balanced = engine.getWeights('balanced');
+    assert.deepEqual(engine.normalizeWeights({ C: 0, E: 0, P: 0, I: 0, M: 0, K: 0 }), balanced);
+    assert.deepEqual(engine.normalizeWeights(null), balanced);
+    assert.deepEqual(engine.setPreset('custom', { C: 0, E: 0 }), balanced);
+});
+
+test('setPreset switches presets and falls back to balanced', () => {
+    const engine = new TPSScoringEngine();
+    assert.deepEqual(engine.setPreset('growth'), engine.getWeights('growth'));
+    assert.equal(engine.getConfig().preset, 'growth');
+    assert.deepEqual(engine.setPreset('no-such-preset'), engine.getWeights('balanced'));
+    assert.equal(engine.getConfig().preset, 'balanced');
+    // Custom without weights starts from balanced
+    assert.deepEqual(engine.setPreset('custom'), engine.getWeights('balanced'));
+    close(sum(engine.setPreset('custom', { C: 5, K: 5 })), 1);
+    // Previous custom weights are kept when switching back
+    engine.setPreset('balanced');
+    assert.deepEqual(engine.setPreset('custom'), { C: 0.5, E: 0, P: 0, I: 0, M: 0, K: 0.5 });
+});
+
+test('weights key follows the active weights', () => {
+    const engine = new TPSScoringEngine();
+    const balancedKey = engine.getWeightsKey();
+    engine.setPreset('growth');
+    assert.notEqual(engine.getWeightsKey(), balancedKey);
+    // Custom weights equal to balanced share its key
+    engine.setPreset('custom', engine.getWeights('balanced'));
+    assert.equal(engine.getWeightsKey(), balancedKey);
+});
+
+// ===== Percentile ranks =====
+
+test('percentile rank gives ties the mid rank', () => {
+    const engine = new TPSScoringEngine();
+    const sorted = [1, 2, 2, 2, 5];
+    // One value below, three equal: (1 + 3 / 2) / 5
+    assert.equal(engine.percentileRank(sorted, 2), 0.5);
+    assert.equal(engine.percentileRank(sorted, 1), 0.1);
+    assert.equal(engine.percentileRank(sorted, 5), 0.9);
+    assert.equal(engine.percentileRank(sorted, 0), 0);
+    assert.equal(engine.percentileRank(sorted, 9), 1);
+    assert.equal(engine.percentileRank([3, 3, 3, 3], 3), 0.5);
+});
+
+test('distributions hold each component sorted across the candidate set', () => {
+    const engine = new TPSScoringEngine();
+    const pages = [
+        { Clicks: 10, Impressions: 100, CTR: 0.1, Position: 3 },
+        { Clicks: 0, Impressions: 50, CTR: 0, Position: 8 },
+        { Clicks: 10, Impressions: 400, CTR: 0.025, Position: 5 }
+    ];
+    const distributions = engine.buildDistributions(pages);
+    assert.deepEqual(Object.keys(distributions).sort(), ['C', 'E', 'I', 'K', 'M', 'P']);
+    assert.deepEqual(distributions.C, [Math.log1p(0), Math.log1p(10), Math.log1p(10)]);
+    assert.deepEqual(distributions.P, [(11 - 8) / 10, (11 - 5) / 10, (11 - 3) / 10]);
+    // No weekly history: flat momentum and neutral consistency for everyone
+    assert.deepEqual(distributions.M, [0, 0, 0]);
+    assert.deepEqual(distributions.K, [0.5, 0.5, 0.5]);
+});
+
+test('tied pages get the same component scores', () => {
+    const engine = new TPSScoringEngine();
+    const scored = engine.calculateTPSScores([
+        { 'Top pages': 'a', Clicks: 10, Impressions: 100, CTR: 0.1, Position: 3 },
+        { 'Top pages': 'b', Clicks: 10, Impressions: 200, CTR: 0.05, Position: 6 },
+        { 'Top pages': 'c', Clicks: 2, Impressions: 300, CTR: 2 / 300, Position: 9 }
+    ], null);
+    const byUrl = Object.fromEntries(scored.map(page => [page['Top pages'], page.scoreComponents]));
+    assert.equal(byUrl.a.C, byUrl.b.C);
+    close(byUrl.a.C, (1 + 2 / 2) / 3);
+    assert.equal(byUrl.c.C, 1 / 6);
+    // Without weekly history every page ties on momentum
+    assert.equal(byUrl.a.M, 0.5);
+    assert.equal(byUrl.c.M, 0.5);
+});
+
+test('raw momentum is the unclipped log2 ratio', () => {
+    const engine = new TPSScoringEngine();
+    assert.equal(engine.getMomentumRatio({ Clicks: 60, Weeks: 4, PreviousClicks: 0, PreviousWeeks: 4 }), 4);
+    assert.equal(engine.getMomentumRatio({ Clicks: 60, Weeks: 4 }), 0);
+});
+
+// ===== Explanations and what-ifs =====
+
+const candidates = [
+    { 'Top pages': 'a', Clicks: 500, Impressions: 1000, CTR: 0.5, Position: 1 },
+    { 'Top pages': 'b', Clicks: 40, Impressions: 2000, CTR: 0.02, Position: 8.2 },
+    { 'Top pages': 'c', Clicks: 5, Impressions: 500, CTR: 0.01, Position: 14 },
+    { 'Top pages': 'd', Clicks: 30, Impressions: 300, CTR: 0.1, Position: 4 }
+];
+
+function scoredEngine() {
+    const engine = new TPSScoringEngine();
+    const scored = engine.calculateTPSScores(candidates, null);
+    return { engine, byUrl: Object.fromEntries(scored.map(page => [page['Top pages'], page])) };
+}
+
+test('component contributions add up to TPS', () => {
+    const { engine, byUrl } = scoredEngine();
+    const explanation = engine.explainScore(byUrl.b);
+    assert.equal(explanation.TPS, byUrl.b.TPS);
+    assert.deepEqual(explanation.components.map(c => c.key), ['C', 'E', 'P', 'I', 'M', 'K']);
+    close(explanation.components.reduce((total, c) => total + c.contribution, 0), explanation.TPS, 1e-3);
+    close(explanation.components.reduce((total, c) => total + c.weight, 0), 1);
+    assert.equal(engine.explainScore({ Clicks: 1, Impressions: 2, Position: 3 }), null);
+});
+
+test('what-ifs move to the next position milestone and to the expected CTR', () => {
+    const { engine, byUrl } = scoredEngine();
+    const [position, ctr] = engine.explainScore(byUrl.b).whatIf;
+    assert.equal(position.type, 'position');
+    assert.equal(position.to, 5);
+    assert.ok(position.delta > 0);
+    assert.ok(position.clicks > byUrl.b.Clicks);
+    assert.equal(ctr.type, 'ctr');
+    close(ctr.to, engine.calculateExpectedCTR(8.2));
+    assert.equal(ctr.clicks, Math.round(2000 * engine.calculateExpectedCTR(8.2)));
+});
+
+test('no position milestone at position 1 or better', () => {
+    const { engine, byUrl } = scoredEngine();
+    // Position 1 with a CTR under the expected one: only the CTR what-if
+    const atTop = { ...byUrl.a, CTR: 0.05, Clicks: 50 };
+    assert.deepEqual(engine.getWhatIfScenarios(atTop, byUrl.a.TPS).map(s => s.type), ['ctr']);
+    // Already at the expected CTR: nothing to suggest
+    assert.deepEqual(engine.explainScore(byUrl.a).whatIf, []);
+    assert.deepEqual(engine.getWhatIfScenarios({ ...byUrl.a, Position: 0.8 }, byUrl.a.TPS), []);
+    // Within half a position of a milestone counts as there
+    assert.deepEqual(engine.getWhatIfScenarios({ ...byUrl.d, Position: 1.4 }, byUrl.d.TPS).map(s => s.type), ['ctr']);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readViewState, buildViewSearch, DEFAULT_METRICS, DEFAULT_TOP_PAGES_STATE } from '../js/viewState.js';
+
+test('round-trips a full view state', () => {
+    const state = {
+        section: 'keywords',
+        range: { start: '2025-01-01', end: '2025-03-31' },
+        country: 'USA',
+        compare: ['USA', 'MEX'],
+        metrics: ['clicks', 'ctr'],
+        topPages: { sortField: 'CTR', sortDirection: 'asc', typeFilter: 'doctors', searchTerm: 'visa fees', view: 'table' }
+    };
+    const search = buildViewSearch(state, '');
+    assert.equal(search, '?section=keywords&from=2025-01-01&to=2025-03-31&country=USA&compare=USA,MEX&metrics=clicks,ctr&sort=CTR&dir=asc&type=doctors&q=visa+fees&view=table');
+    assert.deepEqual(readViewState(search), state);
+});
+
+test('leaves defaults and data source params out, keeps the property', () => {
+    const search = buildViewSearch({ section: 'overview', metrics: DEFAULT_METRICS, topPages: DEFAULT_TOP_PAGES_STATE },
+        '?source=api&api=http://localhost:8000/api&dataBase=seo/&property=https_www_example_com&section=keywords&q=old');
+    assert.equal(search, '?property=https_www_example_com');
+    assert.equal(buildViewSearch({}, ''), '');
+});
+
+test('writes all countries as country=all and reads it back as empty', () => {
+    const search = buildViewSearch({ country: '' }, '');
+    assert.equal(search, '?country=all');
+    assert.equal(readViewState(search).country, '');
+    assert.equal(readViewState('').country, undefined);
+    assert.equal(readViewState('?country=mex').country, 'MEX');
+});
+
+test('falls back to defaults for invalid params', () => {
+    const state = readViewState('?from=2025-03-31&to=2025-01-01&metrics=bogus&sort=Views&dir=up&type=<b>&view=list');
+    assert.equal(state.section, 'overview');
+    assert.equal(state.range, null);
+    assert.deepEqual(state.metrics, DEFAULT_METRICS);
+    assert.deepEqual(state.topPages, DEFAULT_TOP_PAGES_STATE);
+    assert.equal(readViewState('?from=2025-1-1&to=2025-02-01').range, null);
+    assert.equal(readViewState('?type=All').topPages.typeFilter, 'All');
+});
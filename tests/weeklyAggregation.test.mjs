@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsvText, aggregateWeeklyRows, summarizeWeeklyPage } from '../js/weeklyAggregation.js';
+
+test('parses quoted fields, CRLF, a BOM and blank lines', () => {
+    const rows = parseCsvText('\uFEFFquery,clicks\r\n"visa, fees",3\r\n\r\n"say ""hi""",\n');
+    assert.deepEqual(rows, [{ query: 'visa, fees', clicks: '3' }, { query: 'say "hi"', clicks: '' }]);
+    assert.deepEqual(parseCsvText('a,b\n1'), [{ a: '1', b: '' }]);
+    assert.deepEqual(parseCsvText(''), []);
+    assert.deepEqual(parseCsvText(null), []);
+});
+
+test('aggregates weekly rows', () => {
+    const agg = aggregateWeeklyRows([
+        { clicks: '4', impressions: '100', ctr: '4%', position: '3' },
+        { clicks: 0, impressions: 50, ctr: 0, position: 7 },
+        { clicks: 2, impressions: 0, ctr: 0, position: 0 }
+    ]);
+    assert.equal(agg.clicks, 6);
+    assert.equal(agg.impressions, 150);
+    // CTR and position average the weeks with impressions
+    assert.equal(agg.ctrPct, '2.00%');
+    assert.equal(agg.position, 5);
+    assert.equal(agg.weeksActive, 2);
+    assert.ok(Math.abs(agg.clicksVariance - ((16 + 0 + 4) / 3 - 4)) < 1e-12);
+    assert.deepEqual(aggregateWeeklyRows([]), { clicks: 0, impressions: 0, ctrPct: '0.00%', position: 0, weeksActive: 0, clicksVariance: 0 });
+});
+
+test('summarizes a page over a range with the previous period', () => {
+    const rows = [
+        { start_date: '2025-01-06', end_date: '2025-01-12', clicks: 1, impressions: 10, ctr: 0.1, position: 5 },
+        { start_date: '2025-01-13', end_date: '2025-01-19', clicks: 2, impressions: 10, ctr: 0.2, position: 4 },
+        { start_date: '2025-01-20', end_date: '2025-01-26', clicks: 5, impressions: 20, ctr: 0.25, position: 3 }
+    ];
+    const summary = summarizeWeeklyPage('https://example.com/a', rows,
+        { start: '2025-01-20', end: '2025-01-26' }, { start: '2025-01-06', end: '2025-01-19' });
+    assert.equal(summary.Clicks, 5);
+    assert.equal(summary.Weeks, 1);
+    assert.equal(summary.PreviousClicks, 3);
+    assert.equal(summary.PreviousWeeks, 2);
+
+    // An export that doesn't reach back to the previous period has no baseline
+    const noBaseline = summarizeWeeklyPage('https://example.com/a', rows,
+        { start: '2025-01-13', end: '2025-01-26' }, { start: '2024-12-30', end: '2025-01-12' });
+    assert.equal(noBaseline.PreviousClicks, null);
+    assert.equal(summarizeWeeklyPage('https://example.com/a', rows, { start: '2025-03-01', end: '2025-03-31' }, null), null);
+});
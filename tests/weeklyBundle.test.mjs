@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWeeklyBundle, decodeWeeklyBundle } from '../js/weeklyBundle.js';
+
+const week = (start_date, end_date, clicks, impressions, ctr, position) => ({ start_date, end_date, clicks, impressions, ctr, position });
+
+test('round-trips rows per page, sorted by week', () => {
+    const pages = new Map([
+        ['blog_visa', [week('2025-01-08', '2025-01-14', 3, 40, 0.075, 6.5), week('2025-01-01', '2025-01-07', 1, 20, 0.05, 8.25)]],
+        ['clinics', [week('2025-01-01', '2025-01-07', 0, 12, 0, 14)]]
+    ]);
+    const bundle = decodeWeeklyBundle(encodeWeeklyBundle(pages, { scope: 'MEX', country: 'mex' }));
+
+    assert.equal(bundle.scope, 'MEX');
+    assert.equal(bundle.country, 'mex');
+    assert.deepEqual(Array.from(bundle.pages.keys()), ['blog_visa', 'clinics']);
+    const rows = bundle.pages.get('blog_visa');
+    assert.deepEqual(rows.map(r => [r.start_date, r.end_date, r.clicks, r.impressions, r.position, r.country]), [
+        ['2025-01-01', '2025-01-07', 1, 20, 8.25, 'mex'],
+        ['2025-01-08', '2025-01-14', 3, 40, 6.5, 'mex']
+    ]);
+    // CTR is stored as Float32
+    assert.ok(Math.abs(rows[1].ctr - 0.075) < 1e-6);
+    assert.deepEqual(bundle.pages.get('clinics').map(r => r.clicks), [0]);
+});
+
+test('reads CSV strings: percent CTR, bad counts as zero, no country for aggregated', () => {
+    const pages = new Map([['home', [week('2025-02-03', '2025-02-09', '12', 'n/a', '2.5%', '4.75')]]]);
+    const [row] = decodeWeeklyBundle(encodeWeeklyBundle(pages)).pages.get('home');
+    assert.equal(row.clicks, 12);
+    assert.equal(row.impressions, 0);
+    assert.ok(Math.abs(row.ctr - 0.025) < 1e-6);
+    assert.equal(row.position, 4.75);
+    assert.equal('country' in row, false);
+});
+
+test('handles an empty bundle and pages without rows', () => {
+    assert.equal(decodeWeeklyBundle(encodeWeeklyBundle(new Map())).pages.size, 0);
+    const bundle = decodeWeeklyBundle(encodeWeeklyBundle(new Map([['empty', []], ['one', [week('2025-01-01', '2025-01-07', 1, 1, 1, 1)]]])));
+    assert.deepEqual(bundle.pages.get('empty'), []);
+    assert.equal(bundle.pages.get('one').length, 1);
+});
+
+test('rejects buffers that are not bundles or use another version', () => {
+    assert.throws(() => decodeWeeklyBundle(new TextEncoder().encode('date,clicks\n').buffer), /Not a weekly bundle/);
+
+    const buffer = encodeWeeklyBundle(new Map());
+    const bytes = new Uint8Array(buffer);
+    const headerLength = new DataView(buffer).getUint32(4, true);
+    const header = new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)).replace('"version":1', '"version":9');
+    bytes.set(new TextEncoder().encode(header), 8);
+    assert.throws(() => decodeWeeklyBundle(buffer), /Unsupported weekly bundle version 9/);
+});
+
+test('writes columns little-endian whatever the host byte order', () => {
+    const buffer = encodeWeeklyBundle(new Map([['home', [week('2025-01-01', '2025-01-07', 0x01020304, 5, 0.5, 2)]]]));
+    const headerLength = new DataView(buffer).getUint32(4, true);
+    const headerEnd = (8 + headerLength + 3) & ~3;
+    const clicksStart = (headerEnd + 2 * 4 + 2 + 3) & ~3;
+    assert.deepEqual(Array.from(new Uint8Array(buffer, clicksStart, 4)), [0x04, 0x03, 0x02, 0x01]);
+    // Float32 0.5 is 0x3F000000
+    assert.deepEqual(Array.from(new Uint8Array(buffer, clicksStart + 8, 4)), [0, 0, 0, 0x3F]);
+});